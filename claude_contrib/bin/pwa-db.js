@@ -0,0 +1,411 @@
+#!/usr/bin/env node
+/**
+ * Database Inspector
+ * Opens a database file saved by exportDatabase() (e.g. attached to a bug
+ * report) with the app's own sql.js build, schema.sql and migrations, so
+ * support can look inside without a browser.
+ *
+ *   node claude_contrib/bin/pwa-db.js <command> <file.db> [args] [options]
+ *   npm run db -- tables bug-1234.db
+ *
+ * Commands:
+ *   info                 schema version, pending migrations, integrity check
+ *   tables               tables with row counts
+ *   query <sql>          run a query; statements that write need --write
+ *   logs                 newest log entries, oldest first (--level, --limit)
+ *   settings [category]  active settings with their types
+ *   sync                 pending and failed sync queue items
+ *   webhooks             failed webhook deliveries
+ *   migrate              apply pending migrations (--target, --dry-run)
+ *
+ * Options:
+ *   --json               print JSON instead of a table
+ *   --limit <n>          rows for logs, sync and webhooks (default 50)
+ *   --passphrase <p>     open an encrypted export
+ *   --out <file>         where query --write and migrate save (default: in place)
+ *
+ * The file is only written by query --write and migrate.
+ */
+
+import fs from 'fs/promises';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+import { DatabaseService } from '../db/database-service.js';
+import { DatabaseCipher } from '../db/encryption.js';
+
+const SCHEMA_PATH = fileURLToPath(new URL('../db/schema.sql', import.meta.url));
+
+// Statements that leave the database unchanged
+const READ_ONLY_SQL = /^\s*(SELECT|WITH|PRAGMA|EXPLAIN|VALUES)\b/i;
+
+const USAGE = `Usage: pwa-db <command> <file.db> [args] [options]
+
+Commands:
+  info                 schema version, pending migrations, integrity check
+  tables               tables with row counts
+  query <sql>          run a query; statements that write need --write
+  logs                 newest log entries (--level <level>, --limit <n>)
+  settings [category]  active settings
+  sync                 pending and failed sync queue items
+  webhooks             failed webhook deliveries
+  migrate              apply pending migrations (--target <version>, --dry-run)
+
+Options:
+  --json               print JSON instead of a table
+  --limit <n>          rows for logs, sync and webhooks (default 50)
+  --passphrase <p>     open an encrypted export
+  --out <file>         where query --write and migrate save (default: in place)`;
+
+// ============================================================================
+// FILE STORAGE
+// ============================================================================
+
+/**
+ * Storage backend over a single file. Read-only unless opened for writing;
+ * saves go to the output path.
+ */
+class FileBackend {
+  /**
+   * @param {string} path - File to read
+   * @param {Object} options
+   * @param {string} options.out - File to write (defaults to path)
+   * @param {boolean} options.writable
+   */
+  constructor(path, options = {}) {
+    const { out = path, writable = false } = options;
+
+    this.type = 'file';
+    this.path = path;
+    this.out = out;
+    this.writable = writable;
+  }
+
+  async load() {
+    return new Uint8Array(await fs.readFile(this.path));
+  }
+
+  async save(name, data) {
+    if (!this.writable) {
+      throw new Error(`${this.path} is open read-only`);
+    }
+
+    await fs.writeFile(this.out, data);
+  }
+
+  async delete() {
+    throw new Error('FileBackend does not delete files');
+  }
+
+  async list() {
+    return [this.path];
+  }
+}
+
+/**
+ * Open a database file
+ * @param {string} path
+ * @param {Object} options
+ * @param {string} options.passphrase
+ * @param {boolean} options.writable
+ * @param {string} options.out
+ * @returns {Promise<DatabaseService>}
+ */
+async function openDatabase(path, options = {}) {
+  const { passphrase = null, writable = false, out } = options;
+
+  // Otherwise init() would create (and try to save) an empty database
+  const data = await fs.readFile(path).catch(() => {
+    throw new Error(`Cannot read ${path}`);
+  });
+
+  if (DatabaseCipher.isEncrypted(data) && !passphrase) {
+    throw new Error(`${path} is encrypted; pass --passphrase`);
+  }
+
+  const db = new DatabaseService();
+  await db.init(await fs.readFile(SCHEMA_PATH, 'utf8'), {
+    storage: new FileBackend(path, { out, writable }),
+    dbName: path,
+    autoMigrate: false,
+    coordinate: false,
+    encryption: DatabaseCipher.isEncrypted(data) ? { passphrase } : null,
+    // Keep stdout for results
+    logger: { log: console.error, error: console.error }
+  });
+
+  return db;
+}
+
+// ============================================================================
+// COMMANDS
+// ============================================================================
+
+const commands = {
+  /**
+   * Schema version, pending migrations and the integrity check
+   */
+  async info(db) {
+    const report = await db.validateImage(db.exportImage());
+    const pending = db.getPendingMigrations();
+
+    return {
+      file: db.dbName,
+      size: report.size,
+      encrypted: db.isEncrypted(),
+      schemaVersion: report.version,
+      latestVersion: report.latest,
+      pendingMigrations: pending.map(m => `${m.version} ${m.name}`),
+      integrity: 'ok',
+      tables: report.tables.length
+    };
+  },
+
+  /**
+   * Tables with row counts; FTS shadow tables are left out
+   */
+  tables(db) {
+    const rows = db.getAll(
+      "SELECT name, sql FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name"
+    );
+    const virtual = rows.filter(row => /^CREATE VIRTUAL/i.test(row.sql)).map(row => row.name);
+
+    return rows
+      .filter(row => !virtual.some(table => row.name.startsWith(`${table}_`)))
+      .map(row => ({
+        table: row.name,
+        rows: db.getOne(`SELECT COUNT(*) AS count FROM "${row.name}"`).count
+      }));
+  },
+
+  /**
+   * Run ad-hoc SQL
+   */
+  async query(db, [sql], options) {
+    if (!sql) {
+      throw new Error('query needs a SQL statement');
+    }
+
+    if (READ_ONLY_SQL.test(sql)) {
+      return db.getAll(sql);
+    }
+
+    if (!options.write) {
+      throw new Error('This statement changes the database; pass --write to run it');
+    }
+
+    db.run(sql);
+    const changes = db.getOne('SELECT changes() AS changes').changes;
+    await db.flush();
+
+    return [{ changes, savedTo: db.storage.out }];
+  },
+
+  /**
+   * Newest log entries, printed oldest first
+   */
+  logs(db, args, options) {
+    return db.getLogs(options.limit, options.level || null)
+      .reverse()
+      .map(({ create_date, level, category, message, username, details }) => ({
+        create_date, level, category, message, username, details
+      }));
+  },
+
+  /**
+   * Active settings, one row each
+   */
+  settings(db, [category]) {
+    const rows = db.getAll(
+      `SELECT category, key, value, value_type FROM kv_settings
+       WHERE active = 1 ${category ? 'AND category = ?' : ''}
+       ORDER BY category, key`,
+      category ? [category] : []
+    );
+
+    return rows.map(row => ({
+      ...row,
+      value: db.coerceSettingValue(row.value, row.value_type)
+    }));
+  },
+
+  /**
+   * Pending and failed sync queue items, in push order
+   */
+  sync(db, args, options) {
+    return db.getPendingSyncItems(options.limit)
+      .map(({ create_date, operation, table_name, record_id, status, retry_count, error_message }) => ({
+        create_date, operation, table_name, record_id, status, retry_count, error_message
+      }));
+  },
+
+  /**
+   * Failed webhook deliveries, newest first
+   */
+  webhooks(db, args, options) {
+    return db.getAll(
+      `SELECT d.create_date, w.name AS webhook, w.url, d.event_type,
+         d.response_status, d.retry_count, d.error_message
+       FROM webhook_deliveries d
+       LEFT JOIN webhooks w ON w.id = d.webhook_id
+       WHERE d.success = 0
+       ORDER BY d.create_date DESC
+       LIMIT ?`,
+      [options.limit]
+    );
+  },
+
+  /**
+   * Apply pending migrations and save
+   */
+  async migrate(db, args, options) {
+    const report = await db.migrate({
+      target: options.target ?? db.getLatestMigrationVersion(),
+      dryRun: options.dryRun
+    });
+
+    return {
+      ...report,
+      applied: report.applied.map(m => `${m.version} ${m.name}`),
+      savedTo: report.dryRun || report.applied.length === 0 ? null : db.storage.out
+    };
+  }
+};
+
+// Commands that may save the file
+const WRITE_COMMANDS = ['query', 'migrate'];
+
+// ============================================================================
+// OUTPUT
+// ============================================================================
+
+/**
+ * Render rows as an aligned text table
+ * @param {Array<Object>} rows
+ * @returns {string}
+ */
+function formatTable(rows) {
+  if (rows.length === 0) {
+    return '(no rows)';
+  }
+
+  const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+  const cell = value => {
+    if (value === null || value === undefined) return '';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    const line = text.replace(/\s+/g, ' ');
+    return line.length > 60 ? `${line.slice(0, 59)}…` : line;
+  };
+
+  const cells = rows.map(row => columns.map(column => cell(row[column])));
+  const widths = columns.map((column, i) =>
+    Math.max(column.length, ...cells.map(values => values[i].length))
+  );
+  const line = values => values.map((value, i) => value.padEnd(widths[i])).join('  ').trimEnd();
+
+  return [
+    line(columns),
+    line(widths.map(width => '-'.repeat(width))),
+    ...cells.map(line),
+    `(${rows.length} row${rows.length === 1 ? '' : 's'})`
+  ].join('\n');
+}
+
+/**
+ * Render a command result
+ * @param {Array|Object} result
+ * @param {boolean} json
+ * @returns {string}
+ */
+function formatResult(result, json) {
+  if (json) {
+    return JSON.stringify(result, null, 2);
+  }
+
+  if (Array.isArray(result)) {
+    return formatTable(result);
+  }
+
+  const width = Math.max(...Object.keys(result).map(key => key.length));
+  return Object.entries(result)
+    .map(([key, value]) => {
+      const text = Array.isArray(value) ? value.join(', ') || '-' : value ?? '-';
+      return `${key.padEnd(width)}  ${text}`;
+    })
+    .join('\n');
+}
+
+// ============================================================================
+// MAIN
+// ============================================================================
+
+/**
+ * Run the CLI
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Promise<number>} Exit code
+ */
+async function main(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      json: { type: 'boolean', default: false },
+      limit: { type: 'string', default: '50' },
+      level: { type: 'string' },
+      passphrase: { type: 'string' },
+      out: { type: 'string' },
+      write: { type: 'boolean', default: false },
+      target: { type: 'string' },
+      'dry-run': { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  const [command, file, ...args] = positionals;
+  const print = text => process.stdout.write(`${text}\n`);
+
+  if (values.help || !command) {
+    print(USAGE);
+    return values.help ? 0 : 2;
+  }
+  if (!commands[command] || !file) {
+    console.error(commands[command] ? `${command} needs a database file` : `Unknown command: ${command}`);
+    console.error(USAGE);
+    return 2;
+  }
+
+  const options = {
+    json: values.json,
+    limit: Math.max(1, Number(values.limit) || 50),
+    level: values.level,
+    write: values.write,
+    target: values.target === undefined ? undefined : Number(values.target),
+    dryRun: values['dry-run']
+  };
+
+  const db = await openDatabase(file, {
+    passphrase: values.passphrase,
+    writable: WRITE_COMMANDS.includes(command),
+    out: values.out
+  });
+
+  try {
+    print(formatResult(await commands[command](db, args, options), options.json));
+  } finally {
+    await db.close();
+  }
+
+  return 0;
+}
+
+// Started directly
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main(process.argv.slice(2)).then(
+    code => process.exit(code),
+    error => {
+      console.error(`pwa-db: ${error.message}`);
+      process.exit(1);
+    }
+  );
+}
+
+export { main, openDatabase, FileBackend };
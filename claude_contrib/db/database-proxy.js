@@ -0,0 +1,169 @@
+/**
+ * Database Proxy
+ * Promise-based stand-in for DatabaseService that forwards every call to a
+ * DatabaseService hosted in database-worker.js. It has the same method
+ * surface (getSetting, createUser, log, recordMetric, ...), but each method
+ * returns a Promise.
+ *
+ * Functions, builders and generators can't cross the worker boundary, so
+ * transaction(fn), table(), iterate(), onChange(), onSaveError() and
+ * onWriteRejected() are not available; use runBatch() to apply several
+ * statements atomically.
+ */
+
+import { DatabaseService } from './database-service.js';
+import { decodeResult, decodeError } from './worker-protocol.js';
+
+class DatabaseProxy {
+  /**
+   * @param {Object} options
+   * @param {Worker} options.worker - Existing worker (defaults to a new database-worker.js)
+   */
+  constructor(options = {}) {
+    this.worker = options.worker ||
+      new Worker(new URL('./database-worker.js', import.meta.url), { type: 'module' });
+    this.nextId = 1;
+    this.pending = new Map();
+
+    this.worker.addEventListener('message', (event) => {
+      this.handleMessage(event.data);
+    });
+
+    this.worker.addEventListener('error', (event) => {
+      this.rejectAll(new Error(`Database worker error: ${event.message}`));
+    });
+  }
+
+  /**
+   * Call a DatabaseService method in the worker
+   * @param {string} method
+   * @param {Array} args
+   * @param {Array<Transferable>} transfer - Buffers to move rather than copy
+   * @returns {Promise<*>}
+   */
+  call(method, args = [], transfer = []) {
+    if (!this.worker) {
+      return Promise.reject(new Error('Database worker has been terminated'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const id = this.nextId++;
+      this.pending.set(id, { resolve, reject });
+      this.worker.postMessage({ id, method, args }, transfer);
+    });
+  }
+
+  /**
+   * Settle the promise for a worker response
+   * @param {Object} message
+   */
+  handleMessage({ id, ok, result, error }) {
+    const pending = this.pending.get(id);
+    if (!pending) return;
+
+    this.pending.delete(id);
+
+    if (ok) {
+      pending.resolve(decodeResult(result));
+    } else {
+      pending.reject(decodeError(error));
+    }
+  }
+
+  /**
+   * Reject every outstanding call
+   * @param {Error} error
+   */
+  rejectAll(error) {
+    this.pending.forEach(({ reject }) => reject(error));
+    this.pending.clear();
+  }
+
+  /**
+   * Import database from file, transferring the bytes to the worker
+   * @param {Uint8Array} data
+   * @returns {Promise<void>}
+   */
+  importDatabase(data) {
+    const copy = data.slice();
+    return this.call('importDatabase', [copy], [copy.buffer]);
+  }
+
+  /**
+   * Not supported across the worker boundary
+   */
+  transaction() {
+    throw new Error('transaction() is not available through DatabaseProxy; use runBatch()');
+  }
+
+  /**
+   * Not supported across the worker boundary
+   */
+  table() {
+    throw new Error('table() is not available through DatabaseProxy; use getAll() and run()');
+  }
+
+  /**
+   * Not supported across the worker boundary
+   */
+  iterate() {
+    throw new Error('iterate() is not available through DatabaseProxy; page with getAll() and LIMIT');
+  }
+
+  /**
+   * Not supported across the worker boundary
+   */
+  onChange() {
+    throw new Error('onChange() is not available through DatabaseProxy; poll getChanges()');
+  }
+
+  /**
+   * Not supported across the worker boundary
+   */
+  onSaveError() {
+    throw new Error('onSaveError() is not available through DatabaseProxy; await flush() to see save errors');
+  }
+
+  /**
+   * Not supported across the worker boundary
+   */
+  onWriteRejected() {
+    throw new Error('onWriteRejected() is not available through DatabaseProxy');
+  }
+
+  /**
+   * Broadcasts from other tabs stay in the worker; nothing to subscribe to
+   * @returns {Function} Unsubscribe (does nothing)
+   */
+  onBroadcast() {
+    return () => {};
+  }
+
+  /**
+   * Flush pending writes and stop the worker
+   * @returns {Promise<void>}
+   */
+  async terminate() {
+    if (!this.worker) return;
+
+    try {
+      await this.call('flush');
+    } finally {
+      this.worker.terminate();
+      this.worker = null;
+      this.rejectAll(new Error('Database worker has been terminated'));
+    }
+  }
+}
+
+// Mirror the DatabaseService surface: every method becomes an async call
+Object.getOwnPropertyNames(DatabaseService.prototype).forEach(name => {
+  if (name === 'constructor' || name in DatabaseProxy.prototype) return;
+  if (typeof DatabaseService.prototype[name] !== 'function') return;
+
+  DatabaseProxy.prototype[name] = function (...args) {
+    return this.call(name, args);
+  };
+});
+
+export default DatabaseProxy;
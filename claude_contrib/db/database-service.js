@@ -6,52 +6,198 @@
  * - Transaction management
  * - Error handling
  * - Type coercion for settings
+ * - Versioned schema migrations
+ * - Pluggable persistence (OPFS, IndexedDB, memory)
+ * - Optional AES-GCM encryption at rest
+ * - Fluent query builder with schema-checked columns
+ * - Change data capture with per-commit onChange() notifications
+ * - Graph queries over the relationships table
+ * - Ranked full-text search (FTS4)
+ * - Validated imports and per-table JSON / SQL export
+ * - One writer across browser tabs (see ./tab-coordinator.js)
+ * - Roles with inherited, wildcard permissions
  */
 
-// Using sql.js for client-side SQLite
-// Import: <script src="https://sql.js.org/dist/sql-wasm.js"></script>
+// Using sql.js for client-side SQLite, loaded by ./sql-loader.js
+
+import defaultMigrations from './migrations.js';
+import { createStorageBackend } from './storage/index.js';
+import { loadSqlJs } from './sql-loader.js';
+import { DatabaseCipher } from './encryption.js';
+import QueryBuilder from './query-builder.js';
+import { SEARCH_SOURCES, searchBackfillSql } from './search-index.js';
+import { TabCoordinator } from './tab-coordinator.js';
+import { isFixtureRef, fixtureError } from './fixtures.js';
+import { QueryProfiler } from './query-profiler.js';
+
+// Hot inserts, kept as constants so every call hits the same cached statement
+const LOG_INSERT_SQL = `INSERT INTO logs (id, create_date, level, category, message, details,
+    user_id, session_id, stack_trace, metadata)
+  VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
+
+const METRIC_INSERT_SQL = `INSERT INTO metrics (id, create_date, metric_name, metric_type, value,
+    unit, tags, user_id, session_id, metadata)
+  VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
+
+// A user's roles: users.role, user_roles, and every role those inherit
+// from. UNION drops repeats, so an inheritance cycle still terminates.
+const USER_ROLES_SQL = `WITH RECURSIVE effective(id) AS (
+    SELECT role FROM users WHERE id = ? AND role IS NOT NULL
+    UNION
+    SELECT role_id FROM user_roles WHERE user_id = ?
+    UNION
+    SELECT roles.parent_id FROM roles JOIN effective ON roles.id = effective.id
+    WHERE roles.parent_id IS NOT NULL
+  )
+  SELECT id FROM effective`;
 
 class DatabaseService {
   constructor() {
     this.db = null;
     this.initialized = false;
     this.dbName = 'pwa-core.db';
+    this.migrations = defaultMigrations;
+    this.storage = null;
+    this.sqlOptions = {};
+    this.cipher = null;
+    this.tableSchemas = new Map();
+    this.logger = console;
+
+    // Change data capture: listeners per table ('*' = every watched table)
+    // and the last change_log entry delivered to them
+    this.changeListeners = new Map();
+    this.changeCursor = 0;
+    this.changeLogLimit = 1000; // entries kept after delivery
+    this.dispatching = false;
+
+    // Write coalescing: writes mark the database dirty and a single
+    // debounced save persists them (one save per transaction)
+    this.transactionDepth = 0;
+    this.savepointCount = 0; // savepoint names stay unique
+    this.migrating = false; // migration writes stay in this tab, unannounced
+    this.dirty = false;
+    this.saveDelay = 250; // ms
+    this.saveTimer = null;
+    this.saveChain = Promise.resolve(); // never rejects
+    this.currentSave = Promise.resolve(); // latest save, rejects if it failed
+    this.saveErrorListeners = new Set();
+
+    // Tab coordination: set when other tabs may share the stored image
+    this.coordinator = null;
+    this.broadcastListeners = new Map(); // topic → Set of callbacks
+    this.writeRejectedListeners = new Set();
+
+    // Query profiling: set by enableProfiling()
+    this.profiler = null;
+
+    // Prepared statements by SQL text, least recently used first
+    this.statements = new Map();
+    this.busyStatements = new Set(); // being stepped by iterate()
+    this.statementCacheSize = 100;
+
+    // search() registers its BM25 scorer as a SQL function on first use
+    this.searchRankRegistered = false;
   }
 
   /**
    * Initialize the database
    * @param {string} schemaSQL - SQL schema to create tables
+   * @param {Object} options
+   * @param {Array} options.migrations - Ordered migrations (defaults to ./migrations.js)
+   * @param {boolean} options.autoMigrate - Apply pending migrations to existing databases
+   * @param {string|Object} options.storage - 'auto', 'opfs', 'indexeddb', 'memory' or a backend instance
+   * @param {string} options.dbName - Name the image is stored under (defaults to this.dbName)
+   * @param {string} options.wasmUrl - URL of sql-wasm.wasm (see sql-loader.js)
+   * @param {Function} options.initSqlJs - sql.js factory to use instead of the bundled one
+   * @param {Object} options.encryption - { passphrase } or { key: CryptoKey } to encrypt
+   *   the stored image (see encryption.js)
+   * @param {boolean|string} options.coordinate - Coordinate writes with other
+   *   tabs using the same database: true, false, or 'auto' (when Web Locks
+   *   are available and storage isn't 'memory')
+   * @param {Object|Array<Object>} options.fixtures - Seed data to load on every
+   *   start (see loadFixtures(); rows already there are kept)
+   * @param {Object} options.logger - { log, error } for progress and failures
+   *   (defaults to console)
    * @returns {Promise<void>}
    */
-  async init(schemaSQL = null) {
+  async init(schemaSQL = null, options = {}) {
     if (this.initialized) return;
 
+    const {
+      migrations = this.migrations,
+      autoMigrate = true,
+      storage = 'auto',
+      dbName = this.dbName,
+      wasmUrl = null,
+      initSqlJs = null,
+      encryption = null,
+      coordinate = 'auto',
+      fixtures = null,
+      logger = this.logger
+    } = options;
+
+    this.logger = logger;
+
     try {
+      this.dbName = dbName;
+      this.migrations = this.sortMigrations(migrations);
+      this.storage = await createStorageBackend(storage);
+      this.sqlOptions = { wasmUrl, initSqlJs };
+      this.cipher = this.createCipher(encryption);
+
+      // Decide which tab owns the stored image before anything is loaded
+      if (coordinate === true || (coordinate === 'auto' &&
+          TabCoordinator.isSupported() && this.storage.type !== 'memory')) {
+        this.coordinator = new TabCoordinator(this, { name: dbName });
+        await this.coordinator.start();
+      }
+
       // Initialize SQL.js
-      const SQL = await initSqlJs({
-        locateFile: file => `https://sql.js.org/dist/${file}`
-      });
+      const SQL = await loadSqlJs(this.sqlOptions);
 
-      // Try to load existing database from IndexedDB
-      const savedDb = await this.loadFromIndexedDB();
+      // Try to load existing database from storage
+      const stored = await this.readFromStorage();
+      const savedDb = stored && await this.decodeImage(stored);
       
       if (savedDb) {
         this.db = new SQL.Database(savedDb);
-        console.log('Loaded existing database from IndexedDB');
+        this.logger.log(`Loaded existing database from ${this.storage.type}`);
+
+        // Encrypt an image saved before encryption was turned on
+        if (this.cipher && !DatabaseCipher.isEncrypted(stored)) {
+          await this.persist();
+        }
+
+        // Bring databases created by older releases up to date
+        if (autoMigrate) {
+          await this.migrate();
+        }
       } else {
         this.db = new SQL.Database();
-        console.log('Created new database');
+        this.logger.log('Created new database');
         
         // Apply schema if provided
         if (schemaSQL) {
           this.db.run(schemaSQL);
-          await this.saveToIndexedDB();
+          // schema.sql describes the latest version, so nothing is pending
+          this.stampMigrations();
+          await this.persist();
         }
       }
 
+      // Followers get the seed rows from the leader's image
+      if (fixtures && this.isLeader()) {
+        this.loadFixtures(fixtures);
+        await this.flush();
+      }
+
+      if (this.coordinator) {
+        this.coordinator.reloadCursor = this.getLatestChangeSeq();
+      }
+
       this.initialized = true;
     } catch (error) {
-      console.error('Failed to initialize database:', error);
+      this.logger.error('Failed to initialize database:', error);
       throw error;
     }
   }
@@ -84,10 +230,16 @@ class DatabaseService {
    */
   exec(sql, params = []) {
     try {
+      const started = this.profiler ? performance.now() : 0;
       const result = this.db.exec(sql, params);
+
+      if (this.profiler) {
+        this.profileQuery(sql, params, performance.now() - started, result.length > 0 ? result[0].values.length : 0);
+      }
+
       return result;
     } catch (error) {
-      console.error('SQL execution error:', error);
+      this.logger.error('SQL execution error:', error);
       throw error;
     }
   }
@@ -99,12 +251,123 @@ class DatabaseService {
    */
   run(sql, params = []) {
     try {
-      this.db.run(sql, params);
-      this.saveToIndexedDB(); // Auto-save after writes
+      const started = this.profiler ? performance.now() : 0;
+
+      if (this.isCacheable(sql)) {
+        const { statement, release } = this.acquireStatement(sql);
+        try {
+          statement.run(params);
+        } finally {
+          release();
+        }
+      } else {
+        this.db.run(sql, params);
+      }
+
+      if (this.profiler) {
+        this.profileQuery(sql, params, performance.now() - started, this.db.getRowsModified());
+      }
+
+      this.forwardWrite(sql, params);
+      this.markDirty(); // Auto-save after writes (debounced)
+
+      if (/^\s*(CREATE|ALTER|DROP)\b/i.test(sql)) {
+        this.clearSchemaCache();
+      }
+
+      // Outside a transaction every statement commits on its own
+      if (this.transactionDepth === 0) {
+        this.forwardCommit();
+        this.dispatchChanges();
+      }
+    } catch (error) {
+      this.logger.error('SQL run error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Run a function inside a transaction.
+   * Commits when fn returns and rolls back if it throws. Nested calls use
+   * savepoints. The database is persisted once after the outermost
+   * transaction commits.
+   *
+   * fn must be synchronous. The connection is shared, so anything other
+   * code ran while an async fn awaited would land in its transaction and
+   * be rolled back with it.
+   * @param {Function} fn - Receives this service
+   * @returns {*} Return value of fn
+   */
+  transaction(fn) {
+    if (fn?.constructor?.name === 'AsyncFunction') {
+      throw new Error('transaction() needs a synchronous function');
+    }
+
+    const depth = this.transactionDepth;
+    const savepoint = `sp_${++this.savepointCount}`;
+    const wasDirty = this.dirty;
+    const forwarded = this.coordinator ? this.coordinator.mark() : 0;
+
+    this.db.run(depth === 0 ? 'BEGIN TRANSACTION' : `SAVEPOINT ${savepoint}`);
+    this.transactionDepth++;
+
+    let result;
+    try {
+      result = fn(this);
+      if (result && typeof result.then === 'function') {
+        throw new Error('transaction() needs a synchronous function; fn returned a promise');
+      }
+      this.db.run(depth === 0 ? 'COMMIT' : `RELEASE SAVEPOINT ${savepoint}`);
     } catch (error) {
-      console.error('SQL run error:', error);
+      try {
+        if (depth === 0) {
+          this.db.run('ROLLBACK');
+        } else {
+          this.db.run(`ROLLBACK TO SAVEPOINT ${savepoint}`);
+          this.db.run(`RELEASE SAVEPOINT ${savepoint}`);
+        }
+      } catch (rollbackError) {
+        // A failed COMMIT may already have ended the transaction
+      }
+      if (depth === 0) {
+        this.dirty = wasDirty;
+      }
+      if (this.coordinator) {
+        this.coordinator.rewind(forwarded);
+      }
       throw error;
+    } finally {
+      // Whatever happened above, this level is closed
+      this.transactionDepth = depth;
+    }
+
+    if (depth === 0) {
+      if (this.dirty) {
+        this.scheduleSave();
+      }
+      this.forwardCommit();
+      this.dispatchChanges();
     }
+
+    return result;
+  }
+
+  /**
+   * Run several statements in one transaction
+   * @param {Array<Array>} statements - [sql, params] pairs
+   */
+  runBatch(statements) {
+    this.transaction(() => {
+      statements.forEach(([sql, params = []]) => this.run(sql, params));
+    });
+  }
+
+  /**
+   * Check if a transaction is open
+   * @returns {boolean}
+   */
+  inTransaction() {
+    return this.transactionDepth > 0;
   }
 
   /**
@@ -114,6 +377,13 @@ class DatabaseService {
    * @returns {Object|null}
    */
   getOne(sql, params = []) {
+    if (this.isCacheable(sql)) {
+      for (const row of this.iterate(sql, params)) {
+        return row;
+      }
+      return null;
+    }
+
     const results = this.exec(sql, params);
     if (results.length === 0 || results[0].values.length === 0) {
       return null;
@@ -137,6 +407,10 @@ class DatabaseService {
    * @returns {Array<Object>}
    */
   getAll(sql, params = []) {
+    if (this.isCacheable(sql)) {
+      return Array.from(this.iterate(sql, params));
+    }
+
     const results = this.exec(sql, params);
     if (results.length === 0) {
       return [];
@@ -155,790 +429,3282 @@ class DatabaseService {
   }
 
   // ============================================================================
-  // SETTINGS / CONFIGURATION API
+  // PREPARED STATEMENTS
   // ============================================================================
 
   /**
-   * Get a setting value
-   * @param {string} category - Setting category
-   * @param {string} key - Setting key
-   * @param {*} defaultValue - Default value if not found
-   * @returns {*}
+   * Check whether a statement goes through the statement cache: single
+   * queries and DML. DDL, PRAGMA, transaction control and strings with
+   * several statements (prepare() would only compile the first) use
+   * exec()/run() directly.
+   * @param {string} sql
+   * @returns {boolean}
    */
-  getSetting(category, key, defaultValue = null) {
-    const result = this.getOne(
-      'SELECT value, value_type FROM kv_settings WHERE category = ? AND key = ? AND active = 1',
-      [category, key]
-    );
-    
-    if (!result) return defaultValue;
-    
-    return this.coerceSettingValue(result.value, result.value_type);
+  isCacheable(sql) {
+    if (!/^\s*(SELECT|WITH|INSERT|UPDATE|DELETE|REPLACE|VALUES)\b/i.test(sql)) {
+      return false;
+    }
+
+    const code = sql
+      .replace(/'(?:[^']|'')*'|"(?:[^"]|"")*"/g, '')
+      .replace(/--[^\n]*|\/\*[\s\S]*?\*\//g, '')
+      .replace(/[;\s]+$/, '');
+
+    return !code.includes(';');
   }
 
   /**
-   * Set a setting value
-   * @param {string} category - Setting category
-   * @param {string} key - Setting key
-   * @param {*} value - Setting value
-   * @param {string} valueType - Value type
-   * @param {string} description - Optional description
+   * Take the cached statement for some SQL, preparing it on first use. A
+   * statement still being stepped by iterate() isn't shared; a one-off
+   * statement is prepared instead.
+   * @param {string} sql
+   * @returns {Object} { statement, release } - call release() when done
    */
-  setSetting(category, key, value, valueType = 'string', description = null) {
-    const id = this.generateUUID();
-    const now = this.getTimestamp();
-    
-    // Convert value to string for storage
-    const valueStr = typeof value === 'object' ? JSON.stringify(value) : String(value);
-    
-    this.run(
-      `INSERT INTO kv_settings (id, create_date, category, key, value, value_type, description, active)
-       VALUES (?, ?, ?, ?, ?, ?, ?, 1)
-       ON CONFLICT(category, key) DO UPDATE SET 
-         value = excluded.value,
-         value_type = excluded.value_type,
-         modified_date = ?`,
-      [id, now, category, key, valueStr, valueType, description, now]
-    );
+  acquireStatement(sql) {
+    let statement = this.statements.get(sql);
+
+    if (statement && this.busyStatements.has(statement)) {
+      const oneOff = this.db.prepare(sql);
+      return { statement: oneOff, release: () => oneOff.free() };
+    }
+
+    if (statement) {
+      this.statements.delete(sql);
+    } else {
+      statement = this.db.prepare(sql);
+      this.evictStatements(this.statementCacheSize - 1);
+    }
+
+    this.statements.set(sql, statement);
+    this.busyStatements.add(statement);
+
+    return {
+      statement,
+      release: () => {
+        // finalizeStatements() may have freed it meanwhile
+        if (this.busyStatements.delete(statement)) {
+          statement.reset();
+        }
+      }
+    };
   }
 
   /**
-   * Get all settings for a category
-   * @param {string} category - Setting category
-   * @returns {Object}
+   * Free least recently used statements until at most max are cached
+   * @param {number} max
    */
-  getSettingsByCategory(category) {
-    const rows = this.getAll(
-      'SELECT key, value, value_type FROM kv_settings WHERE category = ? AND active = 1',
-      [category]
-    );
-    
-    const settings = {};
-    rows.forEach(row => {
-      settings[row.key] = this.coerceSettingValue(row.value, row.value_type);
-    });
-    
-    return settings;
+  evictStatements(max) {
+    for (const [sql, statement] of this.statements) {
+      if (this.statements.size <= max) break;
+      if (this.busyStatements.has(statement)) continue;
+
+      statement.free();
+      this.statements.delete(sql);
+    }
   }
 
   /**
-   * Coerce setting value to proper type
-   * @param {string} value - String value from DB
-   * @param {string} type - Value type
-   * @returns {*}
+   * Free every cached statement. sql.js frees all statements (and drops
+   * custom SQL functions) when it exports the database, so this runs
+   * before every export and whenever the database is replaced or closed.
    */
-  coerceSettingValue(value, type) {
-    if (value === null) return null;
-    
-    switch (type) {
-      case 'boolean':
-        return value === 'true' || value === '1';
-      case 'int':
-        return parseInt(value, 10);
-      case 'float':
-        return parseFloat(value);
-      case 'json':
-        try {
-          return JSON.parse(value);
-        } catch {
-          return value;
-        }
-      case 'date':
-      case 'datetime':
-      case 'time':
-        return new Date(value);
-      default:
-        return value;
+  finalizeStatements() {
+    this.statements.forEach(statement => statement.free());
+    this.statements.clear();
+    this.busyStatements.clear();
+    this.searchRankRegistered = false;
+  }
+
+  /**
+   * Stream the rows of a query one at a time, without building the whole
+   * result set:
+   *
+   *   for (const row of db.iterate('SELECT * FROM metrics WHERE metric_name = ?', [name])) {
+   *     ...
+   *   }
+   *
+   * Don't await inside the loop: a save in between exports the database,
+   * which frees the statement.
+   * @param {string} sql - A single query
+   * @param {Array} params
+   * @yields {Object} Row
+   */
+  *iterate(sql, params = []) {
+    const { statement, release } = this.acquireStatement(sql);
+    let rows = 0;
+    let duration = 0;
+    let failed = false;
+
+    try {
+      let started = performance.now();
+      statement.bind(params);
+
+      while (statement.step()) {
+        const row = statement.getAsObject();
+        rows++;
+        duration += performance.now() - started;
+        yield row;
+        started = performance.now();
+      }
+
+      duration += performance.now() - started;
+    } catch (error) {
+      failed = true;
+      this.logger.error('SQL execution error:', error);
+      throw error;
+    } finally {
+      release();
+
+      if (this.profiler && !failed) {
+        this.profileQuery(sql, params, duration, rows);
+      }
+    }
+  }
+
+  /**
+   * Export the database image (plain). export() reopens the connection,
+   * which would silently discard an open transaction, so that's refused.
+   * @returns {Uint8Array}
+   */
+  exportImage() {
+    if (this.inTransaction()) {
+      throw new Error('Cannot export the database inside a transaction');
     }
+
+    this.finalizeStatements();
+    return this.db.export();
   }
 
   // ============================================================================
-  // USER MANAGEMENT API
+  // QUERY BUILDER
   // ============================================================================
 
   /**
-   * Create a new user
-   * @param {Object} userData - User data
-   * @returns {string} User ID
+   * Start a query on a table
+   * @param {string} name - Table or view name
+   * @returns {QueryBuilder}
    */
-  createUser(userData) {
-    const id = this.generateUUID();
-    const now = this.getTimestamp();
-    
-    const {
-      username,
-      email,
-      password_hash,
-      display_name,
-      avatar_url,
-      role = 'user',
-      preferences = null,
-      metadata = null
-    } = userData;
-    
-    this.run(
-      `INSERT INTO users (id, create_date, username, email, password_hash, display_name, 
-         avatar_url, role, active, preferences, metadata)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, 1, ?, ?)`,
-      [
-        id, now, username, email, password_hash, display_name,
-        avatar_url, role,
-        preferences ? JSON.stringify(preferences) : null,
-        metadata ? JSON.stringify(metadata) : null
-      ]
-    );
-    
-    return id;
+  table(name) {
+    return new QueryBuilder(this, name);
   }
 
   /**
-   * Get user by username
-   * @param {string} username
-   * @returns {Object|null}
+   * Get the columns of a table, and which of them hold JSON. A column holds
+   * JSON when its comment in the CREATE statement starts with "JSON", as in
+   * schema.sql. ALTER TABLE ... ADD COLUMN can't end in a line comment, so
+   * columns added by migrations use a block comment: TEXT /* JSON ... *\/.
+   * Results are cached until the schema changes.
+   * @param {string} name - Table or view name
+   * @returns {Object} { columns: Set<string>, jsonColumns: Set<string> }
    */
-  getUserByUsername(username) {
-    const user = this.getOne(
-      'SELECT * FROM users WHERE username = ? AND active = 1',
-      [username]
-    );
-    
-    if (user && user.preferences) {
-      user.preferences = JSON.parse(user.preferences);
-    }
-    if (user && user.metadata) {
-      user.metadata = JSON.parse(user.metadata);
+  getTableSchema(name) {
+    if (this.tableSchemas.has(name)) {
+      return this.tableSchemas.get(name);
     }
-    
-    return user;
-  }
 
-  /**
-   * Get user by ID
-   * @param {string} id
-   * @returns {Object|null}
-   */
-  getUserById(id) {
-    const user = this.getOne(
-      'SELECT * FROM users WHERE id = ? AND active = 1',
-      [id]
+    const master = this.getOne(
+      "SELECT sql FROM sqlite_master WHERE name = ? AND type IN ('table', 'view')",
+      [name]
     );
-    
-    if (user && user.preferences) {
-      user.preferences = JSON.parse(user.preferences);
-    }
-    if (user && user.metadata) {
-      user.metadata = JSON.parse(user.metadata);
+
+    if (!master) {
+      throw new Error(`Unknown table: ${name}`);
     }
-    
-    return user;
+
+    const columns = new Set(
+      this.getAll('SELECT name FROM pragma_table_info(?)', [name]).map(col => col.name)
+    );
+
+    const jsonColumns = new Set();
+    (master.sql || '').split('\n').forEach(line => {
+      const match = line.match(/^[\s,]*"?(\w+)"?\s[^-/]*(--|\/\*)\s*JSON\b/);
+      if (match && columns.has(match[1])) {
+        jsonColumns.add(match[1]);
+      }
+    });
+
+    const schema = { columns, jsonColumns };
+    this.tableSchemas.set(name, schema);
+    return schema;
   }
 
   /**
-   * Update user's last login
-   * @param {string} userId
+   * Forget cached table schemas (after DDL)
    */
-  updateLastLogin(userId) {
-    const now = this.getTimestamp();
-    this.run(
-      'UPDATE users SET last_login = ? WHERE id = ?',
-      [now, userId]
-    );
+  clearSchemaCache() {
+    this.tableSchemas.clear();
   }
 
   // ============================================================================
-  // SESSION MANAGEMENT API
+  // QUERY PROFILING (see ./query-profiler.js)
   // ============================================================================
 
   /**
-   * Create a new session
-   * @param {string} userId
-   * @param {Object} deviceInfo
-   * @param {number} expiryHours - Hours until expiry
-   * @returns {string} Session ID (token)
+   * Start timing exec() and run() calls. Off by default: profiling adds a
+   * clock read per statement and an EXPLAIN per slow one.
+   *
+   *   db.enableProfiling({ threshold: 20 });
+   *   ...
+   *   db.getQueryReport({ limit: 10 });  // Slowest statements by total time
+   *   db.getSlowQueries();               // Calls over the threshold, with plans
+   *
+   * @param {Object} options - See QueryProfiler (onSlowQuery can't be passed
+   *   through DatabaseProxy)
    */
-  createSession(userId, deviceInfo = {}, expiryHours = 24) {
-    const id = this.generateUUID();
-    const now = this.getTimestamp();
-    const expiry = new Date(Date.now() + expiryHours * 60 * 60 * 1000).toISOString();
-    
-    this.run(
-      `INSERT INTO sessions (id, create_date, expiry_date, user_id, device_info, 
-         ip_address, last_activity, active)
-       VALUES (?, ?, ?, ?, ?, ?, ?, 1)`,
-      [
-        id, now, expiry, userId,
-        JSON.stringify(deviceInfo),
-        deviceInfo.ip || null,
-        now
-      ]
-    );
-    
-    return id;
+  enableProfiling(options = {}) {
+    this.profiler = new QueryProfiler(options);
   }
 
   /**
-   * Get session by token
-   * @param {string} sessionToken
-   * @returns {Object|null}
+   * Stop timing statements and drop what was recorded
    */
-  getSession(sessionToken) {
-    const session = this.getOne(
-      `SELECT * FROM sessions 
-       WHERE id = ? AND active = 1 AND expiry_date > datetime('now')`,
-      [sessionToken]
-    );
-    
-    if (session && session.device_info) {
-      session.device_info = JSON.parse(session.device_info);
-    }
-    
-    return session;
+  disableProfiling() {
+    this.profiler = null;
   }
 
   /**
-   * Update session activity
-   * @param {string} sessionToken
+   * Check whether profiling is on
+   * @returns {boolean}
    */
-  updateSessionActivity(sessionToken) {
-    const now = this.getTimestamp();
-    this.run(
-      'UPDATE sessions SET last_activity = ? WHERE id = ?',
-      [now, sessionToken]
-    );
+  isProfiling() {
+    return this.profiler !== null;
   }
 
   /**
-   * Invalidate a session
-   * @param {string} sessionToken
+   * Timings per statement fingerprint
+   * @param {Object} options
+   * @param {string} options.sortBy - 'totalMs' (default), 'avgMs', 'maxMs', 'calls' or 'rows'
+   * @param {number} options.limit
+   * @returns {Array<Object>} [{ fingerprint, calls, totalMs, avgMs, maxMs, rows,
+   *   slowCalls, plan, warnings }]
    */
-  invalidateSession(sessionToken) {
-    this.run(
-      'UPDATE sessions SET active = 0 WHERE id = ?',
-      [sessionToken]
-    );
+  getQueryReport(options = {}) {
+    return this.profiler ? this.profiler.report(options) : [];
   }
 
   /**
-   * Clean up expired sessions
+   * Calls slower than the threshold, oldest first
+   * @returns {Array<Object>} [{ date, fingerprint, sql, params, duration, rows,
+   *   plan, warnings }]
    */
-  cleanupExpiredSessions() {
-    this.run(
-      "DELETE FROM sessions WHERE expiry_date < datetime('now')"
-    );
+  getSlowQueries() {
+    return this.profiler ? [...this.profiler.slowLog] : [];
   }
 
-  // ============================================================================
-  // LOGGING API
-  // ============================================================================
-
   /**
-   * Log a message
-   * @param {string} level - Log level (debug, info, warn, error, fatal)
-   * @param {string} message - Log message
-   * @param {Object} options - Additional options
+   * Clear the report and slow-query log, keeping profiling on
    */
-  log(level, message, options = {}) {
-    const id = this.generateUUID();
-    const now = this.getTimestamp();
-    
-    const {
-      category = null,
-      details = null,
-      userId = null,
-      sessionId = null,
-      stackTrace = null,
-      metadata = null
-    } = options;
-    
-    this.run(
-      `INSERT INTO logs (id, create_date, level, category, message, details, 
-         user_id, session_id, stack_trace, metadata)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-      [
-        id, now, level, category, message,
-        details ? JSON.stringify(details) : null,
-        userId, sessionId, stackTrace,
-        metadata ? JSON.stringify(metadata) : null
-      ]
-    );
+  resetProfiling() {
+    if (this.profiler) {
+      this.profiler.reset();
+    }
   }
 
   /**
-   * Get recent logs
-   * @param {number} limit
-   * @param {string} level - Filter by level
-   * @returns {Array}
+   * EXPLAIN QUERY PLAN for a statement
+   * @param {string} sql
+   * @param {Array} params
+   * @returns {Array<Object>|null} [{ id, parent, detail }], or null for
+   *   statements that have no plan (DDL, PRAGMA, transactions)
    */
-  getLogs(limit = 100, level = null) {
-    let sql = 'SELECT * FROM v_recent_logs';
-    const params = [];
-    
-    if (level) {
-      sql += ' WHERE level = ?';
-      params.push(level);
+  explainQuery(sql, params = []) {
+    if (!/^\s*(SELECT|WITH|INSERT|UPDATE|DELETE|REPLACE)\b/i.test(sql)) {
+      return null;
     }
-    
-    sql += ' LIMIT ?';
-    params.push(limit);
-    
-    return this.getAll(sql, params);
+
+    try {
+      const [result] = this.db.exec(`EXPLAIN QUERY PLAN ${sql}`, params);
+      return result
+        ? result.values.map(([id, parent, , detail]) => ({ id, parent, detail }))
+        : [];
+    } catch (error) {
+      // Several statements in one string, or parameters that only bind at run time
+      return null;
+    }
+  }
+
+  /**
+   * Record a finished statement with the profiler
+   * @param {string} sql
+   * @param {Array} params
+   * @param {number} duration - ms spent in SQLite
+   * @param {number} rows - Rows returned or changed
+   */
+  profileQuery(sql, params, duration, rows) {
+    const plan = this.profiler.explain && this.profiler.isSlow(duration)
+      ? this.explainQuery(sql, params)
+      : null;
+
+    this.profiler.record({ sql, params, duration, rows, plan });
   }
 
   // ============================================================================
-  // CONTENT MANAGEMENT API
+  // CHANGE DATA CAPTURE
   // ============================================================================
 
   /**
-   * Create or update content page
-   * @param {Object} pageData
-   * @returns {string} Page ID
+   * Call back after commits that changed rows of a table. Changes are
+   * recorded by triggers, so every write path is seen (raw SQL, the query
+   * builder, other plugins). Each commit is delivered once per listener:
+   *
+   *   const off = db.onChange('data_records', changes => {
+   *     // [{ seq, table, recordId, operation: 'insert'|'update'|'delete', date }]
+   *   });
+   *
+   * @param {string} table - Table to watch, or '*' for every watched table
+   * @param {Function} callback - Receives the changes of one commit
+   * @returns {Function} Unsubscribe
    */
-  savePage(pageData) {
-    const id = pageData.id || this.generateUUID();
-    const now = this.getTimestamp();
-    
-    const {
-      route,
-      title,
-      content,
-      content_type = 'html',
-      template = null,
-      metadata = null,
-      published = 0,
-      parent_id = null,
-      sort_order = 0
-    } = pageData;
-    
-    this.run(
-      `INSERT INTO content_pages (id, create_date, route, title, content, content_type,
-         template, metadata, published, active, parent_id, sort_order)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 1, ?, ?)
-       ON CONFLICT(route) DO UPDATE SET
-         title = excluded.title,
-         content = excluded.content,
-         content_type = excluded.content_type,
-         template = excluded.template,
-         metadata = excluded.metadata,
-         published = excluded.published,
-         parent_id = excluded.parent_id,
-         sort_order = excluded.sort_order,
-         modified_date = ?`,
-      [
-        id, now, route, title, content, content_type, template,
-        metadata ? JSON.stringify(metadata) : null,
-        published, parent_id, sort_order, now
-      ]
-    );
-    
-    return id;
+  onChange(table, callback) {
+    if (table !== '*') {
+      this.trackChanges(table);
+    }
+
+    // Nobody was listening, so nothing older than now is owed to anyone
+    if (this.changeListeners.size === 0) {
+      this.changeCursor = this.getLatestChangeSeq();
+    }
+
+    if (!this.changeListeners.has(table)) {
+      this.changeListeners.set(table, new Set());
+    }
+    this.changeListeners.get(table).add(callback);
+
+    return () => {
+      const listeners = this.changeListeners.get(table);
+      if (listeners) {
+        listeners.delete(callback);
+        if (listeners.size === 0) {
+          this.changeListeners.delete(table);
+        }
+      }
+    };
   }
 
   /**
-   * Get page by route
-   * @param {string} route
-   * @returns {Object|null}
+   * Create the capture triggers of a table (kept until untrackChanges())
+   * @param {string} table
    */
-  getPageByRoute(route) {
-    const page = this.getOne(
-      'SELECT * FROM content_pages WHERE route = ? AND active = 1',
-      [route]
+  trackChanges(table) {
+    const { columns } = this.getTableSchema(table);
+    this.requireTrackableTable(table);
+
+    const key = ref => (columns.has('id') ? `${ref}.id` : `${ref}.rowid`);
+    const now = "strftime('%Y-%m-%dT%H:%M:%fZ', 'now')";
+
+    // Exact names: with LIKE, '_' would match other tables' triggers too
+    const existing = this.getOne(
+      "SELECT COUNT(*) AS count FROM sqlite_master WHERE type = 'trigger' AND name IN (?, ?, ?)",
+      ['insert', 'update', 'delete'].map(operation => `trg_cdc_${table}_${operation}`)
     );
-    
-    if (page && page.metadata) {
-      page.metadata = JSON.parse(page.metadata);
+    if (existing.count === 3) return;
+
+    [['insert', 'NEW'], ['update', 'NEW'], ['delete', 'OLD']].forEach(([operation, ref]) => {
+      const sql = `
+        CREATE TRIGGER IF NOT EXISTS trg_cdc_${table}_${operation}
+        AFTER ${operation.toUpperCase()} ON "${table}"
+        BEGIN
+          INSERT INTO change_log (create_date, table_name, record_id, operation)
+          VALUES (${now}, '${table}', ${key(ref)}, '${operation}');
+        END
+      `;
+      this.db.run(sql);
+      this.forwardWrite(sql);
+    });
+
+    this.forwardCommit();
+    this.markDirty();
+  }
+
+  /**
+   * Drop the capture triggers of a table
+   * @param {string} table
+   */
+  untrackChanges(table) {
+    this.requireTrackableTable(table);
+
+    ['insert', 'update', 'delete'].forEach(operation => {
+      const sql = `DROP TRIGGER IF EXISTS "trg_cdc_${table}_${operation}"`;
+      this.db.run(sql);
+      this.forwardWrite(sql);
+    });
+
+    this.forwardCommit();
+    this.markDirty();
+  }
+
+  /**
+   * Throw unless the table name can be used in capture trigger names
+   * @param {string} table
+   */
+  requireTrackableTable(table) {
+    if (!/^\w+$/.test(table) || table === 'change_log') {
+      throw new Error(`Table ${table} can't be tracked`);
     }
-    
-    return page;
   }
 
   /**
-   * Get all published pages
-   * @returns {Array}
+   * Read recorded changes, e.g. to catch up after a reload
+   * @param {number} since - Return changes after this seq
+   * @param {string} table - Only this table (default: all)
+   * @param {number} limit - -1 for no limit
+   * @returns {Array<Object>} [{ seq, table, recordId, operation, date }]
    */
-  getPublishedPages() {
-    return this.getAll('SELECT * FROM v_published_content');
+  getChanges(since = 0, table = null, limit = 500) {
+    const rows = table
+      ? this.getAll(
+        'SELECT * FROM change_log WHERE seq > ? AND table_name = ? ORDER BY seq LIMIT ?',
+        [since, table, limit]
+      )
+      : this.getAll(
+        'SELECT * FROM change_log WHERE seq > ? ORDER BY seq LIMIT ?',
+        [since, limit]
+      );
+
+    return rows.map(row => ({
+      seq: row.seq,
+      table: row.table_name,
+      recordId: row.record_id,
+      operation: row.operation,
+      date: row.create_date
+    }));
   }
 
-  // ============================================================================
-  // DATA RECORDS API (Graph-like)
-  // ============================================================================
+  /**
+   * Get the seq of the newest recorded change
+   * @returns {number}
+   */
+  getLatestChangeSeq() {
+    // Databases not migrated to version 4 have no change_log yet
+    if (!this.getOne("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'change_log'")) {
+      return 0;
+    }
+
+    const row = this.getOne('SELECT MAX(seq) AS seq FROM change_log');
+    return row?.seq || 0;
+  }
 
   /**
-   * Create a data record
-   * @param {string} topic
-   * @param {string} subTopic
-   * @param {Object} jsonData
-   * @param {Object} options
-   * @returns {string} Record ID
+   * Deliver committed changes to listeners. Called after every commit;
+   * writes made by listeners are delivered in a following round. Several
+   * changes to one row in a commit arrive as one (an insert followed by
+   * updates is still an insert).
    */
-  createDataRecord(topic, subTopic, jsonData, options = {}) {
-    const id = this.generateUUID();
-    const now = this.getTimestamp();
-    
-    const {
-      expiry = null,
-      tags = [],
-      metadata = null
-    } = options;
-    
-    this.run(
-      `INSERT INTO data_records (id, create_date, expiry_date, topic, sub_topic,
-         json_data, tags, active, metadata)
-       VALUES (?, ?, ?, ?, ?, ?, ?, 1, ?)`,
-      [
-        id, now, expiry, topic, subTopic,
-        JSON.stringify(jsonData),
-        JSON.stringify(tags),
-        metadata ? JSON.stringify(metadata) : null
-      ]
-    );
-    
-    return id;
+  dispatchChanges() {
+    if (this.transactionDepth > 0 || this.dispatching || this.migrating) {
+      return;
+    }
+
+    this.dispatching = true;
+
+    try {
+      if (this.changeListeners.size > 0) {
+        let changes = this.getChanges(this.changeCursor, null, -1);
+
+        while (changes.length > 0) {
+          this.changeCursor = changes[changes.length - 1].seq;
+          this.deliverChanges(changes);
+          changes = this.getChanges(this.changeCursor, null, -1);
+        }
+      }
+
+      this.trimChangeLog();
+    } finally {
+      this.dispatching = false;
+    }
   }
 
   /**
-   * Get data records by topic
-   * @param {string} topic
-   * @param {string} subTopic - Optional
-   * @returns {Array}
+   * Keep a bounded history for getChanges(): the newest changeLogLimit
+   * entries, plus any listeners haven't been given yet. Triggers outlive
+   * their listeners, so this runs whether anyone is listening or not.
    */
-  getDataRecordsByTopic(topic, subTopic = null) {
-    let sql = 'SELECT * FROM data_records WHERE topic = ? AND active = 1';
-    const params = [topic];
-    
-    if (subTopic) {
-      sql += ' AND sub_topic = ?';
-      params.push(subTopic);
+  trimChangeLog() {
+    const delivered = this.changeListeners.size > 0
+      ? this.changeCursor
+      : this.getLatestChangeSeq();
+
+    if (delivered > this.changeLogLimit) {
+      this.db.run('DELETE FROM change_log WHERE seq <= ?', [delivered - this.changeLogLimit]);
+      if (this.db.getRowsModified() > 0) {
+        this.markDirty();
+      }
     }
-    
-    const records = this.getAll(sql, params);
-    
-    return records.map(record => {
-      if (record.json_data) record.json_data = JSON.parse(record.json_data);
-      if (record.tags) record.tags = JSON.parse(record.tags);
-      if (record.metadata) record.metadata = JSON.parse(record.metadata);
-      return record;
+  }
+
+  /**
+   * Deliver one round of changes, one per row, grouped by table
+   * @param {Array<Object>} changes
+   */
+  deliverChanges(changes) {
+    const rows = new Map();
+    changes.forEach(change => {
+      const key = `${change.table}:${change.recordId}`;
+      const previous = rows.get(key);
+      const operation = previous?.operation === 'insert' && change.operation === 'update'
+        ? 'insert'
+        : change.operation;
+      rows.set(key, { ...change, operation });
+    });
+
+    const byTable = new Map();
+    rows.forEach(change => {
+      if (!byTable.has(change.table)) {
+        byTable.set(change.table, []);
+      }
+      byTable.get(change.table).push(change);
+    });
+
+    byTable.forEach((tableChanges, table) => {
+      this.notifyChangeListeners(table, tableChanges);
+      this.notifyChangeListeners('*', tableChanges);
+    });
+  }
+
+  /**
+   * Call the listeners of one table; a failing listener doesn't stop the rest
+   * @param {string} table
+   * @param {Array<Object>} changes
+   */
+  notifyChangeListeners(table, changes) {
+    const listeners = this.changeListeners.get(table);
+    if (!listeners) return;
+
+    [...listeners].forEach(callback => {
+      try {
+        callback(changes);
+      } catch (error) {
+        this.logger.error(`Change listener for ${table} failed:`, error);
+      }
     });
   }
 
   // ============================================================================
-  // WEBHOOK API
+  // SCHEMA MIGRATIONS
   // ============================================================================
 
   /**
-   * Create a webhook
-   * @param {Object} webhookData
-   * @returns {string} Webhook ID
+   * Sort migrations by version and reject duplicates
+   * @param {Array} migrations
+   * @returns {Array}
    */
-  createWebhook(webhookData) {
+  sortMigrations(migrations) {
+    const sorted = [...migrations].sort((a, b) => a.version - b.version);
+
+    sorted.forEach((migration, idx) => {
+      if (!Number.isInteger(migration.version) || migration.version < 1) {
+        throw new Error(`Invalid migration version: ${migration.version}`);
+      }
+      if (idx > 0 && sorted[idx - 1].version === migration.version) {
+        throw new Error(`Duplicate migration version: ${migration.version}`);
+      }
+    });
+
+    return sorted;
+  }
+
+  /**
+   * Create the schema_migrations bookkeeping table if missing
+   */
+  ensureMigrationsTable() {
+    this.db.run(
+      `CREATE TABLE IF NOT EXISTS schema_migrations (
+         version INTEGER PRIMARY KEY,
+         name TEXT NOT NULL,
+         applied_date TEXT NOT NULL
+       )`
+    );
+  }
+
+  /**
+   * Get the current schema version (0 = unversioned)
+   * @returns {number}
+   */
+  getSchemaVersion() {
+    this.ensureMigrationsTable();
+    const result = this.getOne('SELECT MAX(version) AS version FROM schema_migrations');
+    return result && result.version !== null ? result.version : 0;
+  }
+
+  /**
+   * Get the highest known migration version
+   * @returns {number}
+   */
+  getLatestMigrationVersion() {
+    return this.migrations.length > 0
+      ? this.migrations[this.migrations.length - 1].version
+      : 0;
+  }
+
+  /**
+   * Get applied migrations
+   * @returns {Array}
+   */
+  getAppliedMigrations() {
+    this.ensureMigrationsTable();
+    return this.getAll('SELECT * FROM schema_migrations ORDER BY version ASC');
+  }
+
+  /**
+   * Get migrations that have not been applied yet
+   * @returns {Array}
+   */
+  getPendingMigrations() {
+    const current = this.getSchemaVersion();
+    return this.migrations.filter(migration => migration.version > current);
+  }
+
+  /**
+   * Record every known migration as applied without running it.
+   * Used when a fresh database is created from the current schema.sql.
+   */
+  stampMigrations() {
+    this.ensureMigrationsTable();
+    const now = this.getTimestamp();
+
+    this.migrations.forEach(migration => {
+      this.db.run(
+        'INSERT OR IGNORE INTO schema_migrations (version, name, applied_date) VALUES (?, ?, ?)',
+        [migration.version, migration.name, now]
+      );
+    });
+  }
+
+  /**
+   * Apply pending migrations up to a target version.
+   * All steps run in a single transaction; any failure rolls everything back.
+   * @param {Object} options
+   * @param {number} options.target - Version to migrate to (defaults to latest)
+   * @param {boolean} options.dryRun - Run the steps, then roll back
+   * @returns {Promise<Object>} Report: { from, to, dryRun, applied }
+   */
+  async migrate(options = {}) {
+    const {
+      target = this.getLatestMigrationVersion(),
+      dryRun = false
+    } = options;
+
+    const from = this.getSchemaVersion();
+    const pending = this.migrations.filter(
+      migration => migration.version > from && migration.version <= target
+    );
+
+    const report = { from, to: from, dryRun, applied: [] };
+
+    if (pending.length === 0) {
+      return report;
+    }
+
+    this.runMigrationSteps(() => {
+      pending.forEach(migration => {
+        this.runMigrationStep(migration, 'up');
+        this.db.run(
+          'INSERT INTO schema_migrations (version, name, applied_date) VALUES (?, ?, ?)',
+          [migration.version, migration.name, this.getTimestamp()]
+        );
+
+        report.applied.push({ version: migration.version, name: migration.name });
+        report.to = migration.version;
+      });
+    }, { dryRun, label: 'Migration' });
+
+    if (!dryRun) {
+      this.logger.log(`Migrated database from version ${from} to ${report.to}`);
+      await this.saveMigration();
+    }
+
+    return report;
+  }
+
+  /**
+   * Roll back applied migrations down to a target version.
+   * @param {Object} options
+   * @param {number} options.target - Version to roll back to (defaults to one step back)
+   * @param {boolean} options.dryRun - Run the steps, then roll back
+   * @returns {Promise<Object>} Report: { from, to, dryRun, reverted }
+   */
+  async rollback(options = {}) {
+    const from = this.getSchemaVersion();
+    const applied = this.getAppliedMigrations().map(row => row.version);
+
+    const {
+      target = applied.length > 1 ? applied[applied.length - 2] : 0,
+      dryRun = false
+    } = options;
+
+    const toRevert = applied
+      .filter(version => version > target)
+      .reverse()
+      .map(version => {
+        const migration = this.migrations.find(m => m.version === version);
+        if (!migration) {
+          throw new Error(`Unknown migration version: ${version}`);
+        }
+        if (!migration.down) {
+          throw new Error(`Migration ${version} (${migration.name}) cannot be rolled back`);
+        }
+        return migration;
+      });
+
+    const report = { from, to: from, dryRun, reverted: [] };
+
+    if (toRevert.length === 0) {
+      return report;
+    }
+
+    this.runMigrationSteps(() => {
+      toRevert.forEach(migration => {
+        this.runMigrationStep(migration, 'down');
+        this.db.run('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+
+        report.reverted.push({ version: migration.version, name: migration.name });
+      });
+    }, { dryRun, label: 'Rollback' });
+
+    report.to = dryRun ? target : this.getSchemaVersion();
+
+    if (!dryRun) {
+      this.logger.log(`Rolled back database from version ${from} to ${report.to}`);
+      await this.saveMigration();
+    }
+
+    return report;
+  }
+
+  /**
+   * Run migration steps in one transaction (a savepoint inside an open
+   * transaction); any failure rolls all of them back. Their writes aren't
+   * forwarded to the leader tab and don't reach onChange() listeners:
+   * every tab migrates its own copy.
+   * @param {Function} steps
+   * @param {Object} options
+   * @param {boolean} options.dryRun - Roll back after the steps
+   * @param {string} options.label - 'Migration' or 'Rollback', for the log
+   */
+  runMigrationSteps(steps, options = {}) {
+    const { dryRun = false, label = 'Migration' } = options;
+    const dryRunDone = new Error('Dry run');
+    const migrating = this.migrating;
+    const changeSeq = this.getLatestChangeSeq();
+
+    this.migrating = true;
+
+    try {
+      this.transaction(() => {
+        steps();
+
+        // Capture triggers logged the steps' writes; they aren't changes
+        // to deliver
+        if (this.getLatestChangeSeq() > changeSeq) {
+          this.db.run('DELETE FROM change_log WHERE seq > ?', [changeSeq]);
+        }
+
+        if (dryRun) {
+          throw dryRunDone;
+        }
+      });
+    } catch (error) {
+      if (error !== dryRunDone) {
+        this.logger.error(`${label} failed:`, error);
+        throw error;
+      }
+    } finally {
+      this.migrating = migrating;
+      this.clearSchemaCache();
+    }
+  }
+
+  /**
+   * Save after a migration or rollback; inside a transaction the
+   * outermost commit saves instead
+   * @returns {Promise<void>}
+   */
+  async saveMigration() {
+    if (this.inTransaction()) {
+      this.markDirty();
+      return;
+    }
+
+    await this.persist();
+  }
+
+  /**
+   * Run one direction of a migration
+   * @param {Object} migration
+   * @param {string} direction - 'up' or 'down'
+   */
+  runMigrationStep(migration, direction) {
+    const step = migration[direction];
+
+    try {
+      if (typeof step === 'function') {
+        step(this.db, this);
+      } else if (step) {
+        this.db.run(step);
+      }
+    } catch (error) {
+      error.message = `Migration ${migration.version} (${migration.name}) ${direction} failed: ${error.message}`;
+      throw error;
+    }
+  }
+
+  // ============================================================================
+  // FIXTURES (see ./fixtures.js)
+  // ============================================================================
+
+  /**
+   * Load seed data. Rows that already exist are left as they are, so this
+   * can run on every start. Everything loads in one transaction.
+   * @param {Object|Array<Object>} fixtures - Profiles in load order
+   *   (see resolveFixtureProfile())
+   * @returns {Object} Per table: { inserted, existing }
+   * @throws {Error} FixtureError
+   */
+  loadFixtures(fixtures) {
+    const report = {};
+
+    this.transaction(() => {
+      [].concat(fixtures || []).forEach(profile => {
+        Object.entries(profile.tables || {}).forEach(([table, rows]) => {
+          if (!Array.isArray(rows)) {
+            throw fixtureError(`${profile.name || 'fixtures'}: ${table} must be a list of rows`);
+          }
+
+          const counts = report[table] || (report[table] = { inserted: 0, existing: 0 });
+
+          rows.forEach((fixture, index) => {
+            const row = this.resolveFixtureRow(table, fixture, `${profile.name || 'fixtures'}: ${table}[${index}]`);
+
+            if (this.findFixtureRow(table, row)) {
+              counts.existing++;
+              return;
+            }
+
+            const { columns } = this.getTableSchema(table);
+            if (columns.has('id') && row.id === undefined) {
+              row.id = this.generateUUID();
+            }
+            if (columns.has('create_date') && row.create_date === undefined) {
+              row.create_date = this.getTimestamp();
+            }
+
+            const keys = Object.keys(row);
+            this.run(
+              `INSERT INTO "${table}" (${keys.map(key => `"${key}"`).join(', ')})
+               VALUES (${keys.map(() => '?').join(', ')})`,
+              keys.map(key => row[key])
+            );
+            counts.inserted++;
+          });
+        });
+      });
+    });
+
+    return report;
+  }
+
+  /**
+   * Turn a fixture row into column values ready to bind
+   * @param {string} table
+   * @param {Object} fixture
+   * @param {string} where - Position for error messages
+   * @returns {Object}
+   */
+  resolveFixtureRow(table, fixture, where) {
+    let columns;
+    try {
+      ({ columns } = this.getTableSchema(table));
+    } catch (error) {
+      throw fixtureError(`${where}: unknown table ${table}`);
+    }
+
+    if (!fixture || typeof fixture !== 'object' || Object.keys(fixture).length === 0) {
+      throw fixtureError(`${where}: a row must be an object with at least one column`);
+    }
+
+    const row = {};
+    Object.entries(fixture).forEach(([column, value]) => {
+      if (!columns.has(column)) {
+        throw fixtureError(`${where}: ${table} has no column ${column}`);
+      }
+
+      if (value === '$uuid') {
+        row[column] = this.generateUUID();
+      } else if (value === '$now') {
+        row[column] = this.getTimestamp();
+      } else if (isFixtureRef(value)) {
+        row[column] = this.resolveFixtureRef(value, where);
+      } else if (typeof value === 'boolean') {
+        row[column] = value ? 1 : 0;
+      } else if (value !== null && typeof value === 'object') {
+        row[column] = JSON.stringify(value);
+      } else {
+        row[column] = value;
+      }
+    });
+
+    return row;
+  }
+
+  /**
+   * Find the id a {"$ref": table, column: value} reference points at
+   * @param {Object} ref
+   * @param {string} where - Position for error messages
+   * @returns {string}
+   */
+  resolveFixtureRef(ref, where) {
+    const { $ref: table, ...match } = ref;
+
+    if (Object.keys(match).length === 0) {
+      throw fixtureError(`${where}: a $ref to ${table} needs columns to match`);
+    }
+
+    let target;
+    try {
+      target = this.table(table).where(match).first(['id']);
+    } catch (error) {
+      throw fixtureError(`${where}: bad $ref to ${table}: ${error.message}`);
+    }
+
+    if (!target) {
+      throw fixtureError(`${where}: no ${table} row matches ${JSON.stringify(match)}`);
+    }
+
+    return target.id;
+  }
+
+  /**
+   * Check whether a fixture row is already in the table: by any UNIQUE
+   * column set (primary key included) the row fills in, or else by all of
+   * its values
+   * @param {string} table
+   * @param {Object} row - Resolved row
+   * @returns {boolean}
+   */
+  findFixtureRow(table, row) {
+    const uniqueKeys = this.getAll('SELECT name FROM pragma_index_list(?) WHERE "unique" = 1', [table])
+      .map(index => this.getAll('SELECT name FROM pragma_index_info(?)', [index.name]).map(col => col.name))
+      .filter(key => key.every(column => row[column] !== undefined && row[column] !== null));
+
+    const keys = uniqueKeys.length > 0 ? uniqueKeys : [Object.keys(row)];
+
+    return keys.some(key => this.getOne(
+      `SELECT 1 FROM "${table}" WHERE ${key.map(column => `"${column}" IS ?`).join(' AND ')} LIMIT 1`,
+      key.map(column => row[column])
+    ) !== null);
+  }
+
+  // ============================================================================
+  // SETTINGS / CONFIGURATION API
+  // ============================================================================
+
+  /**
+   * Get a setting value
+   * @param {string} category - Setting category
+   * @param {string} key - Setting key
+   * @param {*} defaultValue - Default value if not found
+   * @returns {*}
+   */
+  getSetting(category, key, defaultValue = null) {
+    const result = this.getOne(
+      'SELECT value, value_type FROM kv_settings WHERE category = ? AND key = ? AND active = 1',
+      [category, key]
+    );
+    
+    if (!result) return defaultValue;
+    
+    return this.coerceSettingValue(result.value, result.value_type);
+  }
+
+  /**
+   * Set a setting value
+   * @param {string} category - Setting category
+   * @param {string} key - Setting key
+   * @param {*} value - Setting value
+   * @param {string} valueType - Value type
+   * @param {string} description - Optional description
+   */
+  setSetting(category, key, value, valueType = 'string', description = null) {
     const id = this.generateUUID();
     const now = this.getTimestamp();
     
-    const {
-      name,
-      url,
-      method = 'POST',
-      headers = {},
-      secret = null,
-      events = [],
-      retry_count = 3,
-      timeout = 30,
-      metadata = null
-    } = webhookData;
+    // Convert value to string for storage
+    const valueStr = typeof value === 'object' ? JSON.stringify(value) : String(value);
     
     this.run(
-      `INSERT INTO webhooks (id, create_date, name, url, method, headers, secret,
-         active, retry_count, timeout, events, metadata)
-       VALUES (?, ?, ?, ?, ?, ?, ?, 1, ?, ?, ?, ?)`,
-      [
-        id, now, name, url, method,
-        JSON.stringify(headers),
-        secret, retry_count, timeout,
-        JSON.stringify(events),
-        metadata ? JSON.stringify(metadata) : null
-      ]
+      `INSERT INTO kv_settings (id, create_date, category, key, value, value_type, description, active)
+       VALUES (?, ?, ?, ?, ?, ?, ?, 1)
+       ON CONFLICT(category, key) DO UPDATE SET 
+         value = excluded.value,
+         value_type = excluded.value_type,
+         modified_date = ?`,
+      [id, now, category, key, valueStr, valueType, description, now]
+    );
+  }
+
+  /**
+   * Get all settings for a category
+   * @param {string} category - Setting category
+   * @returns {Object}
+   */
+  getSettingsByCategory(category) {
+    const rows = this.getAll(
+      'SELECT key, value, value_type FROM kv_settings WHERE category = ? AND active = 1',
+      [category]
     );
     
-    return id;
+    const settings = {};
+    rows.forEach(row => {
+      settings[row.key] = this.coerceSettingValue(row.value, row.value_type);
+    });
+    
+    return settings;
+  }
+
+  /**
+   * Coerce setting value to proper type
+   * @param {string} value - String value from DB
+   * @param {string} type - Value type
+   * @returns {*}
+   */
+  coerceSettingValue(value, type) {
+    if (value === null) return null;
+    
+    switch (type) {
+      case 'boolean':
+        return value === 'true' || value === '1';
+      case 'int':
+        return parseInt(value, 10);
+      case 'float':
+        return parseFloat(value);
+      case 'json':
+        try {
+          return JSON.parse(value);
+        } catch {
+          return value;
+        }
+      case 'date':
+      case 'datetime':
+      case 'time':
+        return new Date(value);
+      default:
+        return value;
+    }
+  }
+
+  // ============================================================================
+  // USER MANAGEMENT API
+  // ============================================================================
+
+  /**
+   * Create a new user
+   * @param {Object} userData - User data
+   * @returns {string} User ID
+   */
+  createUser(userData) {
+    const id = this.generateUUID();
+    const now = this.getTimestamp();
+    
+    const {
+      username,
+      email = null,
+      password_hash,
+      display_name = null,
+      avatar_url = null,
+      role = 'user',
+      preferences = null,
+      metadata = null
+    } = userData;
+    
+    this.run(
+      `INSERT INTO users (id, create_date, username, email, password_hash, display_name, 
+         avatar_url, role, active, preferences, metadata)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, 1, ?, ?)`,
+      [
+        id, now, username, email, password_hash, display_name,
+        avatar_url, role,
+        preferences ? JSON.stringify(preferences) : null,
+        metadata ? JSON.stringify(metadata) : null
+      ]
+    );
+    
+    return id;
+  }
+
+  /**
+   * Get user by username
+   * @param {string} username
+   * @returns {Object|null}
+   */
+  getUserByUsername(username) {
+    return this.table('users').where({ username, active: 1 }).notExpired().first();
+  }
+
+  /**
+   * Get user by ID
+   * @param {string} id
+   * @returns {Object|null}
+   */
+  getUserById(id) {
+    return this.table('users').where({ id, active: 1 }).notExpired().first();
+  }
+
+  /**
+   * Update user's last login
+   * @param {string} userId
+   */
+  updateLastLogin(userId) {
+    const now = this.getTimestamp();
+    this.run(
+      'UPDATE users SET last_login = ? WHERE id = ?',
+      [now, userId]
+    );
+  }
+
+  // ============================================================================
+  // ROLES & PERMISSIONS API
+  // ============================================================================
+
+  /**
+   * Create or update a role. A role has the permissions granted to it and
+   * to its parent, the parent's parent, and so on.
+   * @param {Object} role
+   * @param {string} role.id - Name, as stored in users.role and user_roles.role_id
+   * @param {string} role.parent_id - Role to inherit permissions from
+   * @param {string} role.description
+   */
+  saveRole({ id, parent_id = null, description = null }) {
+    if (!id) {
+      throw new Error('Role id is required');
+    }
+
+    if (parent_id) {
+      const ancestors = this.getRoleAncestors(parent_id);
+      const loop = ancestors.indexOf(id);
+      if (loop !== -1) {
+        throw new Error(`Role inheritance cycle: ${[id, ...ancestors.slice(0, loop + 1)].join(' → ')}`);
+      }
+    }
+
+    this.run(
+      `INSERT INTO roles (id, create_date, parent_id, description)
+       VALUES (?, ?, ?, ?)
+       ON CONFLICT(id) DO UPDATE SET parent_id = excluded.parent_id, description = excluded.description`,
+      [id, this.getTimestamp(), parent_id, description]
+    );
+  }
+
+  /**
+   * Delete a role with its grants and assignments. Roles that inherited
+   * from it inherit from its parent instead; users.role is left alone.
+   * @param {string} id
+   */
+  deleteRole(id) {
+    this.transaction(() => {
+      this.run(
+        'UPDATE roles SET parent_id = (SELECT parent_id FROM roles WHERE id = ?) WHERE parent_id = ?',
+        [id, id]
+      );
+      this.run('DELETE FROM role_permissions WHERE role_id = ?', [id]);
+      this.run('DELETE FROM user_roles WHERE role_id = ?', [id]);
+      this.run('DELETE FROM roles WHERE id = ?', [id]);
+    });
+  }
+
+  /**
+   * Get a role with the permissions granted to it directly
+   * @param {string} id
+   * @returns {Object|null}
+   */
+  getRole(id) {
+    const role = this.getOne('SELECT * FROM roles WHERE id = ?', [id]);
+    if (!role) return null;
+
+    role.permissions = this.getAll(
+      'SELECT permission, resource FROM role_permissions WHERE role_id = ? ORDER BY permission, resource',
+      [id]
+    );
+    return role;
+  }
+
+  /**
+   * Get all roles with their direct permissions
+   * @returns {Array}
+   */
+  getRoles() {
+    return this.getAll('SELECT id FROM roles ORDER BY id').map(({ id }) => this.getRole(id));
+  }
+
+  /**
+   * A role followed by the roles it inherits from, nearest first
+   * @param {string} id
+   * @returns {Array<string>}
+   */
+  getRoleAncestors(id) {
+    const chain = [];
+    let current = id;
+
+    while (current && !chain.includes(current)) {
+      chain.push(current);
+      current = this.getOne('SELECT parent_id FROM roles WHERE id = ?', [current])?.parent_id;
+    }
+
+    return chain;
+  }
+
+  /**
+   * Grant a permission to a role
+   * @param {string} roleId
+   * @param {string} permission - e.g. 'pages:write'; 'pages:*' or '*' grant a group or everything
+   * @param {string} resource - Route or id the grant is limited to; '/docs/*' matches by prefix
+   */
+  grantPermission(roleId, permission, resource = '*') {
+    this.requireRoleExists(roleId);
+    this.run(
+      `INSERT OR IGNORE INTO role_permissions (role_id, permission, resource, create_date)
+       VALUES (?, ?, ?, ?)`,
+      [roleId, permission, resource, this.getTimestamp()]
+    );
+  }
+
+  /**
+   * Take back a grant made with grantPermission()
+   * @param {string} roleId
+   * @param {string} permission
+   * @param {string} resource
+   */
+  revokePermission(roleId, permission, resource = '*') {
+    this.run(
+      'DELETE FROM role_permissions WHERE role_id = ? AND permission = ? AND resource = ?',
+      [roleId, permission, resource]
+    );
+  }
+
+  /**
+   * Give a user a role, on top of users.role
+   * @param {string} userId
+   * @param {string} roleId
+   */
+  assignRole(userId, roleId) {
+    this.requireRoleExists(roleId);
+    this.run(
+      'INSERT OR IGNORE INTO user_roles (user_id, role_id, create_date) VALUES (?, ?, ?)',
+      [userId, roleId, this.getTimestamp()]
+    );
+  }
+
+  /**
+   * Take a role assigned with assignRole() away from a user
+   * @param {string} userId
+   * @param {string} roleId
+   */
+  unassignRole(userId, roleId) {
+    this.run('DELETE FROM user_roles WHERE user_id = ? AND role_id = ?', [userId, roleId]);
+  }
+
+  /**
+   * A user's roles, including users.role and inherited roles
+   * @param {string} userId
+   * @returns {Array<string>}
+   */
+  getUserRoles(userId) {
+    return this.getAll(USER_ROLES_SQL, [userId, userId]).map(row => row.id);
+  }
+
+  /**
+   * Every grant that applies to a user, through any of their roles
+   * @param {string} userId
+   * @returns {Array<{permission: string, resource: string}>}
+   */
+  getUserPermissions(userId) {
+    return this.getAll(
+      `SELECT DISTINCT permission, resource FROM role_permissions
+       WHERE role_id IN (${USER_ROLES_SQL})
+       ORDER BY permission, resource`,
+      [userId, userId]
+    );
+  }
+
+  /**
+   * Check whether a user holds a permission, for a resource or for all of them
+   * @param {string} userId
+   * @param {string} permission - e.g. 'pages:write'
+   * @param {string} resource - Route or id; '*' asks for a grant on every resource
+   * @returns {boolean}
+   */
+  hasPermission(userId, permission, resource = '*') {
+    const matches = (pattern, value) => pattern === '*' || pattern === value ||
+      (pattern.endsWith('*') && value !== '*' && value.startsWith(pattern.slice(0, -1)));
+
+    return this.getUserPermissions(userId).some(grant =>
+      matches(grant.permission, permission) && matches(grant.resource, resource)
+    );
+  }
+
+  /**
+   * Throw unless a role exists
+   * @param {string} id
+   */
+  requireRoleExists(id) {
+    if (!this.getOne('SELECT 1 FROM roles WHERE id = ?', [id])) {
+      throw new Error(`Unknown role ${id}`);
+    }
+  }
+
+  // ============================================================================
+  // SESSION MANAGEMENT API
+  // ============================================================================
+
+  /**
+   * Create a new session
+   * @param {string} userId
+   * @param {Object} deviceInfo
+   * @param {number} expiryHours - Hours until expiry
+   * @returns {string} Session ID (token)
+   */
+  createSession(userId, deviceInfo = {}, expiryHours = 24) {
+    const id = this.generateUUID();
+    const now = this.getTimestamp();
+    const expiry = new Date(Date.now() + expiryHours * 60 * 60 * 1000).toISOString();
+    
+    this.run(
+      `INSERT INTO sessions (id, create_date, expiry_date, user_id, device_info, 
+         ip_address, last_activity, active)
+       VALUES (?, ?, ?, ?, ?, ?, ?, 1)`,
+      [
+        id, now, expiry, userId,
+        JSON.stringify(deviceInfo),
+        deviceInfo.ip || null,
+        now
+      ]
+    );
+    
+    return id;
+  }
+
+  /**
+   * Get session by token
+   * @param {string} sessionToken
+   * @returns {Object|null}
+   */
+  getSession(sessionToken) {
+    return this.table('sessions').where({ id: sessionToken, active: 1 }).notExpired().first();
+  }
+
+  /**
+   * Update session activity
+   * @param {string} sessionToken
+   */
+  updateSessionActivity(sessionToken) {
+    const now = this.getTimestamp();
+    this.run(
+      'UPDATE sessions SET last_activity = ? WHERE id = ?',
+      [now, sessionToken]
+    );
+  }
+
+  /**
+   * Invalidate a session
+   * @param {string} sessionToken
+   */
+  invalidateSession(sessionToken) {
+    this.run(
+      'UPDATE sessions SET active = 0 WHERE id = ?',
+      [sessionToken]
+    );
+  }
+
+  /**
+   * Clean up expired sessions
+   */
+  cleanupExpiredSessions() {
+    this.run(
+      "DELETE FROM sessions WHERE julianday(expiry_date) <= julianday('now')"
+    );
+  }
+
+  // ============================================================================
+  // LOGGING API
+  // ============================================================================
+
+  /**
+   * Log a message
+   * @param {string} level - Log level (debug, info, warn, error, fatal)
+   * @param {string} message - Log message
+   * @param {Object} options - Additional options
+   */
+  log(level, message, options = {}) {
+    this.run(LOG_INSERT_SQL, this.logParams(level, message, options));
+  }
+
+  /**
+   * Write several log entries in one transaction
+   * @param {Array<Object>} entries - [{ level, message, ...options of log() }]
+   */
+  logBatch(entries) {
+    this.transaction(() => {
+      entries.forEach(({ level, message, ...options }) => {
+        this.run(LOG_INSERT_SQL, this.logParams(level, message, options));
+      });
+    });
+  }
+
+  /**
+   * Values for LOG_INSERT_SQL
+   * @param {string} level
+   * @param {string} message
+   * @param {Object} options
+   * @returns {Array}
+   */
+  logParams(level, message, options = {}) {
+    const {
+      id = this.generateUUID(),
+      category = null,
+      details = null,
+      userId = null,
+      sessionId = null,
+      stackTrace = null,
+      metadata = null
+    } = options;
+
+    return [
+      id, this.getTimestamp(), level, category, message,
+      details ? JSON.stringify(details) : null,
+      userId, sessionId, stackTrace,
+      metadata ? JSON.stringify(metadata) : null
+    ];
+  }
+
+  /**
+   * Get recent logs
+   * @param {number} limit
+   * @param {string} level - Filter by level
+   * @returns {Array}
+   */
+  getLogs(limit = 100, level = null) {
+    let sql = 'SELECT * FROM v_recent_logs';
+    const params = [];
+    
+    if (level) {
+      sql += ' WHERE level = ?';
+      params.push(level);
+    }
+    
+    sql += ' LIMIT ?';
+    params.push(limit);
+    
+    return this.getAll(sql, params);
+  }
+
+  // ============================================================================
+  // CONTENT MANAGEMENT API
+  // ============================================================================
+
+  /**
+   * Create or update content page
+   * @param {Object} pageData
+   * @returns {string} Page ID
+   */
+  savePage(pageData) {
+    const id = pageData.id || this.generateUUID();
+    const now = this.getTimestamp();
+    
+    const {
+      route,
+      title,
+      content,
+      content_type = 'html',
+      template = null,
+      metadata = null,
+      published = 0,
+      parent_id = null,
+      sort_order = 0
+    } = pageData;
+    
+    this.run(
+      `INSERT INTO content_pages (id, create_date, route, title, content, content_type,
+         template, metadata, published, active, parent_id, sort_order)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 1, ?, ?)
+       ON CONFLICT(route) DO UPDATE SET
+         title = excluded.title,
+         content = excluded.content,
+         content_type = excluded.content_type,
+         template = excluded.template,
+         metadata = excluded.metadata,
+         published = excluded.published,
+         parent_id = excluded.parent_id,
+         sort_order = excluded.sort_order,
+         modified_date = ?`,
+      [
+        id, now, route, title, content, content_type, template,
+        metadata ? JSON.stringify(metadata) : null,
+        published, parent_id, sort_order, now
+      ]
+    );
+    
+    return id;
+  }
+
+  /**
+   * Get page by route
+   * @param {string} route
+   * @returns {Object|null}
+   */
+  getPageByRoute(route) {
+    return this.table('content_pages').where({ route, active: 1 }).notExpired().first();
+  }
+
+  /**
+   * Get all published pages
+   * @returns {Array}
+   */
+  getPublishedPages() {
+    return this.getAll('SELECT * FROM v_published_content');
+  }
+
+  // ============================================================================
+  // DATA RECORDS API (Graph-like)
+  // ============================================================================
+
+  /**
+   * Create a data record
+   * @param {string} topic
+   * @param {string} subTopic
+   * @param {Object} jsonData
+   * @param {Object} options
+   * @returns {string} Record ID
+   */
+  createDataRecord(topic, subTopic, jsonData, options = {}) {
+    const id = this.generateUUID();
+    const now = this.getTimestamp();
+    
+    const {
+      expiry = null,
+      tags = [],
+      metadata = null
+    } = options;
+    
+    this.run(
+      `INSERT INTO data_records (id, create_date, expiry_date, topic, sub_topic,
+         json_data, tags, active, metadata)
+       VALUES (?, ?, ?, ?, ?, ?, ?, 1, ?)`,
+      [
+        id, now, expiry, topic, subTopic,
+        JSON.stringify(jsonData),
+        JSON.stringify(tags),
+        metadata ? JSON.stringify(metadata) : null
+      ]
+    );
+    
+    return id;
+  }
+
+  /**
+   * Get data records by topic
+   * @param {string} topic
+   * @param {string} subTopic - Optional
+   * @returns {Array}
+   */
+  getDataRecordsByTopic(topic, subTopic = null) {
+    const query = this.table('data_records').where({ topic, active: 1 }).notExpired();
+    
+    if (subTopic) {
+      query.where({ sub_topic: subTopic });
+    }
+    
+    return query.select();
+  }
+
+  /**
+   * Build a query over data records
+   *
+   *   {
+   *     topic: 'tasks', subTopic: 'web',
+   *     where: { status: 'open', 'owner.name': 'Sam', priority: { '>=': 2 }, kind: ['bug', 'task'] },
+   *     tags: ['urgent'], tagMode: 'all',        // or 'any'
+   *     orderBy: 'priority', order: 'DESC',      // a column or a json_data field
+   *     includeInactive: false, includeExpired: false
+   *   }
+   *
+   * `where` keys are paths inside json_data; values are matched with =,
+   * arrays with IN, null with IS, and { operator: value } objects with
+   * the given operators.
+   * @param {Object} options
+   * @returns {QueryBuilder}
+   */
+  dataRecordQuery(options = {}) {
+    const {
+      topic = null,
+      subTopic = null,
+      where = {},
+      tags = [],
+      tagMode = 'all',
+      orderBy = 'create_date',
+      order = 'DESC',
+      includeInactive = false,
+      includeExpired = false
+    } = options;
+
+    const query = this.table('data_records');
+
+    if (topic) query.where({ topic });
+    if (subTopic) query.where({ sub_topic: subTopic });
+    if (!includeInactive) query.where({ active: 1 });
+    if (!includeExpired) query.notExpired();
+
+    Object.entries(where).forEach(([field, condition]) => {
+      if (condition && typeof condition === 'object' && !Array.isArray(condition)) {
+        Object.entries(condition).forEach(([operator, value]) => {
+          query.whereJson('json_data', field, operator, value);
+        });
+      } else if (Array.isArray(condition)) {
+        query.whereJson('json_data', field, 'IN', condition);
+      } else {
+        query.whereJson('json_data', field, condition);
+      }
+    });
+
+    query.whereContains('tags', tags, tagMode);
+
+    if (this.getTableSchema('data_records').columns.has(orderBy)) {
+      query.orderBy(orderBy, order);
+    } else {
+      query.orderByJson('json_data', orderBy, order);
+    }
+
+    return query;
+  }
+
+  /**
+   * Find data records, one page at a time
+   * @param {Object} options - Filters as for dataRecordQuery(), plus:
+   * @param {number} options.limit - Records per page
+   * @param {string} options.cursor - nextCursor of the previous page
+   * @returns {Object} { data, nextCursor, hasMore }
+   */
+  findDataRecords(options = {}) {
+    const { limit = 20, cursor = null } = options;
+    return this.dataRecordQuery(options).cursorPage(limit, cursor);
+  }
+
+  /**
+   * Count data records
+   * @param {Object} options - Filters as for dataRecordQuery()
+   * @returns {number}
+   */
+  countDataRecords(options = {}) {
+    return this.dataRecordQuery(options).count();
+  }
+
+  /**
+   * Update a data record
+   * @param {string} id
+   * @param {Object} updates - topic, subTopic, jsonData, tags, metadata, expiry
+   * @param {Object} options
+   * @param {boolean} options.merge - Merge jsonData into the stored object
+   *   (JSON merge patch: null removes a key) instead of replacing it
+   * @returns {boolean} Whether an active record was updated
+   */
+  updateDataRecord(id, updates = {}, options = {}) {
+    const { merge = false } = options;
+    const { topic, subTopic, jsonData, tags, metadata, expiry } = updates;
+
+    const fields = {};
+    if (topic !== undefined) fields.topic = topic;
+    if (subTopic !== undefined) fields.sub_topic = subTopic;
+    if (jsonData !== undefined && !merge) fields.json_data = jsonData;
+    if (tags !== undefined) fields.tags = tags;
+    if (metadata !== undefined) fields.metadata = metadata;
+    if (expiry !== undefined) fields.expiry_date = expiry;
+
+    return this.transaction(() => {
+      let changed = this.table('data_records').where({ id, active: 1 }).update(fields) > 0;
+
+      if (merge && jsonData !== undefined) {
+        this.run(
+          `UPDATE data_records
+           SET json_data = json_patch(COALESCE(json_data, '{}'), ?), modified_date = ?
+           WHERE id = ? AND active = 1`,
+          [JSON.stringify(jsonData), this.getTimestamp(), id]
+        );
+        changed = this.getOne('SELECT changes() AS count').count > 0 || changed;
+      }
+
+      return changed;
+    });
+  }
+
+  /**
+   * Soft-delete a data record (active = 0)
+   * @param {string} id
+   * @returns {boolean} Whether an active record was deleted
+   */
+  deleteDataRecord(id) {
+    return this.table('data_records').where({ id, active: 1 }).update({ active: 0 }) > 0;
+  }
+
+  // ============================================================================
+  // FULL-TEXT SEARCH (see ./search-index.js)
+  // ============================================================================
+
+  /**
+   * Search pages, logs and data records, best matches first
+   *
+   *   db.search('deploy fail', { sources: ['logs'], limit: 10 });
+   *   // [{ source: 'logs', id, score, snippet: '... <mark>deploy</mark>ment <mark>fail</mark>ed ...', record }]
+   *
+   * Words match as prefixes by default ('deploy' finds 'deployment');
+   * "quoted phrases" match exactly. Inactive and expired pages and
+   * records are left out.
+   * @param {string} query
+   * @param {Object} options
+   * @param {Array<string>} options.sources - Any of 'pages', 'logs', 'records'
+   * @param {number} options.limit
+   * @param {number} options.offset
+   * @param {boolean} options.prefix - Match words as prefixes
+   * @param {Array<string>} options.highlight - Markup around matched words
+   * @param {number} options.snippetWords - Words per snippet (max 64)
+   * @param {Object} options.weights - Column weights { title, body, extra }
+   * @param {Array<string>} options.ids - Only match these record ids
+   * @returns {Array<Object>} [{ source, id, score, snippet, record }]
+   */
+  search(query, options = {}) {
+    const {
+      sources = Object.keys(SEARCH_SOURCES),
+      ids = null,
+      limit = 20,
+      offset = 0,
+      prefix = true,
+      highlight = ['<mark>', '</mark>'],
+      snippetWords = 16,
+      weights = { title: 3, body: 1, extra: 1 }
+    } = options;
+
+    sources.forEach(source => {
+      if (!SEARCH_SOURCES[source]) {
+        throw new Error(`Unknown search source: ${source}`);
+      }
+    });
+
+    const match = this.toSearchExpression(query, prefix);
+    if (!match || sources.length === 0 || (ids && ids.length === 0)) {
+      return [];
+    }
+
+    const notExpired = alias =>
+      `(${alias}.expiry_date IS NULL OR julianday(${alias}.expiry_date) > julianday('now'))`;
+
+    this.registerSearchRank();
+
+    // Rank and page in SQL, then make snippets for that page only. The
+    // outer query matches again because snippet() needs a full-text
+    // cursor; CROSS JOIN keeps it the outer loop so it runs once.
+    const rows = this.getAll(
+      `WITH ranked AS (
+         SELECT d.docid, d.source, d.record_id,
+                search_rank(matchinfo(search_fts, 'pcnalx'), ?, ?, ?) AS score
+         FROM search_fts
+         JOIN search_docs d ON d.docid = search_fts.docid
+         WHERE search_fts MATCH ?
+           AND d.source IN (${sources.map(() => '?').join(', ')})
+           ${ids ? `AND d.record_id IN (${ids.map(() => '?').join(', ')})` : ''}
+           AND (d.source != 'pages' OR EXISTS (
+             SELECT 1 FROM content_pages p
+             WHERE p.id = d.record_id AND p.active = 1 AND ${notExpired('p')}))
+           AND (d.source != 'records' OR EXISTS (
+             SELECT 1 FROM data_records r
+             WHERE r.id = d.record_id AND r.active = 1 AND ${notExpired('r')}))
+         ORDER BY score DESC, d.docid
+         LIMIT ? OFFSET ?
+       )
+       SELECT ranked.source, ranked.record_id, ranked.score,
+              snippet(search_fts, ?, ?, '…', -1, ?) AS snippet
+       FROM search_fts
+       CROSS JOIN ranked ON ranked.docid = search_fts.docid
+       WHERE search_fts MATCH ?
+       ORDER BY ranked.score DESC, ranked.docid`,
+      [
+        weights.title ?? 1, weights.body ?? 1, weights.extra ?? 1,
+        match, ...sources, ...(ids || []), limit, offset,
+        highlight[0], highlight[1], Math.min(64, Math.max(1, snippetWords)), match
+      ]
+    );
+
+    const results = rows.map(row => ({
+      source: row.source,
+      id: row.record_id,
+      score: row.score,
+      snippet: row.snippet
+    }));
+
+    // Attach the source rows of this page only
+    const bySource = new Map();
+    results.forEach(result => {
+      if (!bySource.has(result.source)) {
+        bySource.set(result.source, new Map());
+      }
+    });
+
+    bySource.forEach((records, source) => {
+      const ids = results.filter(result => result.source === source).map(result => result.id);
+      this.table(SEARCH_SOURCES[source].table)
+        .where({ id: ids })
+        .select()
+        .forEach(record => records.set(record.id, record));
+    });
+
+    return results.map(result => ({
+      ...result,
+      record: bySource.get(result.source).get(result.id) || null
+    }));
+  }
+
+  /**
+   * Turn user input into an FTS4 MATCH expression. Only word characters
+   * reach FTS, so input can't inject query syntax (operators are
+   * uppercase; words are lowercased).
+   * @param {string} query
+   * @param {boolean} prefix - Append * to each word
+   * @returns {string|null} null when there is nothing to search for
+   */
+  toSearchExpression(query, prefix = true) {
+    const words = text => (String(text).toLowerCase().match(/[\p{L}\p{N}_]+/gu) || []);
+    const terms = [];
+
+    String(query || '').replace(/"([^"]*)"|([^"\s]+)/g, (all, phrase, word) => {
+      if (phrase !== undefined) {
+        const tokens = words(phrase);
+        if (tokens.length > 0) {
+          terms.push(`"${tokens.join(' ')}"`);
+        }
+      } else {
+        words(word).forEach(token => terms.push(prefix ? `${token}*` : token));
+      }
+      return all;
+    });
+
+    return terms.length > 0 ? terms.join(' ') : null;
+  }
+
+  /**
+   * Make rankSearchMatch() available to SQL as
+   * search_rank(matchinfo(search_fts, 'pcnalx'), titleWeight, bodyWeight, extraWeight)
+   */
+  registerSearchRank() {
+    if (this.searchRankRegistered) return;
+
+    this.db.create_function('search_rank', (info, title, body, extra) =>
+      this.rankSearchMatch(info, [title, body, extra]));
+    this.searchRankRegistered = true;
+  }
+
+  /**
+   * Score a match with BM25 from FTS4 matchinfo('pcnalx')
+   * @param {Uint8Array} info - matchinfo() blob (32-bit unsigned integers)
+   * @param {Array<number>} weights - Weight per column
+   * @returns {number} Higher is better
+   */
+  rankSearchMatch(info, weights) {
+    const k1 = 1.2;
+    const b = 0.75;
+    const values = new Uint32Array(info.buffer.slice(info.byteOffset, info.byteOffset + info.byteLength));
+
+    const [phrases, columns, docs] = values;
+    const avgLength = values.subarray(3, 3 + columns);
+    const rowLength = values.subarray(3 + columns, 3 + 2 * columns);
+    const hits = values.subarray(3 + 2 * columns);
+
+    let score = 0;
+
+    for (let p = 0; p < phrases; p++) {
+      for (let c = 0; c < columns; c++) {
+        const base = 3 * (p * columns + c);
+        const termFrequency = hits[base];
+        const docsWithHits = hits[base + 2];
+
+        if (termFrequency === 0) continue;
+
+        const idf = Math.max(0.01, Math.log((docs - docsWithHits + 0.5) / (docsWithHits + 0.5) + 1));
+        const lengthRatio = avgLength[c] > 0 ? rowLength[c] / avgLength[c] : 1;
+
+        score += (weights[c] ?? 1) * idf *
+          (termFrequency * (k1 + 1)) / (termFrequency + k1 * (1 - b + b * lengthRatio));
+      }
+    }
+
+    return score;
+  }
+
+  /**
+   * Rebuild the search index from the source tables (after a bulk import
+   * with triggers off, or if it was damaged)
+   */
+  rebuildSearchIndex() {
+    this.transaction(() => {
+      this.run('DELETE FROM search_fts');
+      this.run('DELETE FROM search_docs');
+      Object.keys(SEARCH_SOURCES).forEach(source => {
+        searchBackfillSql(source).forEach(sql => this.run(sql));
+      });
+    });
+  }
+
+  /**
+   * Merge the index's internal segments; worth running after many writes
+   */
+  optimizeSearchIndex() {
+    this.run("INSERT INTO search_fts (search_fts) VALUES ('optimize')");
+  }
+
+  // ============================================================================
+  // RELATIONSHIPS API (Graph over data_records and other entities)
+  // ============================================================================
+
+  /**
+   * Link two entities. Linking again updates the metadata and reactivates
+   * a removed link.
+   * @param {string} aId - From
+   * @param {string} bId - To
+   * @param {string} type - Relationship type (e.g. 'assigned_to')
+   * @param {Object} options
+   * @param {Object} options.metadata - Data stored on the link
+   * @param {string} options.rId - Optional id of a record describing the link
+   */
+  link(aId, bId, type = 'related', options = {}) {
+    const { metadata = null, rId = null } = options;
+
+    if (!aId || !bId || !type) {
+      throw new Error('link() needs two ids and a relationship type');
+    }
+
+    this.run(
+      `INSERT INTO relationships (a_id, b_id, r_id, relationship_type, create_date, metadata, active)
+       VALUES (?, ?, ?, ?, ?, ?, 1)
+       ON CONFLICT(a_id, b_id, relationship_type) DO UPDATE SET
+         r_id = excluded.r_id,
+         metadata = excluded.metadata,
+         active = 1`,
+      [aId, bId, rId, type, this.getTimestamp(), metadata ? JSON.stringify(metadata) : null]
+    );
+  }
+
+  /**
+   * Remove links from aId to bId (deactivated, like other records)
+   * @param {string} aId
+   * @param {string} bId
+   * @param {string} type - Only this type (default: every type)
+   * @returns {number} Links removed
+   */
+  unlink(aId, bId, type = null) {
+    const query = this.table('relationships').where({ a_id: aId, b_id: bId, active: 1 });
+
+    if (type) {
+      query.where({ relationship_type: type });
+    }
+
+    return query.update({ active: 0 });
+  }
+
+  /**
+   * Get the entities linked to an id
+   * @param {string} id
+   * @param {Object} options
+   * @param {string} options.direction - 'out' (id is a_id), 'in' or 'both'
+   * @param {string|Array<string>} options.types - Only these relationship types
+   * @param {boolean} options.includeRecords - Attach the data_records row of each neighbor
+   * @returns {Array<Object>} [{ id, type, direction, metadata, createDate, record }]
+   */
+  getNeighbors(id, options = {}) {
+    const { direction = 'out', types = null, includeRecords = false } = options;
+    const { sql, params } = this.graphEdgesSql(direction, types);
+
+    const neighbors = this.getAll(
+      `WITH edges AS (${sql})
+       SELECT dst AS id, type, dir AS direction, metadata, create_date
+       FROM edges WHERE src = ?
+       ORDER BY create_date`,
+      [...params, id]
+    ).map(row => ({
+      id: row.id,
+      type: row.type,
+      direction: row.direction,
+      metadata: this.parseGraphJson(row.metadata),
+      createDate: row.create_date
+    }));
+
+    return includeRecords ? this.attachGraphRecords(neighbors) : neighbors;
+  }
+
+  /**
+   * Walk the graph from a node with a recursive CTE. Each reachable node is
+   * returned once, at its shortest distance.
+   * @param {string} startId
+   * @param {Object} options
+   * @param {string} options.direction - 'out', 'in' or 'both'
+   * @param {string|Array<string>} options.types - Only follow these relationship types
+   * @param {number} options.maxDepth - Hops to follow
+   * @param {boolean} options.includeRecords - Attach data_records rows
+   * @returns {Array<Object>} [{ id, depth, record }] ordered by depth
+   */
+  traverse(startId, options = {}) {
+    const { direction = 'out', types = null, maxDepth = 3, includeRecords = false } = options;
+    const { sql, params } = this.graphEdgesSql(direction, types);
+
+    // UNION (not UNION ALL) keeps one row per (node, depth), so cycles end
+    // at maxDepth instead of multiplying paths
+    const nodes = this.getAll(
+      `WITH RECURSIVE
+         edges AS (${sql}),
+         walk(id, depth) AS (
+           SELECT ?, 0
+           UNION
+           SELECT e.dst, w.depth + 1
+           FROM walk w JOIN edges e ON e.src = w.id
+           WHERE w.depth < ?
+         )
+       SELECT id, MIN(depth) AS depth FROM walk
+       WHERE id != ?
+       GROUP BY id
+       ORDER BY depth, id`,
+      [...params, startId, this.toGraphDepth(maxDepth), startId]
+    );
+
+    return includeRecords ? this.attachGraphRecords(nodes) : nodes;
+  }
+
+  /**
+   * Find a shortest path between two nodes (breadth-first, one query per hop)
+   * @param {string} fromId
+   * @param {string} toId
+   * @param {Object} options
+   * @param {string} options.direction - 'out', 'in' or 'both'
+   * @param {string|Array<string>} options.types - Only follow these relationship types
+   * @param {number} options.maxDepth - Longest path to look for
+   * @returns {Array<Object>|null} [{ id, type }] from fromId to toId (the first
+   *   step has type null), or null if there is no path
+   */
+  shortestPath(fromId, toId, options = {}) {
+    const { direction = 'out', types = null, maxDepth = 6 } = options;
+    const { sql, params } = this.graphEdgesSql(direction, types);
+    const depthLimit = this.toGraphDepth(maxDepth);
+
+    const parents = new Map([[fromId, null]]);
+    let frontier = [fromId];
+
+    for (let depth = 0; depth < depthLimit && frontier.length > 0 && !parents.has(toId); depth++) {
+      const rows = this.getAll(
+        `WITH edges AS (${sql})
+         SELECT src, dst, type FROM edges
+         WHERE src IN (${frontier.map(() => '?').join(', ')})
+         ORDER BY src, dst`,
+        [...params, ...frontier]
+      );
+
+      frontier = [];
+      rows.forEach(({ src, dst, type }) => {
+        if (!parents.has(dst)) {
+          parents.set(dst, { from: src, type });
+          frontier.push(dst);
+        }
+      });
+    }
+
+    if (!parents.has(toId)) {
+      return null;
+    }
+
+    const path = [];
+    for (let node = toId; node !== null;) {
+      const parent = parents.get(node);
+      path.unshift({ id: node, type: parent ? parent.type : null });
+      node = parent ? parent.from : null;
+    }
+    return path;
+  }
+
+  /**
+   * Export the subgraph around one or more nodes as plain JSON
+   * @param {string|Array<string>} rootIds
+   * @param {Object} options - direction, types and maxDepth as for traverse()
+   * @returns {Object} { nodes: [{ id, depth, record }], edges: [{ from, to, type, metadata }] }
+   */
+  exportSubgraph(rootIds, options = {}) {
+    const { types = null } = options;
+    const roots = Array.isArray(rootIds) ? rootIds : [rootIds];
+    const depths = new Map(roots.map(id => [id, 0]));
+
+    roots.forEach(root => {
+      this.traverse(root, options).forEach(({ id, depth }) => {
+        if (!depths.has(id) || depths.get(id) > depth) {
+          depths.set(id, depth);
+        }
+      });
+    });
+
+    const ids = [...depths.keys()];
+    const placeholders = ids.map(() => '?').join(', ');
+    const typeList = this.toGraphTypes(types);
+
+    const edges = this.getAll(
+      `SELECT a_id, b_id, relationship_type, metadata FROM relationships
+       WHERE active = 1
+         AND a_id IN (${placeholders}) AND b_id IN (${placeholders})
+         ${typeList ? `AND relationship_type IN (${typeList.map(() => '?').join(', ')})` : ''}
+       ORDER BY a_id, b_id, relationship_type`,
+      [...ids, ...ids, ...(typeList || [])]
+    ).map(row => ({
+      from: row.a_id,
+      to: row.b_id,
+      type: row.relationship_type,
+      metadata: this.parseGraphJson(row.metadata)
+    }));
+
+    const nodes = this.attachGraphRecords(ids.map(id => ({ id, depth: depths.get(id) })));
+
+    return { nodes, edges };
+  }
+
+  /**
+   * Build the edge list used by graph queries: (src, dst, type, dir,
+   * metadata, create_date) over active relationships, oriented by direction
+   * @param {string} direction - 'out', 'in' or 'both'
+   * @param {string|Array<string>} types
+   * @returns {Object} { sql, params }
+   */
+  graphEdgesSql(direction, types) {
+    if (!['out', 'in', 'both'].includes(direction)) {
+      throw new Error(`Invalid direction: ${direction}`);
+    }
+
+    const typeList = this.toGraphTypes(types);
+    const typeFilter = typeList
+      ? ` AND relationship_type IN (${typeList.map(() => '?').join(', ')})`
+      : '';
+
+    const select = (src, dst, dir) => `
+      SELECT ${src} AS src, ${dst} AS dst, relationship_type AS type, '${dir}' AS dir,
+             metadata, create_date
+      FROM relationships WHERE active = 1${typeFilter}`;
+
+    const parts = [];
+    const params = [];
+
+    if (direction !== 'in') {
+      parts.push(select('a_id', 'b_id', 'out'));
+      params.push(...(typeList || []));
+    }
+    if (direction !== 'out') {
+      parts.push(select('b_id', 'a_id', 'in'));
+      params.push(...(typeList || []));
+    }
+
+    return { sql: parts.join(' UNION ALL '), params };
+  }
+
+  /**
+   * Normalize a types filter
+   * @param {string|Array<string>|null} types
+   * @returns {Array<string>|null}
+   */
+  toGraphTypes(types) {
+    if (types === null || types === undefined) return null;
+    const list = Array.isArray(types) ? types : [types];
+    return list.length > 0 ? list : null;
+  }
+
+  /**
+   * Validate a traversal depth
+   * @param {number} depth
+   * @returns {number}
+   */
+  toGraphDepth(depth) {
+    const value = Number(depth);
+    if (!Number.isInteger(value) || value < 1) {
+      throw new Error('maxDepth must be a positive integer');
+    }
+    return value;
+  }
+
+  /**
+   * Attach the data_records row (JSON decoded, null if the node isn't a
+   * data record) to each node
+   * @param {Array<Object>} nodes - Objects with an id
+   * @returns {Array<Object>}
+   */
+  attachGraphRecords(nodes) {
+    if (nodes.length === 0) return nodes;
+
+    const records = new Map(
+      this.table('data_records')
+        .where({ id: nodes.map(node => node.id) })
+        .select()
+        .map(record => [record.id, record])
+    );
+
+    return nodes.map(node => ({ ...node, record: records.get(node.id) || null }));
+  }
+
+  /**
+   * Parse a JSON column, leaving text that isn't JSON as-is
+   * @param {string|null} value
+   * @returns {*}
+   */
+  parseGraphJson(value) {
+    if (typeof value !== 'string') return value;
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return value;
+    }
+  }
+
+  // ============================================================================
+  // WEBHOOK API
+  // ============================================================================
+
+  /**
+   * Create a webhook
+   * @param {Object} webhookData
+   * @returns {string} Webhook ID
+   */
+  createWebhook(webhookData) {
+    const id = this.generateUUID();
+    const now = this.getTimestamp();
+    
+    const {
+      name,
+      url,
+      method = 'POST',
+      headers = {},
+      secret = null,
+      events = [],
+      retry_count = 3,
+      timeout = 30,
+      metadata = null
+    } = webhookData;
+    
+    this.run(
+      `INSERT INTO webhooks (id, create_date, name, url, method, headers, secret,
+         active, retry_count, timeout, events, metadata)
+       VALUES (?, ?, ?, ?, ?, ?, ?, 1, ?, ?, ?, ?)`,
+      [
+        id, now, name, url, method,
+        JSON.stringify(headers),
+        secret, retry_count, timeout,
+        JSON.stringify(events),
+        metadata ? JSON.stringify(metadata) : null
+      ]
+    );
+    
+    return id;
+  }
+
+  /**
+   * Get active webhooks for an event
+   * @param {string} eventType
+   * @returns {Array}
+   */
+  getWebhooksForEvent(eventType) {
+    const webhooks = this.table('webhooks').where({ active: 1 }).notExpired().select();
+    
+    return webhooks.map(hook => {
+      hook.headers = hook.headers || {};
+      hook.events = hook.events || [];
+      return hook;
+    }).filter(hook => {
+      return hook.events.includes(eventType) || hook.events.includes('*');
+    });
+  }
+
+  /**
+   * Log webhook delivery
+   * @param {string} webhookId
+   * @param {string} eventType
+   * @param {Object} payload
+   * @param {Object} response
+   * @returns {string} Delivery ID
+   */
+  logWebhookDelivery(webhookId, eventType, payload, response) {
+    const id = this.generateUUID();
+    const now = this.getTimestamp();
+    
+    const {
+      status = null,
+      body = null,
+      success = false,
+      retryCount = 0,
+      error = null,
+      duration = null
+    } = response;
+    
+    this.run(
+      `INSERT INTO webhook_deliveries (id, create_date, webhook_id, event_type,
+         payload, response_status, response_body, success, retry_count, 
+         error_message, duration_ms)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        id, now, webhookId, eventType,
+        JSON.stringify(payload),
+        status, body, success ? 1 : 0, retryCount, error, duration
+      ]
+    );
+    
+    return id;
+  }
+
+  // ============================================================================
+  // METRICS API
+  // ============================================================================
+
+  /**
+   * Record a metric
+   * @param {string} metricName
+   * @param {string} metricType
+   * @param {number} value
+   * @param {Object} options
+   */
+  recordMetric(metricName, metricType, value, options = {}) {
+    this.run(METRIC_INSERT_SQL, this.metricParams(metricName, metricType, value, options));
+  }
+
+  /**
+   * Record several metrics in one transaction
+   * @param {Array<Object>} metrics - [{ name, type, value, ...options of recordMetric() }]
+   */
+  recordMetrics(metrics) {
+    this.transaction(() => {
+      metrics.forEach(({ name, type, value, ...options }) => {
+        this.run(METRIC_INSERT_SQL, this.metricParams(name, type, value, options));
+      });
+    });
+  }
+
+  /**
+   * Values for METRIC_INSERT_SQL
+   * @param {string} metricName
+   * @param {string} metricType
+   * @param {number} value
+   * @param {Object} options
+   * @returns {Array}
+   */
+  metricParams(metricName, metricType, value, options = {}) {
+    const {
+      unit = null,
+      tags = {},
+      userId = null,
+      sessionId = null,
+      metadata = null
+    } = options;
+
+    return [
+      this.generateUUID(), this.getTimestamp(), metricName, metricType, value, unit,
+      JSON.stringify(tags),
+      userId, sessionId,
+      metadata ? JSON.stringify(metadata) : null
+    ];
+  }
+
+  /**
+   * Get metrics
+   * @param {string} metricName
+   * @param {Date} startDate
+   * @param {Date} endDate
+   * @returns {Array}
+   */
+  getMetrics(metricName, startDate, endDate) {
+    const metrics = this.getAll(
+      `SELECT * FROM metrics 
+       WHERE metric_name = ? 
+       AND create_date >= ? 
+       AND create_date <= ?
+       ORDER BY create_date ASC`,
+      [metricName, startDate.toISOString(), endDate.toISOString()]
+    );
+    
+    return metrics.map(metric => {
+      if (metric.tags) metric.tags = JSON.parse(metric.tags);
+      if (metric.metadata) metric.metadata = JSON.parse(metric.metadata);
+      return metric;
+    });
+  }
+
+  // ============================================================================
+  // SYNC QUEUE API
+  // ============================================================================
+
+  /**
+   * Add item to sync queue
+   * @param {string} operation - create, update, delete
+   * @param {string} tableName
+   * @param {string} recordId
+   * @param {Object} data
+   * @param {number} priority
+   */
+  queueSync(operation, tableName, recordId, data, priority = 5) {
+    const id = this.generateUUID();
+    const now = this.getTimestamp();
+    
+    this.run(
+      `INSERT INTO sync_queue (id, create_date, operation, table_name, record_id,
+         data, status, priority)
+       VALUES (?, ?, ?, ?, ?, ?, 'pending', ?)`,
+      [id, now, operation, tableName, recordId, JSON.stringify(data), priority]
+    );
+  }
+
+  /**
+   * Get pending sync items
+   * @param {number} limit
+   * @returns {Array}
+   */
+  getPendingSyncItems(limit = 10) {
+    return this.getAll(
+      'SELECT * FROM v_pending_sync LIMIT ?',
+      [limit]
+    );
+  }
+
+  /**
+   * Mark sync item as completed. The server has the change, so the item
+   * is removed rather than kept as 'synced' (the queue would only grow).
+   * @param {string} syncId
+   */
+  markSyncCompleted(syncId) {
+    this.run('DELETE FROM sync_queue WHERE id = ?', [syncId]);
+  }
+
+  /**
+   * Mark sync item as failed
+   * @param {string} syncId
+   * @param {string} errorMessage
+   */
+  markSyncFailed(syncId, errorMessage) {
+    this.run(
+      `UPDATE sync_queue 
+       SET status = 'failed', 
+           retry_count = retry_count + 1,
+           error_message = ?,
+           last_attempt = datetime('now')
+       WHERE id = ?`,
+      [errorMessage, syncId]
+    );
+  }
+
+  // ============================================================================
+  // PERSISTENCE (pluggable storage: OPFS, IndexedDB, memory)
+  // ============================================================================
+
+  /**
+   * Mark the database as changed and schedule a save
+   */
+  markDirty() {
+    this.dirty = true;
+
+    if (this.transactionDepth === 0) {
+      this.scheduleSave();
+    }
+  }
+
+  /**
+   * Schedule a debounced save; further writes within saveDelay are coalesced
+   */
+  scheduleSave() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+    }
+
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+
+      // export() closes the connection, so never save mid-transaction;
+      // the outermost commit schedules another save
+      // A failure is reported through onSaveError(); the changes stay
+      // dirty, so the next write or flush() retries
+      if (this.transactionDepth === 0) {
+        this.flush().catch(() => {});
+      }
+    }, this.saveDelay);
+  }
+
+  /**
+   * Persist pending changes now
+   * @returns {Promise<void>} Resolves once all queued saves have finished;
+   *   rejects if the latest save failed (the changes stay pending)
+   */
+  flush() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+
+    if (this.dirty && this.transactionDepth === 0) {
+      this.dirty = false;
+      this.currentSave = this.saveChain.then(() => this.persist());
+      this.saveChain = this.currentSave.catch(() => {});
+    }
+
+    return this.currentSave;
+  }
+
+  /**
+   * Save pending writes and close the database
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (!this.initialized) return;
+
+    await this.flush();
+
+    if (this.coordinator) {
+      this.coordinator.stop();
+      this.coordinator = null;
+    }
+
+    this.finalizeStatements();
+    this.db.close();
+    this.db = null;
+    this.initialized = false;
+    this.changeListeners.clear();
+  }
+
+  /**
+   * Write the database image to the storage backend
+   * @returns {Promise<void>}
+   */
+  async persist() {
+    // Only the leader tab writes the stored image
+    if (this.coordinator && !this.coordinator.isLeader) return;
+
+    try {
+      const data = await this.encodeImage(this.exportImage());
+      await this.storage.save(this.dbName, data);
+
+      if (this.coordinator) {
+        this.coordinator.saved();
+      }
+    } catch (error) {
+      // Keep the changes pending so the next flush() tries again
+      this.dirty = true;
+      this.logger.error(`Failed to save database to ${this.storage.type}:`, error);
+      [...this.saveErrorListeners].forEach(callback => {
+        try {
+          callback(error);
+        } catch (listenerError) {
+          this.logger.error('Save error listener failed:', listenerError);
+        }
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Listen for failed saves. Debounced saves run in the background, so
+   * this is how their errors reach the application.
+   * @param {Function} callback - Receives the error
+   * @returns {Function} Unsubscribe
+   */
+  onSaveError(callback) {
+    this.saveErrorListeners.add(callback);
+    return () => this.saveErrorListeners.delete(callback);
+  }
+
+  /**
+   * Load the database image from the storage backend, decrypted
+   * @returns {Promise<Uint8Array|null>}
+   */
+  async loadFromStorage() {
+    const data = await this.readFromStorage();
+    return data ? this.decodeImage(data) : null;
+  }
+
+  /**
+   * Read the stored image as-is
+   * @returns {Promise<Uint8Array|null>}
+   */
+  async readFromStorage() {
+    try {
+      return await this.storage.load(this.dbName);
+    } catch (error) {
+      this.logger.error(`Failed to load database from ${this.storage.type}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Save database to storage
+   * @deprecated Use flush() (pending writes) or persist()
+   * @returns {Promise<void>}
+   */
+  async saveToIndexedDB() {
+    return this.persist();
+  }
+
+  /**
+   * Load database from storage
+   * @deprecated Use loadFromStorage()
+   * @returns {Promise<Uint8Array|null>}
+   */
+  async loadFromIndexedDB() {
+    return this.loadFromStorage();
+  }
+
+  /**
+   * Export database as file. Encrypted with the current key when
+   * encryption is enabled.
+   * @param {Object} options
+   * @param {boolean} options.encrypted - Set false to export plain SQLite
+   * @returns {Promise<Blob>}
+   */
+  async exportDatabase(options = {}) {
+    const { encrypted = !!this.cipher } = options;
+    const data = this.exportImage();
+
+    if (encrypted) {
+      return new Blob([await this.encodeImage(data)], { type: 'application/octet-stream' });
+    }
+
+    return new Blob([data], { type: 'application/x-sqlite3' });
+  }
+
+  /**
+   * Import database from file (plain or encrypted with the current key).
+   * The file is checked first (see validateImage()) and migrated if it
+   * was made by an older release.
+   * @param {Uint8Array} data
+   * @param {Object} options
+   * @param {boolean} options.validate - Set false to skip the checks
+   * @returns {Promise<Object|null>} The validation report
+   */
+  async importDatabase(data, options = {}) {
+    const { validate = true } = options;
+
+    if (this.inTransaction()) {
+      throw new Error('Cannot import a database inside a transaction');
+    }
+
+    const SQL = await loadSqlJs(this.sqlOptions);
+    const image = await this.decodeImage(data);
+    const report = validate ? await this.validateImage(image) : null;
+
+    // The leader tab imports and saves; this tab reloads after
+    if (this.coordinator && !this.coordinator.isLeader) {
+      await this.coordinator.forwardImport(data);
+      return report;
+    }
+
+    this.finalizeStatements();
+    this.db.close();
+    this.db = new SQL.Database(image);
+    this.clearSchemaCache();
+
+    if (this.getSchemaVersion() < this.getLatestMigrationVersion()) {
+      await this.migrate();
+    }
+
+    // The imported image has its own change_log and may lack our triggers
+    this.changeListeners.forEach((listeners, table) => {
+      if (table !== '*') {
+        this.trackChanges(table);
+      }
+    });
+    this.changeCursor = this.getLatestChangeSeq();
+
+    await this.persist();
+    return report;
+  }
+
+  // ============================================================================
+  // TAB COORDINATION (see ./tab-coordinator.js)
+  // ============================================================================
+
+  /**
+   * Check if this tab owns the stored database. Always true without
+   * coordination. Use it to run scheduled work in one tab only.
+   * @returns {boolean}
+   */
+  isLeader() {
+    return !this.coordinator || this.coordinator.isLeader;
+  }
+
+  /**
+   * Record a write made in a follower tab, to forward on commit
+   * @param {string} sql
+   * @param {Array} params
+   */
+  forwardWrite(sql, params = []) {
+    if (this.coordinator && !this.coordinator.isLeader && !this.migrating) {
+      this.coordinator.recordWrite(sql, params);
+    }
+  }
+
+  /**
+   * Forward the writes of a finished commit to the leader tab
+   */
+  forwardCommit() {
+    if (this.coordinator && !this.coordinator.isLeader && this.transactionDepth === 0 && !this.migrating) {
+      this.coordinator.commit();
+    }
+  }
+
+  /**
+   * Apply writes forwarded by a follower tab, in one transaction. The
+   * request is recorded in forwarded_writes along with them, so a request
+   * resent to a new leader after the old one saved it is skipped.
+   * @param {Array<Array>} statements - [sql, params] pairs
+   * @param {Object} origin - { from, id } of the request
+   * @returns {Array<number>|null} [firstSeq, lastSeq] of the changes they
+   *   recorded, or null if none
+   */
+  applyForwardedWrites(statements, origin = null) {
+    let range = null;
+
+    // Databases not migrated to version 10 can't tell
+    const tracked = origin &&
+      this.getOne("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'forwarded_writes'");
+
+    this.transaction(() => {
+      if (tracked) {
+        const applied = this.getOne('SELECT request_id FROM forwarded_writes WHERE tab_id = ?', [origin.from]);
+        if (applied && applied.request_id >= origin.id) return;
+      }
+
+      const before = this.getLatestChangeSeq();
+      statements.forEach(([sql, params = []]) => this.run(sql, params));
+      const after = this.getLatestChangeSeq();
+
+      if (after > before) {
+        range = [before + 1, after];
+      }
+
+      if (tracked) {
+        // Requests are only resent during a leader change, so a day is plenty
+        const now = new Date();
+        this.run(
+          'INSERT OR REPLACE INTO forwarded_writes (tab_id, request_id, applied_date) VALUES (?, ?, ?)',
+          [origin.from, origin.id, now.toISOString()]
+        );
+        this.run(
+          'DELETE FROM forwarded_writes WHERE applied_date < ?',
+          [new Date(now.getTime() - 24 * 60 * 60 * 1000).toISOString()]
+        );
+      }
+    });
+
+    return range;
+  }
+
+  /**
+   * Listen for writes made in this tab that the leader tab refused. They
+   * stay in the local copy until it reloads the leader's image, so the
+   * app should tell the user they were lost.
+   * @param {Function} callback - Receives the error; error.statements holds
+   *   the refused [sql, params] pairs
+   * @returns {Function} Unsubscribe
+   */
+  onWriteRejected(callback) {
+    this.writeRejectedListeners.add(callback);
+    return () => this.writeRejectedListeners.delete(callback);
+  }
+
+  /**
+   * Call the listeners of refused writes
+   * @param {Error} error
+   */
+  notifyWriteRejected(error) {
+    [...this.writeRejectedListeners].forEach(callback => {
+      try {
+        callback(error);
+      } catch (listenerError) {
+        this.logger.error('Write rejected listener failed:', listenerError);
+      }
+    });
+  }
+
+  /**
+   * Replace the in-memory copy with the image the leader tab saved, and
+   * deliver the changes other tabs made since the last reload
+   * @returns {Promise<void>}
+   */
+  async reloadFromStorage() {
+    const SQL = await loadSqlJs(this.sqlOptions);
+    const stored = await this.readFromStorage();
+    const image = stored && await this.decodeImage(stored);
+
+    // A write may have started while loading
+    if (!image || !this.coordinator?.canReload()) return;
+
+    const since = this.coordinator.reloadCursor;
+
+    this.finalizeStatements();
+    this.db.close();
+    this.db = new SQL.Database(image);
+    this.clearSchemaCache();
+    this.dirty = false;
+
+    const latest = this.getLatestChangeSeq();
+    this.changeCursor = latest;
+    this.coordinator.reloadCursor = latest;
+
+    if (this.changeListeners.size > 0 && latest > since) {
+      const changes = this.getChanges(since, null, -1)
+        .filter(change => !this.coordinator.isOwnChange(change.seq));
+
+      if (changes.length > 0) {
+        this.deliverChanges(changes);
+      }
+    }
+
+    this.coordinator.forgetOwnChanges(latest);
+  }
+
+  /**
+   * Become the tab that owns the stored database: load what the previous
+   * leader saved, replay this tab's unacknowledged writes and save
+   * @param {Array<Object>} requests - Pending write requests ({ from, id, statements })
+   * @returns {Promise<void>}
+   */
+  async takeOver(requests) {
+    while (this.inTransaction()) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+
+    const SQL = await loadSqlJs(this.sqlOptions);
+    const stored = await this.readFromStorage();
+    const image = stored && await this.decodeImage(stored);
+
+    if (image) {
+      this.finalizeStatements();
+      this.db.close();
+      this.db = new SQL.Database(image);
+      this.clearSchemaCache();
+      this.changeCursor = this.getLatestChangeSeq();
+    }
+
+    requests.forEach(({ from, id, statements }) => this.applyForwardedWrites(statements, { from, id }));
+
+    this.dirty = false;
+    await this.persist();
+  }
+
+  /**
+   * Send a message to this database's listeners in other tabs. Plugins
+   * use it for state that isn't stored in the database (e.g. caches).
+   * @param {string} topic
+   * @param {*} detail - Must be structured-cloneable
+   */
+  broadcast(topic, detail = {}) {
+    if (this.coordinator) {
+      this.coordinator.post({ type: 'message', topic, detail });
+    }
   }
 
   /**
-   * Get active webhooks for an event
-   * @param {string} eventType
-   * @returns {Array}
+   * Listen for broadcast() messages from other tabs (not this one)
+   * @param {string} topic
+   * @param {Function} callback - Receives the detail
+   * @returns {Function} Unsubscribe
    */
-  getWebhooksForEvent(eventType) {
-    const webhooks = this.getAll(
-      'SELECT * FROM webhooks WHERE active = 1'
-    );
-    
-    return webhooks.filter(hook => {
-      const events = JSON.parse(hook.events || '[]');
-      return events.includes(eventType) || events.includes('*');
-    }).map(hook => {
-      hook.headers = JSON.parse(hook.headers || '{}');
-      hook.events = JSON.parse(hook.events || '[]');
-      if (hook.metadata) hook.metadata = JSON.parse(hook.metadata);
-      return hook;
-    });
+  onBroadcast(topic, callback) {
+    if (!this.broadcastListeners.has(topic)) {
+      this.broadcastListeners.set(topic, new Set());
+    }
+    this.broadcastListeners.get(topic).add(callback);
+
+    return () => {
+      const listeners = this.broadcastListeners.get(topic);
+      if (listeners) {
+        listeners.delete(callback);
+      }
+    };
   }
 
   /**
-   * Log webhook delivery
-   * @param {string} webhookId
-   * @param {string} eventType
-   * @param {Object} payload
-   * @param {Object} response
-   * @returns {string} Delivery ID
+   * Call the listeners of a broadcast topic
+   * @param {string} topic
+   * @param {*} detail
    */
-  logWebhookDelivery(webhookId, eventType, payload, response) {
-    const id = this.generateUUID();
-    const now = this.getTimestamp();
-    
-    const {
-      status = null,
-      body = null,
-      success = false,
-      retryCount = 0,
-      error = null,
-      duration = null
-    } = response;
-    
-    this.run(
-      `INSERT INTO webhook_deliveries (id, create_date, webhook_id, event_type,
-         payload, response_status, response_body, success, retry_count, 
-         error_message, duration_ms)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-      [
-        id, now, webhookId, eventType,
-        JSON.stringify(payload),
-        status, body, success ? 1 : 0, retryCount, error, duration
-      ]
-    );
-    
-    return id;
+  notifyBroadcastListeners(topic, detail) {
+    const listeners = this.broadcastListeners.get(topic);
+    if (!listeners) return;
+
+    [...listeners].forEach(callback => {
+      try {
+        callback(detail);
+      } catch (error) {
+        this.logger.error(`Broadcast listener for ${topic} failed:`, error);
+      }
+    });
   }
 
   // ============================================================================
-  // METRICS API
+  // VALIDATION & PARTIAL EXPORT
   // ============================================================================
 
   /**
-   * Record a metric
-   * @param {string} metricName
-   * @param {string} metricType
-   * @param {number} value
-   * @param {Object} options
+   * Check that an image is a usable database before it replaces ours:
+   * SQLite header, PRAGMA integrity_check, and a schema version this
+   * release knows (older versions are migrated on import)
+   * @param {Uint8Array} data - Plain (decrypted) image
+   * @returns {Promise<Object>} { version, latest, tables, size }
+   * @throws {Error} DatabaseValidationError
    */
-  recordMetric(metricName, metricType, value, options = {}) {
-    const id = this.generateUUID();
-    const now = this.getTimestamp();
-    
-    const {
-      unit = null,
-      tags = {},
-      userId = null,
-      sessionId = null,
-      metadata = null
-    } = options;
-    
-    this.run(
-      `INSERT INTO metrics (id, create_date, metric_name, metric_type, value,
-         unit, tags, user_id, session_id, metadata)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-      [
-        id, now, metricName, metricType, value, unit,
-        JSON.stringify(tags),
-        userId, sessionId,
-        metadata ? JSON.stringify(metadata) : null
-      ]
+  async validateImage(data) {
+    const invalid = message => {
+      const error = new Error(message);
+      error.name = 'DatabaseValidationError';
+      return error;
+    };
+
+    const header = 'SQLite format 3\0';
+    const isSqlite = data instanceof Uint8Array &&
+      data.length >= 100 &&
+      String.fromCharCode(...data.subarray(0, header.length)) === header;
+
+    if (!isSqlite) {
+      throw invalid('Not a SQLite database file');
+    }
+
+    const SQL = await loadSqlJs(this.sqlOptions);
+    const candidate = new SQL.Database(data);
+    const values = sql => {
+      const [result] = candidate.exec(sql);
+      return result ? result.values.map(row => row[0]) : [];
+    };
+
+    try {
+      const problems = values('PRAGMA integrity_check')
+        .flatMap(result => result.split('\n'))
+        .filter(line => line !== 'ok' && !line.startsWith('***'));
+      if (problems.length > 0) {
+        throw invalid(`Database failed its integrity check: ${problems.slice(0, 3).join('; ')}`);
+      }
+
+      const tables = values(
+        "SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name"
+      );
+      const version = tables.includes('schema_migrations')
+        ? values('SELECT MAX(version) FROM schema_migrations')[0] || 0
+        : 0;
+      const latest = this.getLatestMigrationVersion();
+
+      if (version > latest) {
+        throw invalid(`Database is at schema version ${version}; this release only knows up to ${latest}`);
+      }
+
+      return { version, latest, tables, size: data.length };
+    } catch (error) {
+      // sql.js only reads the file on first use, so corruption surfaces here
+      throw error.name === 'DatabaseValidationError'
+        ? error
+        : invalid(`Database file is corrupt: ${error.message}`);
+    } finally {
+      candidate.close();
+    }
+  }
+
+  /**
+   * Tables that can be exported: everything but SQLite internals, virtual
+   * tables and their shadow tables, and bookkeeping the database rebuilds
+   * itself (migrations, change_log, search_docs)
+   * @returns {Array<string>}
+   */
+  getExportableTables() {
+    const rows = this.getAll(
+      "SELECT name, sql FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name"
     );
+    const virtual = rows.filter(row => /^CREATE VIRTUAL/i.test(row.sql)).map(row => row.name);
+    const bookkeeping = ['schema_migrations', 'change_log', 'search_docs', 'forwarded_writes'];
+
+    return rows
+      .map(row => row.name)
+      .filter(name =>
+        !bookkeeping.includes(name) &&
+        !virtual.some(table => name === table || name.startsWith(`${table}_`))
+      );
   }
 
   /**
-   * Get metrics
-   * @param {string} metricName
-   * @param {Date} startDate
-   * @param {Date} endDate
-   * @returns {Array}
+   * Export selected tables as JSON or as a SQL dump of INSERT statements
+   *
+   *   db.exportTables(['content_pages', 'kv_settings'], { format: 'sql' });
+   * @param {Array<string>} tables - Defaults to every exportable table
+   * @param {Object} options
+   * @param {string} options.format - 'json' or 'sql'
+   * @returns {string}
    */
-  getMetrics(metricName, startDate, endDate) {
-    const metrics = this.getAll(
-      `SELECT * FROM metrics 
-       WHERE metric_name = ? 
-       AND create_date >= ? 
-       AND create_date <= ?
-       ORDER BY create_date ASC`,
-      [metricName, startDate.toISOString(), endDate.toISOString()]
+  exportTables(tables = null, options = {}) {
+    const { format = 'json' } = options;
+    const exportable = this.getExportableTables();
+    const selected = tables || exportable;
+
+    selected.forEach(table => {
+      if (!exportable.includes(table)) {
+        throw new Error(`Table ${table} can't be exported`);
+      }
+    });
+
+    const schemaVersion = this.getSchemaVersion();
+    const exportedAt = this.getTimestamp();
+    const rows = Object.fromEntries(
+      selected.map(table => [table, this.getAll(`SELECT * FROM "${table}"`)])
     );
-    
-    return metrics.map(metric => {
-      if (metric.tags) metric.tags = JSON.parse(metric.tags);
-      if (metric.metadata) metric.metadata = JSON.parse(metric.metadata);
-      return metric;
+
+    if (format === 'json') {
+      return JSON.stringify({ format: 'pwa-tables', schemaVersion, exportedAt, tables: rows }, null, 2);
+    }
+
+    if (format !== 'sql') {
+      throw new Error(`Unknown export format: ${format}`);
+    }
+
+    const lines = [
+      '-- pwa-tables dump',
+      `-- schema_version: ${schemaVersion}`,
+      `-- exported: ${exportedAt}`,
+      `-- tables: ${selected.join(', ')}`
+    ];
+
+    selected.forEach(table => {
+      lines.push('', `-- ${table}`);
+      rows[table].forEach(row => {
+        const columns = Object.keys(row);
+        lines.push(
+          `INSERT INTO "${table}" (${columns.map(col => `"${col}"`).join(', ')}) ` +
+          `VALUES (${columns.map(col => this.toSqlLiteral(row[col])).join(', ')});`
+        );
+      });
     });
-  }
 
-  // ============================================================================
-  // SYNC QUEUE API
-  // ============================================================================
+    return lines.join('\n') + '\n';
+  }
 
   /**
-   * Add item to sync queue
-   * @param {string} operation - create, update, delete
-   * @param {string} tableName
-   * @param {string} recordId
-   * @param {Object} data
-   * @param {number} priority
+   * Import tables exported by exportTables(). Rows are upserted ('merge')
+   * or the tables are emptied first ('replace'), in one transaction.
+   * SQL dumps are run against a scratch database with our schema, never
+   * the live one, so a dump can only supply rows.
+   * @param {string|Object} data - JSON export (string or parsed) or SQL dump
+   * @param {Object} options
+   * @param {string} options.mode - 'merge' or 'replace'
+   * @returns {Promise<Object>} { total, tables: { name: count } }
    */
-  queueSync(operation, tableName, recordId, data, priority = 5) {
-    const id = this.generateUUID();
-    const now = this.getTimestamp();
-    
-    this.run(
-      `INSERT INTO sync_queue (id, create_date, operation, table_name, record_id,
-         data, status, priority)
-       VALUES (?, ?, ?, ?, ?, ?, 'pending', ?)`,
-      [id, now, operation, tableName, recordId, JSON.stringify(data), priority]
-    );
+  async importTables(data, options = {}) {
+    const { mode = 'merge' } = options;
+
+    if (!['merge', 'replace'].includes(mode)) {
+      throw new Error(`Unknown import mode: ${mode}`);
+    }
+
+    const dump = typeof data === 'string' && !data.trim().startsWith('{')
+      ? await this.readSqlDump(data)
+      : this.readJsonDump(typeof data === 'string' ? JSON.parse(data) : data);
+
+    if (dump.schemaVersion > this.getSchemaVersion()) {
+      throw new Error(
+        `Export is from schema version ${dump.schemaVersion}; this database is at ${this.getSchemaVersion()}`
+      );
+    }
+
+    const exportable = this.getExportableTables();
+    Object.keys(dump.tables).forEach(table => {
+      if (!exportable.includes(table)) {
+        throw new Error(`Table ${table} can't be imported`);
+      }
+    });
+
+    const report = { total: 0, tables: {} };
+
+    this.transaction(() => {
+      Object.entries(dump.tables).forEach(([table, rows]) => {
+        const { columns } = this.getTableSchema(table);
+
+        if (mode === 'replace') {
+          this.run(`DELETE FROM "${table}"`);
+        }
+
+        rows.forEach(row => {
+          const names = Object.keys(row).filter(name => columns.has(name));
+          if (names.length === 0) return;
+
+          const quoted = names.map(name => `"${name}"`);
+
+          this.run(
+            `INSERT INTO "${table}" (${quoted.join(', ')})
+             VALUES (${names.map(() => '?').join(', ')})
+             ON CONFLICT DO UPDATE SET ${quoted.map(col => `${col} = excluded.${col}`).join(', ')}`,
+            names.map(name => row[name] === undefined ? null : row[name])
+          );
+        });
+
+        report.tables[table] = rows.length;
+        report.total += rows.length;
+      });
+    });
+
+    return report;
   }
 
   /**
-   * Get pending sync items
-   * @param {number} limit
-   * @returns {Array}
+   * Read a JSON export
+   * @param {Object} dump
+   * @returns {Object} { schemaVersion, tables: { name: rows } }
    */
-  getPendingSyncItems(limit = 10) {
-    return this.getAll(
-      'SELECT * FROM v_pending_sync LIMIT ?',
-      [limit]
-    );
+  readJsonDump(dump) {
+    if (!dump || dump.format !== 'pwa-tables' || typeof dump.tables !== 'object') {
+      throw new Error('Not a table export (expected format "pwa-tables")');
+    }
+
+    Object.entries(dump.tables).forEach(([table, rows]) => {
+      if (!Array.isArray(rows)) {
+        throw new Error(`Export rows for ${table} are not an array`);
+      }
+    });
+
+    return { schemaVersion: dump.schemaVersion || 0, tables: dump.tables };
   }
 
   /**
-   * Mark sync item as completed
-   * @param {string} syncId
+   * Read a SQL dump by running it in a scratch database holding empty
+   * copies of our tables
+   * @param {string} sql
+   * @returns {Promise<Object>} { schemaVersion, tables: { name: rows } }
    */
-  markSyncCompleted(syncId) {
-    this.run(
-      'UPDATE sync_queue SET status = ? WHERE id = ?',
-      ['synced', syncId]
-    );
+  async readSqlDump(sql) {
+    const header = field => {
+      const match = sql.match(new RegExp(`^-- ${field}: (.*)$`, 'm'));
+      return match ? match[1].trim() : null;
+    };
+
+    if (!/^-- pwa-tables dump/.test(sql.trim())) {
+      throw new Error('Not a table dump (expected a "-- pwa-tables dump" header)');
+    }
+
+    const SQL = await loadSqlJs(this.sqlOptions);
+    const scratch = new SQL.Database();
+
+    try {
+      this.getExportableTables().forEach(table => {
+        scratch.run(this.getOne('SELECT sql FROM sqlite_master WHERE name = ?', [table]).sql);
+      });
+
+      scratch.run(sql);
+
+      const listed = (header('tables') || '').split(',').map(name => name.trim()).filter(Boolean);
+      const tables = {};
+
+      this.getExportableTables().forEach(table => {
+        const [result] = scratch.exec(`SELECT * FROM "${table}"`);
+        if (result || listed.includes(table)) {
+          tables[table] = result
+            ? result.values.map(values => Object.fromEntries(result.columns.map((col, i) => [col, values[i]])))
+            : [];
+        }
+      });
+
+      return { schemaVersion: Number(header('schema_version')) || 0, tables };
+    } finally {
+      scratch.close();
+    }
   }
 
   /**
-   * Mark sync item as failed
-   * @param {string} syncId
-   * @param {string} errorMessage
+   * Format a value as a SQL literal
+   * @param {*} value
+   * @returns {string}
    */
-  markSyncFailed(syncId, errorMessage) {
-    this.run(
-      `UPDATE sync_queue 
-       SET status = 'failed', 
-           retry_count = retry_count + 1,
-           error_message = ?,
-           last_attempt = datetime('now')
-       WHERE id = ?`,
-      [errorMessage, syncId]
-    );
+  toSqlLiteral(value) {
+    if (value === null || value === undefined) return 'NULL';
+    if (typeof value === 'number') return Number.isFinite(value) ? String(value) : 'NULL';
+    if (typeof value === 'boolean') return value ? '1' : '0';
+    if (value instanceof Uint8Array) {
+      return `X'${Array.from(value, byte => byte.toString(16).padStart(2, '0')).join('')}'`;
+    }
+    return `'${String(value).replace(/'/g, "''")}'`;
   }
 
   // ============================================================================
-  // PERSISTENCE (IndexedDB)
+  // ENCRYPTION
   // ============================================================================
 
   /**
-   * Save database to IndexedDB
-   * @returns {Promise<void>}
+   * Build a cipher from the encryption option
+   * @param {Object|DatabaseCipher|null} encryption
+   * @returns {DatabaseCipher|null}
    */
-  async saveToIndexedDB() {
-    try {
-      const data = this.db.export();
-      const buffer = data.buffer;
-      
-      const request = indexedDB.open('PWA-Database', 1);
-      
-      request.onupgradeneeded = (event) => {
-        const db = event.target.result;
-        if (!db.objectStoreNames.contains('database')) {
-          db.createObjectStore('database');
-        }
-      };
-      
-      return new Promise((resolve, reject) => {
-        request.onsuccess = (event) => {
-          const db = event.target.result;
-          const transaction = db.transaction(['database'], 'readwrite');
-          const store = transaction.objectStore('database');
-          store.put(buffer, this.dbName);
-          
-          transaction.oncomplete = () => resolve();
-          transaction.onerror = () => reject(transaction.error);
-        };
-        
-        request.onerror = () => reject(request.error);
-      });
-    } catch (error) {
-      console.error('Failed to save database to IndexedDB:', error);
-    }
+  createCipher(encryption) {
+    if (!encryption) return null;
+    return encryption instanceof DatabaseCipher ? encryption : new DatabaseCipher(encryption);
   }
 
   /**
-   * Load database from IndexedDB
-   * @returns {Promise<Uint8Array|null>}
+   * Check if the stored image is encrypted
+   * @returns {boolean}
    */
-  async loadFromIndexedDB() {
-    try {
-      const request = indexedDB.open('PWA-Database', 1);
-      
-      return new Promise((resolve, reject) => {
-        request.onsuccess = (event) => {
-          const db = event.target.result;
-          
-          if (!db.objectStoreNames.contains('database')) {
-            resolve(null);
-            return;
-          }
-          
-          const transaction = db.transaction(['database'], 'readonly');
-          const store = transaction.objectStore('database');
-          const getRequest = store.get(this.dbName);
-          
-          getRequest.onsuccess = () => {
-            resolve(getRequest.result ? new Uint8Array(getRequest.result) : null);
-          };
-          
-          getRequest.onerror = () => reject(getRequest.error);
-        };
-        
-        request.onerror = () => reject(request.error);
-      });
-    } catch (error) {
-      console.error('Failed to load database from IndexedDB:', error);
-      return null;
-    }
+  isEncrypted() {
+    return !!this.cipher;
   }
 
   /**
-   * Export database as file
-   * @returns {Blob}
+   * Encrypt an exported image when encryption is enabled
+   * @param {Uint8Array} data
+   * @returns {Promise<Uint8Array>}
    */
-  exportDatabase() {
-    const data = this.db.export();
-    return new Blob([data], { type: 'application/x-sqlite3' });
+  async encodeImage(data) {
+    return this.cipher ? this.cipher.encrypt(data) : data;
   }
 
   /**
-   * Import database from file
+   * Decrypt an image if needed. Plain images are accepted either way so
+   * existing databases can be moved to encryption.
    * @param {Uint8Array} data
+   * @returns {Promise<Uint8Array>}
    */
-  async importDatabase(data) {
-    const SQL = await initSqlJs({
-      locateFile: file => `https://sql.js.org/dist/${file}`
-    });
-    
-    this.db = new SQL.Database(data);
-    await this.saveToIndexedDB();
+  async decodeImage(data) {
+    if (!DatabaseCipher.isEncrypted(data)) {
+      return data;
+    }
+
+    if (!this.cipher) {
+      const error = new Error('Database is encrypted; pass the encryption option to init()');
+      error.name = 'DatabaseKeyError';
+      throw error;
+    }
+
+    return this.cipher.decrypt(data);
+  }
+
+  /**
+   * Re-encrypt the stored database with a new key, or remove encryption.
+   * Other tabs keep the old key, so with tab coordination this only runs
+   * while no other tab has the database open.
+   * @param {Object|DatabaseCipher|null} encryption - { passphrase }, { key },
+   *   or null to store the database unencrypted
+   * @returns {Promise<void>}
+   */
+  async rotateKey(encryption) {
+    if (this.inTransaction()) {
+      throw new Error('Cannot rotate the encryption key inside a transaction');
+    }
+    if (this.coordinator && !this.coordinator.isLeader) {
+      throw new Error('Rotate the encryption key in the tab that owns the database (isLeader())');
+    }
+    if (this.coordinator && await this.coordinator.hasFollowers()) {
+      throw new Error('Close the other tabs using this database before rotating the encryption key');
+    }
+
+    const previous = this.cipher;
+    this.cipher = this.createCipher(encryption);
+
+    // Save directly rather than through persist() so a failed write
+    // restores the old key instead of leaving the image pending
+    try {
+      await this.saveChain;
+      const data = await this.encodeImage(this.exportImage());
+      await this.storage.save(this.dbName, data);
+    } catch (error) {
+      this.cipher = previous;
+      throw error;
+    }
   }
 }
 
@@ -949,6 +3715,15 @@ const dbService = new DatabaseService();
 if (typeof window !== 'undefined') {
   // In browser context
   window.dbService = dbService;
+
+  // Don't lose debounced writes when the page goes away
+  window.addEventListener('pagehide', () => {
+    if (dbService.initialized) {
+      dbService.flush().catch(() => {}); // reported through onSaveError()
+    }
+  });
 }
 
 export default dbService;
+
+export { DatabaseService };
@@ -0,0 +1,39 @@
+/**
+ * Database Worker
+ * Hosts a DatabaseService off the main thread; driven by DatabaseProxy.
+ *
+ * This is a module worker: sql.js is resolved by sql-loader.js like on the
+ * main thread, with the WASM location passed in init() options.
+ */
+
+import { DatabaseService } from './database-service.js';
+import { encodeResult, encodeError } from './worker-protocol.js';
+
+const dbService = new DatabaseService();
+
+// Calls are handled one at a time, in arrival order, so nothing runs
+// against the database before init() has finished
+let queue = Promise.resolve();
+
+/**
+ * Handle a method call from the proxy
+ * @param {Object} message - { id, method, args }
+ */
+async function handleMessage({ id, method, args = [] }) {
+  try {
+    if (method === 'constructor' || typeof dbService[method] !== 'function') {
+      throw new Error(`Unknown database method: ${method}`);
+    }
+
+    const result = await dbService[method](...args);
+    const { payload, transfer } = encodeResult(result);
+
+    self.postMessage({ id, ok: true, result: payload }, transfer);
+  } catch (error) {
+    self.postMessage({ id, ok: false, error: encodeError(error) });
+  }
+}
+
+self.addEventListener('message', (event) => {
+  queue = queue.then(() => handleMessage(event.data));
+});
@@ -0,0 +1,184 @@
+/**
+ * Database Encryption
+ * Optional AES-GCM encryption (WebCrypto) of the database image before it
+ * reaches storage or leaves the app through exportDatabase().
+ *
+ * Encrypted image layout:
+ *   magic "PWADBENC" (8) | version (1) | salt (16) | iv (12) | ciphertext
+ *
+ * The header is authenticated along with the data. The salt is only used by
+ * passphrase keys (PBKDF2); images encrypted with a CryptoKey carry zeros.
+ */
+
+const MAGIC = new TextEncoder().encode('PWADBENC');
+const FORMAT_VERSION = 1;
+const SALT_LENGTH = 16;
+const IV_LENGTH = 12;
+const HEADER_LENGTH = MAGIC.length + 1 + SALT_LENGTH + IV_LENGTH;
+const PBKDF2_ITERATIONS = 310000;
+
+/**
+ * Create the error thrown when an image can't be decrypted
+ * @param {string} message
+ * @returns {Error}
+ */
+function keyError(message) {
+  const error = new Error(message);
+  error.name = 'DatabaseKeyError';
+  return error;
+}
+
+class DatabaseCipher {
+  /**
+   * @param {Object} options - Exactly one of passphrase or key
+   * @param {string} options.passphrase - Derive the key with PBKDF2-SHA-256
+   * @param {CryptoKey} options.key - AES-GCM key (may be non-extractable)
+   * @param {number} options.iterations - PBKDF2 iterations
+   */
+  constructor(options = {}) {
+    const { passphrase = null, key = null, iterations = PBKDF2_ITERATIONS } = options;
+
+    if (!passphrase === !key) {
+      throw new Error('Encryption needs either a passphrase or a CryptoKey');
+    }
+
+    if (key && (key.algorithm?.name !== 'AES-GCM' ||
+        !key.usages.includes('encrypt') || !key.usages.includes('decrypt'))) {
+      throw new Error('Encryption key must be an AES-GCM key usable for encrypt and decrypt');
+    }
+
+    this.passphrase = passphrase;
+    this.key = key;
+    this.iterations = iterations;
+
+    // Salt of the current image; kept so saves don't re-derive the key
+    this.salt = null;
+    this.derivedKeys = new Map();
+  }
+
+  /**
+   * Check if an image was written by DatabaseCipher
+   * @param {Uint8Array} data
+   * @returns {boolean}
+   */
+  static isEncrypted(data) {
+    if (!data || data.length < HEADER_LENGTH) {
+      return false;
+    }
+    return MAGIC.every((byte, i) => data[i] === byte);
+  }
+
+  /**
+   * Get the AES key for a salt
+   * @param {Uint8Array} salt
+   * @returns {Promise<CryptoKey>}
+   */
+  async getKey(salt) {
+    if (this.key) {
+      return this.key;
+    }
+
+    const cacheKey = Array.from(salt).join(',');
+
+    if (!this.derivedKeys.has(cacheKey)) {
+      const material = await crypto.subtle.importKey(
+        'raw',
+        new TextEncoder().encode(this.passphrase),
+        'PBKDF2',
+        false,
+        ['deriveKey']
+      );
+
+      const derived = await crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt, iterations: this.iterations, hash: 'SHA-256' },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+      );
+
+      this.derivedKeys.set(cacheKey, derived);
+    }
+
+    return this.derivedKeys.get(cacheKey);
+  }
+
+  /**
+   * Encrypt a database image
+   * @param {Uint8Array} data
+   * @returns {Promise<Uint8Array>}
+   */
+  async encrypt(data) {
+    if (!this.salt) {
+      this.salt = this.key
+        ? new Uint8Array(SALT_LENGTH)
+        : crypto.getRandomValues(new Uint8Array(SALT_LENGTH));
+    }
+
+    const header = new Uint8Array(HEADER_LENGTH);
+    header.set(MAGIC, 0);
+    header[MAGIC.length] = FORMAT_VERSION;
+    header.set(this.salt, MAGIC.length + 1);
+    header.set(crypto.getRandomValues(new Uint8Array(IV_LENGTH)), MAGIC.length + 1 + SALT_LENGTH);
+
+    const key = await this.getKey(this.salt);
+    const ciphertext = await crypto.subtle.encrypt(
+      {
+        name: 'AES-GCM',
+        iv: header.subarray(HEADER_LENGTH - IV_LENGTH),
+        additionalData: header
+      },
+      key,
+      data
+    );
+
+    const result = new Uint8Array(HEADER_LENGTH + ciphertext.byteLength);
+    result.set(header, 0);
+    result.set(new Uint8Array(ciphertext), HEADER_LENGTH);
+    return result;
+  }
+
+  /**
+   * Decrypt a database image
+   * @param {Uint8Array} data
+   * @returns {Promise<Uint8Array>}
+   */
+  async decrypt(data) {
+    if (!DatabaseCipher.isEncrypted(data)) {
+      throw keyError('Database image is not encrypted');
+    }
+
+    const version = data[MAGIC.length];
+    if (version !== FORMAT_VERSION) {
+      throw keyError(`Unsupported encrypted database format: ${version}`);
+    }
+
+    const header = data.subarray(0, HEADER_LENGTH);
+    const salt = data.slice(MAGIC.length + 1, MAGIC.length + 1 + SALT_LENGTH);
+    const key = await this.getKey(salt);
+
+    let plaintext;
+    try {
+      plaintext = await crypto.subtle.decrypt(
+        {
+          name: 'AES-GCM',
+          iv: header.subarray(HEADER_LENGTH - IV_LENGTH),
+          additionalData: header
+        },
+        key,
+        data.subarray(HEADER_LENGTH)
+      );
+    } catch (error) {
+      // AES-GCM fails authentication the same way for a wrong key and for
+      // tampered data
+      throw keyError('Unable to decrypt database: wrong encryption key or corrupted data');
+    }
+
+    this.salt = salt;
+    return new Uint8Array(plaintext);
+  }
+}
+
+export {
+  DatabaseCipher
+};
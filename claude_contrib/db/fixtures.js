@@ -0,0 +1,95 @@
+/**
+ * Fixtures
+ * Seed data as JSON, one file per profile in db/fixtures/ (base, dev,
+ * demo, test), applied by DatabaseService.loadFixtures().
+ *
+ *   {
+ *     "description": "Sample content for local development",
+ *     "extends": ["base"],
+ *     "tables": {
+ *       "content_pages": [
+ *         { "route": "/docs", "title": "Docs", "published": true },
+ *         { "route": "/docs/start", "title": "Getting started",
+ *           "parent_id": { "$ref": "content_pages", "route": "/docs" } }
+ *       ]
+ *     }
+ *   }
+ *
+ * Tables are filled in the order they're listed, rows in order, after the
+ * profiles they extend. Values:
+ *   { "$ref": table, column: value, ... }  id of the row matching the
+ *                                          columns (loaded earlier, or
+ *                                          already in the database)
+ *   "$uuid"                                generateUUID()
+ *   "$now"                                 getTimestamp()
+ *   objects and arrays                     stored as JSON
+ *   true / false                           1 / 0
+ * id and create_date are filled in when left out.
+ *
+ * Loading is idempotent: a row that already exists (same id, same value in
+ * a UNIQUE column set, or otherwise the same values) is left as it is, so
+ * settings changed since the first run keep their values.
+ *
+ * Profiles are plain objects, so YAML (or anything else) works too once
+ * parsed; the files shipped here are JSON so no parser is needed.
+ */
+
+/**
+ * Resolve a profile and the profiles it extends
+ * @param {string} name - Profile name
+ * @param {Function} read - async (name) => profile object
+ * @returns {Promise<Array<Object>>} Profiles in load order, each once
+ */
+async function resolveFixtureProfile(name, read) {
+  const ordered = [];
+  const seen = new Set();
+
+  const visit = async (profileName, path) => {
+    if (path.includes(profileName)) {
+      throw fixtureError(`Fixture profiles extend each other: ${[...path, profileName].join(' → ')}`);
+    }
+    if (seen.has(profileName)) return;
+
+    const profile = await read(profileName);
+    if (!profile || typeof profile !== 'object') {
+      throw fixtureError(`Fixture profile ${profileName} not found`);
+    }
+
+    for (const parent of [].concat(profile.extends || [])) {
+      await visit(parent, [...path, profileName]);
+    }
+
+    seen.add(profileName);
+    ordered.push({ name: profileName, ...profile });
+  };
+
+  await visit(name, []);
+  return ordered;
+}
+
+/**
+ * Check whether a value is a {"$ref": ...} reference
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isFixtureRef(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+    typeof value.$ref === 'string';
+}
+
+/**
+ * Create an error for a bad fixture
+ * @param {string} message
+ * @returns {Error} FixtureError
+ */
+function fixtureError(message) {
+  const error = new Error(message);
+  error.name = 'FixtureError';
+  return error;
+}
+
+export {
+  resolveFixtureProfile,
+  isFixtureRef,
+  fixtureError
+};
@@ -0,0 +1,298 @@
+/**
+ * Schema Migrations
+ * Ordered, numbered migrations applied by DatabaseService.migrate()
+ *
+ * Rules:
+ * - Never edit or renumber a migration once it has shipped; add a new one.
+ * - Keep schema.sql in step: it always describes the latest version. New
+ *   databases created from it are stamped with the highest version below,
+ *   so their migrations are never replayed.
+ * - `up` and `down` may be a SQL string or a function receiving
+ *   (db, dbService). `down` is optional, but a migration without one
+ *   cannot be rolled back.
+ */
+
+import {
+  SEARCH_SOURCES,
+  SEARCH_TABLES_SQL,
+  searchTriggersSql,
+  searchBackfillSql
+} from './search-index.js';
+
+// Same hash as the admin row in fixtures/base.json
+const ADMIN_PASSWORD_HASH = '$pbkdf2-sha256$i=600000$Db+oRMkL4H80YY5TChH7LQ$zrKho+HEB18i5ykytVs+B7MBH1k267SVxv9YbK+cYbw';
+
+const migrations = [
+  {
+    version: 1,
+    name: 'baseline',
+    description: 'Schema as shipped before versioned migrations',
+    // Databases created before migrations existed already hold these tables
+    up: '',
+    down: null
+  },
+  {
+    version: 2,
+    name: 'sync_state',
+    description: 'Key-value state for the sync engine (client id, pull cursor)',
+    up: `
+      CREATE TABLE IF NOT EXISTS sync_state (
+          key TEXT PRIMARY KEY,
+          value TEXT
+      );
+    `,
+    down: (db) => {
+      // Capture triggers read sync_state, so they have to go first
+      const triggers = db.exec(
+        "SELECT name FROM sqlite_master WHERE type = 'trigger' AND name LIKE 'trg_sync_%'"
+      );
+      (triggers[0]?.values || []).forEach(([name]) => {
+        db.run(`DROP TRIGGER IF EXISTS "${name}"`);
+      });
+      db.run('DROP TABLE IF EXISTS sync_state');
+    }
+  },
+  {
+    version: 3,
+    name: 'sync_conflicts',
+    description: 'Record versions and manual conflict queue for sync; ' +
+      'modified_date triggers keep explicitly set timestamps',
+    up: (db) => {
+      db.run(`
+        CREATE TABLE IF NOT EXISTS sync_records (
+            table_name TEXT NOT NULL,
+            record_id TEXT NOT NULL,
+            version INTEGER,
+            base_data TEXT /* JSON: row at that version */,
+            PRIMARY KEY (table_name, record_id)
+        );
+
+        CREATE TABLE IF NOT EXISTS sync_conflicts (
+            id TEXT PRIMARY KEY,
+            create_date TEXT NOT NULL,
+            table_name TEXT NOT NULL,
+            record_id TEXT NOT NULL,
+            local_data TEXT /* JSON: local row (NULL = deleted) */,
+            remote_data TEXT /* JSON: server row (NULL = deleted) */,
+            remote_version INTEGER,
+            status TEXT DEFAULT 'open',
+            resolution TEXT,
+            resolved_date TEXT
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_sync_conflicts_status ON sync_conflicts(status);
+      `);
+      replaceModifiedTriggers(db, true);
+    },
+    down: (db) => {
+      db.run(`
+        DROP TABLE IF EXISTS sync_conflicts;
+        DROP TABLE IF EXISTS sync_records;
+      `);
+      replaceModifiedTriggers(db, false);
+    }
+  },
+  {
+    version: 4,
+    name: 'change_log',
+    description: 'Row changes recorded by change-data-capture triggers (see onChange())',
+    up: `
+      CREATE TABLE IF NOT EXISTS change_log (
+          seq INTEGER PRIMARY KEY AUTOINCREMENT,
+          create_date TEXT NOT NULL,
+          table_name TEXT NOT NULL,
+          record_id TEXT,
+          operation TEXT NOT NULL
+      );
+    `,
+    down: (db) => {
+      // Capture triggers write to change_log, so they have to go first
+      const triggers = db.exec(
+        "SELECT name FROM sqlite_master WHERE type = 'trigger' AND name LIKE 'trg_cdc_%'"
+      );
+      (triggers[0]?.values || []).forEach(([name]) => {
+        db.run(`DROP TRIGGER IF EXISTS "${name}"`);
+      });
+      db.run('DROP TABLE IF EXISTS change_log');
+    }
+  },
+  {
+    version: 5,
+    name: 'expiry_views',
+    description: 'Views leave out expired sessions and pages',
+    up: (db) => replaceExpiryViews(db, true),
+    down: (db) => replaceExpiryViews(db, false)
+  },
+  {
+    version: 6,
+    name: 'search_index',
+    description: 'FTS4 full-text index over pages, logs and data records',
+    up: (db) => {
+      db.run(SEARCH_TABLES_SQL);
+      Object.keys(SEARCH_SOURCES).forEach(source => {
+        searchBackfillSql(source).forEach(sql => db.run(sql));
+        searchTriggersSql(source).forEach(sql => db.run(sql));
+      });
+    },
+    down: (db) => {
+      Object.values(SEARCH_SOURCES).forEach(({ table }) => {
+        ['insert', 'update', 'delete'].forEach(op => {
+          db.run(`DROP TRIGGER IF EXISTS trg_search_${table}_${op}`);
+        });
+      });
+      db.run(`
+        DROP TABLE IF EXISTS search_fts;
+        DROP TABLE IF EXISTS search_docs;
+      `);
+    }
+  },
+  {
+    version: 7,
+    name: 'admin_seed_password',
+    description: 'Give the seeded admin a hash that matches the documented password',
+    // The seed shipped a bcrypt hash of no known password; only that exact
+    // hash is replaced, with a PBKDF2 hash of admin123
+    up: `
+      UPDATE users
+      SET password_hash = '${ADMIN_PASSWORD_HASH}'
+      WHERE password_hash = '$2b$12$LQv3c1yqBWVHxkd0LHAkCOYz6TtxMQJqhN8/LewY5aeJxK8I7LXyS';
+    `,
+    // Nothing to undo: the old hash never matched anything
+    down: () => {}
+  },
+  {
+    version: 8,
+    name: 'roles',
+    description: 'Roles with inheritance and the permissions granted to them',
+    up: `
+      CREATE TABLE IF NOT EXISTS roles (
+          id TEXT PRIMARY KEY,
+          create_date TEXT NOT NULL,
+          parent_id TEXT,
+          description TEXT
+      );
+
+      CREATE TABLE IF NOT EXISTS role_permissions (
+          role_id TEXT NOT NULL,
+          permission TEXT NOT NULL,
+          resource TEXT NOT NULL DEFAULT '*',
+          create_date TEXT NOT NULL,
+          PRIMARY KEY (role_id, permission, resource),
+          FOREIGN KEY (role_id) REFERENCES roles(id) ON DELETE CASCADE
+      );
+    `,
+    down: `
+      DROP TABLE IF EXISTS role_permissions;
+      DROP TABLE IF EXISTS roles;
+    `
+  },
+  {
+    version: 9,
+    name: 'login_attempts',
+    description: 'Failed logins per username and device for throttling and lockout',
+    up: `
+      CREATE TABLE IF NOT EXISTS login_attempts (
+          scope TEXT NOT NULL,
+          key TEXT NOT NULL,
+          failures INTEGER NOT NULL DEFAULT 0,
+          last_failure TEXT,
+          retry_after TEXT,
+          locked_until TEXT,
+          PRIMARY KEY (scope, key)
+      );
+    `,
+    down: 'DROP TABLE IF EXISTS login_attempts'
+  },
+  {
+    version: 10,
+    name: 'forwarded_writes',
+    description: 'Last write applied for each follower tab, so resent writes are skipped',
+    up: `
+      CREATE TABLE IF NOT EXISTS forwarded_writes (
+          tab_id TEXT PRIMARY KEY,
+          request_id INTEGER NOT NULL,
+          applied_date TEXT NOT NULL
+      );
+    `,
+    down: 'DROP TABLE IF EXISTS forwarded_writes'
+  }
+];
+
+/**
+ * Rebuild the trg_<table>_modified triggers
+ * @param {Object} db - sql.js Database
+ * @param {boolean} guarded - Leave explicitly set modified_date values alone
+ *   and stamp ISO 8601 timestamps (version 3), or the original triggers
+ */
+function replaceModifiedTriggers(db, guarded) {
+  const tables = [
+    'kv_settings', 'users', 'sessions', 'content_pages',
+    'data_records', 'webhooks', 'api_endpoints'
+  ];
+
+  tables.forEach(table => {
+    db.run(`DROP TRIGGER IF EXISTS trg_${table}_modified`);
+    db.run(`
+      CREATE TRIGGER trg_${table}_modified
+      AFTER UPDATE ON ${table}
+      FOR EACH ROW
+      ${guarded ? 'WHEN NEW.modified_date IS OLD.modified_date' : ''}
+      BEGIN
+          UPDATE ${table}
+          SET modified_date = ${guarded ? "strftime('%Y-%m-%dT%H:%M:%fZ', 'now')" : "datetime('now')"}
+          WHERE id = NEW.id;
+      END
+    `);
+  });
+}
+
+/**
+ * Rebuild the views that filter on expiry_date
+ * @param {Object} db - sql.js Database
+ * @param {boolean} julian - Compare dates as julian days and leave out
+ *   expired pages (version 5), or the original text comparison
+ */
+function replaceExpiryViews(db, julian) {
+  db.run(`
+    DROP VIEW IF EXISTS v_active_sessions;
+    DROP VIEW IF EXISTS v_published_content;
+
+    CREATE VIEW v_active_sessions AS
+    SELECT
+        s.id,
+        s.create_date,
+        s.expiry_date,
+        s.last_activity,
+        s.user_id,
+        u.username,
+        u.email,
+        u.display_name,
+        s.device_info,
+        s.ip_address
+    FROM sessions s
+    JOIN users u ON s.user_id = u.id
+    WHERE s.active = 1
+      AND ${julian ? "julianday(s.expiry_date) > julianday('now')" : "s.expiry_date > datetime('now')"};
+
+    CREATE VIEW v_published_content AS
+    SELECT
+        cp.id,
+        cp.route,
+        cp.title,
+        cp.content_type,
+        cp.create_date,
+        cp.modified_date,
+        cp.parent_id,
+        cp.sort_order,
+        cp.metadata,
+        parent.title as parent_title,
+        parent.route as parent_route
+    FROM content_pages cp
+    LEFT JOIN content_pages parent ON cp.parent_id = parent.id
+    WHERE cp.published = 1
+      AND cp.active = 1
+      ${julian ? "AND (cp.expiry_date IS NULL OR julianday(cp.expiry_date) > julianday('now'))" : ''};
+  `);
+}
+
+export default migrations;
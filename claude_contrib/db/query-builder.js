@@ -0,0 +1,702 @@
+/**
+ * Query Builder
+ * Fluent, parameterized queries for a single table:
+ *
+ *   db.table('users').where({ active: 1 }).orderBy('username').select();
+ *   db.table('webhooks').where({ id }).update({ events: ['user.created'] });
+ *
+ * Column names are checked against the live schema before they reach SQL,
+ * and columns documented as JSON in schema.sql are encoded on write and
+ * decoded on read. Fields inside JSON columns can be filtered and sorted on:
+ *
+ *   db.table('data_records')
+ *     .whereJson('json_data', 'status', 'open')
+ *     .whereContains('tags', ['urgent'])
+ *     .orderByJson('json_data', 'priority', 'DESC')
+ *     .cursorPage(20, cursor);
+ */
+
+const OPERATORS = [
+  '=', '!=', '<>', '<', '<=', '>', '>=',
+  'LIKE', 'NOT LIKE', 'IN', 'NOT IN', 'IS', 'IS NOT'
+];
+
+class QueryBuilder {
+  /**
+   * @param {Object} db - DatabaseService
+   * @param {string} table - Table or view name
+   */
+  constructor(db, table) {
+    this.db = db;
+    this.tableName = table;
+    this.schema = db.getTableSchema(table);
+    this.conditions = [];
+    this.params = [];
+    this.order = [];
+    this.limitCount = null;
+    this.offsetCount = null;
+  }
+
+  // ============================================================================
+  // BUILDING
+  // ============================================================================
+
+  /**
+   * Add conditions (combined with AND)
+   *
+   *   .where({ active: 1, role: ['admin', 'editor'], deleted_date: null })
+   *   .where('create_date', '>=', since)
+   *
+   * @param {Object|string} column - Column/value map, or a column name
+   * @param {string} operator - Comparison operator (with a column name)
+   * @param {*} value - Value to compare against (with a column name)
+   * @returns {QueryBuilder}
+   */
+  where(column, operator, value) {
+    if (column && typeof column === 'object') {
+      Object.entries(column).forEach(([key, val]) => {
+        if (val === null) {
+          this.addCondition(key, 'IS', null);
+        } else if (Array.isArray(val)) {
+          this.addCondition(key, 'IN', val);
+        } else {
+          this.addCondition(key, '=', val);
+        }
+      });
+      return this;
+    }
+
+    if (arguments.length === 2) {
+      this.addCondition(column, '=', operator);
+    } else {
+      this.addCondition(column, operator, value);
+    }
+
+    return this;
+  }
+
+  /**
+   * Add one checked condition
+   * @param {string} column
+   * @param {string} operator
+   * @param {*} value
+   */
+  addCondition(column, operator, value) {
+    this.addExpressionCondition(this.quoteColumn(column), [], operator, value);
+  }
+
+  /**
+   * Add one condition on an SQL expression built from checked columns
+   * @param {string} col - Quoted column or expression
+   * @param {Array} expressionParams - Parameters used by the expression
+   * @param {string} operator
+   * @param {*} value
+   */
+  addExpressionCondition(col, expressionParams, operator, value) {
+    const op = String(operator).toUpperCase();
+
+    if (!OPERATORS.includes(op)) {
+      throw new Error(`Unsupported operator: ${operator}`);
+    }
+
+    if (op === 'IN' || op === 'NOT IN') {
+      if (!Array.isArray(value)) {
+        throw new Error(`${op} needs an array of values`);
+      }
+
+      if (value.length === 0) {
+        // Nothing matches IN (); everything matches NOT IN ()
+        this.conditions.push(op === 'IN' ? '0' : '1');
+        return;
+      }
+
+      this.conditions.push(`${col} ${op} (${value.map(() => '?').join(', ')})`);
+      this.params.push(...expressionParams, ...value);
+      return;
+    }
+
+    this.conditions.push(`${col} ${op} ?`);
+    this.params.push(...expressionParams, value);
+  }
+
+  /**
+   * Add a condition on a field inside a JSON column
+   *
+   *   .whereJson('json_data', 'status', 'open')
+   *   .whereJson('json_data', 'owner.name', 'LIKE', 'S%')
+   *   .whereJson('json_data', 'items.0.qty', '>', 2)
+   *
+   * @param {string} column - JSON column
+   * @param {string} path - Dotted path ('a.b.0') or a JSON path ('$.a.b[0]')
+   * @param {string} operator - Comparison operator (or the value, with 3 arguments)
+   * @param {*} value
+   * @returns {QueryBuilder}
+   */
+  whereJson(column, path, operator, value) {
+    if (arguments.length === 3) {
+      value = operator;
+      operator = value === null ? 'IS' : '=';
+    }
+
+    // json_extract() returns true/false as 1/0
+    const toSql = val => (typeof val === 'boolean' ? (val ? 1 : 0) : val);
+
+    this.addExpressionCondition(
+      `json_extract(${this.quoteJsonColumn(column)}, ?)`,
+      [this.toJsonPath(path)],
+      operator,
+      Array.isArray(value) ? value.map(toSql) : toSql(value)
+    );
+    return this;
+  }
+
+  /**
+   * Keep rows whose JSON array column contains the given values
+   * @param {string} column - JSON array column (e.g. tags)
+   * @param {Array|*} values
+   * @param {string} mode - 'all' (every value) or 'any' (at least one)
+   * @returns {QueryBuilder}
+   */
+  whereContains(column, values, mode = 'all') {
+    const list = Array.isArray(values) ? values : [values];
+    const col = this.quoteJsonColumn(column);
+
+    if (mode !== 'all' && mode !== 'any') {
+      throw new Error(`Invalid match mode: ${mode}`);
+    }
+
+    if (list.length === 0) {
+      return this;
+    }
+
+    if (mode === 'any') {
+      this.conditions.push(
+        `EXISTS (SELECT 1 FROM json_each(${col}) WHERE json_each.value IN (${list.map(() => '?').join(', ')}))`
+      );
+      this.params.push(...list);
+      return this;
+    }
+
+    list.forEach(item => {
+      this.conditions.push(`EXISTS (SELECT 1 FROM json_each(${col}) WHERE json_each.value = ?)`);
+      this.params.push(item);
+    });
+    return this;
+  }
+
+  /**
+   * Skip rows whose expiry date has passed (NULL never expires). Dates may
+   * be ISO 8601 or SQLite's 'YYYY-MM-DD HH:MM:SS', so they are compared as
+   * julian days rather than as text.
+   * @param {string} column
+   * @returns {QueryBuilder}
+   */
+  notExpired(column = 'expiry_date') {
+    const col = this.quoteColumn(column);
+    this.conditions.push(`(${col} IS NULL OR julianday(${col}) > julianday('now'))`);
+    return this;
+  }
+
+  /**
+   * Order results
+   * @param {string} column
+   * @param {string} direction - 'ASC' or 'DESC'
+   * @returns {QueryBuilder}
+   */
+  orderBy(column, direction = 'ASC') {
+    const dir = String(direction).toUpperCase();
+
+    if (dir !== 'ASC' && dir !== 'DESC') {
+      throw new Error(`Invalid sort direction: ${direction}`);
+    }
+
+    this.order.push({ sql: this.quoteColumn(column), params: [], dir });
+    return this;
+  }
+
+  /**
+   * Order results by a field inside a JSON column
+   * @param {string} column - JSON column
+   * @param {string} path - Dotted path or JSON path
+   * @param {string} direction - 'ASC' or 'DESC'
+   * @returns {QueryBuilder}
+   */
+  orderByJson(column, path, direction = 'ASC') {
+    const dir = String(direction).toUpperCase();
+
+    if (dir !== 'ASC' && dir !== 'DESC') {
+      throw new Error(`Invalid sort direction: ${direction}`);
+    }
+
+    this.order.push({
+      sql: `json_extract(${this.quoteJsonColumn(column)}, ?)`,
+      params: [this.toJsonPath(path)],
+      dir
+    });
+    return this;
+  }
+
+  /**
+   * Limit the number of rows
+   * @param {number} count
+   * @returns {QueryBuilder}
+   */
+  limit(count) {
+    this.limitCount = this.toInteger(count, 'limit');
+    return this;
+  }
+
+  /**
+   * Skip rows
+   * @param {number} count
+   * @returns {QueryBuilder}
+   */
+  offset(count) {
+    this.offsetCount = this.toInteger(count, 'offset');
+    return this;
+  }
+
+  // ============================================================================
+  // READING
+  // ============================================================================
+
+  /**
+   * Fetch matching rows with JSON columns decoded
+   * @param {Array<string>} columns - Columns to return (default: all)
+   * @returns {Array<Object>}
+   */
+  select(columns = null) {
+    const list = columns && columns.length > 0
+      ? columns.map(col => this.quoteColumn(col)).join(', ')
+      : '*';
+
+    let sql = `SELECT ${list} FROM ${this.quoteTable()}${this.whereClause()}${this.orderClause()}`;
+
+    if (this.limitCount !== null || this.offsetCount !== null) {
+      sql += ` LIMIT ${this.limitCount ?? -1}`;
+      if (this.offsetCount !== null) {
+        sql += ` OFFSET ${this.offsetCount}`;
+      }
+    }
+
+    return this.db.getAll(sql, [...this.params, ...this.orderParams()])
+      .map(row => this.decodeRow(row));
+  }
+
+  /**
+   * Fetch the first matching row
+   * @param {Array<string>} columns
+   * @returns {Object|null}
+   */
+  first(columns = null) {
+    const previous = this.limitCount;
+    this.limitCount = 1;
+
+    try {
+      return this.select(columns)[0] || null;
+    } finally {
+      this.limitCount = previous;
+    }
+  }
+
+  /**
+   * Count matching rows
+   * @returns {number}
+   */
+  count() {
+    const row = this.db.getOne(
+      `SELECT COUNT(*) AS count FROM ${this.quoteTable()}${this.whereClause()}`,
+      this.params
+    );
+    return row ? row.count : 0;
+  }
+
+  /**
+   * Fetch one page of matching rows
+   * @param {number} page - 1-based page number
+   * @param {number} perPage - Rows per page
+   * @returns {Object} { data, page, perPage, total, totalPages }
+   */
+  paginate(page = 1, perPage = 20) {
+    const pageNumber = Math.max(1, this.toInteger(page, 'page'));
+    const size = Math.max(1, this.toInteger(perPage, 'perPage'));
+    const total = this.count();
+
+    const data = this.limit(size)
+      .offset((pageNumber - 1) * size)
+      .select();
+
+    return {
+      data,
+      page: pageNumber,
+      perPage: size,
+      total,
+      totalPages: Math.ceil(total / size)
+    };
+  }
+
+  /**
+   * Fetch one page after a cursor (keyset pagination). Unlike offsets,
+   * cursors stay correct while rows are added or removed. The sort order
+   * gets the id column as a tie-breaker.
+   * @param {number} perPage - Rows per page
+   * @param {string|null} cursor - nextCursor of the previous page
+   * @returns {Object} { data, nextCursor, hasMore }
+   */
+  cursorPage(perPage = 20, cursor = null) {
+    const size = Math.max(1, this.toInteger(perPage, 'perPage'));
+    const order = [...this.order];
+
+    if (this.schema.columns.has('id') && !order.some(entry => entry.sql === '"id"')) {
+      order.push({ sql: '"id"', params: [], dir: 'ASC' });
+    }
+    if (order.length === 0) {
+      throw new Error(`cursorPage() on ${this.tableName} needs an orderBy()`);
+    }
+
+    const conditions = [...this.conditions];
+    const params = [...this.params];
+
+    if (cursor) {
+      const values = this.decodeCursor(cursor);
+      if (values.length !== order.length) {
+        throw new Error('Cursor does not match this query');
+      }
+
+      const { sql, params: seekParams } = this.seekCondition(order, values);
+      conditions.push(sql);
+      params.push(...seekParams);
+    }
+
+    const sortColumns = order.map((entry, i) => `${entry.sql} AS "__sort${i}"`).join(', ');
+    const orderParams = order.flatMap(entry => entry.params);
+
+    let sql = `SELECT *, ${sortColumns} FROM ${this.quoteTable()}`;
+    if (conditions.length > 0) {
+      sql += ` WHERE ${conditions.join(' AND ')}`;
+    }
+    sql += ` ORDER BY ${order.map(entry => `${entry.sql} ${entry.dir}`).join(', ')} LIMIT ${size + 1}`;
+
+    const rows = this.db.getAll(sql, [...orderParams, ...params, ...orderParams]);
+    const hasMore = rows.length > size;
+    const page = rows.slice(0, size);
+
+    const last = page[page.length - 1];
+    const nextCursor = hasMore
+      ? this.encodeCursor(order.map((entry, i) => last[`__sort${i}`]))
+      : null;
+
+    const data = page.map(row => {
+      order.forEach((entry, i) => delete row[`__sort${i}`]);
+      return this.decodeRow(row);
+    });
+
+    return { data, nextCursor, hasMore };
+  }
+
+  // ============================================================================
+  // WRITING
+  // ============================================================================
+
+  /**
+   * Insert a row. Fills id (UUID) and create_date when the table has
+   * those columns and they aren't given.
+   * @param {Object} data
+   * @returns {string|null} The row id, if the table has an id column
+   */
+  insert(data) {
+    const row = { ...data };
+
+    if (this.schema.columns.has('id') && row.id === undefined) {
+      row.id = this.db.generateUUID();
+    }
+    if (this.schema.columns.has('create_date') && row.create_date === undefined) {
+      row.create_date = this.db.getTimestamp();
+    }
+
+    const keys = Object.keys(row);
+    if (keys.length === 0) {
+      throw new Error('Nothing to insert');
+    }
+
+    this.db.run(
+      `INSERT INTO ${this.quoteTable()} (${keys.map(key => this.quoteColumn(key)).join(', ')})
+       VALUES (${keys.map(() => '?').join(', ')})`,
+      keys.map(key => this.encodeValue(key, row[key]))
+    );
+
+    return row.id ?? null;
+  }
+
+  /**
+   * Update matching rows. Sets modified_date when the table has that
+   * column and it isn't given. Requires a where() clause.
+   * @param {Object} data - Column/value map
+   * @returns {number} Rows changed
+   */
+  update(data) {
+    this.requireConditions('update');
+
+    const row = { ...data };
+
+    if (this.schema.columns.has('modified_date') && row.modified_date === undefined) {
+      row.modified_date = this.db.getTimestamp();
+    }
+
+    const keys = Object.keys(row);
+    if (keys.length === 0) {
+      return 0;
+    }
+
+    this.db.run(
+      `UPDATE ${this.quoteTable()}
+       SET ${keys.map(key => `${this.quoteColumn(key)} = ?`).join(', ')}${this.whereClause()}`,
+      [...keys.map(key => this.encodeValue(key, row[key])), ...this.params]
+    );
+
+    return this.changes();
+  }
+
+  /**
+   * Delete matching rows. Requires a where() clause.
+   * @returns {number} Rows deleted
+   */
+  delete() {
+    this.requireConditions('delete');
+
+    this.db.run(`DELETE FROM ${this.quoteTable()}${this.whereClause()}`, this.params);
+
+    return this.changes();
+  }
+
+  // ============================================================================
+  // HELPERS
+  // ============================================================================
+
+  /**
+   * Rows changed by the last statement
+   * @returns {number}
+   */
+  changes() {
+    const row = this.db.getOne('SELECT changes() AS count');
+    return row ? row.count : 0;
+  }
+
+  /**
+   * Build the WHERE clause
+   * @returns {string}
+   */
+  whereClause() {
+    return this.conditions.length > 0 ? ` WHERE ${this.conditions.join(' AND ')}` : '';
+  }
+
+  /**
+   * Build the ORDER BY clause
+   * @returns {string}
+   */
+  orderClause() {
+    return this.order.length > 0
+      ? ` ORDER BY ${this.order.map(entry => `${entry.sql} ${entry.dir}`).join(', ')}`
+      : '';
+  }
+
+  /**
+   * Parameters used by the ORDER BY clause
+   * @returns {Array}
+   */
+  orderParams() {
+    return this.order.flatMap(entry => entry.params);
+  }
+
+  /**
+   * Build the condition selecting rows that sort after the given values.
+   * NULLs sort first, so they come before any value ascending and after
+   * every value descending.
+   * @param {Array<Object>} order - { sql, params, dir } entries
+   * @param {Array} values - Sort values of the last row seen
+   * @returns {Object} { sql, params }
+   */
+  seekCondition(order, values) {
+    const branches = [];
+    const params = [];
+
+    order.forEach((entry, i) => {
+      const value = values[i];
+      const parts = [];
+      const branchParams = [];
+
+      order.slice(0, i).forEach((previous, j) => {
+        parts.push(`${previous.sql} IS ?`);
+        branchParams.push(...previous.params, values[j]);
+      });
+
+      if (value === null) {
+        if (entry.dir === 'DESC') return; // Nothing sorts after NULL
+        parts.push(`${entry.sql} IS NOT NULL`);
+        branchParams.push(...entry.params);
+      } else if (entry.dir === 'ASC') {
+        parts.push(`${entry.sql} > ?`);
+        branchParams.push(...entry.params, value);
+      } else {
+        parts.push(`(${entry.sql} < ? OR ${entry.sql} IS NULL)`);
+        branchParams.push(...entry.params, value, ...entry.params);
+      }
+
+      branches.push(`(${parts.join(' AND ')})`);
+      params.push(...branchParams);
+    });
+
+    return { sql: branches.length > 0 ? `(${branches.join(' OR ')})` : '0', params };
+  }
+
+  /**
+   * Encode sort values as an opaque cursor
+   * @param {Array} values
+   * @returns {string}
+   */
+  encodeCursor(values) {
+    const bytes = new TextEncoder().encode(JSON.stringify(values));
+    return btoa(String.fromCharCode(...bytes));
+  }
+
+  /**
+   * Decode a cursor made by encodeCursor()
+   * @param {string} cursor
+   * @returns {Array}
+   */
+  decodeCursor(cursor) {
+    try {
+      const bytes = Uint8Array.from(atob(cursor), char => char.charCodeAt(0));
+      const values = JSON.parse(new TextDecoder().decode(bytes));
+      if (Array.isArray(values)) {
+        return values;
+      }
+    } catch (error) {
+      // Fall through to the error below
+    }
+    throw new Error('Invalid cursor');
+  }
+
+  /**
+   * Refuse to touch every row by accident
+   * @param {string} action
+   */
+  requireConditions(action) {
+    if (this.conditions.length === 0) {
+      throw new Error(`Refusing to ${action} every row of ${this.tableName}; add a where() clause`);
+    }
+  }
+
+  /**
+   * Check a column against the schema and quote it
+   * @param {string} column
+   * @returns {string}
+   */
+  quoteColumn(column) {
+    if (!this.schema.columns.has(column)) {
+      throw new Error(`Unknown column "${column}" in table "${this.tableName}"`);
+    }
+    return `"${column}"`;
+  }
+
+  /**
+   * Check that a column holds JSON and quote it
+   * @param {string} column
+   * @returns {string}
+   */
+  quoteJsonColumn(column) {
+    const quoted = this.quoteColumn(column);
+    if (!this.schema.jsonColumns.has(column)) {
+      throw new Error(`Column "${column}" in table "${this.tableName}" does not hold JSON`);
+    }
+    return quoted;
+  }
+
+  /**
+   * Turn a dotted path ('owner.name', 'items.0') into a JSON path
+   * ('$.owner.name', '$.items[0]'); JSON paths are checked and kept
+   * @param {string} path
+   * @returns {string}
+   */
+  toJsonPath(path) {
+    const text = String(path);
+
+    if (text.startsWith('$')) {
+      if (!/^\$(\.[A-Za-z_]\w*|\[\d+\])*$/.test(text)) {
+        throw new Error(`Invalid JSON path: ${path}`);
+      }
+      return text;
+    }
+
+    return '$' + text.split('.').map(part => {
+      if (/^\d+$/.test(part)) return `[${part}]`;
+      if (/^[A-Za-z_]\w*$/.test(part)) return `.${part}`;
+      throw new Error(`Invalid JSON path: ${path}`);
+    }).join('');
+  }
+
+  /**
+   * Quote the (already checked) table name
+   * @returns {string}
+   */
+  quoteTable() {
+    return `"${this.tableName}"`;
+  }
+
+  /**
+   * Validate a non-negative integer
+   * @param {*} value
+   * @param {string} name
+   * @returns {number}
+   */
+  toInteger(value, name) {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 0) {
+      throw new Error(`${name} must be a non-negative integer`);
+    }
+    return number;
+  }
+
+  /**
+   * Encode a value for storage. Strings given for JSON columns are taken
+   * to be JSON text already and stored as they are.
+   * @param {string} column
+   * @param {*} value
+   * @returns {*}
+   */
+  encodeValue(column, value) {
+    if (value === undefined || value === null) {
+      return null;
+    }
+
+    if (this.schema.jsonColumns.has(column) && typeof value !== 'string') {
+      return JSON.stringify(value);
+    }
+
+    if (typeof value === 'boolean') {
+      return value ? 1 : 0;
+    }
+
+    return value;
+  }
+
+  /**
+   * Decode JSON columns of a row
+   * @param {Object} row
+   * @returns {Object}
+   */
+  decodeRow(row) {
+    this.schema.jsonColumns.forEach(column => {
+      if (typeof row[column] === 'string') {
+        try {
+          row[column] = JSON.parse(row[column]);
+        } catch (error) {
+          // Not JSON (e.g. written by hand); leave the raw text
+        }
+      }
+    });
+    return row;
+  }
+}
+
+export default QueryBuilder;
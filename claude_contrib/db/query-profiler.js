@@ -0,0 +1,216 @@
+/**
+ * Query Profiler
+ * Opt-in timing for DatabaseService.exec() and run() (and so getAll(),
+ * getOne() and the query builder). Statements are grouped by fingerprint:
+ * the SQL with literals replaced by ? and whitespace collapsed, so
+ *   SELECT * FROM logs WHERE level = 'error' LIMIT 10
+ *   SELECT * FROM logs WHERE level = 'warn' LIMIT 50
+ * count as one statement.
+ *
+ * Calls slower than the threshold go to the slow-query log with their
+ * EXPLAIN QUERY PLAN and warnings read from the plan:
+ *   full table scans (with a hint when json_extract() is the filter)
+ *   temporary B-trees for ORDER BY / GROUP BY / DISTINCT
+ */
+
+/**
+ * Collects timings per statement fingerprint
+ */
+class QueryProfiler {
+  /**
+   * @param {Object} options
+   * @param {number} options.threshold - Slow query threshold in ms
+   * @param {boolean} options.explain - Record EXPLAIN QUERY PLAN for slow queries
+   * @param {boolean} options.captureParams - Keep bound values in the slow-query log
+   * @param {number} options.slowLogSize - Slow queries kept (oldest dropped first)
+   * @param {Function} options.onSlowQuery - Called with each slow-query entry
+   */
+  constructor(options = {}) {
+    const {
+      threshold = 50,
+      explain = true,
+      captureParams = false,
+      slowLogSize = 100,
+      onSlowQuery = null
+    } = options;
+
+    this.threshold = threshold;
+    this.explain = explain;
+    this.captureParams = captureParams;
+    this.slowLogSize = slowLogSize;
+    this.onSlowQuery = onSlowQuery;
+
+    this.statements = new Map(); // fingerprint → stats
+    this.slowLog = [];
+    this.startDate = new Date().toISOString();
+  }
+
+  /**
+   * Check whether a duration counts as slow
+   * @param {number} duration - ms
+   * @returns {boolean}
+   */
+  isSlow(duration) {
+    return duration >= this.threshold;
+  }
+
+  /**
+   * Record one call
+   * @param {Object} call
+   * @param {string} call.sql
+   * @param {Array} call.params
+   * @param {number} call.duration - ms
+   * @param {number} call.rows - Rows returned (queries) or changed (writes)
+   * @param {Array<Object>} call.plan - EXPLAIN QUERY PLAN rows, for slow calls
+   */
+  record({ sql, params = [], duration, rows = 0, plan = null }) {
+    const fingerprint = fingerprintSql(sql);
+    let stats = this.statements.get(fingerprint);
+
+    if (!stats) {
+      stats = {
+        fingerprint,
+        calls: 0,
+        totalMs: 0,
+        maxMs: 0,
+        rows: 0,
+        slowCalls: 0,
+        plan: null,
+        warnings: []
+      };
+      this.statements.set(fingerprint, stats);
+    }
+
+    stats.calls++;
+    stats.totalMs += duration;
+    stats.maxMs = Math.max(stats.maxMs, duration);
+    stats.rows += rows;
+
+    if (!this.isSlow(duration)) return;
+
+    const warnings = plan ? analyzePlan(plan, sql) : [];
+    stats.slowCalls++;
+    if (plan) {
+      stats.plan = plan;
+      stats.warnings = warnings;
+    }
+
+    const entry = {
+      date: new Date().toISOString(),
+      fingerprint,
+      sql,
+      params: this.captureParams ? params : undefined,
+      duration,
+      rows,
+      plan,
+      warnings
+    };
+
+    this.slowLog.push(entry);
+    if (this.slowLog.length > this.slowLogSize) {
+      this.slowLog.shift();
+    }
+
+    if (this.onSlowQuery) {
+      try {
+        this.onSlowQuery(entry);
+      } catch (error) {
+        console.error('onSlowQuery callback failed:', error);
+      }
+    }
+  }
+
+  /**
+   * Statements with their totals, slowest first
+   * @param {Object} options
+   * @param {string} options.sortBy - 'totalMs', 'avgMs', 'maxMs', 'calls' or 'rows'
+   * @param {number} options.limit
+   * @returns {Array<Object>}
+   */
+  report(options = {}) {
+    const { sortBy = 'totalMs', limit = null } = options;
+
+    const rows = [...this.statements.values()]
+      .map(stats => ({
+        ...stats,
+        avgMs: stats.totalMs / stats.calls,
+        warnings: [...stats.warnings]
+      }))
+      .sort((a, b) => b[sortBy] - a[sortBy]);
+
+    return limit ? rows.slice(0, limit) : rows;
+  }
+
+  /**
+   * Forget everything recorded so far
+   */
+  reset() {
+    this.statements.clear();
+    this.slowLog = [];
+    this.startDate = new Date().toISOString();
+  }
+}
+
+/**
+ * Reduce a statement to its shape: comments dropped, literals replaced by
+ * ?, IN lists folded and whitespace collapsed
+ * @param {string} sql
+ * @returns {string}
+ */
+function fingerprintSql(sql) {
+  return sql
+    .replace(/--[^\n]*/g, ' ')
+    .replace(/\/\*[\s\S]*?\*\//g, ' ')
+    .replace(/'(?:[^']|'')*'/g, '?')
+    .replace(/\b\d+(?:\.\d+)?\b/g, '?')
+    .replace(/\s+/g, ' ')
+    .replace(/\(\s*\?(?:\s*,\s*\?)+\s*\)/g, '(?, ...)')
+    .trim();
+}
+
+/**
+ * Warnings for a query plan
+ * @param {Array<Object>} plan - EXPLAIN QUERY PLAN rows ({ detail })
+ * @param {string} sql - The statement, to name aliased tables and spot json_extract()
+ * @returns {Array<string>}
+ */
+function analyzePlan(plan, sql) {
+  const warnings = [];
+
+  plan.forEach(({ detail }) => {
+    const scan = detail.match(/^SCAN (\w+)$/);
+    if (scan) {
+      const table = resolveAlias(scan[1], sql);
+      const jsonColumn = sql.match(/json_extract\(\s*(?:\w+\.)?"?(\w+)"?/i);
+
+      warnings.push(jsonColumn
+        ? `Full scan of ${table}: json_extract() on ${jsonColumn[1]} can't use an index; ` +
+          `add an expression index on ${table}(json_extract(${jsonColumn[1]}, '$.…'))`
+        : `Full scan of ${table}: no index matches the filter`);
+    }
+
+    const sort = detail.match(/^USE TEMP B-TREE FOR (.+)$/);
+    if (sort) {
+      warnings.push(`Sorts in a temporary B-tree for ${sort[1]}; an index on those columns avoids it`);
+    }
+  });
+
+  return warnings;
+}
+
+/**
+ * Name of the table behind an alias ("FROM webhooks w" → webhooks)
+ * @param {string} name - Table or alias from the plan
+ * @param {string} sql
+ * @returns {string}
+ */
+function resolveAlias(name, sql) {
+  const match = sql.match(new RegExp(`\\b(?:FROM|JOIN)\\s+"?(\\w+)"?\\s+(?:AS\\s+)?${name}\\b`, 'i'));
+  return match ? match[1] : name;
+}
+
+export {
+  QueryProfiler,
+  fingerprintSql,
+  analyzePlan
+};
@@ -4,6 +4,18 @@
 -- This schema supports offline-first PWA with sync capabilities
 -- All tables follow consistent patterns for UUIDs, timestamps, and lifecycle
 
+-- ============================================================================
+-- SCHEMA VERSIONING
+-- ============================================================================
+
+-- One row per applied migration (see migrations.js)
+-- New databases created from this file are stamped with the latest version
+CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,       -- Migration number
+    name TEXT NOT NULL,                -- Migration name
+    applied_date TEXT NOT NULL         -- ISO 8601 timestamp
+);
+
 -- ============================================================================
 -- SETTINGS AND CONFIGURATION
 -- ============================================================================
@@ -38,10 +50,10 @@ CREATE TABLE IF NOT EXISTS users (
     expiry_date TEXT,                  -- ISO 8601 timestamp (NULL = never expires)
     username TEXT UNIQUE NOT NULL,
     email TEXT UNIQUE,
-    password_hash TEXT,                -- Hashed password (bcrypt/scrypt)
+    password_hash TEXT,                -- Hashed password (PBKDF2, PHC format)
     display_name TEXT,
     avatar_url TEXT,
-    role TEXT DEFAULT 'user',          -- 'admin', 'user', 'guest'
+    role TEXT DEFAULT 'user',          -- Primary role (roles.id); more in user_roles
     active INTEGER DEFAULT 1,          -- Boolean: 1=active, 0=inactive
     last_login TEXT,                   -- ISO 8601 timestamp
     preferences TEXT,                  -- JSON blob for user preferences
@@ -52,6 +64,35 @@ CREATE INDEX IF NOT EXISTS idx_users_username ON users(username);
 CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
 CREATE INDEX IF NOT EXISTS idx_users_active ON users(active);
 
+-- Roles; users.role and user_roles.role_id hold the id
+CREATE TABLE IF NOT EXISTS roles (
+    id TEXT PRIMARY KEY,               -- Role name, e.g. 'editor'
+    create_date TEXT NOT NULL,         -- ISO 8601 timestamp
+    parent_id TEXT,                    -- Role whose permissions this one inherits
+    description TEXT
+);
+
+-- Permissions granted to roles
+CREATE TABLE IF NOT EXISTS role_permissions (
+    role_id TEXT NOT NULL,
+    permission TEXT NOT NULL,          -- e.g. 'pages:write'; 'pages:*' or '*' for a group or all
+    resource TEXT NOT NULL DEFAULT '*', -- Route or id; '*' = all, '/docs/*' = prefix
+    create_date TEXT NOT NULL,         -- ISO 8601 timestamp
+    PRIMARY KEY (role_id, permission, resource),
+    FOREIGN KEY (role_id) REFERENCES roles(id) ON DELETE CASCADE
+);
+
+-- Failed logins per username and per device, for throttling and lockout
+CREATE TABLE IF NOT EXISTS login_attempts (
+    scope TEXT NOT NULL,               -- 'username' or 'device'
+    key TEXT NOT NULL,                 -- Username or device id
+    failures INTEGER NOT NULL DEFAULT 0,
+    last_failure TEXT,                 -- ISO 8601 timestamp
+    retry_after TEXT,                  -- ISO 8601 timestamp (NULL = no delay)
+    locked_until TEXT,                 -- ISO 8601 timestamp (NULL = not locked)
+    PRIMARY KEY (scope, key)
+);
+
 -- ============================================================================
 -- SESSION MANAGEMENT
 -- ============================================================================
@@ -250,7 +291,7 @@ CREATE TABLE IF NOT EXISTS sync_queue (
     table_name TEXT NOT NULL,          -- Which table
     record_id TEXT NOT NULL,           -- Which record
     data TEXT,                         -- JSON: the data to sync
-    status TEXT DEFAULT 'pending',     -- 'pending', 'syncing', 'synced', 'failed'
+    status TEXT DEFAULT 'pending',     -- 'pending', 'syncing', 'failed' (acknowledged items are deleted)
     retry_count INTEGER DEFAULT 0,
     last_attempt TEXT,                 -- ISO 8601 timestamp
     error_message TEXT,
@@ -262,6 +303,157 @@ CREATE INDEX IF NOT EXISTS idx_sync_queue_status ON sync_queue(status);
 CREATE INDEX IF NOT EXISTS idx_sync_queue_priority ON sync_queue(priority);
 CREATE INDEX IF NOT EXISTS idx_sync_queue_create_date ON sync_queue(create_date);
 
+-- Sync engine state (see plugins/sync-plugin.js)
+-- Capture triggers (trg_sync_*) are created at runtime for each synced table
+CREATE TABLE IF NOT EXISTS sync_state (
+    key TEXT PRIMARY KEY,              -- 'client_id', 'pull_cursor', 'capture_paused'
+    value TEXT
+);
+
+-- Last version of each synced record acknowledged by the server, and the
+-- row as it was then (the common base for field-level merges)
+CREATE TABLE IF NOT EXISTS sync_records (
+    table_name TEXT NOT NULL,
+    record_id TEXT NOT NULL,
+    version INTEGER,                   -- Server version
+    base_data TEXT,                    -- JSON: row at that version
+    PRIMARY KEY (table_name, record_id)
+);
+
+-- Conflicts waiting for a manual decision
+CREATE TABLE IF NOT EXISTS sync_conflicts (
+    id TEXT PRIMARY KEY,               -- UUID
+    create_date TEXT NOT NULL,         -- ISO 8601 timestamp
+    table_name TEXT NOT NULL,
+    record_id TEXT NOT NULL,
+    local_data TEXT,                   -- JSON: local row (NULL = deleted)
+    remote_data TEXT,                  -- JSON: server row (NULL = deleted)
+    remote_version INTEGER,
+    status TEXT DEFAULT 'open',        -- 'open', 'resolved'
+    resolution TEXT,                   -- 'local', 'remote', 'merged'
+    resolved_date TEXT                 -- ISO 8601 timestamp
+);
+
+CREATE INDEX IF NOT EXISTS idx_sync_conflicts_status ON sync_conflicts(status);
+
+-- ============================================================================
+-- CHANGE LOG (Change data capture)
+-- ============================================================================
+
+-- Row changes, written by capture triggers (trg_cdc_*) that
+-- DatabaseService.onChange() creates at runtime for each watched table
+CREATE TABLE IF NOT EXISTS change_log (
+    seq INTEGER PRIMARY KEY AUTOINCREMENT,
+    create_date TEXT NOT NULL,         -- ISO 8601 timestamp
+    table_name TEXT NOT NULL,
+    record_id TEXT,                    -- id of the row (rowid for tables without one)
+    operation TEXT NOT NULL            -- 'insert', 'update', 'delete'
+);
+
+-- ============================================================================
+-- TAB COORDINATION (see db/tab-coordinator.js)
+-- ============================================================================
+
+-- Last write request applied for each follower tab. Saved with the writes,
+-- so a new leader skips requests resent after the old one applied them
+CREATE TABLE IF NOT EXISTS forwarded_writes (
+    tab_id TEXT PRIMARY KEY,
+    request_id INTEGER NOT NULL,       -- Follower request ids only increase
+    applied_date TEXT NOT NULL         -- ISO 8601 timestamp
+);
+
+-- ============================================================================
+-- FULL-TEXT SEARCH (see db/search-index.js)
+-- ============================================================================
+
+-- Maps indexed rows to FTS docids (independent of rowids, which VACUUM may
+-- renumber)
+CREATE TABLE IF NOT EXISTS search_docs (
+    docid INTEGER PRIMARY KEY,
+    source TEXT NOT NULL,              -- 'pages', 'logs', 'records'
+    record_id TEXT NOT NULL,           -- id in the source table
+    UNIQUE (source, record_id)
+);
+
+-- FTS4 index (sql.js has no FTS5); ranked with BM25 by DatabaseService.search()
+CREATE VIRTUAL TABLE IF NOT EXISTS search_fts USING fts4(
+    title, body, extra,
+    prefix="2,3",
+    tokenize=unicode61
+);
+
+-- Keep content_pages indexed
+CREATE TRIGGER IF NOT EXISTS trg_search_content_pages_insert
+AFTER INSERT ON content_pages
+BEGIN
+    INSERT INTO search_docs (source, record_id) VALUES ('pages', NEW.id);
+    INSERT INTO search_fts (docid, title, body, extra)
+    VALUES ((SELECT docid FROM search_docs WHERE source = 'pages' AND record_id = NEW.id), NEW.title, NEW.content, NEW.metadata);
+END;
+
+CREATE TRIGGER IF NOT EXISTS trg_search_content_pages_update
+AFTER UPDATE OF title, content, metadata ON content_pages
+BEGIN
+    UPDATE search_fts
+    SET title = NEW.title, body = NEW.content, extra = NEW.metadata
+    WHERE docid = (SELECT docid FROM search_docs WHERE source = 'pages' AND record_id = NEW.id);
+END;
+
+CREATE TRIGGER IF NOT EXISTS trg_search_content_pages_delete
+AFTER DELETE ON content_pages
+BEGIN
+    DELETE FROM search_fts WHERE docid = (SELECT docid FROM search_docs WHERE source = 'pages' AND record_id = OLD.id);
+    DELETE FROM search_docs WHERE source = 'pages' AND record_id = OLD.id;
+END;
+
+-- Keep logs indexed
+CREATE TRIGGER IF NOT EXISTS trg_search_logs_insert
+AFTER INSERT ON logs
+BEGIN
+    INSERT INTO search_docs (source, record_id) VALUES ('logs', NEW.id);
+    INSERT INTO search_fts (docid, title, body, extra)
+    VALUES ((SELECT docid FROM search_docs WHERE source = 'logs' AND record_id = NEW.id), NEW.message, NEW.details, COALESCE(NEW.category, '') || ' ' || COALESCE(NEW.level, ''));
+END;
+
+CREATE TRIGGER IF NOT EXISTS trg_search_logs_update
+AFTER UPDATE OF message, details, category, level ON logs
+BEGIN
+    UPDATE search_fts
+    SET title = NEW.message, body = NEW.details, extra = COALESCE(NEW.category, '') || ' ' || COALESCE(NEW.level, '')
+    WHERE docid = (SELECT docid FROM search_docs WHERE source = 'logs' AND record_id = NEW.id);
+END;
+
+CREATE TRIGGER IF NOT EXISTS trg_search_logs_delete
+AFTER DELETE ON logs
+BEGIN
+    DELETE FROM search_fts WHERE docid = (SELECT docid FROM search_docs WHERE source = 'logs' AND record_id = OLD.id);
+    DELETE FROM search_docs WHERE source = 'logs' AND record_id = OLD.id;
+END;
+
+-- Keep data_records indexed
+CREATE TRIGGER IF NOT EXISTS trg_search_data_records_insert
+AFTER INSERT ON data_records
+BEGIN
+    INSERT INTO search_docs (source, record_id) VALUES ('records', NEW.id);
+    INSERT INTO search_fts (docid, title, body, extra)
+    VALUES ((SELECT docid FROM search_docs WHERE source = 'records' AND record_id = NEW.id), COALESCE(NEW.topic, '') || ' ' || COALESCE(NEW.sub_topic, ''), NEW.json_data, NEW.tags);
+END;
+
+CREATE TRIGGER IF NOT EXISTS trg_search_data_records_update
+AFTER UPDATE OF topic, sub_topic, json_data, tags ON data_records
+BEGIN
+    UPDATE search_fts
+    SET title = COALESCE(NEW.topic, '') || ' ' || COALESCE(NEW.sub_topic, ''), body = NEW.json_data, extra = NEW.tags
+    WHERE docid = (SELECT docid FROM search_docs WHERE source = 'records' AND record_id = NEW.id);
+END;
+
+CREATE TRIGGER IF NOT EXISTS trg_search_data_records_delete
+AFTER DELETE ON data_records
+BEGIN
+    DELETE FROM search_fts WHERE docid = (SELECT docid FROM search_docs WHERE source = 'records' AND record_id = OLD.id);
+    DELETE FROM search_docs WHERE source = 'records' AND record_id = OLD.id;
+END;
+
 -- ============================================================================
 -- JOIN TABLES (Many-to-many relationships)
 -- ============================================================================
@@ -282,7 +474,7 @@ CREATE INDEX IF NOT EXISTS idx_relationships_a_id ON relationships(a_id);
 CREATE INDEX IF NOT EXISTS idx_relationships_b_id ON relationships(b_id);
 CREATE INDEX IF NOT EXISTS idx_relationships_type ON relationships(relationship_type);
 
--- User roles (many-to-many)
+-- Additional roles per user (many-to-many)
 CREATE TABLE IF NOT EXISTS user_roles (
     user_id TEXT NOT NULL,
     role_id TEXT NOT NULL,
@@ -320,7 +512,7 @@ SELECT
 FROM sessions s
 JOIN users u ON s.user_id = u.id
 WHERE s.active = 1 
-  AND s.expiry_date > datetime('now');
+  AND julianday(s.expiry_date) > julianday('now');
 
 -- Published content with hierarchical info
 CREATE VIEW IF NOT EXISTS v_published_content AS
@@ -339,7 +531,8 @@ SELECT
 FROM content_pages cp
 LEFT JOIN content_pages parent ON cp.parent_id = parent.id
 WHERE cp.published = 1 
-  AND cp.active = 1;
+  AND cp.active = 1
+  AND (cp.expiry_date IS NULL OR julianday(cp.expiry_date) > julianday('now'));
 
 -- Recent logs with context
 CREATE VIEW IF NOT EXISTS v_recent_logs AS
@@ -369,13 +562,17 @@ ORDER BY priority ASC, create_date ASC;
 -- TRIGGERS FOR AUTOMATIC TIMESTAMP MANAGEMENT
 -- ============================================================================
 
+-- Triggers only stamp modified_date when the UPDATE didn't set it, so synced
+-- changes keep the timestamp they were made with
+
 -- Update modified_date on kv_settings
 CREATE TRIGGER IF NOT EXISTS trg_kv_settings_modified
 AFTER UPDATE ON kv_settings
 FOR EACH ROW
+WHEN NEW.modified_date IS OLD.modified_date
 BEGIN
     UPDATE kv_settings 
-    SET modified_date = datetime('now')
+    SET modified_date = strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
     WHERE id = NEW.id;
 END;
 
@@ -383,9 +580,10 @@ END;
 CREATE TRIGGER IF NOT EXISTS trg_users_modified
 AFTER UPDATE ON users
 FOR EACH ROW
+WHEN NEW.modified_date IS OLD.modified_date
 BEGIN
     UPDATE users 
-    SET modified_date = datetime('now')
+    SET modified_date = strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
     WHERE id = NEW.id;
 END;
 
@@ -393,9 +591,10 @@ END;
 CREATE TRIGGER IF NOT EXISTS trg_sessions_modified
 AFTER UPDATE ON sessions
 FOR EACH ROW
+WHEN NEW.modified_date IS OLD.modified_date
 BEGIN
     UPDATE sessions 
-    SET modified_date = datetime('now')
+    SET modified_date = strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
     WHERE id = NEW.id;
 END;
 
@@ -403,9 +602,10 @@ END;
 CREATE TRIGGER IF NOT EXISTS trg_content_pages_modified
 AFTER UPDATE ON content_pages
 FOR EACH ROW
+WHEN NEW.modified_date IS OLD.modified_date
 BEGIN
     UPDATE content_pages 
-    SET modified_date = datetime('now')
+    SET modified_date = strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
     WHERE id = NEW.id;
 END;
 
@@ -413,9 +613,10 @@ END;
 CREATE TRIGGER IF NOT EXISTS trg_data_records_modified
 AFTER UPDATE ON data_records
 FOR EACH ROW
+WHEN NEW.modified_date IS OLD.modified_date
 BEGIN
     UPDATE data_records 
-    SET modified_date = datetime('now')
+    SET modified_date = strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
     WHERE id = NEW.id;
 END;
 
@@ -423,9 +624,10 @@ END;
 CREATE TRIGGER IF NOT EXISTS trg_webhooks_modified
 AFTER UPDATE ON webhooks
 FOR EACH ROW
+WHEN NEW.modified_date IS OLD.modified_date
 BEGIN
     UPDATE webhooks 
-    SET modified_date = datetime('now')
+    SET modified_date = strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
     WHERE id = NEW.id;
 END;
 
@@ -433,9 +635,10 @@ END;
 CREATE TRIGGER IF NOT EXISTS trg_api_endpoints_modified
 AFTER UPDATE ON api_endpoints
 FOR EACH ROW
+WHEN NEW.modified_date IS OLD.modified_date
 BEGIN
     UPDATE api_endpoints 
-    SET modified_date = datetime('now')
+    SET modified_date = strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
     WHERE id = NEW.id;
 END;
 
@@ -443,41 +646,17 @@ END;
 -- SEED DATA
 -- ============================================================================
 
--- Default admin user (password: 'admin123' - CHANGE IN PRODUCTION!)
--- Password hash is bcrypt of 'admin123'
-INSERT OR IGNORE INTO users (id, create_date, username, email, password_hash, display_name, role, active)
-VALUES (
-    '00000000-0000-0000-0000-000000000001',
-    datetime('now'),
-    'admin',
-    'admin@localhost',
-    '$2b$12$LQv3c1yqBWVHxkd0LHAkCOYz6TtxMQJqhN8/LewY5aeJxK8I7LXyS',
-    'System Administrator',
-    'admin',
-    1
-);
-
--- Default settings
-INSERT OR IGNORE INTO kv_settings (id, create_date, category, key, value, value_type, description)
-VALUES 
-    ('setting-001', datetime('now'), 'ui', 'theme', 'light', 'string', 'UI theme: light or dark'),
-    ('setting-002', datetime('now'), 'ui', 'primary_color', '#007AFF', 'string', 'Primary brand color'),
-    ('setting-003', datetime('now'), 'ui', 'enable_animations', 'true', 'boolean', 'Enable UI animations'),
-    ('setting-004', datetime('now'), 'app', 'app_name', 'WonkyDonkey PWA', 'string', 'Application name'),
-    ('setting-005', datetime('now'), 'app', 'version', '1.0.0', 'string', 'Application version'),
-    ('setting-006', datetime('now'), 'sync', 'auto_sync', 'true', 'boolean', 'Enable automatic sync'),
-    ('setting-007', datetime('now'), 'sync', 'sync_interval', '300', 'int', 'Sync interval in seconds');
+-- Seed rows (the default admin user and settings) are fixtures in
+-- db/fixtures/, loaded by DatabaseService.loadFixtures().
 
 -- ============================================================================
 -- MAINTENANCE FUNCTIONS
 -- ============================================================================
 
--- Clean up expired sessions
--- Run this periodically from your service worker or cron job
--- DELETE FROM sessions WHERE expiry_date < datetime('now');
-
--- Clean up expired data records
--- DELETE FROM data_records WHERE expiry_date < datetime('now');
+-- Expired rows (sessions, users, content_pages, data_records, webhooks,
+-- api_endpoints) are swept by plugins/maintenance-plugin.js.
+-- Compare expiry dates with julianday(): they are ISO 8601 ('...T...Z'),
+-- which doesn't compare as text against datetime('now').
 
 -- Archive old logs (move to archive table or delete)
 -- DELETE FROM logs WHERE create_date < datetime('now', '-90 days');
@@ -0,0 +1,125 @@
+/**
+ * Search Index
+ * Full-text index over content_pages, logs and data_records, shared by the
+ * migration that creates it and DatabaseService.search().
+ *
+ * sql.js is built without FTS5, so this uses FTS4:
+ *   search_docs  maps (source, record_id) to an FTS docid, so the index
+ *                doesn't depend on rowids (which VACUUM may renumber)
+ *   search_fts   FTS4 table (title, body, extra), kept current by
+ *                trg_search_* triggers on the source tables
+ *
+ * FTS4 has no built-in ranking; search() scores matches with BM25 from
+ * matchinfo().
+ */
+
+// What each source contributes to the index. Column expressions are
+// written against a row reference (NEW, OLD or the table alias).
+const SEARCH_SOURCES = {
+  pages: {
+    table: 'content_pages',
+    columns: ['title', 'content', 'metadata'],
+    title: ref => `${ref}.title`,
+    body: ref => `${ref}.content`,
+    extra: ref => `${ref}.metadata`
+  },
+  logs: {
+    table: 'logs',
+    columns: ['message', 'details', 'category', 'level'],
+    title: ref => `${ref}.message`,
+    body: ref => `${ref}.details`,
+    extra: ref => `COALESCE(${ref}.category, '') || ' ' || COALESCE(${ref}.level, '')`
+  },
+  records: {
+    table: 'data_records',
+    columns: ['topic', 'sub_topic', 'json_data', 'tags'],
+    title: ref => `COALESCE(${ref}.topic, '') || ' ' || COALESCE(${ref}.sub_topic, '')`,
+    body: ref => `${ref}.json_data`,
+    extra: ref => `${ref}.tags`
+  }
+};
+
+const SEARCH_TABLES_SQL = `
+  CREATE TABLE IF NOT EXISTS search_docs (
+      docid INTEGER PRIMARY KEY,
+      source TEXT NOT NULL,
+      record_id TEXT NOT NULL,
+      UNIQUE (source, record_id)
+  );
+
+  CREATE VIRTUAL TABLE IF NOT EXISTS search_fts USING fts4(
+      title, body, extra,
+      prefix="2,3",
+      tokenize=unicode61
+  );
+`;
+
+/**
+ * SQL selecting the docid of a source row
+ * @param {string} source
+ * @param {string} idRef - e.g. NEW.id
+ * @returns {string}
+ */
+function docidSql(source, idRef) {
+  return `(SELECT docid FROM search_docs WHERE source = '${source}' AND record_id = ${idRef})`;
+}
+
+/**
+ * Build the triggers that keep the index current for one source
+ * @param {string} source - Key of SEARCH_SOURCES
+ * @returns {Array<string>} CREATE TRIGGER statements
+ */
+function searchTriggersSql(source) {
+  const { table, columns, title, body, extra } = SEARCH_SOURCES[source];
+
+  return [
+    `CREATE TRIGGER IF NOT EXISTS trg_search_${table}_insert
+     AFTER INSERT ON ${table}
+     BEGIN
+       INSERT INTO search_docs (source, record_id) VALUES ('${source}', NEW.id);
+       INSERT INTO search_fts (docid, title, body, extra)
+       VALUES (${docidSql(source, 'NEW.id')}, ${title('NEW')}, ${body('NEW')}, ${extra('NEW')});
+     END`,
+
+    `CREATE TRIGGER IF NOT EXISTS trg_search_${table}_update
+     AFTER UPDATE OF ${columns.join(', ')} ON ${table}
+     BEGIN
+       UPDATE search_fts
+       SET title = ${title('NEW')}, body = ${body('NEW')}, extra = ${extra('NEW')}
+       WHERE docid = ${docidSql(source, 'NEW.id')};
+     END`,
+
+    `CREATE TRIGGER IF NOT EXISTS trg_search_${table}_delete
+     AFTER DELETE ON ${table}
+     BEGIN
+       DELETE FROM search_fts WHERE docid = ${docidSql(source, 'OLD.id')};
+       DELETE FROM search_docs WHERE source = '${source}' AND record_id = OLD.id;
+     END`
+  ];
+}
+
+/**
+ * Build the statements that index every existing row of a source
+ * @param {string} source - Key of SEARCH_SOURCES
+ * @returns {Array<string>}
+ */
+function searchBackfillSql(source) {
+  const { table, title, body, extra } = SEARCH_SOURCES[source];
+
+  return [
+    `INSERT OR IGNORE INTO search_docs (source, record_id)
+     SELECT '${source}', id FROM ${table}`,
+
+    `INSERT INTO search_fts (docid, title, body, extra)
+     SELECT d.docid, ${title('t')}, ${body('t')}, ${extra('t')}
+     FROM ${table} t
+     JOIN search_docs d ON d.source = '${source}' AND d.record_id = t.id`
+  ];
+}
+
+export {
+  SEARCH_SOURCES,
+  SEARCH_TABLES_SQL,
+  searchTriggersSql,
+  searchBackfillSql
+};
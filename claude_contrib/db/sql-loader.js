@@ -0,0 +1,80 @@
+/**
+ * SQL.js Loader
+ * Resolves the sql.js factory and its WASM binary without relying on a CDN,
+ * so the database can start offline on first run.
+ *
+ * The factory is taken from, in order:
+ *   1. options.initSqlJs (injected, e.g. in tests)
+ *   2. a global initSqlJs (classic <script> include)
+ *   3. the bundled `sql.js` package
+ *
+ * The WASM file is fetched from options.wasmUrl. With a bundler, import it
+ * as an asset so it is emitted and precached with the build:
+ *
+ *   import sqlWasmUrl from 'sql.js/dist/sql-wasm.wasm?url';
+ *   await pwa.init({ wasmUrl: sqlWasmUrl });
+ *
+ * Without wasmUrl, sql.js looks for the binary next to its loader script.
+ */
+
+// Loaded modules, per factory and then per WASM URL; each pair only needs
+// to start once
+const modules = new WeakMap();
+
+/**
+ * Find the sql.js factory
+ * @param {Function} initSqlJs - Injected factory
+ * @returns {Promise<Function>}
+ */
+async function resolveFactory(initSqlJs) {
+  if (typeof initSqlJs === 'function') {
+    return initSqlJs;
+  }
+
+  if (typeof globalThis.initSqlJs === 'function') {
+    return globalThis.initSqlJs;
+  }
+
+  try {
+    const module = await import('sql.js');
+    return module.default || module;
+  } catch (error) {
+    throw new Error(
+      'sql.js not found: install the sql.js package, include sql-wasm.js, or pass initSqlJs'
+    );
+  }
+}
+
+/**
+ * Load sql.js
+ * @param {Object} options
+ * @param {string} options.wasmUrl - URL of sql-wasm.wasm
+ * @param {Function} options.initSqlJs - sql.js factory to use instead of the bundled one
+ * @returns {Promise<Object>} The SQL namespace (SQL.Database, ...)
+ */
+async function loadSqlJs(options = {}) {
+  const { wasmUrl = null, initSqlJs = null } = options;
+  const factory = await resolveFactory(initSqlJs);
+  const key = wasmUrl || '';
+
+  if (!modules.has(factory)) {
+    modules.set(factory, new Map());
+  }
+  const loaded = modules.get(factory);
+
+  if (!loaded.has(key)) {
+    const loading = Promise.resolve().then(() =>
+      factory(wasmUrl ? { locateFile: () => wasmUrl } : {})
+    );
+
+    // Let a failed load be retried
+    loading.catch(() => loaded.delete(key));
+    loaded.set(key, loading);
+  }
+
+  return loaded.get(key);
+}
+
+export {
+  loadSqlJs
+};
@@ -0,0 +1,65 @@
+/**
+ * Storage Backends
+ * Where DatabaseService keeps its SQLite images between sessions.
+ *
+ * Every backend implements:
+ *   load(name)       → Promise<Uint8Array|null>
+ *   save(name, data) → Promise<void>  (data is the full exported image)
+ *   delete(name)     → Promise<void>
+ *   list()           → Promise<Array<string>>
+ */
+
+import IndexedDBBackend from './indexeddb-backend.js';
+import OPFSBackend from './opfs-backend.js';
+import MemoryBackend from './memory-backend.js';
+
+/**
+ * Create a storage backend
+ * @param {string|Object} type - 'auto', 'opfs', 'indexeddb', 'memory',
+ *   or an object already implementing the backend interface
+ * @returns {Promise<Object>}
+ */
+async function createStorageBackend(type = 'auto') {
+  if (type && typeof type === 'object') {
+    return type;
+  }
+
+  switch (type) {
+    case 'opfs':
+      return new OPFSBackend();
+
+    case 'indexeddb':
+      return new IndexedDBBackend();
+
+    case 'memory':
+      return new MemoryBackend();
+
+    case 'auto': {
+      if (OPFSBackend.isSupported()) {
+        const backend = new OPFSBackend({
+          fallback: IndexedDBBackend.isSupported() ? new IndexedDBBackend() : null
+        });
+
+        try {
+          // OPFS can exist but be blocked (e.g. private browsing)
+          await backend.getDirectory();
+          return backend;
+        } catch (error) {
+          console.warn('OPFS unavailable, falling back to IndexedDB:', error);
+        }
+      }
+
+      return IndexedDBBackend.isSupported() ? new IndexedDBBackend() : new MemoryBackend();
+    }
+
+    default:
+      throw new Error(`Unknown storage backend: ${type}`);
+  }
+}
+
+export {
+  createStorageBackend,
+  IndexedDBBackend,
+  OPFSBackend,
+  MemoryBackend
+};
@@ -0,0 +1,119 @@
+/**
+ * IndexedDB Storage Backend
+ * Stores each database image as a single ArrayBuffer in the
+ * `PWA-Database` object store. Works everywhere IndexedDB exists and is
+ * the fallback when OPFS is unavailable.
+ */
+
+class IndexedDBBackend {
+  /**
+   * @param {Object} options
+   * @param {string} options.databaseName - IndexedDB database name
+   * @param {string} options.storeName - Object store holding the images
+   */
+  constructor(options = {}) {
+    this.type = 'indexeddb';
+    this.databaseName = options.databaseName || 'PWA-Database';
+    this.storeName = options.storeName || 'database';
+    this.connection = null;
+  }
+
+  /**
+   * Check if IndexedDB is available
+   * @returns {boolean}
+   */
+  static isSupported() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  /**
+   * Open (and if needed create) the IndexedDB database
+   * @returns {Promise<IDBDatabase>}
+   */
+  open() {
+    if (this.connection) {
+      return this.connection;
+    }
+
+    this.connection = new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.databaseName, 1);
+
+      request.onupgradeneeded = (event) => {
+        const db = event.target.result;
+        if (!db.objectStoreNames.contains(this.storeName)) {
+          db.createObjectStore(this.storeName);
+        }
+      };
+
+      request.onsuccess = (event) => resolve(event.target.result);
+      request.onerror = () => {
+        this.connection = null;
+        reject(request.error);
+      };
+    });
+
+    return this.connection;
+  }
+
+  /**
+   * Run a request against the object store
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} fn - Receives the store, returns an IDBRequest
+   * @returns {Promise<*>} Request result
+   */
+  async request(mode, fn) {
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([this.storeName], mode);
+      const request = fn(transaction.objectStore(this.storeName));
+
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      // Quota errors abort the transaction without an error event
+      transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+    });
+  }
+
+  /**
+   * Load a database image
+   * @param {string} name
+   * @returns {Promise<Uint8Array|null>}
+   */
+  async load(name) {
+    const buffer = await this.request('readonly', store => store.get(name));
+    return buffer ? new Uint8Array(buffer) : null;
+  }
+
+  /**
+   * Save a database image
+   * @param {string} name
+   * @param {Uint8Array} data
+   * @returns {Promise<void>}
+   */
+  async save(name, data) {
+    // Store only this image's bytes, not the whole underlying buffer
+    const buffer = data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+    await this.request('readwrite', store => store.put(buffer, name));
+  }
+
+  /**
+   * Delete a database image
+   * @param {string} name
+   * @returns {Promise<void>}
+   */
+  async delete(name) {
+    await this.request('readwrite', store => store.delete(name));
+  }
+
+  /**
+   * List stored database names
+   * @returns {Promise<Array<string>>}
+   */
+  async list() {
+    const keys = await this.request('readonly', store => store.getAllKeys());
+    return keys.map(String);
+  }
+}
+
+export default IndexedDBBackend;
@@ -0,0 +1,59 @@
+/**
+ * In-Memory Storage Backend
+ * Keeps database images in a Map. Nothing survives a reload, which makes
+ * it the backend of choice for tests and throwaway sessions.
+ */
+
+class MemoryBackend {
+  constructor() {
+    this.type = 'memory';
+    this.images = new Map();
+  }
+
+  /**
+   * Always available
+   * @returns {boolean}
+   */
+  static isSupported() {
+    return true;
+  }
+
+  /**
+   * Load a database image
+   * @param {string} name
+   * @returns {Promise<Uint8Array|null>}
+   */
+  async load(name) {
+    const data = this.images.get(name);
+    return data ? data.slice() : null;
+  }
+
+  /**
+   * Save a database image
+   * @param {string} name
+   * @param {Uint8Array} data
+   * @returns {Promise<void>}
+   */
+  async save(name, data) {
+    this.images.set(name, data.slice());
+  }
+
+  /**
+   * Delete a database image
+   * @param {string} name
+   * @returns {Promise<void>}
+   */
+  async delete(name) {
+    this.images.delete(name);
+  }
+
+  /**
+   * List stored database names
+   * @returns {Promise<Array<string>>}
+   */
+  async list() {
+    return Array.from(this.images.keys());
+  }
+}
+
+export default MemoryBackend;
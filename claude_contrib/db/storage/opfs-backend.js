@@ -0,0 +1,303 @@
+/**
+ * Origin Private File System Storage Backend
+ * Stores each database as a file in a private OPFS directory and writes
+ * only the SQLite pages that changed since the last save.
+ *
+ * Inside a dedicated worker the synchronous access handle is used; on the
+ * main thread positioned writes go through createWritable().
+ */
+
+// Above this share of changed bytes a full rewrite is cheaper
+const FULL_WRITE_RATIO = 0.5;
+
+class OPFSBackend {
+  /**
+   * @param {Object} options
+   * @param {string} options.directory - OPFS directory holding database files
+   * @param {Object} options.fallback - Backend to read from when a file
+   *   doesn't exist yet (e.g. images saved by the IndexedDB backend)
+   */
+  constructor(options = {}) {
+    this.type = 'opfs';
+    this.directoryName = options.directory || 'pwa-database';
+    this.fallback = options.fallback || null;
+    this.directory = null;
+
+    // Last image written (or read) per file, used to diff pages
+    this.images = new Map();
+  }
+
+  /**
+   * Check if OPFS is available
+   * @returns {boolean}
+   */
+  static isSupported() {
+    return typeof navigator !== 'undefined' &&
+      !!navigator.storage &&
+      typeof navigator.storage.getDirectory === 'function';
+  }
+
+  /**
+   * Get the database directory handle
+   * @returns {Promise<FileSystemDirectoryHandle>}
+   */
+  async getDirectory() {
+    if (!this.directory) {
+      const root = await navigator.storage.getDirectory();
+      this.directory = await root.getDirectoryHandle(this.directoryName, { create: true });
+    }
+    return this.directory;
+  }
+
+  /**
+   * Get a file handle, or null if the file doesn't exist
+   * @param {string} name
+   * @param {boolean} create
+   * @returns {Promise<FileSystemFileHandle|null>}
+   */
+  async getFileHandle(name, create = false) {
+    const directory = await this.getDirectory();
+
+    try {
+      return await directory.getFileHandle(name, { create });
+    } catch (error) {
+      if (error.name === 'NotFoundError') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Load a database image
+   * @param {string} name
+   * @returns {Promise<Uint8Array|null>}
+   */
+  async load(name) {
+    const handle = await this.getFileHandle(name);
+
+    if (handle) {
+      const file = await handle.getFile();
+      if (file.size > 0) {
+        const data = new Uint8Array(await file.arrayBuffer());
+        this.images.set(name, data.slice());
+        return data;
+      }
+    }
+
+    // Nothing in OPFS yet: pick up an image from the previous backend.
+    // The first save then writes the whole file here.
+    return this.fallback ? this.fallback.load(name) : null;
+  }
+
+  /**
+   * Save a database image, writing only changed pages when possible
+   * @param {string} name
+   * @param {Uint8Array} data
+   * @returns {Promise<void>}
+   */
+  async save(name, data) {
+    const handle = await this.getFileHandle(name, true);
+    const previous = this.images.get(name);
+    const ranges = previous ? this.getChangedRanges(previous, data) : null;
+
+    if (ranges && ranges.length === 0 && previous.length === data.length) {
+      return;
+    }
+
+    if (this.canUseSyncAccess(handle)) {
+      await this.writeWithAccessHandle(handle, data, ranges);
+    } else {
+      await this.writeWithWritable(handle, data, ranges);
+    }
+
+    this.images.set(name, data.slice());
+  }
+
+  /**
+   * Delete a database file
+   * @param {string} name
+   * @returns {Promise<void>}
+   */
+  async delete(name) {
+    const directory = await this.getDirectory();
+
+    try {
+      await directory.removeEntry(name);
+    } catch (error) {
+      if (error.name !== 'NotFoundError') {
+        throw error;
+      }
+    }
+
+    this.images.delete(name);
+  }
+
+  /**
+   * List stored database names
+   * @returns {Promise<Array<string>>}
+   */
+  async list() {
+    const directory = await this.getDirectory();
+    const names = [];
+
+    for await (const [name, handle] of directory.entries()) {
+      if (handle.kind === 'file') {
+        names.push(name);
+      }
+    }
+
+    return names;
+  }
+
+  // ============================================================================
+  // INCREMENTAL WRITES
+  // ============================================================================
+
+  /**
+   * Read the page size from a SQLite header
+   * @param {Uint8Array} data
+   * @returns {number}
+   */
+  getPageSize(data) {
+    if (data.length < 100) {
+      return 4096;
+    }
+
+    // Bytes 16-17, big-endian; the value 1 means 65536
+    const size = (data[16] << 8) | data[17];
+    return size === 1 ? 65536 : size || 4096;
+  }
+
+  /**
+   * Compute the byte ranges that differ between two images, page by page.
+   * Returns null when a full rewrite is cheaper.
+   * @param {Uint8Array} previous
+   * @param {Uint8Array} next
+   * @returns {Array<Object>|null} Ranges: { offset, length }
+   */
+  getChangedRanges(previous, next) {
+    const pageSize = this.getPageSize(next);
+
+    if (pageSize !== this.getPageSize(previous)) {
+      return null;
+    }
+
+    const ranges = [];
+    let changedBytes = 0;
+
+    for (let offset = 0; offset < next.length; offset += pageSize) {
+      const end = Math.min(offset + pageSize, next.length);
+
+      if (!this.pageEquals(previous, next, offset, end)) {
+        const last = ranges[ranges.length - 1];
+
+        // Merge adjacent pages into one write
+        if (last && last.offset + last.length === offset) {
+          last.length += end - offset;
+        } else {
+          ranges.push({ offset, length: end - offset });
+        }
+
+        changedBytes += end - offset;
+      }
+    }
+
+    if (changedBytes > next.length * FULL_WRITE_RATIO) {
+      return null;
+    }
+
+    return ranges;
+  }
+
+  /**
+   * Compare one page of two images
+   * @param {Uint8Array} previous
+   * @param {Uint8Array} next
+   * @param {number} start
+   * @param {number} end
+   * @returns {boolean}
+   */
+  pageEquals(previous, next, start, end) {
+    if (end > previous.length) {
+      return false;
+    }
+
+    for (let i = start; i < end; i++) {
+      if (previous[i] !== next[i]) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Sync access handles only exist inside dedicated workers
+   * @param {FileSystemFileHandle} handle
+   * @returns {boolean}
+   */
+  canUseSyncAccess(handle) {
+    return typeof handle.createSyncAccessHandle === 'function' &&
+      typeof WorkerGlobalScope !== 'undefined' &&
+      typeof self !== 'undefined' &&
+      self instanceof WorkerGlobalScope;
+  }
+
+  /**
+   * Write through a synchronous access handle (worker only)
+   * @param {FileSystemFileHandle} handle
+   * @param {Uint8Array} data
+   * @param {Array<Object>|null} ranges - null for a full write
+   */
+  async writeWithAccessHandle(handle, data, ranges) {
+    const access = await handle.createSyncAccessHandle();
+
+    try {
+      if (ranges) {
+        ranges.forEach(({ offset, length }) => {
+          access.write(data.subarray(offset, offset + length), { at: offset });
+        });
+      } else {
+        access.write(data, { at: 0 });
+      }
+
+      access.truncate(data.length);
+      access.flush();
+    } finally {
+      access.close();
+    }
+  }
+
+  /**
+   * Write through a writable stream
+   * @param {FileSystemFileHandle} handle
+   * @param {Uint8Array} data
+   * @param {Array<Object>|null} ranges - null for a full write
+   */
+  async writeWithWritable(handle, data, ranges) {
+    const writable = await handle.createWritable({ keepExistingData: !!ranges });
+
+    try {
+      if (ranges) {
+        for (const { offset, length } of ranges) {
+          await writable.write({
+            type: 'write',
+            position: offset,
+            data: data.subarray(offset, offset + length)
+          });
+        }
+        await writable.truncate(data.length);
+      } else {
+        await writable.write(data);
+      }
+
+      await writable.close();
+    } catch (error) {
+      await writable.abort();
+      throw error;
+    }
+  }
+}
+
+export default OPFSBackend;
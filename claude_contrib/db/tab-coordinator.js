@@ -0,0 +1,415 @@
+/**
+ * Tab Coordinator
+ * Lets several tabs share one stored database without overwriting each
+ * other's saves. One tab - the leader, holder of a Web Lock named after
+ * the database - owns the stored image. The others are followers:
+ *
+ *   - reads run against their own in-memory copy, as before
+ *   - writes apply to that copy at once and are forwarded to the leader
+ *     (one batch per commit), which replays them and saves
+ *   - after every leader save, followers with nothing in flight reload
+ *     the image and deliver other tabs' changes to their onChange()
+ *     listeners
+ *
+ * When the leader closes, the next tab in line takes the lock, reloads,
+ * replays its own unacknowledged writes and announces itself; the other
+ * followers resend theirs. The leader records the last request id applied
+ * for each tab in the saved image (forwarded_writes), so a write the old
+ * leader already saved isn't applied twice.
+ *
+ * A write the leader refuses is reported through the service's
+ * onWriteRejected() listeners, and the follower reloads the leader's image.
+ *
+ * Messages on the BroadcastChannel:
+ *   { type: 'write', from, id, statements }   follower → leader
+ *   { type: 'import', from, id, data }        follower → leader
+ *   { type: 'ack', to, id, ok, error, changes: [firstSeq, lastSeq] }
+ *   { type: 'saved' }                         leader → all
+ *   { type: 'leader', from }                  new leader → all
+ *   { type: 'message', topic, detail }        any tab → all (broadcast())
+ */
+
+class TabCoordinator {
+  /**
+   * @param {Object} service - DatabaseService to coordinate
+   * @param {Object} options
+   * @param {string} options.name - Database name; tabs using the same name
+   *   coordinate with each other
+   */
+  constructor(service, options = {}) {
+    const { name = service.dbName } = options;
+
+    this.service = service;
+    this.name = name;
+    this.tabId = service.generateUUID();
+    this.isLeader = false;
+    this.channel = null;
+    this.releaseLock = null;
+    this.abortWaiting = null;
+
+    this.buffer = [];          // statements of the commit in progress
+    this.pending = new Map();  // id → { type, statements|data, resolve, reject }
+    this.nextId = 1;
+    this.ownChanges = [];      // [firstSeq, lastSeq] of our writes, in leader numbering
+    this.reloadCursor = 0;     // leader change_log seq at the last reload
+    this.reloading = false;
+  }
+
+  /**
+   * Check for BroadcastChannel and Web Locks
+   * @returns {boolean}
+   */
+  static isSupported() {
+    return typeof BroadcastChannel !== 'undefined' &&
+      typeof navigator !== 'undefined' &&
+      !!navigator.locks;
+  }
+
+  /**
+   * Join the tabs using this database: become leader if nobody is, or
+   * queue up to take over when the leader goes away
+   * @returns {Promise<void>}
+   */
+  async start() {
+    this.channel = new BroadcastChannel(`pwa-db:${this.name}`);
+    this.channel.addEventListener('message', (event) => {
+      this.handleMessage(event.data);
+    });
+
+    this.isLeader = await this.acquireLock({ ifAvailable: true });
+
+    if (!this.isLeader) {
+      const controller = new AbortController();
+      this.abortWaiting = () => controller.abort();
+
+      this.acquireLock({ signal: controller.signal }).then(acquired => {
+        if (acquired) {
+          this.promote();
+        }
+      });
+    }
+  }
+
+  /**
+   * Leave: release or stop waiting for the lock and close the channel
+   */
+  stop() {
+    if (this.abortWaiting) {
+      this.abortWaiting();
+      this.abortWaiting = null;
+    }
+
+    if (this.releaseLock) {
+      this.releaseLock();
+      this.releaseLock = null;
+    }
+
+    if (this.channel) {
+      this.channel.close();
+      this.channel = null;
+    }
+
+    this.pending.forEach(({ reject }) => reject(new Error('Tab coordination stopped')));
+    this.pending.clear();
+    this.isLeader = false;
+  }
+
+  /**
+   * Request the leader lock and hold it until stop()
+   * @param {Object} options - navigator.locks.request() options
+   * @returns {Promise<boolean>} Whether the lock was acquired
+   */
+  acquireLock(options) {
+    return new Promise(resolve => {
+      navigator.locks.request(`pwa-db:${this.name}`, options, lock => {
+        resolve(!!lock);
+        if (!lock) return null;
+
+        return new Promise(release => {
+          this.releaseLock = release;
+        });
+      }).catch(() => resolve(false));
+    });
+  }
+
+  /**
+   * Check if other tabs are waiting to take over, i.e. are followers
+   * @returns {Promise<boolean>}
+   */
+  async hasFollowers() {
+    const { pending = [] } = await navigator.locks.query();
+    return pending.some(lock => lock.name === `pwa-db:${this.name}`);
+  }
+
+  /**
+   * Post a message to the other tabs
+   * @param {Object} message
+   */
+  post(message) {
+    if (this.channel) {
+      this.channel.postMessage(message);
+    }
+  }
+
+  // ============================================================================
+  // FOLLOWER: FORWARDING WRITES
+  // ============================================================================
+
+  /**
+   * Record a statement of the commit in progress
+   * @param {string} sql
+   * @param {Array} params
+   */
+  recordWrite(sql, params = []) {
+    this.buffer.push([sql, params]);
+  }
+
+  /**
+   * Position in the commit in progress, for savepoint rollbacks
+   * @returns {number}
+   */
+  mark() {
+    return this.buffer.length;
+  }
+
+  /**
+   * Forget statements recorded after a mark
+   * @param {number} mark
+   */
+  rewind(mark) {
+    this.buffer.length = mark;
+  }
+
+  /**
+   * Forget the commit in progress (rolled back)
+   */
+  discard() {
+    this.buffer = [];
+  }
+
+  /**
+   * Send the statements of a finished commit to the leader
+   */
+  commit() {
+    if (this.buffer.length === 0) return;
+
+    const statements = this.buffer;
+    this.buffer = [];
+
+    this.request('write', { statements }).catch(error => {
+      console.error('Leader tab rejected a write; reloading:', error);
+      error.statements = statements;
+      this.service.notifyWriteRejected(error);
+    });
+  }
+
+  /**
+   * Hand a database image to the leader to import
+   * @param {Uint8Array} data
+   * @returns {Promise<void>} Resolves once the leader has imported it
+   */
+  forwardImport(data) {
+    return this.request('import', { data });
+  }
+
+  /**
+   * Send a request to the leader; kept until acknowledged so it can be
+   * resent to a new leader
+   * @param {string} type
+   * @param {Object} body
+   * @returns {Promise<Object>} The acknowledgement
+   */
+  request(type, body) {
+    return new Promise((resolve, reject) => {
+      const id = this.nextId++;
+      this.pending.set(id, { type, ...body, resolve, reject });
+      this.post({ type, from: this.tabId, id, ...body });
+    });
+  }
+
+  /**
+   * Send every unacknowledged request again (after a leader change)
+   */
+  resendPending() {
+    this.pending.forEach(({ type, statements, data }, id) => {
+      this.post({ type, from: this.tabId, id, ...(type === 'write' ? { statements } : { data }) });
+    });
+  }
+
+  /**
+   * Settle a request acknowledged by the leader
+   * @param {Object} message
+   */
+  handleAck({ id, ok, error, changes }) {
+    const request = this.pending.get(id);
+    if (!request) return;
+
+    this.pending.delete(id);
+
+    if (changes) {
+      this.ownChanges.push(changes);
+    }
+
+    if (ok) {
+      request.resolve(changes);
+    } else {
+      request.reject(new Error(error));
+    }
+
+    // The leader saved an import before acknowledging it, and won't save
+    // after a failed write, so no later save may bring us in line
+    if (request.type === 'import' || !ok) {
+      this.reload();
+    }
+  }
+
+  /**
+   * Check if the local copy can be replaced without losing writes
+   * @returns {boolean}
+   */
+  canReload() {
+    return !this.isLeader &&
+      this.buffer.length === 0 &&
+      this.pending.size === 0 &&
+      !this.service.inTransaction();
+  }
+
+  /**
+   * Reload the stored image if nothing is in flight; otherwise a later
+   * save will bring it
+   * @returns {Promise<void>}
+   */
+  async reload() {
+    if (this.reloading || !this.canReload()) return;
+
+    this.reloading = true;
+    try {
+      await this.service.reloadFromStorage();
+    } catch (error) {
+      console.error('Failed to reload the database saved by the leader tab:', error);
+    } finally {
+      this.reloading = false;
+    }
+  }
+
+  /**
+   * Check if a change (leader numbering) came from this tab
+   * @param {number} seq
+   * @returns {boolean}
+   */
+  isOwnChange(seq) {
+    return this.ownChanges.some(([first, last]) => seq >= first && seq <= last);
+  }
+
+  /**
+   * Forget own-change ranges at or below a seq
+   * @param {number} seq
+   */
+  forgetOwnChanges(seq) {
+    this.ownChanges = this.ownChanges.filter(([, last]) => last > seq);
+  }
+
+  // ============================================================================
+  // LEADER
+  // ============================================================================
+
+  /**
+   * Take over as leader: catch up with the stored image, replay our own
+   * unacknowledged writes, save, and tell the others
+   * @returns {Promise<void>}
+   */
+  async promote() {
+    this.abortWaiting = null;
+    this.isLeader = true;
+
+    const requests = [...this.pending].map(([id, request]) => ({ ...request, from: this.tabId, id }));
+    const writes = requests.filter(request => request.type === 'write');
+    this.pending.clear();
+
+    // An import sent to the old leader may or may not have happened
+    requests
+      .filter(request => request.type === 'import')
+      .forEach(request => request.reject(new Error('Leader tab closed during import; try again')));
+
+    try {
+      await this.service.takeOver(writes);
+      writes.forEach(request => request.resolve(null));
+    } catch (error) {
+      console.error('Failed to take over the database:', error);
+      writes.forEach(request => request.reject(error));
+    }
+
+    this.post({ type: 'leader', from: this.tabId });
+  }
+
+  /**
+   * Tell followers a save happened (called by DatabaseService.persist())
+   */
+  saved() {
+    if (this.isLeader) {
+      this.post({ type: 'saved' });
+    }
+  }
+
+  /**
+   * Apply a follower's request and acknowledge it
+   * @param {Object} message
+   * @returns {Promise<void>}
+   */
+  async applyRequest({ type, from, id, statements, data }) {
+    try {
+      let changes = null;
+
+      if (type === 'import') {
+        await this.service.importDatabase(data);
+      } else {
+        changes = this.service.applyForwardedWrites(statements, { from, id });
+      }
+
+      this.post({ type: 'ack', to: from, id, ok: true, changes });
+    } catch (error) {
+      this.post({ type: 'ack', to: from, id, ok: false, error: error.message });
+    }
+  }
+
+  // ============================================================================
+  // MESSAGES
+  // ============================================================================
+
+  /**
+   * Handle a message from another tab
+   * @param {Object} message
+   */
+  handleMessage(message) {
+    switch (message.type) {
+      case 'write':
+      case 'import':
+        if (this.isLeader) {
+          this.applyRequest(message);
+        }
+        break;
+
+      case 'ack':
+        if (message.to === this.tabId) {
+          this.handleAck(message);
+        }
+        break;
+
+      case 'saved':
+        this.reload();
+        break;
+
+      case 'leader':
+        if (!this.isLeader) {
+          this.resendPending();
+        }
+        break;
+
+      case 'message':
+        this.service.notifyBroadcastListeners(message.topic, message.detail);
+        break;
+    }
+  }
+}
+
+export { TabCoordinator };
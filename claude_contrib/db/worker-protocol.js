@@ -0,0 +1,120 @@
+/**
+ * Database Worker Protocol
+ * Message encoding shared by database-worker.js and DatabaseProxy.
+ *
+ * Request:  { id, method, args }
+ * Response: { id, ok: true, result } or { id, ok: false, error }
+ *
+ * Row arrays are sent column-oriented ({ columns, values }) so keys aren't
+ * cloned once per row, and binary results are transferred, not copied.
+ */
+
+/**
+ * Check if a value is an array of row objects sharing the same columns
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isRowArray(value) {
+  if (!Array.isArray(value) || value.length === 0) {
+    return false;
+  }
+
+  const isPlainObject = row =>
+    row !== null && typeof row === 'object' && Object.getPrototypeOf(row) === Object.prototype;
+
+  if (!isPlainObject(value[0])) {
+    return false;
+  }
+
+  const columns = Object.keys(value[0]);
+
+  return value.every(row =>
+    isPlainObject(row) &&
+    Object.keys(row).length === columns.length &&
+    columns.every(col => col in row)
+  );
+}
+
+/**
+ * Encode a method result for postMessage
+ * @param {*} value
+ * @returns {Object} { payload, transfer }
+ */
+function encodeResult(value) {
+  if (isRowArray(value)) {
+    const columns = Object.keys(value[0]);
+    return {
+      payload: {
+        type: 'rows',
+        columns,
+        values: value.map(row => columns.map(col => row[col]))
+      },
+      transfer: []
+    };
+  }
+
+  if (value instanceof Uint8Array && value.byteLength === value.buffer.byteLength) {
+    return {
+      payload: { type: 'value', value },
+      transfer: [value.buffer]
+    };
+  }
+
+  return {
+    payload: { type: 'value', value },
+    transfer: []
+  };
+}
+
+/**
+ * Decode a method result received from the worker
+ * @param {Object} payload
+ * @returns {*}
+ */
+function decodeResult(payload) {
+  if (payload.type === 'rows') {
+    return payload.values.map(row => {
+      const obj = {};
+      payload.columns.forEach((col, idx) => {
+        obj[col] = row[idx];
+      });
+      return obj;
+    });
+  }
+
+  return payload.value;
+}
+
+/**
+ * Serialize an error for postMessage
+ * @param {Error} error
+ * @returns {Object}
+ */
+function encodeError(error) {
+  return {
+    name: error.name || 'Error',
+    message: error.message || String(error),
+    stack: error.stack || null
+  };
+}
+
+/**
+ * Rebuild an error received from the worker
+ * @param {Object} data
+ * @returns {Error}
+ */
+function decodeError(data) {
+  const error = new Error(data.message);
+  error.name = data.name;
+  if (data.stack) {
+    error.stack = data.stack;
+  }
+  return error;
+}
+
+export {
+  encodeResult,
+  decodeResult,
+  encodeError,
+  decodeError
+};
@@ -0,0 +1,165 @@
+/**
+ * Mock Sync Server
+ * In-memory implementation of the sync protocol used by sync-plugin.js,
+ * for local development and tests.
+ *
+ * Run:   node claude_contrib/examples/mock-sync-server.js [port]
+ * Use:   pwa.init({ sync: { endpoint: 'http://localhost:8787' } })
+ *
+ * Or start one from a test:
+ *   const server = createMockSyncServer();
+ *   await server.listen(0);
+ *   ... server.url, server.changes ...
+ *   await server.close();
+ */
+
+import http from 'http';
+import { fileURLToPath } from 'url';
+
+/**
+ * Create a mock sync server
+ * @param {Object} options
+ * @param {number} options.pageSize - Changes per pull response
+ * @param {Function} options.reject - (change) => error message or null, to
+ *   simulate server-side rejections
+ * @returns {Object} { server, changes, records, listen(port), close(), url }
+ */
+function createMockSyncServer(options = {}) {
+  const { pageSize = 100, reject = () => null } = options;
+
+  // Every accepted change, in arrival order; the cursor is the array index
+  const changes = [];
+
+  // Current state per record ('table:recordId' → { version, data, deleted })
+  const records = new Map();
+
+  const send = (res, status, body) => {
+    res.writeHead(status, {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Headers': '*',
+      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
+    });
+    res.end(JSON.stringify(body));
+  };
+
+  const readBody = req => new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => {
+      try {
+        resolve(data ? JSON.parse(data) : {});
+      } catch (error) {
+        reject(error);
+      }
+    });
+    req.on('error', reject);
+  });
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (req.method === 'OPTIONS') {
+      send(res, 204, {});
+      return;
+    }
+
+    try {
+      if (req.method === 'POST' && url.pathname === '/push') {
+        const { clientId, changes: incoming = [] } = await readBody(req);
+
+        const results = incoming.map(change => {
+          const error = reject(change);
+          if (error) {
+            return { id: change.id, ok: false, error };
+          }
+
+          // A change must be based on the version the server has now
+          const key = `${change.table}:${change.recordId}`;
+          const current = records.get(key);
+          const currentVersion = current ? current.version : null;
+
+          if (current && (change.baseVersion ?? null) !== currentVersion) {
+            return {
+              id: change.id,
+              ok: false,
+              conflict: {
+                version: currentVersion,
+                data: current.deleted ? null : current.data
+              }
+            };
+          }
+
+          const version = (currentVersion || 0) + 1;
+          const deleted = change.operation === 'delete';
+
+          records.set(key, { version, data: deleted ? null : change.data, deleted });
+          changes.push({ ...change, clientId, version });
+          return { id: change.id, ok: true, version };
+        });
+
+        send(res, 200, { results });
+        return;
+      }
+
+      if (req.method === 'GET' && url.pathname === '/pull') {
+        const clientId = url.searchParams.get('clientId');
+        const since = Number(url.searchParams.get('since') || 0);
+
+        // Clients don't need their own changes back
+        const page = [];
+        let cursor = since;
+
+        while (cursor < changes.length && page.length < pageSize) {
+          const change = changes[cursor++];
+          if (change.clientId !== clientId) {
+            page.push({
+              operation: change.operation,
+              table: change.table,
+              recordId: change.recordId,
+              data: change.data,
+              version: change.version
+            });
+          }
+        }
+
+        send(res, 200, { changes: page, cursor, hasMore: cursor < changes.length });
+        return;
+      }
+
+      send(res, 404, { error: 'Not found' });
+    } catch (error) {
+      send(res, 400, { error: error.message });
+    }
+  });
+
+  return {
+    server,
+    changes,
+    records,
+    url: null,
+
+    listen(port = 8787) {
+      return new Promise(resolve => {
+        server.listen(port, () => {
+          this.url = `http://localhost:${server.address().port}`;
+          resolve(this.url);
+        });
+      });
+    },
+
+    close() {
+      return new Promise(resolve => server.close(() => resolve()));
+    }
+  };
+}
+
+// Started directly: serve until interrupted
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const mock = createMockSyncServer();
+  mock.listen(Number(process.argv[2]) || 8787).then(url => {
+    console.log(`Mock sync server listening on ${url}`);
+  });
+}
+
+export { createMockSyncServer };
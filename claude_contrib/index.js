@@ -10,10 +10,16 @@
  * - Webhook sender
  * - API handler
  * - Metrics and reporting
+ * - Offline-first sync
+ * - Expiry sweeps and maintenance
+ * - Database snapshots and restore
+ * - Multiple named databases (one per user or workspace)
  */
 
 // Database
-import dbService from './db/database-service.js';
+import dbService, { DatabaseService } from './db/database-service.js';
+import DatabaseProxy from './db/database-proxy.js';
+import { resolveFixtureProfile } from './db/fixtures.js';
 
 // Plugins
 import settingsPlugin from './plugins/settings-plugin.js';
@@ -23,6 +29,12 @@ import dynamicPagePlugin from './plugins/dynamic-page-plugin.js';
 import webhookPlugin from './plugins/webhook-plugin.js';
 import apiPlugin from './plugins/api-plugin.js';
 import metricsPlugin from './plugins/metrics-plugin.js';
+import syncPlugin from './plugins/sync-plugin.js';
+import maintenancePlugin from './plugins/maintenance-plugin.js';
+import backupPlugin from './plugins/backup-plugin.js';
+
+// Fixture profiles shipped next to this file (db/fixtures/)
+const DEFAULT_FIXTURES_URL = new URL('./db/fixtures', import.meta.url).href;
 
 /**
  * PWA Components System
@@ -31,6 +43,11 @@ class PWAComponents {
   constructor() {
     this.initialized = false;
     this.db = dbService;
+    this.workerDb = null;
+    this.workerOptions = null;
+    this.databases = new Map(); // name → DatabaseService
+    this.activeDatabase = null;
+    this.dbOptions = null;
     this.settings = settingsPlugin;
     this.auth = authPlugin;
     this.logging = loggingPlugin;
@@ -38,11 +55,17 @@ class PWAComponents {
     this.webhooks = webhookPlugin;
     this.api = apiPlugin;
     this.metrics = metricsPlugin;
+    this.sync = syncPlugin;
+    this.maintenance = maintenancePlugin;
+    this.backup = backupPlugin;
   }
 
   /**
    * Initialize all components
    * @param {Object} options - Configuration options
+   * @param {string|Array<Object>|null} options.fixtures - Seed data: a
+   *   profile name (default 'base'), loaded profiles, or null for none
+   * @param {string} options.fixturesUrl - Directory of fixture profiles
    */
   async init(options = {}) {
     if (this.initialized) {
@@ -53,8 +76,20 @@ class PWAComponents {
     const {
       schemaSQL = null,
       dbName = 'pwa-core.db',
+      migrations,
+      autoMigrate = true,
+      storage = 'auto',
+      wasmUrl = null,
+      encryption = null,
+      coordinate = 'auto',
+      fixtures = 'base',
+      fixturesUrl = DEFAULT_FIXTURES_URL,
+      worker = false,
       logLevel = 'info',
       enableMetrics = true,
+      sync = null,
+      maintenance = true,
+      backup = true,
       router = null
     } = options;
 
@@ -63,8 +98,37 @@ class PWAComponents {
 
       // 1. Initialize database
       console.log('  → Initializing database...');
+      const seeds = await this.resolveSeeds(fixtures, fixturesUrl, !('fixtures' in options));
       this.db.dbName = dbName;
-      await this.db.init(schemaSQL);
+      await this.db.init(schemaSQL, {
+        migrations,
+        autoMigrate,
+        storage,
+        wasmUrl,
+        encryption,
+        coordinate,
+        fixtures: seeds
+      });
+
+      this.databases.set(dbName, dbService);
+      this.activeDatabase = dbName;
+      this.dbOptions = {
+        schemaSQL, migrations, autoMigrate, storage, wasmUrl, encryption, coordinate, fixtures: seeds
+      };
+
+      // 1b. Start the worker-hosted database for write-heavy plugins
+      if (worker) {
+        this.workerOptions = worker === true ? {} : worker;
+        console.log('  → Starting database worker...');
+        await this.initWorker(this.workerOptions, {
+          schemaSQL,
+          autoMigrate,
+          storage,
+          wasmUrl,
+          encryption,
+          coordinate
+        });
+      }
 
       // 2. Initialize logging
       console.log('  → Initializing logging...');
@@ -100,6 +164,26 @@ class PWAComponents {
         this.metrics.init();
       }
 
+      // 9. Initialize sync (needs an endpoint)
+      if (sync) {
+        console.log('  → Initializing sync...');
+        this.sync.init(sync);
+        this.sync.start();
+      }
+
+      // 10. Sweep expired rows (pass false to turn off)
+      if (maintenance) {
+        console.log('  → Initializing maintenance...');
+        this.maintenance.init(maintenance === true ? {} : maintenance);
+        this.maintenance.start();
+      }
+
+      // 11. Scheduled snapshots (run while the backup.auto_backup setting is on)
+      if (backup) {
+        console.log('  → Initializing backups...');
+        this.backup.start();
+      }
+
       this.initialized = true;
       console.log('✓ PWA Components initialized successfully');
 
@@ -122,6 +206,183 @@ class PWAComponents {
     }
   }
 
+  /**
+   * Host a second database in a Web Worker and point plugins at it.
+   * The worker keeps its own file, so the main-thread database and the
+   * worker never write the same image.
+   * @param {Object} options
+   * @param {string} options.dbName - Worker database file (default: pwa-worker.db)
+   * @param {Array<string>} options.plugins - Plugins to move (default: logging, metrics)
+   * @param {Worker} options.worker - Existing worker instance
+   * @param {Object} dbOptions - Schema, storage, wasmUrl and encryption from
+   *   init(). Migrations can hold functions, which can't be posted, so the
+   *   worker always uses ./db/migrations.js
+   */
+  async initWorker(options, dbOptions) {
+    const {
+      dbName = 'pwa-worker.db',
+      plugins = ['logging', 'metrics'],
+      worker
+    } = options;
+
+    const { schemaSQL, autoMigrate, storage, wasmUrl, encryption, coordinate } = dbOptions;
+
+    this.workerDb = new DatabaseProxy({ worker });
+
+    // Backend instances can't be cloned into the worker; fall back to auto
+    await this.workerDb.init(schemaSQL, {
+      dbName,
+      autoMigrate,
+      storage: typeof storage === 'string' ? storage : 'auto',
+      wasmUrl,
+      coordinate,
+      // Passphrases and CryptoKeys can be posted; cipher instances can't
+      encryption: encryption && {
+        passphrase: encryption.passphrase,
+        key: encryption.key,
+        iterations: encryption.iterations
+      }
+    });
+
+    plugins.forEach(name => {
+      const plugin = this[name];
+      if (!plugin || typeof plugin.useDatabase !== 'function') {
+        throw new Error(`Plugin "${name}" can't use the worker database`);
+      }
+      plugin.useDatabase(this.workerDb);
+    });
+  }
+
+  // ============================================================================
+  // MULTIPLE DATABASES
+  // ============================================================================
+
+  /**
+   * Open a named database (one file per user or workspace) without
+   * switching to it. It gets the schema, migrations and storage given to
+   * init(); options override them, e.g. a per-user encryption passphrase.
+   * @param {string} name - Database file name, e.g. 'workspace-42.db'
+   * @param {Object} options - DatabaseService.init() options
+   * @returns {Promise<DatabaseService>}
+   */
+  async openDatabase(name, options = {}) {
+    if (!this.dbOptions) {
+      throw new Error('PWA Components are not initialized');
+    }
+
+    if (this.databases.has(name)) {
+      return this.databases.get(name);
+    }
+
+    const { schemaSQL, ...dbOptions } = this.dbOptions;
+    const db = new DatabaseService();
+
+    await db.init(schemaSQL, { ...dbOptions, ...options, dbName: name });
+    this.databases.set(name, db);
+
+    return db;
+  }
+
+  /**
+   * Make a named database the active one, opening it if needed, and rebind
+   * every plugin to it. Caches, the signed-in user, pages and database
+   * endpoints all come from the new database; nothing of the previous one
+   * stays readable through the plugins.
+   * @param {string} name
+   * @param {Object} options - Passed to openDatabase()
+   * @returns {Promise<DatabaseService>}
+   */
+  async useDatabase(name, options = {}) {
+    const db = await this.openDatabase(name, options);
+    const previous = this.activeDatabase;
+
+    if (name === previous) {
+      return db;
+    }
+
+    await this.db.flush();
+    this.db = db;
+    this.activeDatabase = name;
+
+    // Plugins hosted in the worker move to a worker database of their own
+    let workerPlugins = [];
+    if (this.workerDb) {
+      workerPlugins = this.workerOptions.plugins || ['logging', 'metrics'];
+      await this.workerDb.terminate();
+      this.workerDb = null;
+
+      const { schemaSQL, autoMigrate, storage, wasmUrl, encryption, coordinate } = this.dbOptions;
+      await this.initWorker(
+        { ...this.workerOptions, dbName: this.getWorkerDbName(name) },
+        { schemaSQL, autoMigrate, storage, wasmUrl, coordinate, encryption: options.encryption || encryption }
+      );
+    }
+
+    // Settings first: other plugins read them while rebinding
+    const plugins = [
+      'settings', 'logging', 'metrics', 'auth', 'pages',
+      'webhooks', 'api', 'sync', 'maintenance', 'backup'
+    ].filter(plugin => !workerPlugins.includes(plugin));
+
+    for (const plugin of plugins) {
+      await this[plugin].useDatabase(db);
+    }
+
+    this.logging.clearMemoryLogs();
+
+    this.logging.info(`Switched to database ${name}`, {
+      category: 'system',
+      details: { previous }
+    });
+
+    window.dispatchEvent(new CustomEvent('pwa-database-changed', {
+      detail: { name, previous }
+    }));
+
+    return db;
+  }
+
+  /**
+   * Close a named database that isn't active
+   * @param {string} name
+   * @returns {Promise<void>}
+   */
+  async closeDatabase(name) {
+    if (name === this.activeDatabase) {
+      throw new Error(`Database ${name} is active; switch to another one first`);
+    }
+
+    const db = this.databases.get(name);
+    if (db) {
+      await db.close();
+      this.databases.delete(name);
+    }
+  }
+
+  /**
+   * Names of the open databases
+   * @returns {Array<string>}
+   */
+  listDatabases() {
+    return [...this.databases.keys()];
+  }
+
+  /**
+   * Worker database file for a named database; the first database uses
+   * the worker option's dbName
+   * @param {string} name
+   * @returns {string}
+   */
+  getWorkerDbName(name) {
+    const [first] = this.databases.keys();
+
+    if (name === first) {
+      return this.workerOptions.dbName || 'pwa-worker.db';
+    }
+
+    return `${name.replace(/\.db$/, '')}.worker.db`;
+  }
+
   /**
    * Load schema from file
    * @param {string} url - URL to schema SQL file
@@ -132,20 +393,64 @@ class PWAComponents {
     return await response.text();
   }
 
+  /**
+   * Load a fixture profile and the profiles it extends
+   * @param {string} profile - 'base', 'dev', 'demo', 'test' or your own
+   * @param {string} baseUrl - URL of the fixtures directory
+   * @returns {Promise<Array<Object>>}
+   */
+  async loadFixtures(profile, baseUrl) {
+    return resolveFixtureProfile(profile, async name => {
+      const response = await fetch(`${baseUrl}/${name}.json`);
+      return response.ok ? response.json() : null;
+    });
+  }
+
+  /**
+   * Load the seed data for init()
+   * @param {string|Array<Object>|null} fixtures - Profile name, loaded
+   *   profiles or null
+   * @param {string} baseUrl - URL of the fixtures directory
+   * @param {boolean} isDefault - The caller didn't ask for fixtures; a
+   *   missing default profile only warns
+   * @returns {Promise<Array<Object>|null>}
+   */
+  async resolveSeeds(fixtures, baseUrl, isDefault) {
+    if (typeof fixtures !== 'string') {
+      return fixtures;
+    }
+
+    try {
+      return await this.loadFixtures(fixtures, baseUrl);
+    } catch (error) {
+      if (!isDefault) throw error;
+
+      console.warn(`Seed data not loaded (${error.message}); pass fixtures: null to start without it`);
+      return null;
+    }
+  }
+
   /**
    * Quick setup with schema file
    * @param {Object} options
+   * @param {string} options.schemaUrl
+   * @param {string} options.fixturesUrl - Directory of fixture profiles
+   * @param {string} options.profile - Fixture profile to load (null for none)
    */
   async quickSetup(options = {}) {
     const {
       schemaUrl = '/db/schema.sql',
+      fixturesUrl = '/db/fixtures',
+      profile = 'base',
       ...initOptions
     } = options;
 
     const schema = await this.loadSchema(schemaUrl);
     await this.init({
       ...initOptions,
-      schemaSQL: schema
+      schemaSQL: schema,
+      fixtures: profile || null,
+      fixturesUrl
     });
   }
 
@@ -181,8 +486,25 @@ class PWAComponents {
       category: 'system'
     });
 
-    // Save database
-    await this.db.saveToIndexedDB();
+    // Save any pending database writes
+    for (const db of this.databases.values()) {
+      await db.flush();
+    }
+
+    // Flush and stop the database worker
+    if (this.workerDb) {
+      await this.workerDb.terminate();
+      this.workerDb = null;
+    }
+
+    // Stop scheduled syncing
+    this.sync.stop();
+
+    // Stop expiry sweeps
+    this.maintenance.stop();
+
+    // Stop scheduled snapshots
+    this.backup.stop();
 
     // Stop auth session checking
     this.auth.stopSessionCheck();
@@ -208,11 +530,16 @@ export default pwaComponents;
 // Also export individual components
 export {
   dbService,
+  DatabaseService,
+  DatabaseProxy,
   settingsPlugin,
   authPlugin,
   loggingPlugin,
   dynamicPagePlugin,
   webhookPlugin,
   apiPlugin,
-  metricsPlugin
+  metricsPlugin,
+  syncPlugin,
+  maintenancePlugin,
+  backupPlugin
 };
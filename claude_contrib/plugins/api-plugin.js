@@ -12,6 +12,25 @@ class APIPlugin {
     this.handlers = new Map();
     this.middleware = [];
     this.rateLimits = new Map();
+    this.db = dbService;
+  }
+
+  /**
+   * Serve endpoints from a different database. Handlers registered in code
+   * stay available; endpoints loaded from the old database are replaced
+   * by the new database's.
+   * @param {Object} db - DatabaseService
+   * @returns {Promise<void>}
+   */
+  async useDatabase(db) {
+    const registered = [...this.handlers].filter(([, endpoint]) => typeof endpoint.handler === 'function');
+
+    this.db = db;
+    this.handlers.clear();
+    this.rateLimits.clear();
+
+    await this.loadEndpointsFromDb();
+    registered.forEach(([key, endpoint]) => this.handlers.set(key, endpoint));
   }
 
   /**
@@ -31,8 +50,10 @@ class APIPlugin {
    * Load endpoints from database
    */
   async loadEndpointsFromDb() {
-    const endpoints = dbService.getAll(
-      'SELECT * FROM api_endpoints WHERE active = 1'
+    const endpoints = this.db.getAll(
+      `SELECT * FROM api_endpoints
+       WHERE active = 1
+         AND (expiry_date IS NULL OR julianday(expiry_date) > julianday('now'))`
     );
     
     endpoints.forEach(endpoint => {
@@ -52,6 +73,8 @@ class APIPlugin {
    * @param {string} route - API route
    * @param {Function} handler - Handler function
    * @param {Object} options - Options
+   * @param {string} options.permission - Permission callers need (authPlugin.can()),
+   *   checked against the route; kept in metadata.permission
    */
   register(method, route, handler, options = {}) {
     const {
@@ -60,14 +83,15 @@ class APIPlugin {
       description = '',
       requestSchema = null,
       responseSchema = null,
-      metadata = null
+      permission = null
     } = options;
+    const metadata = permission ? { ...options.metadata, permission } : (options.metadata || null);
     
     // Save to database
-    const id = dbService.generateUUID();
-    const now = dbService.getTimestamp();
+    const id = this.db.generateUUID();
+    const now = this.db.getTimestamp();
     
-    dbService.run(
+    this.db.run(
       `INSERT INTO api_endpoints (id, create_date, route, method, handler, 
          auth_required, rate_limit, active, description, request_schema, 
          response_schema, metadata)
@@ -112,7 +136,7 @@ class APIPlugin {
     const key = `${method.toUpperCase()}:${route}`;
     this.handlers.delete(key);
     
-    dbService.run(
+    this.db.run(
       'UPDATE api_endpoints SET active = 0 WHERE method = ? AND route = ?',
       [method.toUpperCase(), route]
     );
@@ -142,12 +166,18 @@ class APIPlugin {
       }
       
       // Check authentication
-      if (endpoint.auth_required) {
+      const permission = endpoint.metadata?.permission;
+      if (endpoint.auth_required || permission) {
         if (!authPlugin.isAuthenticated()) {
           return this.errorResponse(401, 'Authentication required');
         }
       }
       
+      // Check permission
+      if (permission && !authPlugin.can(permission, route)) {
+        return this.errorResponse(403, `Permission ${permission} required`);
+      }
+      
       // Check rate limit
       const rateLimitOk = this.checkRateLimit(key, endpoint.rate_limit);
       if (!rateLimitOk) {
@@ -337,6 +367,7 @@ class APIPlugin {
       method: endpoint.method,
       route: endpoint.route,
       auth_required: endpoint.auth_required,
+      permission: endpoint.metadata?.permission || null,
       rate_limit: endpoint.rate_limit,
       description: endpoint.description
     }));
@@ -356,7 +387,9 @@ class APIPlugin {
       endpoints: endpoints.map(endpoint => ({
         ...endpoint,
         url: `${window.location.origin}${endpoint.route}`,
-        authentication: endpoint.auth_required ? 'Required' : 'Not required',
+        authentication: endpoint.permission
+          ? `Permission ${endpoint.permission}`
+          : (endpoint.auth_required ? 'Required' : 'Not required'),
         rateLimit: `${endpoint.rate_limit} requests/minute`
       }))
     };
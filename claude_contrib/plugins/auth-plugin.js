@@ -4,12 +4,62 @@
  */
 
 import dbService from '../db/database-service.js';
+import settingsPlugin from './settings-plugin.js';
+import * as passwords from './password-hash.js';
+
+/**
+ * Create the error thrown while a username or device has to wait
+ * @param {string} message
+ * @param {number} retryAfter - ms until the next attempt is accepted
+ * @param {boolean} locked - Locked out, rather than delayed
+ * @returns {Error}
+ */
+function throttleError(message, retryAfter, locked) {
+  const error = new Error(message);
+  error.name = 'LoginThrottledError';
+  error.retryAfter = retryAfter;
+  error.locked = locked;
+  return error;
+}
 
 class AuthPlugin {
   constructor() {
     this.currentUser = null;
     this.currentSession = null;
     this.sessionCheckInterval = null;
+    this.db = dbService;
+    this.sessionKey = 'session_token'; // localStorage key, one per database
+    this.passwordIterations = passwords.PBKDF2_ITERATIONS; // For new hashes
+    this.deviceKey = 'device_id'; // localStorage key, shared by every database
+    this.loginQueue = Promise.resolve(); // logins run one at a time
+    this.dummyHash = null; // verified for unknown usernames
+
+    // Tabs share the saved session, so they follow each other's logins
+    this.unsubscribeTabs = this.db.onBroadcast('auth', (detail) => {
+      this.handleTabEvent(detail);
+    });
+  }
+
+  /**
+   * Authenticate against a different database. The signed-in user belongs
+   * to the old database, so they're dropped (not logged out there) and the
+   * new database's own saved session, if any, is restored.
+   * @param {Object} db - DatabaseService
+   * @returns {Promise<boolean>} Whether a session was restored
+   */
+  async useDatabase(db) {
+    this.unsubscribeTabs();
+    this.db = db;
+    this.unsubscribeTabs = this.db.onBroadcast('auth', (detail) => {
+      this.handleTabEvent(detail);
+    });
+
+    this.currentUser = null;
+    this.currentSession = null;
+    this.sessionKey = db === dbService ? 'session_token' : `session_token:${db.dbName}`;
+
+    const sessionToken = localStorage.getItem(this.sessionKey);
+    return sessionToken ? this.restoreSession(sessionToken) : false;
   }
 
   /**
@@ -17,7 +67,7 @@ class AuthPlugin {
    */
   async init() {
     // Try to restore session from storage
-    const sessionToken = localStorage.getItem('session_token');
+    const sessionToken = localStorage.getItem(this.sessionKey);
     if (sessionToken) {
       await this.restoreSession(sessionToken);
     }
@@ -27,36 +77,64 @@ class AuthPlugin {
   }
 
   /**
-   * Login a user
+   * Login a user. Attempts run one at a time, so each is checked against
+   * the failures of the ones before it rather than all passing the
+   * throttle before any password has been verified.
+   * @param {string} username
+   * @param {string} password
+   * @returns {Promise<Object>} User object and session token
+   */
+  login(username, password) {
+    const attempt = this.loginQueue.then(() => this.attemptLogin(username, password));
+    this.loginQueue = attempt.catch(() => {});
+    return attempt;
+  }
+
+  /**
+   * One login attempt (see login())
    * @param {string} username
    * @param {string} password
    * @returns {Promise<Object>} User object and session token
    */
-  async login(username, password) {
+  async attemptLogin(username, password) {
+    const deviceId = this.getDeviceId();
+
     try {
+      // Refuse while this username or device has to wait
+      this.checkLoginThrottle(username, deviceId);
+      
       // Get user from database
-      const user = dbService.getUserByUsername(username);
+      const user = this.db.getUserByUsername(username);
       
-      if (!user) {
+      // Unknown usernames are checked against a dummy hash, so they take
+      // as long as wrong passwords and don't reveal which usernames exist
+      const isValid = await this.verifyPassword(
+        password,
+        user ? user.password_hash : await this.getDummyHash()
+      );
+      
+      if (!user || !isValid) {
+        this.recordLoginFailure(username, deviceId);
         throw new Error('Invalid username or password');
       }
       
-      // Verify password (you'll need to implement proper password hashing)
-      const isValid = await this.verifyPassword(password, user.password_hash);
+      this.clearLoginFailures('username', username);
+      this.decayDeviceFailures(deviceId);
       
-      if (!isValid) {
-        throw new Error('Invalid username or password');
+      // Legacy or weaker hashes are replaced now that we know the password
+      if (passwords.needsRehash(user.password_hash, { iterations: this.passwordIterations })) {
+        await this.upgradePasswordHash(user, password);
       }
       
       // Update last login
-      dbService.updateLastLogin(user.id);
+      this.db.updateLastLogin(user.id);
       
       // Create session
       const deviceInfo = this.getDeviceInfo();
-      const sessionToken = dbService.createSession(user.id, deviceInfo);
+      const sessionToken = this.db.createSession(user.id, deviceInfo);
       
       // Store session token
-      localStorage.setItem('session_token', sessionToken);
+      localStorage.setItem(this.sessionKey, sessionToken);
       
       // Set current user and session
       this.currentUser = user;
@@ -67,23 +145,28 @@ class AuthPlugin {
       };
       
       // Log the event
-      dbService.log('info', 'User logged in', {
+      this.db.log('info', 'User logged in', {
         category: 'auth',
         userId: user.id,
         sessionId: sessionToken
       });
       
-      // Emit login event
+      // Emit login event, here and in other tabs
       this.emitAuthEvent('login', { user, sessionToken });
+      this.db.broadcast('auth', {
+        event: 'login',
+        userId: user.id,
+        session: this.currentSession
+      });
       
       return {
         user: this.sanitizeUser(user),
         sessionToken
       };
     } catch (error) {
-      dbService.log('warn', 'Login failed', {
+      this.db.log('warn', 'Login failed', {
         category: 'auth',
-        details: { username, error: error.message }
+        details: { username, deviceId, error: error.message }
       });
       
       throw error;
@@ -96,10 +179,10 @@ class AuthPlugin {
   async logout() {
     if (this.currentSession) {
       // Invalidate session in database
-      dbService.invalidateSession(this.currentSession.id);
+      this.db.invalidateSession(this.currentSession.id);
       
       // Log the event
-      dbService.log('info', 'User logged out', {
+      this.db.log('info', 'User logged out', {
         category: 'auth',
         userId: this.currentUser?.id,
         sessionId: this.currentSession.id
@@ -107,15 +190,37 @@ class AuthPlugin {
     }
     
     // Clear local storage
-    localStorage.removeItem('session_token');
+    localStorage.removeItem(this.sessionKey);
     
     // Clear current user and session
     const previousUser = this.currentUser;
     this.currentUser = null;
     this.currentSession = null;
     
-    // Emit logout event
+    // Emit logout event, here and in other tabs
     this.emitAuthEvent('logout', { user: previousUser });
+    this.db.broadcast('auth', { event: 'logout' });
+  }
+
+  /**
+   * Follow a login or logout in another tab. Only ids cross tabs; the user
+   * is read from this tab's copy of the database.
+   * @param {Object} detail - { event, userId, session }
+   */
+  handleTabEvent({ event, userId, session }) {
+    if (event === 'login') {
+      const user = this.db.getUserById(userId);
+      if (!user) return;
+
+      this.currentUser = user;
+      this.currentSession = session;
+      this.emitAuthEvent('login', { user, sessionToken: session.id });
+    } else if (event === 'logout') {
+      const previousUser = this.currentUser;
+      this.currentUser = null;
+      this.currentSession = null;
+      this.emitAuthEvent('logout', { user: previousUser });
+    }
   }
 
   /**
@@ -131,7 +236,7 @@ class AuthPlugin {
       }
       
       // Check if username already exists
-      const existing = dbService.getUserByUsername(userData.username);
+      const existing = this.db.getUserByUsername(userData.username);
       if (existing) {
         throw new Error('Username already exists');
       }
@@ -140,14 +245,14 @@ class AuthPlugin {
       const password_hash = await this.hashPassword(userData.password);
       
       // Create user
-      const userId = dbService.createUser({
+      const userId = this.db.createUser({
         ...userData,
         password_hash,
         password: undefined // Remove plain password
       });
       
       // Log the event
-      dbService.log('info', 'New user registered', {
+      this.db.log('info', 'New user registered', {
         category: 'auth',
         details: { userId, username: userData.username }
       });
@@ -157,7 +262,7 @@ class AuthPlugin {
       
       return userId;
     } catch (error) {
-      dbService.log('warn', 'Registration failed', {
+      this.db.log('warn', 'Registration failed', {
         category: 'auth',
         details: { username: userData.username, error: error.message }
       });
@@ -174,24 +279,24 @@ class AuthPlugin {
   async restoreSession(sessionToken) {
     try {
       // Get session from database
-      const session = dbService.getSession(sessionToken);
+      const session = this.db.getSession(sessionToken);
       
       if (!session) {
-        localStorage.removeItem('session_token');
+        localStorage.removeItem(this.sessionKey);
         return false;
       }
       
       // Get user
-      const user = dbService.getUserById(session.user_id);
+      const user = this.db.getUserById(session.user_id);
       
       if (!user) {
-        dbService.invalidateSession(sessionToken);
-        localStorage.removeItem('session_token');
+        this.db.invalidateSession(sessionToken);
+        localStorage.removeItem(this.sessionKey);
         return false;
       }
       
       // Update session activity
-      dbService.updateSessionActivity(sessionToken);
+      this.db.updateSessionActivity(sessionToken);
       
       // Set current user and session
       this.currentUser = user;
@@ -203,7 +308,7 @@ class AuthPlugin {
       return true;
     } catch (error) {
       console.error('Failed to restore session:', error);
-      localStorage.removeItem('session_token');
+      localStorage.removeItem(this.sessionKey);
       return false;
     }
   }
@@ -233,12 +338,23 @@ class AuthPlugin {
   }
 
   /**
-   * Check if user has role
+   * Check if user has role: users.role, an assigned role (user_roles) or
+   * one of their roles inherits from it
    * @param {string} role
    * @returns {boolean}
    */
   hasRole(role) {
-    return this.currentUser && this.currentUser.role === role;
+    return !!this.currentUser && this.db.getUserRoles(this.currentUser.id).includes(role);
+  }
+
+  /**
+   * Check if user holds a permission through any of their roles
+   * @param {string} permission - e.g. 'pages:write'
+   * @param {string} resource - Route or id; '*' asks for a grant on every resource
+   * @returns {boolean}
+   */
+  can(permission, resource = '*') {
+    return !!this.currentUser && this.db.hasPermission(this.currentUser.id, permission, resource);
   }
 
   /**
@@ -263,6 +379,19 @@ class AuthPlugin {
     }
   }
 
+  /**
+   * Require permission
+   * Throws error if user doesn't hold the permission
+   * @param {string} permission
+   * @param {string} resource
+   */
+  requirePermission(permission, resource = '*') {
+    this.requireAuth();
+    if (!this.can(permission, resource)) {
+      throw new Error(`Permission ${permission} required`);
+    }
+  }
+
   /**
    * Update user profile
    * @param {Object} updates
@@ -281,22 +410,15 @@ class AuthPlugin {
     });
     
     // Update database
-    const setClause = Object.keys(filteredUpdates)
-      .map(key => `${key} = ?`)
-      .join(', ');
-    
-    const values = [...Object.values(filteredUpdates), this.currentUser.id];
-    
-    dbService.run(
-      `UPDATE users SET ${setClause} WHERE id = ?`,
-      values
-    );
+    this.db.table('users')
+      .where({ id: this.currentUser.id })
+      .update(filteredUpdates);
     
     // Update current user
     Object.assign(this.currentUser, filteredUpdates);
     
     // Log the event
-    dbService.log('info', 'User profile updated', {
+    this.db.log('info', 'User profile updated', {
       category: 'auth',
       userId: this.currentUser.id,
       details: { fields: Object.keys(filteredUpdates) }
@@ -330,13 +452,14 @@ class AuthPlugin {
     const newHash = await this.hashPassword(newPassword);
     
     // Update database
-    dbService.run(
+    this.db.run(
       'UPDATE users SET password_hash = ? WHERE id = ?',
       [newHash, this.currentUser.id]
     );
+    this.currentUser.password_hash = newHash;
     
     // Log the event
-    dbService.log('info', 'Password changed', {
+    this.db.log('info', 'Password changed', {
       category: 'auth',
       userId: this.currentUser.id
     });
@@ -348,34 +471,261 @@ class AuthPlugin {
   }
 
   // ============================================================================
-  // PASSWORD HASHING (Simple implementation - use bcrypt in production!)
+  // PASSWORD HASHING (see ./password-hash.js)
   // ============================================================================
 
   /**
-   * Hash a password
+   * Hash a password with PBKDF2 and a fresh salt
    * @param {string} password
-   * @returns {Promise<string>}
+   * @returns {Promise<string>} Self-describing hash ($pbkdf2-sha256$i=…$salt$hash)
    */
   async hashPassword(password) {
-    // This is a simplified version
-    // In production, use bcrypt or scrypt
-    const encoder = new TextEncoder();
-    const data = encoder.encode(password);
-    const hash = await crypto.subtle.digest('SHA-256', data);
-    return Array.from(new Uint8Array(hash))
-      .map(b => b.toString(16).padStart(2, '0'))
-      .join('');
+    return passwords.hashPassword(password, { iterations: this.passwordIterations });
   }
 
   /**
-   * Verify a password
+   * Verify a password against a PBKDF2, legacy SHA-256 or bcrypt hash
    * @param {string} password
    * @param {string} hash
    * @returns {Promise<boolean>}
    */
   async verifyPassword(password, hash) {
-    const hashedInput = await this.hashPassword(password);
-    return hashedInput === hash;
+    return passwords.verifyPassword(password, hash);
+  }
+
+  /**
+   * Hash of a random password, with the current iteration count
+   * @returns {Promise<string>}
+   */
+  async getDummyHash() {
+    if (!this.dummyHash || passwords.needsRehash(this.dummyHash, { iterations: this.passwordIterations })) {
+      this.dummyHash = await this.hashPassword(this.db.generateUUID());
+    }
+    return this.dummyHash;
+  }
+
+  /**
+   * Replace a user's verified password hash with a current one. Failing
+   * to do so doesn't fail the login; it's tried again next time.
+   * @param {Object} user - Row from users; its password_hash is updated
+   * @param {string} password - The password that just verified
+   */
+  async upgradePasswordHash(user, password) {
+    const algorithm = passwords.identifyHash(user.password_hash);
+
+    try {
+      const newHash = await this.hashPassword(password);
+      this.db.run(
+        'UPDATE users SET password_hash = ? WHERE id = ?',
+        [newHash, user.id]
+      );
+      user.password_hash = newHash;
+
+      this.db.log('info', 'Password hash upgraded', {
+        category: 'auth',
+        userId: user.id,
+        details: { from: algorithm }
+      });
+    } catch (error) {
+      console.error('Failed to upgrade password hash:', error);
+    }
+  }
+
+  // ============================================================================
+  // LOGIN THROTTLING (thresholds are settings in the 'auth' category)
+  // ============================================================================
+
+  /**
+   * Id of this browser, so failed logins can be counted per device across
+   * usernames
+   * @returns {string}
+   */
+  getDeviceId() {
+    let deviceId = localStorage.getItem(this.deviceKey);
+    if (!deviceId) {
+      deviceId = this.db.generateUUID();
+      localStorage.setItem(this.deviceKey, deviceId);
+    }
+    return deviceId;
+  }
+
+  /**
+   * Throw if the username or the device is locked out or still delayed
+   * @param {string} username
+   * @param {string} deviceId
+   */
+  checkLoginThrottle(username, deviceId) {
+    const now = Date.now();
+
+    this.getLoginAttempts(username, deviceId).forEach(attempt => {
+      const lockedUntil = attempt.locked_until ? Date.parse(attempt.locked_until) : 0;
+      if (lockedUntil > now) {
+        const subject = attempt.scope === 'device' ? 'This device' : 'Account';
+        throw throttleError(
+          `${subject} is locked; try again in ${Math.ceil((lockedUntil - now) / 60000)} min`,
+          lockedUntil - now,
+          true
+        );
+      }
+
+      const retryAfter = attempt.retry_after ? Date.parse(attempt.retry_after) : 0;
+      if (retryAfter > now) {
+        throw throttleError(
+          `Too many failed logins; try again in ${Math.ceil((retryAfter - now) / 1000)} s`,
+          retryAfter - now,
+          false
+        );
+      }
+    });
+  }
+
+  /**
+   * Count a failed login against the username and the device. Past
+   * auth.throttle_after failures the next attempt is delayed, doubling
+   * each time; reaching the maximum locks them out for
+   * auth.lockout_duration. Failures older than that are forgotten.
+   * @param {string} username
+   * @param {string} deviceId
+   */
+  recordLoginFailure(username, deviceId) {
+    const now = Date.now();
+    const lockoutMs = settingsPlugin.getLockoutDuration() * 1000;
+    const throttleAfter = settingsPlugin.getThrottleAfter();
+    const scopes = [
+      ['username', username, settingsPlugin.getLoginMaxAttempts()],
+      ['device', deviceId, settingsPlugin.getDeviceMaxAttempts()]
+    ];
+
+    scopes.forEach(([scope, key, maxAttempts]) => {
+      const previous = this.db.getOne(
+        'SELECT failures, last_failure FROM login_attempts WHERE scope = ? AND key = ?',
+        [scope, key]
+      );
+      const failures = previous && now - Date.parse(previous.last_failure) < lockoutMs
+        ? previous.failures + 1
+        : 1;
+
+      const delay = failures >= throttleAfter
+        ? Math.min(
+          settingsPlugin.getThrottleDelay() * 2 ** (failures - throttleAfter),
+          settingsPlugin.getThrottleMaxDelay()
+        ) * 1000
+        : 0;
+      const locked = failures >= maxAttempts;
+      const lockedUntil = locked ? new Date(now + lockoutMs).toISOString() : null;
+
+      this.db.run(
+        `INSERT INTO login_attempts (scope, key, failures, last_failure, retry_after, locked_until)
+         VALUES (?, ?, ?, ?, ?, ?)
+         ON CONFLICT(scope, key) DO UPDATE SET
+           failures = excluded.failures,
+           last_failure = excluded.last_failure,
+           retry_after = excluded.retry_after,
+           locked_until = excluded.locked_until`,
+        [
+          scope, key, failures, new Date(now).toISOString(),
+          delay ? new Date(now + delay).toISOString() : null,
+          lockedUntil
+        ]
+      );
+
+      // Locked attempts are refused before they're counted, so this only
+      // happens once per lockout
+      if (locked) {
+        this.db.log('warn', scope === 'device' ? 'Device locked out' : 'Account locked out', {
+          category: 'auth',
+          details: { username, deviceId, failures, lockedUntil }
+        });
+        this.emitAuthEvent('locked', { scope, key, failures, lockedUntil });
+      }
+    });
+  }
+
+  /**
+   * Forget the failed logins of a username or device
+   * @param {string} scope - 'username' or 'device'
+   * @param {string} key
+   */
+  clearLoginFailures(scope, key) {
+    this.db.run('DELETE FROM login_attempts WHERE scope = ? AND key = ?', [scope, key]);
+  }
+
+  /**
+   * Halve a device's failures after a successful login and lift its
+   * delay. Not cleared outright, or signing in to one account would reset
+   * the count of guesses against others.
+   * @param {string} deviceId
+   */
+  decayDeviceFailures(deviceId) {
+    this.db.transaction(() => {
+      this.db.run(
+        `UPDATE login_attempts SET failures = failures / 2, retry_after = NULL
+         WHERE scope = 'device' AND key = ?`,
+        [deviceId]
+      );
+      this.db.run(
+        "DELETE FROM login_attempts WHERE scope = 'device' AND key = ? AND failures = 0",
+        [deviceId]
+      );
+    });
+  }
+
+  /**
+   * Failed login records for a username and a device
+   * @param {string} username
+   * @param {string} deviceId
+   * @returns {Array}
+   */
+  getLoginAttempts(username, deviceId) {
+    return this.db.getAll(
+      `SELECT * FROM login_attempts
+       WHERE (scope = 'username' AND key = ?) OR (scope = 'device' AND key = ?)`,
+      [username, deviceId]
+    );
+  }
+
+  /**
+   * Get current lockouts (needs the auth:unlock permission)
+   * @returns {Array} Rows of login_attempts with locked_until in the future
+   */
+  getLockouts() {
+    this.requirePermission('auth:unlock');
+    return this.db.getAll(
+      'SELECT * FROM login_attempts WHERE locked_until > ? ORDER BY locked_until',
+      [new Date().toISOString()]
+    );
+  }
+
+  /**
+   * Lift a username's lockout and delay (needs the auth:unlock permission)
+   * @param {string} username
+   */
+  unlockAccount(username) {
+    this.unlock('username', username);
+  }
+
+  /**
+   * Lift a device's lockout and delay (needs the auth:unlock permission)
+   * @param {string} deviceId
+   */
+  unlockDevice(deviceId) {
+    this.unlock('device', deviceId);
+  }
+
+  /**
+   * @param {string} scope - 'username' or 'device'
+   * @param {string} key
+   */
+  unlock(scope, key) {
+    this.requirePermission('auth:unlock');
+    this.clearLoginFailures(scope, key);
+
+    this.db.log('info', scope === 'device' ? 'Device unlocked' : 'Account unlocked', {
+      category: 'auth',
+      userId: this.currentUser.id,
+      details: { scope, key }
+    });
+    this.emitAuthEvent('unlocked', { scope, key });
   }
 
   // ============================================================================
@@ -413,16 +763,16 @@ class AuthPlugin {
     // Check session every minute
     this.sessionCheckInterval = setInterval(() => {
       if (this.currentSession) {
-        const sessionToken = localStorage.getItem('session_token');
+        const sessionToken = localStorage.getItem(this.sessionKey);
         if (sessionToken) {
-          const session = dbService.getSession(sessionToken);
+          const session = this.db.getSession(sessionToken);
           if (!session) {
             // Session expired or invalidated
             this.logout();
             this.emitAuthEvent('session-expired');
           } else {
             // Update activity
-            dbService.updateSessionActivity(sessionToken);
+            this.db.updateSessionActivity(sessionToken);
           }
         }
       }
@@ -464,7 +814,7 @@ class AuthPlugin {
    * Clean up expired sessions (run periodically)
    */
   cleanup() {
-    dbService.cleanupExpiredSessions();
+    this.db.cleanupExpiredSessions();
   }
 }
 
@@ -0,0 +1,322 @@
+/**
+ * Backup Plugin
+ * Database snapshots kept in the storage backend next to the live image,
+ * named <dbName>.snapshot.<UTC stamp>[.<label>]:
+ *   - automatic snapshots (no label) are rotated, keeping the newest N
+ *   - labelled snapshots are kept until deleted
+ *
+ * Snapshots are encrypted like the live image. Restores go through
+ * DatabaseService.importDatabase(), which validates the image first.
+ *
+ * Scheduled snapshots are configured by settings (category 'backup'):
+ * auto_backup, backup_interval (seconds) and keep.
+ */
+
+import dbService from '../db/database-service.js';
+import settingsPlugin from './settings-plugin.js';
+import loggingPlugin from './logging-plugin.js';
+
+const SNAPSHOT_STAMP = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(\d{3})Z$/;
+
+class BackupPlugin {
+  constructor() {
+    this.timer = null;
+    this.started = false;
+    this.listeningForSettings = false;
+    this.db = dbService;
+  }
+
+  /**
+   * Snapshot a different database. Snapshots are named after the database,
+   * so each one rotates and restores only its own.
+   * @param {Object} db - DatabaseService
+   * @returns {Promise<void>}
+   */
+  async useDatabase(db) {
+    this.db = db;
+
+    if (this.started) {
+      await this.scheduleNext();
+    }
+  }
+
+  // ============================================================================
+  // SNAPSHOTS
+  // ============================================================================
+
+  /**
+   * Snapshot the database now
+   * @param {string} label - Keeps the snapshot out of rotation
+   * @returns {Promise<Object>} { name, label, createdAt, size }
+   */
+  async createSnapshot(label = null) {
+    if (label !== null && !/^[\w-]+$/.test(label)) {
+      throw new Error(`Invalid snapshot label: ${label} (use letters, digits, _ and -)`);
+    }
+    if (this.db.inTransaction()) {
+      throw new Error('Cannot snapshot the database inside a transaction');
+    }
+
+    await this.db.flush();
+
+    const createdAt = new Date().toISOString();
+    const stamp = createdAt.replace(/[-:.]/g, '');
+    const name = `${this.getPrefix()}${stamp}${label ? `.${label}` : ''}`;
+    const blob = await this.db.exportDatabase();
+    const data = new Uint8Array(await blob.arrayBuffer());
+
+    await this.db.storage.save(name, data);
+
+    const snapshot = { name, label, createdAt, size: data.length };
+
+    if (!label) {
+      await this.prune();
+    }
+
+    loggingPlugin.info(`Created database snapshot ${name}`, {
+      category: 'backup',
+      details: { size: snapshot.size }
+    });
+
+    this.emitBackupEvent('created', snapshot);
+    return snapshot;
+  }
+
+  /**
+   * List snapshots of the current database, newest first
+   * @returns {Promise<Array<Object>>} [{ name, label, createdAt }]
+   */
+  async listSnapshots() {
+    const prefix = this.getPrefix();
+    const names = await this.db.storage.list();
+
+    return names
+      .filter(name => name.startsWith(prefix))
+      .map(name => {
+        const [stamp, label = null] = name.slice(prefix.length).split('.');
+        const match = stamp.match(SNAPSHOT_STAMP);
+        if (!match) return null;
+
+        const [, year, month, day, hour, minute, second, ms] = match;
+        return {
+          name,
+          label,
+          createdAt: `${year}-${month}-${day}T${hour}:${minute}:${second}.${ms}Z`
+        };
+      })
+      .filter(Boolean)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Replace the live database with a snapshot. The snapshot is validated
+   * before anything is replaced.
+   * @param {string} nameOrLabel - Snapshot name, or a label (newest wins)
+   * @param {Object} options
+   * @param {boolean} options.backupFirst - Snapshot the current database first
+   * @returns {Promise<Object>} { snapshot, validation }
+   */
+  async restoreSnapshot(nameOrLabel, options = {}) {
+    const { backupFirst = true } = options;
+
+    const snapshots = await this.listSnapshots();
+    const snapshot = snapshots.find(s => s.name === nameOrLabel) ||
+      snapshots.find(s => s.label === nameOrLabel);
+
+    if (!snapshot) {
+      throw new Error(`Snapshot not found: ${nameOrLabel}`);
+    }
+
+    // Load before the safety snapshot, whose rotation may delete this one
+    const data = await this.db.storage.load(snapshot.name);
+    if (!data) {
+      throw new Error(`Snapshot is empty: ${snapshot.name}`);
+    }
+
+    await this.db.validateImage(await this.db.decodeImage(data));
+
+    if (backupFirst) {
+      await this.createSnapshot();
+    }
+
+    const validation = await this.db.importDatabase(data);
+
+    loggingPlugin.warn(`Restored database snapshot ${snapshot.name}`, {
+      category: 'backup',
+      details: validation
+    });
+
+    this.emitBackupEvent('restored', { snapshot, validation });
+    return { snapshot, validation };
+  }
+
+  /**
+   * Delete a snapshot
+   * @param {string} name
+   * @returns {Promise<void>}
+   */
+  async deleteSnapshot(name) {
+    if (!name.startsWith(this.getPrefix())) {
+      throw new Error(`Not a snapshot of this database: ${name}`);
+    }
+
+    await this.db.storage.delete(name);
+  }
+
+  /**
+   * Delete the oldest automatic snapshots beyond the keep setting
+   * @param {number} keep
+   * @returns {Promise<Array<string>>} Names of deleted snapshots
+   */
+  async prune(keep = settingsPlugin.getBackupKeep()) {
+    const automatic = (await this.listSnapshots()).filter(snapshot => !snapshot.label);
+    const expired = automatic.slice(Math.max(0, Number(keep) || 0)).map(snapshot => snapshot.name);
+
+    for (const name of expired) {
+      await this.db.storage.delete(name);
+    }
+
+    return expired;
+  }
+
+  /**
+   * Storage name prefix of this database's snapshots
+   * @returns {string}
+   */
+  getPrefix() {
+    return `${this.db.dbName}.snapshot.`;
+  }
+
+  // ============================================================================
+  // SCHEDULING
+  // ============================================================================
+
+  /**
+   * Take automatic snapshots while the auto_backup setting is on. The
+   * schedule counts from the newest automatic snapshot, so reloads don't
+   * reset it.
+   */
+  start() {
+    if (this.started) return;
+    this.started = true;
+
+    if (!this.listeningForSettings && typeof window !== 'undefined') {
+      this.listeningForSettings = true;
+      settingsPlugin.onChange(({ category }) => {
+        if (category === 'backup' && this.started) {
+          this.scheduleNext().catch(() => {});
+        }
+      });
+    }
+
+    // Storage errors surface when the snapshot itself runs
+    this.scheduleNext().catch(() => this.setTimer(0));
+  }
+
+  /**
+   * Stop scheduled snapshots
+   */
+  stop() {
+    this.started = false;
+
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Schedule the next automatic snapshot, one interval after the newest
+   * @returns {Promise<void>}
+   */
+  async scheduleNext() {
+    const [latest] = (await this.listSnapshots()).filter(snapshot => !snapshot.label);
+    const due = latest ? Date.parse(latest.createdAt) + this.getInterval() : Date.now();
+
+    this.setTimer(due - Date.now());
+  }
+
+  /**
+   * Take a scheduled snapshot if auto backups are on and this tab owns the
+   * database; failures are logged. Either way, check again one interval
+   * later.
+   * @returns {Promise<void>}
+   */
+  async runScheduled() {
+    if (settingsPlugin.isAutoBackupEnabled() && await this.db.isLeader()) {
+      try {
+        await this.createSnapshot();
+      } catch (error) {
+        loggingPlugin.error(`Scheduled backup failed: ${error.message}`, {
+          category: 'backup',
+          stackTrace: error.stack
+        });
+        this.emitBackupEvent('failed', { error: error.message });
+      }
+    }
+
+    this.setTimer(this.getInterval());
+  }
+
+  /**
+   * (Re)arm the schedule timer while started
+   * @param {number} delay - Milliseconds
+   */
+  setTimer(delay) {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    if (!this.started) return;
+
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.runScheduled();
+    }, Math.max(0, delay));
+  }
+
+  /**
+   * Milliseconds between automatic snapshots (backup_interval setting)
+   * @returns {number}
+   */
+  getInterval() {
+    return Math.max(60, Number(settingsPlugin.getBackupInterval()) || 86400) * 1000;
+  }
+
+  // ============================================================================
+  // EVENTS
+  // ============================================================================
+
+  /**
+   * Emit backup event
+   * @param {string} eventName
+   * @param {Object} detail
+   */
+  emitBackupEvent(eventName, detail = {}) {
+    if (typeof window === 'undefined') return;
+
+    const event = new CustomEvent(`backup-${eventName}`, { detail });
+    window.dispatchEvent(event);
+  }
+
+  /**
+   * Listen for backup events
+   * @param {string} eventName - 'created', 'restored' or 'failed'
+   * @param {Function} callback
+   */
+  on(eventName, callback) {
+    window.addEventListener(`backup-${eventName}`, (event) => {
+      callback(event.detail);
+    });
+  }
+}
+
+// Export singleton
+const backupPlugin = new BackupPlugin();
+
+if (typeof window !== 'undefined') {
+  window.backupPlugin = backupPlugin;
+}
+
+export default backupPlugin;
@@ -5,6 +5,7 @@
 
 import dbService from '../db/database-service.js';
 import loggingPlugin from './logging-plugin.js';
+import authPlugin from './auth-plugin.js';
 
 class DynamicPagePlugin {
   constructor() {
@@ -12,7 +13,21 @@ class DynamicPagePlugin {
     this.templates = new Map();
     this.middleware = [];
     this.notFoundHandler = null;
+    this.forbiddenHandler = null;
     this.errorHandler = null;
+    this.db = dbService;
+  }
+
+  /**
+   * Serve pages from a different database. Templates and middleware are
+   * kept; registered pages are replaced by the new database's.
+   * @param {Object} db - DatabaseService
+   * @returns {Promise<void>}
+   */
+  useDatabase(db) {
+    this.db = db;
+    this.routes.clear();
+    return this.loadPagesFromDb();
   }
 
   /**
@@ -40,7 +55,7 @@ class DynamicPagePlugin {
    * Load all published pages from database
    */
   async loadPagesFromDb() {
-    const pages = dbService.getPublishedPages();
+    const pages = this.db.getPublishedPages();
     
     pages.forEach(page => {
       this.registerPage(page);
@@ -52,9 +67,11 @@ class DynamicPagePlugin {
    * @param {Object} page
    */
   registerPage(page) {
+    // Query builder reads (getPageByRoute) come with metadata already decoded
+    const { metadata } = page;
     this.routes.set(page.route, {
       ...page,
-      metadata: page.metadata ? JSON.parse(page.metadata) : {}
+      metadata: typeof metadata === 'string' ? JSON.parse(metadata) : (metadata || {})
     });
     
     loggingPlugin.debug(`Registered page: ${page.route}`, {
@@ -82,7 +99,7 @@ class DynamicPagePlugin {
     }
     
     // Check database
-    const page = dbService.getPageByRoute(route);
+    const page = this.db.getPageByRoute(route);
     if (page) {
       this.registerPage(page);
       return this.routes.get(route);
@@ -97,10 +114,10 @@ class DynamicPagePlugin {
    * @returns {string} Page ID
    */
   savePage(pageData) {
-    const id = dbService.savePage(pageData);
+    const id = this.db.savePage(pageData);
     
     // Update cache
-    const page = dbService.getPageByRoute(pageData.route);
+    const page = this.db.getPageByRoute(pageData.route);
     if (page) {
       this.registerPage(page);
     }
@@ -121,7 +138,7 @@ class DynamicPagePlugin {
    * @param {string} route
    */
   deletePage(route) {
-    dbService.run(
+    this.db.run(
       'UPDATE content_pages SET active = 0, published = 0 WHERE route = ?',
       [route]
     );
@@ -141,13 +158,13 @@ class DynamicPagePlugin {
    * @param {string} route
    */
   publishPage(route) {
-    dbService.run(
+    this.db.run(
       'UPDATE content_pages SET published = 1 WHERE route = ?',
       [route]
     );
     
     // Reload page
-    const page = dbService.getPageByRoute(route);
+    const page = this.db.getPageByRoute(route);
     if (page) {
       this.registerPage(page);
     }
@@ -162,7 +179,7 @@ class DynamicPagePlugin {
    * @param {string} route
    */
   unpublishPage(route) {
-    dbService.run(
+    this.db.run(
       'UPDATE content_pages SET published = 0 WHERE route = ?',
       [route]
     );
@@ -289,6 +306,25 @@ class DynamicPagePlugin {
     `;
   }
 
+  /**
+   * Render 403 page
+   * @param {string} route
+   * @returns {string}
+   */
+  renderForbidden(route) {
+    if (this.forbiddenHandler) {
+      return this.forbiddenHandler(route);
+    }
+    
+    return `
+      <div class="error-page">
+        <h1>403 - Access Denied</h1>
+        <p>You don't have access to <code>${route}</code>.</p>
+        <a href="/">Go Home</a>
+      </div>
+    `;
+  }
+
   /**
    * Render error page
    * @param {Error} error
@@ -318,6 +354,14 @@ class DynamicPagePlugin {
     this.notFoundHandler = handler;
   }
 
+  /**
+   * Set custom 403 handler
+   * @param {Function} handler
+   */
+  setForbiddenHandler(handler) {
+    this.forbiddenHandler = handler;
+  }
+
   /**
    * Set custom error handler
    * @param {Function} handler
@@ -362,10 +406,32 @@ class DynamicPagePlugin {
       }
     }
     
+    // Check page access
+    const page = this.getPage(route);
+    if (page && !this.canView(page)) {
+      loggingPlugin.warn(`Page access denied: ${route}`, {
+        category: 'pages',
+        details: { permission: page.metadata.permission }
+      });
+      return this.renderForbidden(route);
+    }
+    
     // Render page
     return this.renderPage(route);
   }
 
+  /**
+   * Check if the current user may see a page. A page that sets
+   * metadata.permission needs it (authPlugin.can(), for the page's route);
+   * other pages are public.
+   * @param {Object} page
+   * @returns {boolean}
+   */
+  canView(page) {
+    const { permission } = page.metadata || {};
+    return !permission || authPlugin.can(permission, page.route);
+  }
+
   /**
    * Get all pages
    * @returns {Array}
@@ -427,22 +493,22 @@ class DynamicPagePlugin {
   }
 
   /**
-   * Search pages
-   * @param {string} query
-   * @returns {Array}
+   * Search registered pages through the full-text index, best matches first
+   * @param {string} query - Words (prefix-matched) and "quoted phrases"
+   * @returns {Array} Pages, each with a highlighted snippet
    */
   searchPages(query) {
-    const queryLower = query.toLowerCase();
-    
-    return this.getAllPages().filter(page => {
-      return (
-        page.title.toLowerCase().includes(queryLower) ||
-        page.content.toLowerCase().includes(queryLower) ||
-        (page.metadata.tags && page.metadata.tags.some(tag => 
-          tag.toLowerCase().includes(queryLower)
-        ))
-      );
+    const results = this.db.search(query, {
+      sources: ['pages'],
+      limit: this.routes.size
     });
+
+    return results
+      .filter(result => result.record && this.routes.has(result.record.route))
+      .map(result => ({
+        ...this.routes.get(result.record.route),
+        snippet: result.snippet
+      }));
   }
 
   /**
@@ -454,7 +520,7 @@ class DynamicPagePlugin {
     const page = this.getPage(route);
     if (!page) return;
     
-    dbService.run(
+    this.db.run(
       'INSERT OR IGNORE INTO content_tags (content_id, tag, create_date) VALUES (?, ?, ?)',
       [page.id, tag, new Date().toISOString()]
     );
@@ -469,7 +535,7 @@ class DynamicPagePlugin {
     const page = this.getPage(route);
     if (!page) return;
     
-    dbService.run(
+    this.db.run(
       'DELETE FROM content_tags WHERE content_id = ? AND tag = ?',
       [page.id, tag]
     );
@@ -481,7 +547,7 @@ class DynamicPagePlugin {
    * @returns {Array}
    */
   getPagesByTag(tag) {
-    const results = dbService.getAll(
+    const results = this.db.getAll(
       `SELECT cp.* FROM content_pages cp
        JOIN content_tags ct ON cp.id = ct.content_id
        WHERE ct.tag = ? AND cp.published = 1 AND cp.active = 1`,
@@ -21,6 +21,16 @@ class LoggingPlugin {
     this.dbEnabled = true;
     this.maxLogsInMemory = 1000;
     this.memoryLogs = [];
+    this.db = dbService;
+  }
+
+  /**
+   * Use a different database for log storage, e.g. a worker-hosted
+   * DatabaseProxy. Reads such as getLogsFromDb() then return Promises.
+   * @param {Object} db - DatabaseService or DatabaseProxy
+   */
+  useDatabase(db) {
+    this.db = db;
   }
 
   /**
@@ -99,6 +109,7 @@ class LoggingPlugin {
     }
     
     const logEntry = {
+      id: dbService.generateUUID(),
       timestamp: new Date().toISOString(),
       level,
       message,
@@ -124,10 +135,11 @@ class LoggingPlugin {
     // Log to database
     if (this.dbEnabled) {
       try {
-        dbService.log(
+        const result = this.db.log(
           level,
           message,
           {
+            id: logEntry.id,
             category: logEntry.category,
             details: logEntry.details,
             userId: logEntry.userId,
@@ -136,6 +148,11 @@ class LoggingPlugin {
             metadata: logEntry.metadata
           }
         );
+
+        // Worker-hosted databases answer asynchronously
+        if (result && typeof result.catch === 'function') {
+          result.catch(error => console.error('Failed to log to database:', error));
+        }
       } catch (error) {
         console.error('Failed to log to database:', error);
       }
@@ -213,10 +230,20 @@ class LoggingPlugin {
    * Get logs from database
    * @param {number} limit
    * @param {string} level
-   * @returns {Array}
+   * @returns {Array|Promise<Array>}
    */
   getLogsFromDb(limit = 100, level = null) {
-    return dbService.getLogs(limit, level);
+    return this.db.getLogs(limit, level);
+  }
+
+  /**
+   * Full-text search over database logs, best matches first
+   * @param {string} query - Words (prefix-matched) and "quoted phrases"
+   * @param {Object} options - See DatabaseService.search()
+   * @returns {Array|Promise<Array>} [{ id, score, snippet, record }]
+   */
+  search(query, options = {}) {
+    return this.db.search(query, { ...options, sources: ['logs'] });
   }
 
   /**
@@ -234,7 +261,7 @@ class LoggingPlugin {
     const cutoffDate = new Date();
     cutoffDate.setDate(cutoffDate.getDate() - olderThanDays);
     
-    dbService.run(
+    return this.db.run(
       'DELETE FROM logs WHERE create_date < ?',
       [cutoffDate.toISOString()]
     );
@@ -362,9 +389,11 @@ class LoggingPlugin {
   }
 
   /**
-   * Filter logs by criteria
+   * Filter the in-memory logs by criteria. criteria.search goes through
+   * the full-text index (same matching as search()) unless database
+   * logging is off; the result is then a Promise with a DatabaseProxy.
    * @param {Object} criteria
-   * @returns {Array}
+   * @returns {Array|Promise<Array>}
    */
   filter(criteria) {
     let logs = this.memoryLogs;
@@ -381,14 +410,6 @@ class LoggingPlugin {
       logs = logs.filter(log => log.userId === criteria.userId);
     }
     
-    if (criteria.search) {
-      const searchLower = criteria.search.toLowerCase();
-      logs = logs.filter(log =>
-        log.message.toLowerCase().includes(searchLower) ||
-        JSON.stringify(log.details || {}).toLowerCase().includes(searchLower)
-      );
-    }
-    
     if (criteria.startDate) {
       logs = logs.filter(log =>
         new Date(log.timestamp) >= new Date(criteria.startDate)
@@ -401,25 +422,54 @@ class LoggingPlugin {
       );
     }
     
-    return logs;
+    if (!criteria.search) {
+      return logs;
+    }
+
+    if (!this.dbEnabled) {
+      const searchLower = criteria.search.toLowerCase();
+      return logs.filter(log =>
+        log.message.toLowerCase().includes(searchLower) ||
+        JSON.stringify(log.details || {}).toLowerCase().includes(searchLower)
+      );
+    }
+
+    // Memory entries share their id with the database row
+    const ids = logs.map(log => log.id);
+    const results = this.db.search(criteria.search, { sources: ['logs'], ids, limit: ids.length });
+
+    return this.withResult(results, matches => {
+      const matched = new Set(matches.map(match => match.id));
+      return logs.filter(log => matched.has(log.id));
+    });
+  }
+
+  /**
+   * Apply fn to a query result that may be a Promise
+   * @param {*} result
+   * @param {Function} fn
+   * @returns {*}
+   */
+  withResult(result, fn) {
+    return result && typeof result.then === 'function' ? result.then(fn) : fn(result);
   }
 
   /**
    * Export logs as JSON
    * @param {Object} criteria - Filter criteria
-   * @returns {string}
+   * @returns {string|Promise<string>}
    */
   exportLogs(criteria = {}) {
     const logs = criteria ? this.filter(criteria) : this.memoryLogs;
-    return JSON.stringify(logs, null, 2);
+    return this.withResult(logs, result => JSON.stringify(result, null, 2));
   }
 
   /**
    * Download logs as file
    * @param {Object} criteria - Filter criteria
    */
-  downloadLogs(criteria = {}) {
-    const logsJson = this.exportLogs(criteria);
+  async downloadLogs(criteria = {}) {
+    const logsJson = await this.exportLogs(criteria);
     const blob = new Blob([logsJson], { type: 'application/json' });
     const url = URL.createObjectURL(blob);
     
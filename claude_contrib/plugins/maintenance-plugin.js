@@ -0,0 +1,229 @@
+/**
+ * Maintenance Plugin
+ * Sweeps expired rows on a schedule, per-table:
+ *   'delete'     - remove the row
+ *   'deactivate' - set active = 0 (kept for history, hidden from reads)
+ *   'keep'       - leave it; reads still skip it by expiry_date
+ *
+ * Each sweep returns (and logs, and emits as maintenance-sweep) a report of
+ * what it removed.
+ */
+
+import dbService from '../db/database-service.js';
+import loggingPlugin from './logging-plugin.js';
+
+const EXPIRY_POLICIES = ['delete', 'deactivate', 'keep'];
+
+const DEFAULT_POLICIES = {
+  sessions: 'delete',
+  data_records: 'delete',
+  content_pages: 'deactivate',
+  webhooks: 'deactivate',
+  api_endpoints: 'deactivate',
+  users: 'deactivate'
+};
+
+class MaintenancePlugin {
+  constructor() {
+    this.policies = { ...DEFAULT_POLICIES };
+    this.interval = 3600; // seconds
+    this.timer = null;
+    this.lastReport = null;
+    this.db = dbService;
+  }
+
+  /**
+   * Sweep a different database
+   * @param {Object} db - DatabaseService
+   */
+  useDatabase(db) {
+    this.db = db;
+    this.lastReport = null;
+  }
+
+  /**
+   * Initialize maintenance
+   * @param {Object} options
+   * @param {Object} options.policies - Per-table policies, merged over the
+   *   defaults, e.g. { data_records: 'deactivate', users: 'keep' }
+   * @param {number} options.interval - Seconds between sweeps
+   */
+  init(options = {}) {
+    const { policies = {}, interval = 3600 } = options;
+
+    Object.entries(policies).forEach(([table, policy]) => {
+      if (!EXPIRY_POLICIES.includes(policy)) {
+        throw new Error(`Unknown expiry policy for ${table}: ${policy}`);
+      }
+    });
+
+    this.policies = { ...DEFAULT_POLICIES, ...policies };
+    this.interval = interval;
+
+    loggingPlugin.info('Maintenance plugin initialized', {
+      category: 'maintenance',
+      details: { policies: this.policies, interval: this.interval }
+    });
+  }
+
+  // ============================================================================
+  // SWEEPING
+  // ============================================================================
+
+  /**
+   * Apply every table's expiry policy now
+   * @returns {Object} { sweptAt, total, tables: { name: { policy, count, ids } } }
+   */
+  sweep() {
+    const report = {
+      sweptAt: this.db.getTimestamp(),
+      total: 0,
+      tables: {}
+    };
+
+    this.db.transaction(() => {
+      Object.entries(this.policies).forEach(([table, policy]) => {
+        if (policy === 'keep') return;
+
+        const ids = this.sweepTable(table, policy);
+        report.tables[table] = { policy, count: ids.length, ids };
+        report.total += ids.length;
+      });
+    });
+
+    this.lastReport = report;
+
+    if (report.total > 0) {
+      loggingPlugin.info(`Swept ${report.total} expired row(s)`, {
+        category: 'maintenance',
+        details: Object.fromEntries(
+          Object.entries(report.tables).map(([table, { policy, count }]) => [table, { policy, count }])
+        )
+      });
+    }
+
+    this.emitMaintenanceEvent('sweep', report);
+    return report;
+  }
+
+  /**
+   * Apply one table's expiry policy
+   * @param {string} table
+   * @param {string} policy - 'delete' or 'deactivate'
+   * @returns {Array<string>} Ids of the rows swept
+   */
+  sweepTable(table, policy) {
+    const { columns } = this.db.getTableSchema(table);
+
+    if (!columns.has('expiry_date') || !columns.has('id')) {
+      throw new Error(`Table ${table} has no expiry_date to sweep`);
+    }
+    if (policy === 'deactivate' && !columns.has('active')) {
+      throw new Error(`Table ${table} has no active column to deactivate`);
+    }
+
+    // Expiry dates are ISO 8601, so compare them as dates, not text
+    let where = `expiry_date IS NOT NULL AND julianday(expiry_date) <= julianday('now')`;
+    if (policy === 'deactivate') {
+      where += ' AND active = 1';
+    }
+
+    const ids = this.db.getAll(`SELECT id FROM "${table}" WHERE ${where}`).map(row => row.id);
+
+    if (ids.length > 0) {
+      this.db.run(
+        policy === 'delete'
+          ? `DELETE FROM "${table}" WHERE ${where}`
+          : `UPDATE "${table}" SET active = 0 WHERE ${where}`
+      );
+    }
+
+    return ids;
+  }
+
+  /**
+   * Get the report of the last sweep
+   * @returns {Object|null}
+   */
+  getLastReport() {
+    return this.lastReport;
+  }
+
+  // ============================================================================
+  // SCHEDULING
+  // ============================================================================
+
+  /**
+   * Sweep now and then every interval seconds
+   */
+  start() {
+    if (this.timer) return;
+
+    this.runScheduled();
+    this.timer = setInterval(() => this.runScheduled(), this.interval * 1000);
+  }
+
+  /**
+   * Stop scheduled sweeps
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Run a scheduled sweep; failures are logged, not thrown. Only the tab
+   * that owns the database sweeps.
+   * @returns {Promise<void>}
+   */
+  async runScheduled() {
+    try {
+      if (!(await this.db.isLeader())) return;
+
+      this.sweep();
+    } catch (error) {
+      loggingPlugin.error(`Expiry sweep failed: ${error.message}`, {
+        category: 'maintenance',
+        stackTrace: error.stack
+      });
+    }
+  }
+
+  // ============================================================================
+  // EVENTS
+  // ============================================================================
+
+  /**
+   * Emit maintenance event
+   * @param {string} eventName
+   * @param {Object} detail
+   */
+  emitMaintenanceEvent(eventName, detail = {}) {
+    if (typeof window === 'undefined') return;
+
+    const event = new CustomEvent(`maintenance-${eventName}`, { detail });
+    window.dispatchEvent(event);
+  }
+
+  /**
+   * Listen for maintenance events
+   * @param {string} eventName
+   * @param {Function} callback
+   */
+  on(eventName, callback) {
+    window.addEventListener(`maintenance-${eventName}`, (event) => {
+      callback(event.detail);
+    });
+  }
+}
+
+// Export singleton
+const maintenancePlugin = new MaintenancePlugin();
+
+if (typeof window !== 'undefined') {
+  window.maintenancePlugin = maintenancePlugin;
+}
+
+export default maintenancePlugin;
@@ -11,6 +11,26 @@ class MetricsPlugin {
   constructor() {
     this.collectors = new Map();
     this.intervals = new Map();
+    this.db = dbService;
+  }
+
+  /**
+   * Use a different database for metric storage, e.g. a worker-hosted
+   * DatabaseProxy. Query and reporting methods then return Promises.
+   * @param {Object} db - DatabaseService or DatabaseProxy
+   */
+  useDatabase(db) {
+    this.db = db;
+  }
+
+  /**
+   * Apply fn to a query result that may be a Promise
+   * @param {*} result
+   * @param {Function} fn
+   * @returns {*}
+   */
+  withResult(result, fn) {
+    return result && typeof result.then === 'function' ? result.then(fn) : fn(result);
   }
 
   /**
@@ -116,7 +136,7 @@ class MetricsPlugin {
     const user = authPlugin.getCurrentUser();
     const session = authPlugin.getCurrentSession();
     
-    dbService.recordMetric(
+    const result = this.db.recordMetric(
       name,
       type,
       value,
@@ -128,6 +148,37 @@ class MetricsPlugin {
         metadata
       }
     );
+
+    // Worker-hosted databases answer asynchronously
+    if (result && typeof result.catch === 'function') {
+      result.catch(error => console.error('Failed to record metric:', error));
+    }
+  }
+
+  /**
+   * Record several metrics in one transaction
+   * @param {Array<Object>} metrics - [{ name, type, value, unit, tags, metadata }]
+   */
+  recordBatch(metrics) {
+    if (metrics.length === 0) return;
+
+    const user = authPlugin.getCurrentUser();
+    const session = authPlugin.getCurrentSession();
+
+    const result = this.db.recordMetrics(metrics.map(({ name, type, value, unit = null, tags = {}, metadata = null }) => ({
+      name,
+      type,
+      value,
+      unit,
+      tags,
+      userId: user?.id,
+      sessionId: session?.id,
+      metadata
+    })));
+
+    if (result && typeof result.catch === 'function') {
+      result.catch(error => console.error('Failed to record metrics:', error));
+    }
   }
 
   // ============================================================================
@@ -145,7 +196,7 @@ class MetricsPlugin {
     const start = startDate || new Date(Date.now() - 24 * 60 * 60 * 1000); // 24 hours ago
     const end = endDate || new Date();
     
-    return dbService.getMetrics(metricName, start, end);
+    return this.db.getMetrics(metricName, start, end);
   }
 
   /**
@@ -156,8 +207,18 @@ class MetricsPlugin {
    * @returns {Object}
    */
   getSummary(metricName, startDate = null, endDate = null) {
-    const metrics = this.getMetrics(metricName, startDate, endDate);
-    
+    return this.withResult(
+      this.getMetrics(metricName, startDate, endDate),
+      metrics => this.summarize(metrics)
+    );
+  }
+
+  /**
+   * Summarize a list of metric rows
+   * @param {Array} metrics
+   * @returns {Object}
+   */
+  summarize(metrics) {
     if (metrics.length === 0) {
       return {
         count: 0,
@@ -200,21 +261,21 @@ class MetricsPlugin {
    * @returns {Object}
    */
   getPercentiles(metricName, percentiles = [50, 95, 99], startDate = null, endDate = null) {
-    const metrics = this.getMetrics(metricName, startDate, endDate);
-    
-    if (metrics.length === 0) {
-      return {};
-    }
-    
-    const values = metrics.map(m => m.value).sort((a, b) => a - b);
-    const result = {};
-    
-    percentiles.forEach(p => {
-      const index = Math.ceil((p / 100) * values.length) - 1;
-      result[`p${p}`] = values[Math.max(0, index)];
+    return this.withResult(this.getMetrics(metricName, startDate, endDate), metrics => {
+      if (metrics.length === 0) {
+        return {};
+      }
+      
+      const values = metrics.map(m => m.value).sort((a, b) => a - b);
+      const result = {};
+      
+      percentiles.forEach(p => {
+        const index = Math.ceil((p / 100) * values.length) - 1;
+        result[`p${p}`] = values[Math.max(0, index)];
+      });
+      
+      return result;
     });
-    
-    return result;
   }
 
   /**
@@ -226,8 +287,19 @@ class MetricsPlugin {
    * @returns {Array}
    */
   getTimeSeries(metricName, interval = 'hour', startDate = null, endDate = null) {
-    const metrics = this.getMetrics(metricName, startDate, endDate);
-    
+    return this.withResult(
+      this.getMetrics(metricName, startDate, endDate),
+      metrics => this.bucketize(metrics, interval)
+    );
+  }
+
+  /**
+   * Group metric rows into time buckets
+   * @param {Array} metrics
+   * @param {string} interval
+   * @returns {Array}
+   */
+  bucketize(metrics, interval) {
     if (metrics.length === 0) {
       return [];
     }
@@ -315,9 +387,7 @@ class MetricsPlugin {
       aggregation = 'avg' // 'sum', 'avg', 'min', 'max', 'count'
     } = options;
     
-    const timeSeries = this.getTimeSeries(metricName, interval, startDate, endDate);
-    
-    return {
+    return this.withResult(this.getTimeSeries(metricName, interval, startDate, endDate), timeSeries => ({
       labels: timeSeries.map(point => new Date(point.timestamp).toLocaleString()),
       datasets: [{
         label: metricName,
@@ -326,7 +396,7 @@ class MetricsPlugin {
         borderColor: 'rgb(75, 192, 192)',
         tension: 0.1
       }]
-    };
+    }));
   }
 
   /**
@@ -343,7 +413,21 @@ class MetricsPlugin {
       aggregation = 'sum'
     } = options;
     
-    const metrics = this.getMetrics(metricName, startDate, endDate);
+    return this.withResult(
+      this.getMetrics(metricName, startDate, endDate),
+      metrics => this.groupMetrics(metrics, metricName, groupBy, aggregation)
+    );
+  }
+
+  /**
+   * Aggregate metric rows grouped by a tag into bar chart data
+   * @param {Array} metrics
+   * @param {string} metricName
+   * @param {string} groupBy
+   * @param {string} aggregation
+   * @returns {Object}
+   */
+  groupMetrics(metrics, metricName, groupBy, aggregation) {
     const groups = new Map();
     
     metrics.forEach(metric => {
@@ -395,12 +479,12 @@ class MetricsPlugin {
    * @returns {Object}
    */
   generatePieChart(metricName, groupBy, options = {}) {
-    const barData = this.generateBarChart(metricName, groupBy, {
+    const barChart = this.generateBarChart(metricName, groupBy, {
       ...options,
       aggregation: 'sum'
     });
     
-    return {
+    return this.withResult(barChart, barData => ({
       labels: barData.labels,
       datasets: [{
         data: barData.datasets[0].data,
@@ -413,7 +497,7 @@ class MetricsPlugin {
           'rgba(255, 159, 64, 0.6)'
         ]
       }]
-    };
+    }));
   }
 
   // ============================================================================
@@ -510,7 +594,8 @@ class MetricsPlugin {
   /**
    * Register a metric collector
    * @param {string} name
-   * @param {Function} collector - Function that records metrics
+   * @param {Function} collector - Function that records metrics, or returns
+   *   them ([{ name, type, value, ... }]) to be written in one batch
    * @param {number} intervalMs - Collection interval in ms
    */
   registerCollector(name, collector, intervalMs = 60000) {
@@ -518,7 +603,10 @@ class MetricsPlugin {
     
     const intervalId = setInterval(() => {
       try {
-        collector();
+        const metrics = collector();
+        if (Array.isArray(metrics)) {
+          this.recordBatch(metrics);
+        }
       } catch (error) {
         loggingPlugin.error(`Collector ${name} failed`, {
           category: 'metrics',
@@ -585,6 +673,13 @@ class MetricsPlugin {
       }
     });
     
+    // With a worker-hosted database every entry is a Promise
+    const pending = Object.values(data).some(value => value && typeof value.then === 'function');
+    if (pending) {
+      return Promise.all(Object.entries(data).map(async ([name, value]) => [name, await value]))
+        .then(entries => Object.fromEntries(entries));
+    }
+    
     return data;
   }
 
@@ -630,8 +725,19 @@ class MetricsPlugin {
    * @returns {string}
    */
   export(metricName, startDate, endDate, format = 'json') {
-    const metrics = this.getMetrics(metricName, startDate, endDate);
-    
+    return this.withResult(
+      this.getMetrics(metricName, startDate, endDate),
+      metrics => this.formatExport(metrics, format)
+    );
+  }
+
+  /**
+   * Format metric rows for export
+   * @param {Array} metrics
+   * @param {string} format - 'json' or 'csv'
+   * @returns {string}
+   */
+  formatExport(metrics, format) {
     if (format === 'csv') {
       const headers = ['timestamp', 'value', 'type', 'unit', 'tags'];
       const rows = metrics.map(m => [
@@ -658,7 +764,7 @@ class MetricsPlugin {
     const cutoffDate = new Date();
     cutoffDate.setDate(cutoffDate.getDate() - olderThanDays);
     
-    dbService.run(
+    this.db.run(
       'DELETE FROM metrics WHERE create_date < ?',
       [cutoffDate.toISOString()]
     );
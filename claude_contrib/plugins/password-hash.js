@@ -0,0 +1,403 @@
+/**
+ * Password Hashing
+ * Salted PBKDF2-HMAC-SHA-256 (WebCrypto), stored in PHC string format so
+ * every hash says how it was made:
+ *
+ *   $pbkdf2-sha256$i=600000$<salt>$<hash>    (unpadded base64)
+ *
+ * verifyPassword() also accepts the formats older databases carry:
+ *   legacy  - unsalted SHA-256 as 64 hex chars (the original authPlugin)
+ *   bcrypt  - $2a$ / $2b$ / $2y$ hashes (seed data, imported users)
+ * needsRehash() tells the caller when a hash that just verified should be
+ * replaced with a current one.
+ */
+
+const PBKDF2_PREFIX = '$pbkdf2-sha256$';
+const PBKDF2_ITERATIONS = 600000;
+const SALT_LENGTH = 16;
+const HASH_LENGTH = 32;
+
+const encoder = new TextEncoder();
+
+/**
+ * Hash a password with a fresh salt
+ * @param {string} password
+ * @param {Object} options
+ * @param {number} options.iterations - PBKDF2 iterations
+ * @returns {Promise<string>} PHC string
+ */
+async function hashPassword(password, options = {}) {
+  const { iterations = PBKDF2_ITERATIONS } = options;
+
+  if (!Number.isInteger(iterations) || iterations < 1) {
+    throw new Error('PBKDF2 iterations must be a positive integer');
+  }
+
+  const salt = crypto.getRandomValues(new Uint8Array(SALT_LENGTH));
+  const hash = await pbkdf2(password, salt, iterations, HASH_LENGTH);
+
+  return `${PBKDF2_PREFIX}i=${iterations}$${toBase64(salt)}$${toBase64(hash)}`;
+}
+
+/**
+ * Check a password against a stored hash of any supported format
+ * @param {string} password
+ * @param {string} hash
+ * @returns {Promise<boolean>} False for wrong passwords and unknown formats
+ */
+async function verifyPassword(password, hash) {
+  switch (identifyHash(hash)) {
+    case 'pbkdf2-sha256': {
+      const { iterations, salt, digest } = parsePbkdf2(hash);
+      const actual = await pbkdf2(password, salt, iterations, digest.length);
+      return timingSafeEqual(actual, digest);
+    }
+    case 'sha256': {
+      const actual = new Uint8Array(await crypto.subtle.digest('SHA-256', encoder.encode(password)));
+      return timingSafeEqual(actual, fromHex(hash));
+    }
+    case 'bcrypt':
+      return timingSafeEqual(encoder.encode(bcrypt(password, hash)), encoder.encode(hash));
+    default:
+      return false;
+  }
+}
+
+/**
+ * Check whether a stored hash should be replaced: any other algorithm, or
+ * PBKDF2 with fewer iterations than currently configured
+ * @param {string} hash
+ * @param {Object} options
+ * @param {number} options.iterations - Current PBKDF2 iterations
+ * @returns {boolean}
+ */
+function needsRehash(hash, options = {}) {
+  const { iterations = PBKDF2_ITERATIONS } = options;
+
+  if (identifyHash(hash) !== 'pbkdf2-sha256') return true;
+  return parsePbkdf2(hash).iterations < iterations;
+}
+
+/**
+ * Name the algorithm of a stored hash
+ * @param {string} hash
+ * @returns {string|null} 'pbkdf2-sha256', 'sha256', 'bcrypt' or null
+ */
+function identifyHash(hash) {
+  if (typeof hash !== 'string') return null;
+  if (/^\$pbkdf2-sha256\$i=\d+\$[A-Za-z0-9+/]+\$[A-Za-z0-9+/]+$/.test(hash)) return 'pbkdf2-sha256';
+  if (/^[0-9a-f]{64}$/i.test(hash)) return 'sha256';
+  if (/^\$2[aby]\$\d{2}\$[./A-Za-z0-9]{53}$/.test(hash)) return 'bcrypt';
+  return null;
+}
+
+/**
+ * Split a PBKDF2 PHC string
+ * @param {string} hash
+ * @returns {{iterations: number, salt: Uint8Array, digest: Uint8Array}}
+ */
+function parsePbkdf2(hash) {
+  const [, , params, salt, digest] = hash.split('$');
+  return {
+    iterations: Number(params.slice(2)),
+    salt: fromBase64(salt),
+    digest: fromBase64(digest)
+  };
+}
+
+/**
+ * Derive key bits from a password
+ * @param {string} password
+ * @param {Uint8Array} salt
+ * @param {number} iterations
+ * @param {number} length - Bytes
+ * @returns {Promise<Uint8Array>}
+ */
+async function pbkdf2(password, salt, iterations, length) {
+  const material = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(password),
+    'PBKDF2',
+    false,
+    ['deriveBits']
+  );
+
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    material,
+    length * 8
+  );
+
+  return new Uint8Array(bits);
+}
+
+/**
+ * Compare two byte arrays in time independent of where they differ
+ * @param {Uint8Array} a
+ * @param {Uint8Array} b
+ * @returns {boolean}
+ */
+function timingSafeEqual(a, b) {
+  if (a.length !== b.length) return false;
+
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a[i] ^ b[i];
+  }
+  return diff === 0;
+}
+
+function toBase64(bytes) {
+  return btoa(String.fromCharCode(...bytes)).replace(/=+$/, '');
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+function fromHex(text) {
+  return Uint8Array.from(text.match(/../g), pair => parseInt(pair, 16));
+}
+
+// ============================================================================
+// BCRYPT (verification of existing hashes only; new hashes use PBKDF2)
+// ============================================================================
+
+const BCRYPT_ALPHABET = './ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+const BCRYPT_MAGIC = 'OrpheanBeholderScryDoubt';
+
+// bcrypt runs in JS on the main thread and doubles with each cost step:
+// about 2s at 14. Hashes above this are refused rather than freezing the tab.
+const BCRYPT_MAX_COST = 14;
+
+let blowfishInit = null;
+
+/**
+ * Compute a bcrypt hash with the cost and salt of an existing one
+ * @param {string} password
+ * @param {string} setting - A bcrypt hash, or just its first 29 chars
+ * @returns {string} The full 60 char hash
+ */
+function bcrypt(password, setting) {
+  const match = setting.match(/^\$(2[aby])\$(\d{2})\$([./A-Za-z0-9]{22})/);
+  if (!match) {
+    throw new Error('Invalid bcrypt salt');
+  }
+
+  const [, version, cost, saltText] = match;
+  const rounds = Number(cost);
+  if (rounds < 4 || rounds > 31) {
+    throw new Error(`Invalid bcrypt cost ${rounds}`);
+  }
+  if (rounds > BCRYPT_MAX_COST) {
+    throw new Error(`bcrypt cost ${rounds} is too slow to verify here (at most ${BCRYPT_MAX_COST})`);
+  }
+
+  // The key is the NUL-terminated password, cut at 72 bytes
+  const key = new Uint8Array([...encoder.encode(password), 0].slice(0, 72));
+  const salt = bcryptDecode(saltText, 16);
+  const state = eksBlowfishSetup(rounds, salt, key);
+
+  const ctext = new Uint32Array(6);
+  for (let i = 0; i < 6; i++) {
+    ctext[i] = readWord(encoder.encode(BCRYPT_MAGIC), i * 4);
+  }
+
+  for (let i = 0; i < 64; i++) {
+    for (let j = 0; j < 6; j += 2) {
+      encipher(state, ctext, j);
+    }
+  }
+
+  const output = new Uint8Array(24);
+  ctext.forEach((word, i) => {
+    output[i * 4] = word >>> 24;
+    output[i * 4 + 1] = word >>> 16;
+    output[i * 4 + 2] = word >>> 8;
+    output[i * 4 + 3] = word;
+  });
+
+  // Only 23 of the 24 bytes are kept
+  return `$${version}$${cost}$${bcryptEncode(salt)}${bcryptEncode(output.subarray(0, 23))}`;
+}
+
+/**
+ * The expensive key schedule: the salt and key are mixed into the
+ * initial Blowfish state 2^cost times
+ * @param {number} rounds - log2 of the cost
+ * @param {Uint8Array} salt
+ * @param {Uint8Array} key
+ * @returns {{P: Uint32Array, S: Uint32Array}}
+ */
+function eksBlowfishSetup(rounds, salt, key) {
+  const init = blowfishInitialState();
+  const state = { P: init.P.slice(), S: init.S.slice() };
+
+  expandKey(state, key, salt);
+  for (let i = 0; i < 2 ** rounds; i++) {
+    expandKey(state, key, null);
+    expandKey(state, salt, null);
+  }
+
+  return state;
+}
+
+/**
+ * XOR a key into the P-array, then replace P and S with successive
+ * encryptions (of the salt, when given)
+ * @param {{P: Uint32Array, S: Uint32Array}} state
+ * @param {Uint8Array} key
+ * @param {Uint8Array|null} salt
+ */
+function expandKey(state, key, salt) {
+  const { P, S } = state;
+  const block = new Uint32Array(2);
+  let keyPos = 0;
+  let saltPos = 0;
+
+  for (let i = 0; i < 18; i++) {
+    P[i] ^= readWord(key, keyPos);
+    keyPos = (keyPos + 4) % key.length;
+  }
+
+  const fill = (target, length) => {
+    for (let i = 0; i < length; i += 2) {
+      if (salt) {
+        block[0] ^= readWord(salt, saltPos);
+        block[1] ^= readWord(salt, saltPos + 4);
+        saltPos = (saltPos + 8) % salt.length;
+      }
+      encipher(state, block, 0);
+      target[i] = block[0];
+      target[i + 1] = block[1];
+    }
+  };
+
+  fill(P, 18);
+  fill(S, 1024);
+}
+
+/**
+ * Encrypt two words of a block in place
+ * @param {{P: Uint32Array, S: Uint32Array}} state
+ * @param {Uint32Array} block
+ * @param {number} offset
+ */
+function encipher({ P, S }, block, offset) {
+  let left = block[offset];
+  let right = block[offset + 1];
+
+  const f = x => (((S[x >>> 24] + S[256 | (x >>> 16 & 0xff)]) ^ S[512 | (x >>> 8 & 0xff)]) +
+    S[768 | (x & 0xff)]) >>> 0;
+
+  left ^= P[0];
+  for (let i = 1; i <= 16; i += 2) {
+    right ^= f(left) ^ P[i];
+    left ^= f(right) ^ P[i + 1];
+  }
+
+  block[offset] = (right ^ P[17]) >>> 0;
+  block[offset + 1] = left >>> 0;
+}
+
+/**
+ * Blowfish's initial P-array (18 words) and S-boxes (4 × 256 words) are
+ * the fractional hex digits of pi. They're computed once (Machin's formula
+ * in BigInt fixed point) rather than carried as a 4 KB table.
+ * @returns {{P: Uint32Array, S: Uint32Array}}
+ */
+function blowfishInitialState() {
+  if (blowfishInit) return blowfishInit;
+
+  const words = 18 + 1024;
+  const bits = BigInt(words * 32);
+  const guard = 64n;
+  const one = 1n << (bits + guard);
+
+  const arctanInverse = (x) => {
+    const xSquared = x * x;
+    let term = one / x;
+    let sum = term;
+    for (let n = 3n, sign = -1n; term !== 0n; n += 2n, sign = -sign) {
+      term /= xSquared;
+      sum += sign * (term / n);
+    }
+    return sum;
+  };
+
+  const pi = 16n * arctanInverse(5n) - 4n * arctanInverse(239n);
+  const fraction = (pi - 3n * one) >> guard;
+
+  const digits = new Uint32Array(words);
+  for (let i = 0; i < words; i++) {
+    digits[i] = Number((fraction >> (bits - 32n * BigInt(i + 1))) & 0xffffffffn);
+  }
+
+  blowfishInit = { P: digits.subarray(0, 18), S: digits.subarray(18) };
+  return blowfishInit;
+}
+
+/**
+ * Read a big-endian word, wrapping around the end of the data
+ * @param {Uint8Array} data
+ * @param {number} pos
+ * @returns {number}
+ */
+function readWord(data, pos) {
+  let word = 0;
+  for (let i = 0; i < 4; i++) {
+    word = (word << 8) | data[(pos + i) % data.length];
+  }
+  return word >>> 0;
+}
+
+/**
+ * bcrypt's base64: its own alphabet, no padding
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function bcryptEncode(bytes) {
+  let text = '';
+  for (let i = 0; i < bytes.length; i += 3) {
+    const b0 = bytes[i];
+    const b1 = bytes[i + 1] ?? 0;
+    const b2 = bytes[i + 2] ?? 0;
+    const chars = [b0 >> 2, ((b0 & 3) << 4) | (b1 >> 4), ((b1 & 15) << 2) | (b2 >> 6), b2 & 63];
+    const count = Math.min(4, Math.ceil(((bytes.length - i) * 8) / 6));
+    text += chars.slice(0, count).map(c => BCRYPT_ALPHABET[c]).join('');
+  }
+  return text;
+}
+
+/**
+ * @param {string} text
+ * @param {number} length - Bytes to decode
+ * @returns {Uint8Array}
+ */
+function bcryptDecode(text, length) {
+  const values = [...text].map(char => BCRYPT_ALPHABET.indexOf(char));
+  const bytes = new Uint8Array(length);
+  let bitBuffer = 0;
+  let bitCount = 0;
+  let pos = 0;
+
+  for (const value of values) {
+    bitBuffer = (bitBuffer << 6) | value;
+    bitCount += 6;
+    if (bitCount >= 8) {
+      bitCount -= 8;
+      if (pos < length) bytes[pos++] = (bitBuffer >> bitCount) & 0xff;
+    }
+  }
+
+  return bytes;
+}
+
+export {
+  PBKDF2_ITERATIONS,
+  hashPassword,
+  verifyPassword,
+  needsRehash,
+  identifyHash,
+  bcrypt
+};
@@ -3,13 +3,53 @@
  * Manages application settings with type safety and validation
  */
 
-import dbService from './database-service.js';
+import dbService from '../db/database-service.js';
 
 class SettingsPlugin {
   constructor() {
     this.cache = {};
     this.cacheTimeout = 60000; // 1 minute cache
     this.lastCacheUpdate = {};
+    this.db = dbService;
+
+    // Other tabs announce their changes, so cached values don't go stale
+    this.unsubscribeTabs = this.db.onBroadcast('settings', (change) => {
+      this.handleTabChange(change);
+    });
+  }
+
+  /**
+   * Read and write settings in a different database (see
+   * PWAComponents.useDatabase()). Cached values belong to the old one.
+   * @param {Object} db - DatabaseService
+   */
+  useDatabase(db) {
+    this.unsubscribeTabs();
+    this.db = db;
+    this.clearCache();
+
+    this.unsubscribeTabs = this.db.onBroadcast('settings', (change) => {
+      this.handleTabChange(change);
+    });
+  }
+
+  /**
+   * Apply a setting changed in another tab: update the cache and emit
+   * settings-changed here too
+   * @param {Object} change - { category, key, value }
+   */
+  handleTabChange({ category, key, value }) {
+    const cacheKey = `${category}.${key}`;
+
+    if (value === null) {
+      delete this.cache[cacheKey];
+      delete this.lastCacheUpdate[cacheKey];
+    } else {
+      this.cache[cacheKey] = value;
+      this.lastCacheUpdate[cacheKey] = Date.now();
+    }
+
+    this.emitChange(category, key, value);
   }
 
   /**
@@ -33,7 +73,7 @@ class SettingsPlugin {
     }
     
     // Fetch from database
-    const value = dbService.getSetting(category, key, defaultValue);
+    const value = this.db.getSetting(category, key, defaultValue);
     
     // Update cache
     this.cache[cacheKey] = value;
@@ -56,15 +96,16 @@ class SettingsPlugin {
       valueType = this.detectType(value);
     }
     
-    dbService.setSetting(category, key, value, valueType, description);
+    this.db.setSetting(category, key, value, valueType, description);
     
     // Update cache
     const cacheKey = `${category}.${key}`;
     this.cache[cacheKey] = value;
     this.lastCacheUpdate[cacheKey] = Date.now();
     
-    // Emit change event
+    // Emit change event, here and in other tabs
     this.emitChange(category, key, value);
+    this.db.broadcast('settings', { category, key, value });
   }
 
   /**
@@ -73,7 +114,7 @@ class SettingsPlugin {
    * @returns {Object}
    */
   getCategory(category) {
-    return dbService.getSettingsByCategory(category);
+    return this.db.getSettingsByCategory(category);
   }
 
   /**
@@ -81,7 +122,7 @@ class SettingsPlugin {
    * @returns {Object}
    */
   getAll() {
-    const results = dbService.getAll(
+    const results = this.db.getAll(
       'SELECT category, key, value, value_type FROM kv_settings WHERE active = 1'
     );
     
@@ -90,7 +131,7 @@ class SettingsPlugin {
       if (!settings[row.category]) {
         settings[row.category] = {};
       }
-      settings[row.category][row.key] = dbService.coerceSettingValue(
+      settings[row.category][row.key] = this.db.coerceSettingValue(
         row.value,
         row.value_type
       );
@@ -105,7 +146,7 @@ class SettingsPlugin {
    * @param {string} key
    */
   delete(category, key) {
-    dbService.run(
+    this.db.run(
       'UPDATE kv_settings SET active = 0 WHERE category = ? AND key = ?',
       [category, key]
     );
@@ -115,8 +156,9 @@ class SettingsPlugin {
     delete this.cache[cacheKey];
     delete this.lastCacheUpdate[cacheKey];
     
-    // Emit change event
+    // Emit change event, here and in other tabs
     this.emitChange(category, key, null);
+    this.db.broadcast('settings', { category, key, value: null });
   }
 
   /**
@@ -171,8 +213,10 @@ class SettingsPlugin {
    * @param {Object} settings
    */
   bulkUpdate(category, settings) {
-    Object.entries(settings).forEach(([key, value]) => {
-      this.set(category, key, value);
+    this.db.transaction(() => {
+      Object.entries(settings).forEach(([key, value]) => {
+        this.set(category, key, value);
+      });
     });
   }
 
@@ -192,14 +236,18 @@ class SettingsPlugin {
     try {
       const settings = JSON.parse(jsonString);
       
-      Object.entries(settings).forEach(([category, categorySettings]) => {
-        Object.entries(categorySettings).forEach(([key, value]) => {
-          this.set(category, key, value);
+      this.db.transaction(() => {
+        Object.entries(settings).forEach(([category, categorySettings]) => {
+          Object.entries(categorySettings).forEach(([key, value]) => {
+            this.set(category, key, value);
+          });
         });
       });
       
       return true;
     } catch (error) {
+      // Cached values may belong to the rolled-back transaction
+      this.clearCache();
       console.error('Failed to import settings:', error);
       return false;
     }
@@ -291,6 +339,78 @@ class SettingsPlugin {
   getSyncInterval() {
     return this.get('sync', 'sync_interval', 300);
   }
+
+  /**
+   * Check if scheduled backups are enabled
+   * @returns {boolean}
+   */
+  isAutoBackupEnabled() {
+    return this.get('backup', 'auto_backup', false);
+  }
+
+  /**
+   * Get backup interval in seconds
+   * @returns {number}
+   */
+  getBackupInterval() {
+    return this.get('backup', 'backup_interval', 86400);
+  }
+
+  /**
+   * Get the number of automatic backups to keep
+   * @returns {number}
+   */
+  getBackupKeep() {
+    return this.get('backup', 'keep', 7);
+  }
+
+  /**
+   * Get failed logins allowed per username before it's locked out
+   * @returns {number}
+   */
+  getLoginMaxAttempts() {
+    return this.get('auth', 'max_attempts', 5);
+  }
+
+  /**
+   * Get failed logins allowed per device (any username) before it's locked out
+   * @returns {number}
+   */
+  getDeviceMaxAttempts() {
+    return this.get('auth', 'device_max_attempts', 20);
+  }
+
+  /**
+   * Get lockout duration in seconds; failures older than this are forgotten
+   * @returns {number}
+   */
+  getLockoutDuration() {
+    return this.get('auth', 'lockout_duration', 900);
+  }
+
+  /**
+   * Get failed logins allowed before attempts are delayed
+   * @returns {number}
+   */
+  getThrottleAfter() {
+    return this.get('auth', 'throttle_after', 3);
+  }
+
+  /**
+   * Get the first login delay in seconds; it doubles with each failure
+   * @returns {number}
+   */
+  getThrottleDelay() {
+    return this.get('auth', 'throttle_delay', 1);
+  }
+
+  /**
+   * Get the longest login delay in seconds
+   * @returns {number}
+   */
+  getThrottleMaxDelay() {
+    return this.get('auth', 'throttle_max_delay', 60);
+  }
 }
 
 const settingsPlugin = new SettingsPlugin();
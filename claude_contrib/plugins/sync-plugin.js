@@ -0,0 +1,1275 @@
+/**
+ * Sync Plugin
+ * Offline-first sync of local tables with an HTTP endpoint
+ *
+ * Writes to synced tables are captured into sync_queue by triggers (so
+ * every write path is covered, including raw SQL), pushed in batches, and
+ * remote changes are pulled and applied without being captured again.
+ *
+ * Each record carries the server version it was last synced at. A push
+ * based on an older version, or a pull for a record with unsent local
+ * changes, is a conflict and is settled by the table's policy:
+ *   'last-writer-wins' (default), 'server-wins', 'client-wins', 'merge'
+ *   (field-level, including keys inside JSON columns), 'manual', or a
+ *   function (conflict) → 'local' | 'remote' | merged row.
+ *
+ * Protocol (see examples/mock-sync-server.js):
+ *   POST {endpoint}/push
+ *     { clientId, changes: [{ id, operation, table, recordId, data, baseVersion, createDate }] }
+ *     → { results: [{ id, ok, version, error, conflict: { version, data } }] }
+ *       (missing results count as ok)
+ *   GET  {endpoint}/pull?clientId=...&since=<cursor>
+ *     → { changes: [{ operation, table, recordId, data, version }], cursor, hasMore }
+ */
+
+import dbService from '../db/database-service.js';
+import settingsPlugin from './settings-plugin.js';
+import loggingPlugin from './logging-plugin.js';
+
+// Triggers can't call generateUUID(), so build a v4 UUID in SQL
+const SQL_UUID = `lower(hex(randomblob(4))) || '-' || lower(hex(randomblob(2))) || '-4' ||
+  substr(lower(hex(randomblob(2))), 2) || '-' || substr('89ab', 1 + (abs(random()) % 4), 1) ||
+  substr(lower(hex(randomblob(2))), 2) || '-' || lower(hex(randomblob(6)))`;
+
+const SQL_NOW = "strftime('%Y-%m-%dT%H:%M:%fZ', 'now')";
+
+const CONFLICT_POLICIES = [
+  'last-writer-wins', 'server-wins', 'client-wins', 'merge', 'manual'
+];
+
+class SyncPlugin {
+  constructor() {
+    this.endpoint = null;
+    this.tables = [];
+    this.headers = {};
+    this.fetch = null;
+    this.clientId = null;
+    this.batchSize = 50;
+    this.retryDelay = 30;    // seconds; doubled per consecutive failure
+    this.maxRetryDelay = 3600; // seconds
+    this.pushDelay = 2;      // seconds from a local write to its push
+    this.pushTimer = null;
+    this.changeSubscriptions = new Map(); // table → unsubscribe
+    this.failures = 0;
+    this.timer = null;
+    this.running = null;     // Promise of the sync in progress
+    this.started = false;
+    this.lastSync = null;
+    this.onlineHandler = null;
+    this.listeningForSettings = false;
+    this.conflictPolicy = 'last-writer-wins';
+    this.conflictPolicies = {};
+    this.db = dbService;
+  }
+
+  /**
+   * Sync a different database. Each database keeps its own client id,
+   * queue and cursor; endpoint, tables and policies carry over (call
+   * init() again if the new database syncs elsewhere).
+   * @param {Object} db - DatabaseService
+   * @returns {Promise<void>}
+   */
+  async useDatabase(db) {
+    const wasStarted = this.started;
+    this.stop();
+
+    // A sync in progress finishes against the database it started on
+    if (this.running) {
+      await this.running.catch(() => {});
+    }
+
+    this.db = db;
+    this.failures = 0;
+    this.lastSync = null;
+
+    if (this.endpoint) {
+      this.init({
+        endpoint: this.endpoint,
+        tables: [...this.tables],
+        headers: this.headers,
+        fetch: this.fetch,
+        batchSize: this.batchSize,
+        conflictPolicy: this.conflictPolicy,
+        conflictPolicies: this.conflictPolicies
+      });
+
+      if (wasStarted) {
+        this.start();
+      }
+    }
+  }
+
+  /**
+   * Initialize sync
+   * @param {Object} options
+   * @param {string} options.endpoint - Base URL of the sync API
+   * @param {Array<string>} options.tables - Tables to sync (each needs an id column)
+   * @param {Object} options.headers - Extra request headers (e.g. Authorization)
+   * @param {Function} options.fetch - fetch implementation (defaults to global fetch)
+   * @param {number} options.batchSize - Changes per push request
+   * @param {string|Function} options.conflictPolicy - Default conflict policy
+   * @param {Object} options.conflictPolicies - Per-table policies, e.g.
+   *   { data_records: 'merge' }
+   */
+  init(options = {}) {
+    const {
+      endpoint,
+      tables = ['data_records', 'content_pages'],
+      headers = {},
+      fetch = null,
+      batchSize = 50,
+      conflictPolicy = 'last-writer-wins',
+      conflictPolicies = {}
+    } = options;
+
+    if (!endpoint) {
+      throw new Error('Sync endpoint is required');
+    }
+
+    this.endpoint = endpoint.replace(/\/+$/, '');
+    this.headers = headers;
+    this.fetch = fetch || globalThis.fetch.bind(globalThis);
+    this.batchSize = batchSize;
+
+    [conflictPolicy, ...Object.values(conflictPolicies)].forEach(policy => {
+      if (typeof policy !== 'function' && !CONFLICT_POLICIES.includes(policy)) {
+        throw new Error(`Unknown conflict policy: ${policy}`);
+      }
+    });
+    this.conflictPolicy = conflictPolicy;
+    this.conflictPolicies = conflictPolicies;
+
+    this.db.transaction(() => {
+      this.clientId = this.getState('client_id');
+      if (!this.clientId) {
+        this.clientId = this.db.generateUUID();
+        this.setState('client_id', this.clientId);
+      }
+
+      // Items left 'syncing' by a closed tab never got an answer
+      this.db.run(
+        "UPDATE sync_queue SET status = 'pending' WHERE status = 'syncing'"
+      );
+
+      // Acknowledged items used to be kept as 'synced'
+      this.db.run("DELETE FROM sync_queue WHERE status = 'synced'");
+
+      this.tables = [];
+      tables.forEach(table => this.watch(table));
+    });
+
+    loggingPlugin.info('Sync plugin initialized', {
+      category: 'sync',
+      details: { endpoint: this.endpoint, tables: this.tables }
+    });
+  }
+
+  // ============================================================================
+  // CHANGE CAPTURE
+  // ============================================================================
+
+  /**
+   * Start capturing writes to a table. Triggers are rebuilt every time so
+   * they pick up columns added by migrations.
+   * @param {string} table
+   */
+  watch(table) {
+    const { columns } = this.db.getTableSchema(table);
+
+    if (!/^\w+$/.test(table) || !columns.has('id')) {
+      throw new Error(`Table ${table} can't be synced: it needs an id column`);
+    }
+
+    this.dropTriggers(table);
+
+    const rowJson = ref => `json_object(${
+      [...columns].map(col => `'${col}', ${ref}."${col}"`).join(', ')
+    })`;
+
+    const capturing = "(SELECT value FROM sync_state WHERE key = 'capture_paused') IS NOT '1'";
+
+    // Unsent create/update entries for the same record are folded together
+    const unsent = (ref, operations) => `
+      table_name = '${table}' AND record_id = ${ref}.id
+      AND status IN ('pending', 'failed') AND operation IN (${operations})`;
+
+    const enqueue = (operation, ref) => `
+      INSERT INTO sync_queue (id, create_date, operation, table_name, record_id, status, priority)
+      SELECT ${SQL_UUID}, ${SQL_NOW}, '${operation}', '${table}', ${ref}.id, 'pending', 5`;
+
+    this.db.run(`
+      CREATE TRIGGER trg_sync_${table}_insert AFTER INSERT ON "${table}"
+      WHEN ${capturing}
+      BEGIN
+        ${enqueue('create', 'NEW')};
+        UPDATE sync_queue SET data = ${rowJson('NEW')}
+        WHERE ${unsent('NEW', "'create'")};
+      END
+    `);
+
+    this.db.run(`
+      CREATE TRIGGER trg_sync_${table}_update AFTER UPDATE ON "${table}"
+      WHEN ${capturing}
+      BEGIN
+        ${enqueue('update', 'NEW')}
+        WHERE NOT EXISTS (SELECT 1 FROM sync_queue WHERE ${unsent('NEW', "'create', 'update'")});
+        UPDATE sync_queue SET data = ${rowJson('NEW')}
+        WHERE ${unsent('NEW', "'create', 'update'")};
+      END
+    `);
+
+    // A record created and deleted before it was ever pushed leaves no trace
+    this.db.run(`
+      CREATE TRIGGER trg_sync_${table}_delete AFTER DELETE ON "${table}"
+      WHEN ${capturing}
+      BEGIN
+        ${enqueue('delete', 'OLD')}
+        WHERE NOT EXISTS (SELECT 1 FROM sync_queue WHERE ${unsent('OLD', "'create'")});
+        DELETE FROM sync_queue WHERE ${unsent('OLD', "'create', 'update'")};
+      END
+    `);
+
+    if (!this.tables.includes(table)) {
+      this.tables.push(table);
+    }
+
+    if (this.started) {
+      this.subscribe(table);
+    }
+  }
+
+  /**
+   * Stop capturing writes to a table
+   * @param {string} table
+   */
+  unwatch(table) {
+    this.unsubscribe(table);
+    this.dropTriggers(table);
+    this.tables = this.tables.filter(name => name !== table);
+  }
+
+  /**
+   * Drop the capture triggers of a table
+   * @param {string} table
+   */
+  dropTriggers(table) {
+    ['insert', 'update', 'delete'].forEach(op => {
+      this.db.run(`DROP TRIGGER IF EXISTS "trg_sync_${table}_${op}"`);
+    });
+  }
+
+  // ============================================================================
+  // SYNCING
+  // ============================================================================
+
+  /**
+   * Push local changes, then pull remote ones. Concurrent calls share the
+   * sync in progress.
+   * @returns {Promise<Object>} { pushed, failed, conflicts, pulled }
+   */
+  sync() {
+    if (!this.endpoint) {
+      return Promise.reject(new Error('Sync plugin not initialized'));
+    }
+
+    if (this.running) {
+      return this.running;
+    }
+
+    this.running = this.runSync().finally(() => {
+      this.running = null;
+      this.scheduleNext();
+    });
+
+    return this.running;
+  }
+
+  /**
+   * One push/pull round
+   * @returns {Promise<Object>}
+   */
+  async runSync() {
+    this.emitSyncEvent('start', { clientId: this.clientId });
+
+    try {
+      const { pushed, failed, conflicts } = await this.push();
+      const pulled = await this.pull();
+
+      this.failures = 0;
+      this.lastSync = new Date().toISOString();
+
+      const result = { pushed, failed, conflicts, pulled };
+      this.emitSyncEvent('complete', result);
+      return result;
+    } catch (error) {
+      this.failures++;
+
+      loggingPlugin.warn(`Sync failed: ${error.message}`, {
+        category: 'sync',
+        details: { failures: this.failures }
+      });
+
+      this.emitSyncEvent('error', {
+        error: error.message,
+        failures: this.failures,
+        retryIn: this.getDelay()
+      });
+
+      throw error;
+    }
+  }
+
+  /**
+   * Push pending changes in batches
+   * @returns {Promise<Object>} { pushed, failed, conflicts }
+   */
+  async push() {
+    // Records waiting for a manual decision stay local until it is made
+    const items = this.db.getAll(
+      `SELECT * FROM v_pending_sync
+       WHERE NOT EXISTS (
+         SELECT 1 FROM sync_conflicts c
+         WHERE c.status = 'open'
+           AND c.table_name = v_pending_sync.table_name
+           AND c.record_id = v_pending_sync.record_id
+       )`
+    );
+    let pushed = 0;
+    let failed = 0;
+    let conflicts = 0;
+
+    for (let start = 0; start < items.length; start += this.batchSize) {
+      const batch = items.slice(start, start + this.batchSize);
+      const ids = batch.map(item => item.id);
+      const placeholders = ids.map(() => '?').join(', ');
+
+      this.db.run(
+        `UPDATE sync_queue SET status = 'syncing', last_attempt = ?
+         WHERE id IN (${placeholders})`,
+        [this.db.getTimestamp(), ...ids]
+      );
+
+      let response;
+      try {
+        response = await this.request('/push', {
+          method: 'POST',
+          body: JSON.stringify({
+            clientId: this.clientId,
+            changes: batch.map(item => this.toChange(item))
+          })
+        });
+      } catch (error) {
+        // Nothing was acknowledged; put the batch back as it was
+        this.db.run(
+          `UPDATE sync_queue
+           SET status = CASE WHEN retry_count > 0 THEN 'failed' ELSE 'pending' END
+           WHERE id IN (${placeholders}) AND status = 'syncing'`,
+          ids
+        );
+        throw error;
+      }
+
+      const results = new Map((response.results || []).map(result => [result.id, result]));
+
+      this.db.transaction(() => {
+        batch.forEach(item => {
+          const result = results.get(item.id);
+
+          if (result && result.conflict) {
+            this.handleConflict(item.table_name, item.record_id, result.conflict);
+            conflicts++;
+          } else if (result && result.ok === false) {
+            this.db.markSyncFailed(item.id, result.error || 'Rejected by server');
+            failed++;
+          } else {
+            this.db.markSyncCompleted(item.id);
+            this.setRecordVersion(
+              item.table_name,
+              item.record_id,
+              result?.version ?? null,
+              item.operation === 'delete' ? null : this.parseJson(item.data)
+            );
+            pushed++;
+          }
+        });
+      });
+
+      this.emitSyncEvent('progress', {
+        phase: 'push',
+        done: Math.min(start + batch.length, items.length),
+        total: items.length
+      });
+    }
+
+    return { pushed, failed, conflicts };
+  }
+
+  /**
+   * Pull remote changes until the server has no more
+   * @returns {Promise<number>} Changes applied
+   */
+  async pull() {
+    let pulled = 0;
+    let hasMore = true;
+
+    while (hasMore) {
+      const cursor = this.getState('pull_cursor');
+      const params = new URLSearchParams({ clientId: this.clientId });
+      if (cursor) {
+        params.set('since', cursor);
+      }
+
+      const response = await this.request(`/pull?${params}`);
+      const changes = response.changes || [];
+
+      this.applyRemoteChanges(changes, response.cursor ?? cursor);
+      pulled += changes.length;
+      hasMore = !!response.hasMore && changes.length > 0;
+
+      this.emitSyncEvent('progress', { phase: 'pull', done: pulled });
+    }
+
+    return pulled;
+  }
+
+  /**
+   * Apply pulled changes in one transaction, with capture switched off so
+   * they aren't pushed back
+   * @param {Array<Object>} changes
+   * @param {string} cursor - Pull position to store once applied
+   */
+  applyRemoteChanges(changes, cursor) {
+    this.db.transaction(() => {
+      changes.forEach(change => {
+        const { table, recordId, operation, data, version = null } = change;
+
+        if (!this.tables.includes(table)) {
+          loggingPlugin.warn(`Ignoring remote change for unsynced table: ${table}`, {
+            category: 'sync'
+          });
+          return;
+        }
+
+        // Already seen, e.g. as the conflict answer to our own push
+        const known = this.getRecordVersion(table, recordId);
+        if (version !== null && known !== null && version <= known) {
+          return;
+        }
+
+        const remote = { version, data: operation === 'delete' ? null : data };
+
+        if (this.hasUnsentChanges(table, recordId)) {
+          this.handleConflict(table, recordId, remote);
+        } else {
+          this.withCapturePaused(() => this.applyChange(change));
+          this.setRecordVersion(table, recordId, version, remote.data);
+        }
+      });
+
+      if (cursor !== undefined && cursor !== null) {
+        this.setState('pull_cursor', String(cursor));
+      }
+    });
+  }
+
+  /**
+   * Apply one remote change
+   * @param {Object} change - { operation, table, recordId, data }
+   */
+  applyChange({ operation, table, recordId, data }) {
+    if (operation === 'delete') {
+      this.db.run(`DELETE FROM "${table}" WHERE id = ?`, [recordId]);
+      return;
+    }
+
+    // Columns this client doesn't know (newer server schema) are dropped
+    const { columns } = this.db.getTableSchema(table);
+    const row = { ...data, id: recordId };
+    const keys = Object.keys(row).filter(key => columns.has(key));
+    const updates = keys.filter(key => key !== 'id');
+
+    this.db.run(
+      `INSERT INTO "${table}" (${keys.map(key => `"${key}"`).join(', ')})
+       VALUES (${keys.map(() => '?').join(', ')})
+       ON CONFLICT(id) DO ${updates.length > 0
+         ? `UPDATE SET ${updates.map(key => `"${key}" = excluded."${key}"`).join(', ')}`
+         : 'NOTHING'}`,
+      keys.map(key => this.toColumnValue(row[key]))
+    );
+  }
+
+  // ============================================================================
+  // CONFLICT RESOLUTION
+  // ============================================================================
+
+  /**
+   * Settle a conflict between the local record and the server's version
+   * @param {string} table
+   * @param {string} recordId
+   * @param {Object} remote - { version, data } (data null = deleted)
+   */
+  handleConflict(table, recordId, remote) {
+    const conflict = {
+      table,
+      recordId,
+      local: this.db.getOne(`SELECT * FROM "${table}" WHERE id = ?`, [recordId]),
+      remote: { version: remote.version ?? null, data: remote.data ?? null },
+      base: this.getRecordBase(table, recordId),
+      localTime: this.getLocalChangeTime(table, recordId)
+    };
+
+    const policy = this.conflictPolicies[table] || this.conflictPolicy;
+
+    if (policy === 'manual') {
+      this.holdConflict(conflict);
+      return;
+    }
+
+    const outcome = this.decideConflict(policy, conflict);
+    this.applyResolution(conflict, outcome);
+
+    loggingPlugin.info(`Sync conflict on ${table}/${recordId} resolved: ${outcome.winner}`, {
+      category: 'sync',
+      details: { policy: typeof policy === 'function' ? 'custom' : policy }
+    });
+  }
+
+  /**
+   * Pick the winning side of a conflict
+   * @param {string|Function} policy
+   * @param {Object} conflict
+   * @returns {Object} { winner: 'local'|'remote'|'merged', row }
+   */
+  decideConflict(policy, conflict) {
+    if (typeof policy === 'function') {
+      const choice = policy(conflict);
+      if (choice === 'local' || choice === 'remote') {
+        return { winner: choice };
+      }
+      return { winner: 'merged', row: choice };
+    }
+
+    switch (policy) {
+      case 'server-wins':
+        return { winner: 'remote' };
+
+      case 'client-wins':
+        return { winner: 'local' };
+
+      case 'merge':
+        // Deletes can't be merged field by field
+        if (conflict.local && conflict.remote.data) {
+          return { winner: 'merged', row: this.mergeRecords(conflict) };
+        }
+        return { winner: this.newerSide(conflict) };
+
+      case 'last-writer-wins':
+      default:
+        return { winner: this.newerSide(conflict) };
+    }
+  }
+
+  /**
+   * Last-writer-wins by modified_date; ties go to the server
+   * @param {Object} conflict
+   * @returns {string} 'local' or 'remote'
+   */
+  newerSide(conflict) {
+    const { local, remote, localTime } = conflict;
+    const localDate = this.toTime(local ? (local.modified_date || local.create_date) : localTime);
+    const remoteData = remote.data || {};
+    const remoteDate = this.toTime(remoteData.modified_date || remoteData.create_date);
+
+    return localDate > remoteDate ? 'local' : 'remote';
+  }
+
+  /**
+   * Three-way merge of the local and remote rows against the last synced
+   * row. Fields changed on one side only keep that change; fields changed
+   * on both sides are merged key by key when they hold JSON objects, and
+   * otherwise go to the newer side.
+   * @param {Object} conflict
+   * @returns {Object} Merged row
+   */
+  mergeRecords(conflict) {
+    const { table, local, remote } = conflict;
+    const base = conflict.base || {};
+    const { jsonColumns } = this.db.getTableSchema(table);
+    const newer = this.newerSide(conflict);
+    const merged = {};
+
+    new Set([...Object.keys(local), ...Object.keys(remote.data)]).forEach(column => {
+      const mine = local[column];
+      const theirs = remote.data[column];
+
+      if (column === 'modified_date') {
+        merged[column] = this.toTime(mine) > this.toTime(theirs) ? mine : theirs;
+      } else if (jsonColumns.has(column)) {
+        const result = this.mergeValues(
+          this.parseJson(base[column]),
+          this.parseJson(mine),
+          this.parseJson(theirs),
+          newer
+        );
+        merged[column] = result === undefined || result === null ? null : JSON.stringify(result);
+      } else {
+        merged[column] = this.mergeValues(base[column], mine, theirs, newer, false);
+      }
+    });
+
+    merged.id = conflict.recordId;
+    return merged;
+  }
+
+  /**
+   * Merge one value three ways
+   * @param {*} base
+   * @param {*} mine
+   * @param {*} theirs
+   * @param {string} newer - Side that wins when both changed: 'local' or 'remote'
+   * @param {boolean} deep - Merge plain objects key by key
+   * @returns {*}
+   */
+  mergeValues(base, mine, theirs, newer, deep = true) {
+    if (this.sameValue(mine, theirs)) return mine;
+    if (this.sameValue(mine, base)) return theirs;
+    if (this.sameValue(theirs, base)) return mine;
+
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+    if (deep && isObject(mine) && isObject(theirs)) {
+      const baseObject = isObject(base) ? base : {};
+      const result = {};
+
+      new Set([...Object.keys(mine), ...Object.keys(theirs)]).forEach(key => {
+        const value = this.mergeValues(baseObject[key], mine[key], theirs[key], newer);
+        if (value !== undefined) {
+          result[key] = value;
+        }
+      });
+
+      return result;
+    }
+
+    return newer === 'local' ? mine : theirs;
+  }
+
+  /**
+   * Apply the outcome of a conflict
+   * @param {Object} conflict
+   * @param {Object} outcome - { winner, row }
+   */
+  applyResolution(conflict, outcome) {
+    const { table, recordId, remote } = conflict;
+
+    this.db.transaction(() => {
+      if (outcome.winner === 'remote') {
+        this.clearUnsentChanges(table, recordId);
+        this.withCapturePaused(() => this.applyChange({
+          operation: remote.data ? 'update' : 'delete',
+          table,
+          recordId,
+          data: remote.data
+        }));
+        this.setRecordVersion(table, recordId, remote.version, remote.data);
+        return;
+      }
+
+      if (outcome.winner === 'merged') {
+        this.withCapturePaused(() => this.applyChange({
+          operation: 'update',
+          table,
+          recordId,
+          data: outcome.row
+        }));
+      }
+
+      // The local (or merged) row goes out again, based on the server's
+      // version so it isn't rejected a second time
+      this.setRecordVersion(table, recordId, remote.version, remote.data);
+      this.requeue(table, recordId);
+    });
+  }
+
+  /**
+   * Queue a conflict for a manual decision
+   * @param {Object} conflict
+   */
+  holdConflict(conflict) {
+    const { table, recordId, local, remote } = conflict;
+    const id = this.db.generateUUID();
+
+    const open = this.db.getOne(
+      `SELECT remote_version FROM sync_conflicts
+       WHERE table_name = ? AND record_id = ? AND status = 'open'`,
+      [table, recordId]
+    );
+
+    this.db.transaction(() => {
+      // In-flight changes go back to the queue; push skips the record
+      this.db.run(
+        `UPDATE sync_queue SET status = 'pending'
+         WHERE table_name = ? AND record_id = ? AND status = 'syncing'`,
+        [table, recordId]
+      );
+
+      if (open && open.remote_version === remote.version) {
+        return;
+      }
+
+      // Only one open conflict per record; the newest server state counts
+      this.db.run(
+        `DELETE FROM sync_conflicts WHERE table_name = ? AND record_id = ? AND status = 'open'`,
+        [table, recordId]
+      );
+
+      this.db.run(
+        `INSERT INTO sync_conflicts (id, create_date, table_name, record_id,
+           local_data, remote_data, remote_version, status)
+         VALUES (?, ?, ?, ?, ?, ?, ?, 'open')`,
+        [
+          id, this.db.getTimestamp(), table, recordId,
+          local ? JSON.stringify(local) : null,
+          remote.data ? JSON.stringify(remote.data) : null,
+          remote.version
+        ]
+      );
+    });
+
+    if (open && open.remote_version === remote.version) {
+      return;
+    }
+
+    loggingPlugin.warn(`Sync conflict on ${table}/${recordId} needs a decision`, {
+      category: 'sync'
+    });
+
+    this.emitSyncEvent('conflict', {
+      id,
+      table,
+      recordId,
+      local,
+      remote: remote.data,
+      remoteVersion: remote.version
+    });
+  }
+
+  /**
+   * Get conflicts waiting for a decision
+   * @returns {Array<Object>}
+   */
+  getConflicts() {
+    return this.db.table('sync_conflicts')
+      .where({ status: 'open' })
+      .orderBy('create_date')
+      .select();
+  }
+
+  /**
+   * Settle a manual conflict
+   * @param {string} conflictId
+   * @param {string|Object} resolution - 'local', 'remote', or the merged row
+   */
+  resolveConflict(conflictId, resolution) {
+    const row = this.db.table('sync_conflicts').where({ id: conflictId, status: 'open' }).first();
+
+    if (!row) {
+      throw new Error('Conflict not found');
+    }
+
+    const conflict = {
+      table: row.table_name,
+      recordId: row.record_id,
+      local: row.local_data,
+      remote: { version: row.remote_version, data: row.remote_data }
+    };
+
+    let outcome;
+    if (resolution === 'local' || resolution === 'remote') {
+      outcome = { winner: resolution };
+    } else if (resolution && typeof resolution === 'object') {
+      // JSON columns may be given as objects
+      const { jsonColumns } = this.db.getTableSchema(row.table_name);
+      const merged = { ...resolution, id: row.record_id };
+      jsonColumns.forEach(column => {
+        if (merged[column] !== null && typeof merged[column] === 'object') {
+          merged[column] = JSON.stringify(merged[column]);
+        }
+      });
+      outcome = { winner: 'merged', row: merged };
+    } else {
+      throw new Error(`Invalid conflict resolution: ${resolution}`);
+    }
+
+    this.db.transaction(() => {
+      this.applyResolution(conflict, outcome);
+
+      this.db.table('sync_conflicts').where({ id: conflictId }).update({
+        status: 'resolved',
+        resolution: outcome.winner,
+        resolved_date: this.db.getTimestamp()
+      });
+    });
+
+    this.emitSyncEvent('conflict-resolved', {
+      id: conflictId,
+      table: conflict.table,
+      recordId: conflict.recordId,
+      resolution: outcome.winner
+    });
+  }
+
+  // ============================================================================
+  // RECORD VERSIONS
+  // ============================================================================
+
+  /**
+   * Remember the server version of a record and the row at that version
+   * @param {string} table
+   * @param {string} recordId
+   * @param {number|null} version
+   * @param {Object|null} data - null when the record is deleted
+   */
+  setRecordVersion(table, recordId, version, data) {
+    if (!data) {
+      this.db.run(
+        'DELETE FROM sync_records WHERE table_name = ? AND record_id = ?',
+        [table, recordId]
+      );
+      return;
+    }
+
+    this.db.run(
+      `INSERT INTO sync_records (table_name, record_id, version, base_data)
+       VALUES (?, ?, ?, ?)
+       ON CONFLICT(table_name, record_id) DO UPDATE
+       SET version = excluded.version, base_data = excluded.base_data`,
+      [table, recordId, version, JSON.stringify(data)]
+    );
+  }
+
+  /**
+   * Get the server version a record was last synced at
+   * @param {string} table
+   * @param {string} recordId
+   * @returns {number|null}
+   */
+  getRecordVersion(table, recordId) {
+    const row = this.db.getOne(
+      'SELECT version FROM sync_records WHERE table_name = ? AND record_id = ?',
+      [table, recordId]
+    );
+    return row ? row.version : null;
+  }
+
+  /**
+   * Get the row as it was when last synced
+   * @param {string} table
+   * @param {string} recordId
+   * @returns {Object|null}
+   */
+  getRecordBase(table, recordId) {
+    const row = this.db.getOne(
+      'SELECT base_data FROM sync_records WHERE table_name = ? AND record_id = ?',
+      [table, recordId]
+    );
+    return row ? this.parseJson(row.base_data) : null;
+  }
+
+  /**
+   * Check for local changes the server hasn't acknowledged
+   * @param {string} table
+   * @param {string} recordId
+   * @returns {boolean}
+   */
+  hasUnsentChanges(table, recordId) {
+    return !!this.db.getOne(
+      `SELECT 1 AS found FROM sync_queue
+       WHERE table_name = ? AND record_id = ? AND status IN ('pending', 'failed', 'syncing')`,
+      [table, recordId]
+    );
+  }
+
+  /**
+   * When the latest unsent local change was made
+   * @param {string} table
+   * @param {string} recordId
+   * @returns {string|null}
+   */
+  getLocalChangeTime(table, recordId) {
+    const row = this.db.getOne(
+      `SELECT MAX(create_date) AS changed FROM sync_queue
+       WHERE table_name = ? AND record_id = ? AND status IN ('pending', 'failed', 'syncing')`,
+      [table, recordId]
+    );
+    return row ? row.changed : null;
+  }
+
+  /**
+   * Drop unsent local changes for a record
+   * @param {string} table
+   * @param {string} recordId
+   */
+  clearUnsentChanges(table, recordId) {
+    this.db.run(
+      `DELETE FROM sync_queue
+       WHERE table_name = ? AND record_id = ? AND status IN ('pending', 'failed', 'syncing')`,
+      [table, recordId]
+    );
+  }
+
+  /**
+   * Replace unsent changes for a record with one reflecting its current row
+   * @param {string} table
+   * @param {string} recordId
+   */
+  requeue(table, recordId) {
+    const row = this.db.getOne(`SELECT * FROM "${table}" WHERE id = ?`, [recordId]);
+
+    this.clearUnsentChanges(table, recordId);
+    this.db.queueSync(row ? 'update' : 'delete', table, recordId, row);
+  }
+
+  /**
+   * Run fn without capturing its writes into sync_queue
+   * @param {Function} fn
+   */
+  withCapturePaused(fn) {
+    this.db.transaction(() => {
+      this.setState('capture_paused', '1');
+      fn();
+      this.setState('capture_paused', '0');
+    });
+  }
+
+  // ============================================================================
+  // SCHEDULING
+  // ============================================================================
+
+  /**
+   * Sync now and then every sync.sync_interval seconds while
+   * sync.auto_sync is on. Failures back off exponentially.
+   */
+  start() {
+    if (this.started) return;
+    this.started = true;
+
+    this.tables.forEach(table => this.subscribe(table));
+
+    if (typeof window !== 'undefined') {
+      // Catch up as soon as the connection returns
+      this.onlineHandler = () => this.runScheduled();
+      window.addEventListener('online', this.onlineHandler);
+
+      if (!this.listeningForSettings) {
+        this.listeningForSettings = true;
+        settingsPlugin.onChange(({ category }) => {
+          if (category === 'sync' && this.started && !this.running) {
+            this.scheduleNext();
+          }
+        });
+      }
+    }
+
+    this.runScheduled();
+  }
+
+  /**
+   * Stop scheduled syncing
+   */
+  stop() {
+    this.started = false;
+
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    if (this.pushTimer) {
+      clearTimeout(this.pushTimer);
+      this.pushTimer = null;
+    }
+
+    [...this.changeSubscriptions.keys()].forEach(table => this.unsubscribe(table));
+
+    if (this.onlineHandler) {
+      window.removeEventListener('online', this.onlineHandler);
+      this.onlineHandler = null;
+    }
+  }
+
+  /**
+   * Run a scheduled sync, unless auto sync is off, we're offline or another
+   * tab owns the database (it syncs for every tab)
+   */
+  runScheduled() {
+    const offline = typeof navigator !== 'undefined' && navigator.onLine === false;
+
+    if (offline || !settingsPlugin.isAutoSyncEnabled() || !this.db.isLeader()) {
+      this.scheduleNext();
+      return;
+    }
+
+    // Failures are reported through the sync-error event
+    this.sync().catch(() => {});
+  }
+
+  /**
+   * Push local writes shortly after they are committed instead of waiting
+   * for the next interval. Writes close together share one push; while
+   * failing, the backoff schedule is left alone.
+   * @param {string} table
+   */
+  subscribe(table) {
+    if (this.changeSubscriptions.has(table)) return;
+
+    this.changeSubscriptions.set(table, this.db.onChange(table, () => {
+      if (!this.started || this.pushTimer || this.failures > 0) return;
+
+      this.pushTimer = setTimeout(() => {
+        this.pushTimer = null;
+
+        // Changes applied by pull are seen too, but leave nothing to push
+        const pending = this.db.getOne(
+          "SELECT 1 AS found FROM sync_queue WHERE status = 'pending' LIMIT 1"
+        );
+        if (pending && this.started && !this.running) {
+          this.runScheduled();
+        }
+      }, this.pushDelay * 1000);
+    }));
+  }
+
+  /**
+   * Stop reacting to writes to a table
+   * @param {string} table
+   */
+  unsubscribe(table) {
+    const off = this.changeSubscriptions.get(table);
+    if (off) {
+      off();
+      this.changeSubscriptions.delete(table);
+    }
+  }
+
+  /**
+   * Schedule the next automatic sync
+   */
+  scheduleNext() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    if (!this.started) return;
+
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.runScheduled();
+    }, this.getDelay() * 1000);
+  }
+
+  /**
+   * Seconds until the next automatic sync
+   * @returns {number}
+   */
+  getDelay() {
+    if (this.failures === 0) {
+      return Math.max(1, Number(settingsPlugin.getSyncInterval()) || 300);
+    }
+
+    const delay = Math.min(
+      this.maxRetryDelay,
+      this.retryDelay * Math.pow(2, this.failures - 1)
+    );
+
+    // ±20% jitter so clients that failed together don't retry together
+    return Math.round(delay * (0.8 + Math.random() * 0.4));
+  }
+
+  /**
+   * Get sync status
+   * @returns {Object}
+   */
+  getStatus() {
+    const counts = this.db.getOne(
+      `SELECT
+         SUM(CASE WHEN status = 'pending' THEN 1 ELSE 0 END) AS pending,
+         SUM(CASE WHEN status = 'failed' THEN 1 ELSE 0 END) AS failed
+       FROM sync_queue`
+    );
+
+    return {
+      clientId: this.clientId,
+      tables: [...this.tables],
+      pending: counts?.pending || 0,
+      failed: counts?.failed || 0,
+      running: !!this.running,
+      lastSync: this.lastSync,
+      failures: this.failures
+    };
+  }
+
+  // ============================================================================
+  // HELPERS
+  // ============================================================================
+
+  /**
+   * Convert a sync_queue row into a protocol change
+   * @param {Object} item
+   * @returns {Object}
+   */
+  toChange(item) {
+    return {
+      id: item.id,
+      operation: item.operation,
+      table: item.table_name,
+      recordId: item.record_id,
+      data: this.parseJson(item.data),
+      baseVersion: this.getRecordVersion(item.table_name, item.record_id),
+      createDate: item.create_date
+    };
+  }
+
+  /**
+   * Parse a JSON column value (already parsed values pass through)
+   * @param {*} value
+   * @returns {*}
+   */
+  parseJson(value) {
+    if (typeof value !== 'string') {
+      return value ?? null;
+    }
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return value;
+    }
+  }
+
+  /**
+   * Compare two values, including parsed JSON
+   * @param {*} a
+   * @param {*} b
+   * @returns {boolean}
+   */
+  sameValue(a, b) {
+    if (a === b) return true;
+    if ((a ?? null) === null || (b ?? null) === null) return (a ?? null) === (b ?? null);
+    return typeof a === 'object' && typeof b === 'object' &&
+      JSON.stringify(a) === JSON.stringify(b);
+  }
+
+  /**
+   * Milliseconds since epoch for a stored timestamp. Older rows hold
+   * SQLite's 'YYYY-MM-DD HH:MM:SS' (UTC) rather than ISO 8601.
+   * @param {string} value
+   * @returns {number}
+   */
+  toTime(value) {
+    if (!value) return 0;
+    const iso = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(value)
+      ? `${value.replace(' ', 'T')}Z`
+      : value;
+    const time = Date.parse(iso);
+    return Number.isNaN(time) ? 0 : time;
+  }
+
+  /**
+   * Prepare a remote value for a column (JSON columns arrive as text, but
+   * servers may send them parsed)
+   * @param {*} value
+   * @returns {*}
+   */
+  toColumnValue(value) {
+    if (value !== null && typeof value === 'object') {
+      return JSON.stringify(value);
+    }
+    if (typeof value === 'boolean') {
+      return value ? 1 : 0;
+    }
+    return value ?? null;
+  }
+
+  /**
+   * Call the sync API
+   * @param {string} path
+   * @param {Object} options - fetch options
+   * @returns {Promise<Object>}
+   */
+  async request(path, options = {}) {
+    const response = await this.fetch(`${this.endpoint}${path}`, {
+      ...options,
+      headers: {
+        'Content-Type': 'application/json',
+        ...this.headers,
+        ...options.headers
+      }
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${await response.text()}`);
+    }
+
+    return response.json();
+  }
+
+  /**
+   * Read a sync_state value
+   * @param {string} key
+   * @returns {string|null}
+   */
+  getState(key) {
+    const row = this.db.getOne('SELECT value FROM sync_state WHERE key = ?', [key]);
+    return row ? row.value : null;
+  }
+
+  /**
+   * Write a sync_state value
+   * @param {string} key
+   * @param {string} value
+   */
+  setState(key, value) {
+    this.db.run(
+      `INSERT INTO sync_state (key, value) VALUES (?, ?)
+       ON CONFLICT(key) DO UPDATE SET value = excluded.value`,
+      [key, value]
+    );
+  }
+
+  // ============================================================================
+  // EVENTS
+  // ============================================================================
+
+  /**
+   * Emit sync event
+   * @param {string} eventName - start, progress, complete, error
+   * @param {Object} detail
+   */
+  emitSyncEvent(eventName, detail = {}) {
+    if (typeof window === 'undefined') return;
+
+    const event = new CustomEvent(`sync-${eventName}`, { detail });
+    window.dispatchEvent(event);
+  }
+
+  /**
+   * Listen for sync events
+   * @param {string} eventName
+   * @param {Function} callback
+   */
+  on(eventName, callback) {
+    window.addEventListener(`sync-${eventName}`, (event) => {
+      callback(event.detail);
+    });
+  }
+}
+
+// Export singleton
+const syncPlugin = new SyncPlugin();
+
+if (typeof window !== 'undefined') {
+  window.syncPlugin = syncPlugin;
+}
+
+export default syncPlugin;
@@ -12,6 +12,22 @@ class WebhookPlugin {
     this.processing = false;
     this.retryDelay = 5000; // 5 seconds
     this.maxRetries = 3;
+    this.db = dbService;
+    this.watchedTables = new Map(); // table → stop watching
+  }
+
+  /**
+   * Read webhooks from a different database. Watched tables are watched
+   * in the new one; queued deliveries are still logged to the database
+   * they were triggered from.
+   * @param {Object} db - DatabaseService
+   */
+  useDatabase(db) {
+    const tables = [...this.watchedTables.keys()];
+    tables.forEach(table => this.unwatchTable(table));
+
+    this.db = db;
+    tables.forEach(table => this.watchTable(table));
   }
 
   /**
@@ -32,7 +48,7 @@ class WebhookPlugin {
    * @returns {string} Webhook ID
    */
   register(webhookData) {
-    const id = dbService.createWebhook(webhookData);
+    const id = this.db.createWebhook(webhookData);
     
     loggingPlugin.info(`Webhook registered: ${webhookData.name}`, {
       category: 'webhooks',
@@ -48,27 +64,11 @@ class WebhookPlugin {
    * @param {Object} updates
    */
   update(webhookId, updates) {
-    const setClause = Object.keys(updates)
-      .filter(key => !['id', 'create_date'].includes(key))
-      .map(key => `${key} = ?`)
-      .join(', ');
+    const { id, create_date, ...fields } = updates;
     
-    const values = [
-      ...Object.keys(updates)
-        .filter(key => !['id', 'create_date'].includes(key))
-        .map(key => {
-          if (typeof updates[key] === 'object') {
-            return JSON.stringify(updates[key]);
-          }
-          return updates[key];
-        }),
-      webhookId
-    ];
-    
-    dbService.run(
-      `UPDATE webhooks SET ${setClause} WHERE id = ?`,
-      values
-    );
+    this.db.table('webhooks')
+      .where({ id: webhookId })
+      .update(fields);
     
     loggingPlugin.info(`Webhook updated: ${webhookId}`, {
       category: 'webhooks'
@@ -80,7 +80,7 @@ class WebhookPlugin {
    * @param {string} webhookId
    */
   delete(webhookId) {
-    dbService.run(
+    this.db.run(
       'UPDATE webhooks SET active = 0 WHERE id = ?',
       [webhookId]
     );
@@ -95,7 +95,7 @@ class WebhookPlugin {
    * @returns {Array}
    */
   getAll() {
-    const webhooks = dbService.getAll(
+    const webhooks = this.db.getAll(
       'SELECT * FROM webhooks WHERE active = 1'
     );
     
@@ -113,7 +113,7 @@ class WebhookPlugin {
    * @param {Object} payload
    */
   async trigger(eventType, payload) {
-    const webhooks = dbService.getWebhooksForEvent(eventType);
+    const webhooks = this.db.getWebhooksForEvent(eventType);
     
     if (webhooks.length === 0) {
       loggingPlugin.debug(`No webhooks found for event: ${eventType}`, {
@@ -129,6 +129,7 @@ class WebhookPlugin {
     // Add to queue
     webhooks.forEach(webhook => {
       this.queue.push({
+        db: this.db,
         webhook,
         eventType,
         payload,
@@ -143,6 +144,37 @@ class WebhookPlugin {
     }
   }
 
+  /**
+   * Trigger webhooks for row changes of a table, as '<table>.insert',
+   * '<table>.update' and '<table>.delete' events
+   * @param {string} table
+   * @returns {Function} Stop watching
+   */
+  watchTable(table) {
+    if (!this.watchedTables.has(table)) {
+      this.watchedTables.set(table, this.db.onChange(table, changes => {
+        changes.forEach(({ operation, recordId, date }) => {
+          this.trigger(`${table}.${operation}`, { table, recordId, operation, date });
+        });
+      }));
+    }
+
+    return () => this.unwatchTable(table);
+  }
+
+  /**
+   * Stop triggering webhooks for a table's row changes
+   * @param {string} table
+   */
+  unwatchTable(table) {
+    const unsubscribe = this.watchedTables.get(table);
+
+    if (unsubscribe) {
+      unsubscribe();
+      this.watchedTables.delete(table);
+    }
+  }
+
   /**
    * Start queue processor
    */
@@ -177,7 +209,7 @@ class WebhookPlugin {
    * @param {Object} item - Queue item
    */
   async sendWebhook(item) {
-    const { webhook, eventType, payload, retries } = item;
+    const { db, webhook, eventType, payload, retries } = item;
     
     const startTime = performance.now();
     
@@ -208,32 +240,36 @@ class WebhookPlugin {
       const duration = performance.now() - startTime;
       const responseBody = await response.text();
       
+      // Error responses are logged once, as failures, below
+      if (!response.ok) {
+        const error = new Error(`HTTP ${response.status}: ${responseBody}`);
+        error.status = response.status;
+        error.body = responseBody;
+        throw error;
+      }
+      
       // Log delivery
-      dbService.logWebhookDelivery(
+      db.logWebhookDelivery(
         webhook.id,
         eventType,
         payload,
         {
           status: response.status,
           body: responseBody,
-          success: response.ok,
+          success: true,
           retryCount: retries,
           duration: Math.round(duration)
         }
       );
       
-      if (response.ok) {
-        loggingPlugin.info(`Webhook sent successfully: ${webhook.name}`, {
-          category: 'webhooks',
-          details: {
-            eventType,
-            status: response.status,
-            duration: Math.round(duration)
-          }
-        });
-      } else {
-        throw new Error(`HTTP ${response.status}: ${responseBody}`);
-      }
+      loggingPlugin.info(`Webhook sent successfully: ${webhook.name}`, {
+        category: 'webhooks',
+        details: {
+          eventType,
+          status: response.status,
+          duration: Math.round(duration)
+        }
+      });
       
     } catch (error) {
       const duration = performance.now() - startTime;
@@ -249,13 +285,13 @@ class WebhookPlugin {
       });
       
       // Log failed delivery
-      dbService.logWebhookDelivery(
+      db.logWebhookDelivery(
         webhook.id,
         eventType,
         payload,
         {
-          status: null,
-          body: null,
+          status: error.status ?? null,
+          body: error.body ?? null,
           success: false,
           retryCount: retries,
           error: error.message,
@@ -313,7 +349,7 @@ class WebhookPlugin {
    * @param {Object} testPayload
    */
   async test(webhookId, testPayload = null) {
-    const webhook = dbService.getOne(
+    const webhook = this.db.getOne(
       'SELECT * FROM webhooks WHERE id = ?',
       [webhookId]
     );
@@ -329,6 +365,7 @@ class WebhookPlugin {
     };
     
     await this.sendWebhook({
+      db: this.db,
       webhook: {
         ...webhook,
         headers: JSON.parse(webhook.headers || '{}')
@@ -346,7 +383,7 @@ class WebhookPlugin {
    * @returns {Array}
    */
   getDeliveryHistory(webhookId, limit = 50) {
-    return dbService.getAll(
+    return this.db.getAll(
       `SELECT * FROM webhook_deliveries 
        WHERE webhook_id = ? 
        ORDER BY create_date DESC 
@@ -361,7 +398,7 @@ class WebhookPlugin {
    * @returns {Array}
    */
   getFailedDeliveries(limit = 50) {
-    return dbService.getAll(
+    return this.db.getAll(
       `SELECT * FROM webhook_deliveries 
        WHERE success = 0 
        ORDER BY create_date DESC 
@@ -375,7 +412,7 @@ class WebhookPlugin {
    * @param {string} deliveryId
    */
   async retryDelivery(deliveryId) {
-    const delivery = dbService.getOne(
+    const delivery = this.db.getOne(
       'SELECT * FROM webhook_deliveries WHERE id = ?',
       [deliveryId]
     );
@@ -384,7 +421,7 @@ class WebhookPlugin {
       throw new Error('Delivery not found');
     }
     
-    const webhook = dbService.getOne(
+    const webhook = this.db.getOne(
       'SELECT * FROM webhooks WHERE id = ?',
       [delivery.webhook_id]
     );
@@ -394,6 +431,7 @@ class WebhookPlugin {
     }
     
     await this.sendWebhook({
+      db: this.db,
       webhook: {
         ...webhook,
         headers: JSON.parse(webhook.headers || '{}')
@@ -428,7 +466,7 @@ class WebhookPlugin {
       params.push(webhookId);
     }
     
-    const stats = dbService.getOne(sql, params);
+    const stats = this.db.getOne(sql, params);
     
     return {
       total: stats.total || 0,
@@ -449,7 +487,7 @@ class WebhookPlugin {
     const cutoffDate = new Date();
     cutoffDate.setDate(cutoffDate.getDate() - olderThanDays);
     
-    dbService.run(
+    this.db.run(
       'DELETE FROM webhook_deliveries WHERE create_date < ?',
       [cutoffDate.toISOString()]
     );
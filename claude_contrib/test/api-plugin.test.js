@@ -0,0 +1,124 @@
+import { runtime, loadSchema } from './headless-runtime.js';
+import { test, before, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import dbService from '../db/database-service.js';
+import loggingPlugin from '../plugins/logging-plugin.js';
+import authPlugin from '../plugins/auth-plugin.js';
+import apiPlugin from '../plugins/api-plugin.js';
+
+before(async () => {
+  await dbService.init(loadSchema(), { storage: 'memory' });
+  loggingPlugin.setConsole(false);
+  await apiPlugin.init();
+});
+
+afterEach(() => {
+  apiPlugin.clearRateLimits();
+  runtime.useRealClock();
+});
+
+test('registered handlers answer requests', async () => {
+  apiPlugin.register('get', '/api/ping', async request => (
+    apiPlugin.successResponse({ pong: request.query.n })
+  ), { authRequired: false });
+
+  const response = await apiPlugin.handle('GET', '/api/ping', { query: { n: 1 } });
+  assert.deepEqual(response, { status: 200, error: false, data: { pong: 1 } });
+});
+
+test('unknown endpoints answer 404', async () => {
+  const response = await apiPlugin.handle('GET', '/api/nothing');
+  assert.equal(response.status, 404);
+});
+
+test('endpoints need a signed-in user unless authRequired is false', async () => {
+  apiPlugin.register('GET', '/api/me', async () => (
+    apiPlugin.successResponse(authPlugin.getCurrentUser())
+  ));
+
+  assert.equal((await apiPlugin.handle('GET', '/api/me')).status, 401);
+
+  await authPlugin.register({ username: 'grace', password: 'cobol' });
+  await authPlugin.login('grace', 'cobol');
+  const response = await apiPlugin.handle('GET', '/api/me');
+  await authPlugin.logout();
+
+  assert.equal(response.data.username, 'grace');
+});
+
+test('endpoints with a permission answer 403 to users without it', async () => {
+  dbService.saveRole({ id: 'support' });
+  dbService.grantPermission('support', 'tickets:read', '/api/tickets');
+  apiPlugin.register('GET', '/api/tickets', async () => apiPlugin.successResponse([]), {
+    authRequired: false,
+    permission: 'tickets:read'
+  });
+
+  assert.equal((await apiPlugin.handle('GET', '/api/tickets')).status, 401);
+
+  const { user } = await authPlugin.login('grace', 'cobol');
+  const denied = await apiPlugin.handle('GET', '/api/tickets');
+  dbService.assignRole(user.id, 'support');
+  const allowed = await apiPlugin.handle('GET', '/api/tickets');
+  await authPlugin.logout();
+
+  assert.deepEqual([denied.status, denied.message], [403, 'Permission tickets:read required']);
+  assert.equal(allowed.status, 200);
+  assert.equal(apiPlugin.getEndpoints().find(endpoint => endpoint.route === '/api/tickets').permission, 'tickets:read');
+});
+
+test('request bodies are checked against the schema', async () => {
+  apiPlugin.register('POST', '/api/orders', async ({ body }) => (
+    apiPlugin.successResponse({ total: body.qty * 2 }, 201)
+  ), {
+    authRequired: false,
+    requestSchema: { required: ['qty'], properties: { qty: { type: 'number' } } }
+  });
+
+  const invalid = await apiPlugin.handle('POST', '/api/orders', { body: { qty: 'two' } });
+  assert.equal(invalid.status, 400);
+  assert.deepEqual(invalid.details, ['Field qty should be number, got string']);
+
+  const created = await apiPlugin.handle('POST', '/api/orders', { body: { qty: 2 } });
+  assert.equal(created.status, 201);
+});
+
+test('the rate limit resets after a minute', async () => {
+  const clock = runtime.useFakeClock();
+  apiPlugin.register('GET', '/api/limited', async () => apiPlugin.successResponse(true), {
+    authRequired: false,
+    rateLimit: 2
+  });
+
+  await apiPlugin.handle('GET', '/api/limited');
+  await apiPlugin.handle('GET', '/api/limited');
+  assert.equal((await apiPlugin.handle('GET', '/api/limited')).status, 429);
+
+  await clock.advance(60000);
+  assert.equal((await apiPlugin.handle('GET', '/api/limited')).status, 200);
+});
+
+test('middleware can block requests and handler errors answer 500', async () => {
+  apiPlugin.register('GET', '/api/blocked', async () => apiPlugin.successResponse(true), {
+    authRequired: false
+  });
+  apiPlugin.register('GET', '/api/broken', async () => {
+    throw new Error('handler exploded');
+  }, { authRequired: false });
+  apiPlugin.use((request, endpoint) => endpoint.route !== '/api/blocked');
+
+  assert.equal((await apiPlugin.handle('GET', '/api/blocked')).status, 403);
+
+  const broken = await apiPlugin.handle('GET', '/api/broken');
+  assert.equal(broken.status, 500);
+  assert.equal(broken.details, 'handler exploded');
+});
+
+test('registered endpoints are documented', () => {
+  const docs = apiPlugin.generateDocs();
+  assert.equal(docs.baseUrl, 'http://localhost');
+  assert.ok(docs.endpoints.some(endpoint => endpoint.url === 'http://localhost/api/ping'));
+
+  const spec = apiPlugin.exportOpenAPI();
+  assert.deepEqual(spec.paths['/api/orders'].post.requestBody.content['application/json'].schema.required, ['qty']);
+});
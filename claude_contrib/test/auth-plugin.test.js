@@ -0,0 +1,285 @@
+import { runtime, loadSchema } from './headless-runtime.js';
+import { test, before, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import dbService from '../db/database-service.js';
+import authPlugin from '../plugins/auth-plugin.js';
+import settingsPlugin from '../plugins/settings-plugin.js';
+
+before(async () => {
+  await dbService.init(loadSchema(), { storage: 'memory' });
+  authPlugin.passwordIterations = 1000; // Hashes record their count, so tests can stay fast
+  await authPlugin.register({ username: 'ada', password: 'analytical', email: 'ada@example.com' });
+});
+
+afterEach(async () => {
+  authPlugin.stopSessionCheck();
+  await authPlugin.logout();
+  runtime.useRealClock();
+  // Every test logs in from the same device
+  dbService.run('DELETE FROM login_attempts');
+});
+
+function recordEvents(...names) {
+  const events = [];
+  names.forEach(name => {
+    window.addEventListener(`auth-${name}`, event => events.push([name, event.detail]));
+  });
+  return events;
+}
+
+test('register stores a hash, not the password', async () => {
+  const user = dbService.getUserByUsername('ada');
+
+  assert.ok(user.password_hash);
+  assert.notEqual(user.password_hash, 'analytical');
+  await assert.rejects(authPlugin.register({ username: 'ada', password: 'x' }), /already exists/);
+});
+
+test('hashes are salted PBKDF2 in PHC format', async () => {
+  const first = await authPlugin.hashPassword('analytical');
+  const second = await authPlugin.hashPassword('analytical');
+
+  assert.match(first, /^\$pbkdf2-sha256\$i=1000\$[A-Za-z0-9+/]{22}\$[A-Za-z0-9+/]{43}$/);
+  assert.notEqual(first, second);
+  assert.equal(await authPlugin.verifyPassword('analytical', second), true);
+  assert.equal(await authPlugin.verifyPassword('Analytical', second), false);
+  assert.equal(await authPlugin.verifyPassword('analytical', 'not-a-hash'), false);
+});
+
+test('login saves the session token and emits auth-login', async () => {
+  const events = recordEvents('login');
+  const { user, sessionToken } = await authPlugin.login('ada', 'analytical');
+
+  assert.equal(user.username, 'ada');
+  assert.equal(user.password_hash, undefined);
+  assert.equal(localStorage.getItem(authPlugin.sessionKey), sessionToken);
+  assert.equal(authPlugin.isAuthenticated(), true);
+  assert.equal(events.length, 1);
+});
+
+test('login rejects a wrong password', async () => {
+  await assert.rejects(authPlugin.login('ada', 'wrong'), /Invalid username or password/);
+  await assert.rejects(authPlugin.login('nobody', 'analytical'), /Invalid username or password/);
+  assert.equal(authPlugin.isAuthenticated(), false);
+});
+
+test('logout invalidates the session', async () => {
+  const { sessionToken } = await authPlugin.login('ada', 'analytical');
+  await authPlugin.logout();
+
+  assert.equal(localStorage.getItem(authPlugin.sessionKey), null);
+  assert.equal(dbService.getSession(sessionToken), null);
+  assert.equal(authPlugin.getCurrentUser(), null);
+});
+
+test('init restores the saved session', async () => {
+  runtime.useFakeClock();
+  await authPlugin.login('ada', 'analytical');
+
+  // As after a reload: only localStorage survives
+  authPlugin.currentUser = null;
+  authPlugin.currentSession = null;
+  await authPlugin.init();
+
+  assert.equal(authPlugin.getCurrentUser().username, 'ada');
+});
+
+test('the session check logs out once the session is gone', async () => {
+  const clock = runtime.useFakeClock();
+  const events = recordEvents('session-expired');
+
+  const { sessionToken } = await authPlugin.login('ada', 'analytical');
+  authPlugin.startSessionCheck();
+  dbService.invalidateSession(sessionToken);
+
+  await clock.advance(60000);
+  assert.equal(authPlugin.isAuthenticated(), false);
+  assert.equal(events.length, 1);
+});
+
+test('roles and profile updates need a signed-in user', async () => {
+  assert.throws(() => authPlugin.requireAuth(), /Authentication required/);
+
+  await authPlugin.login('ada', 'analytical');
+  assert.equal(authPlugin.hasRole('user'), true);
+  assert.throws(() => authPlugin.requireRole('admin'), /Role admin required/);
+
+  await authPlugin.updateProfile({ display_name: 'Ada L.', role: 'admin' });
+  const user = dbService.getUserByUsername('ada');
+  assert.equal(user.display_name, 'Ada L.');
+  assert.equal(user.role, 'user');
+});
+
+test('changePassword checks the old password', async () => {
+  await authPlugin.login('ada', 'analytical');
+
+  await assert.rejects(authPlugin.changePassword('wrong', 'engine'));
+  await authPlugin.changePassword('analytical', 'engine');
+  await authPlugin.logout();
+
+  await assert.rejects(authPlugin.login('ada', 'analytical'));
+  await authPlugin.login('ada', 'engine');
+  await authPlugin.changePassword('engine', 'analytical');
+});
+
+test('login upgrades legacy SHA-256 and bcrypt hashes', async () => {
+  const legacy = [
+    // SHA-256 of the password, as the original hashPassword() stored it
+    ['legacy', 'password', '5e884898da28047151d0e56f8dc6292773603d0d6aabbdd62a11ef721d1542d8'],
+    ['imported', 'U*U', '$2a$05$CCCCCCCCCCCCCCCCCCCCC.E5YPO9kmyuRGyh0XouQYb4YMJKvyOeW']
+  ];
+
+  for (const [username, password, password_hash] of legacy) {
+    dbService.createUser({ username, password_hash });
+
+    await assert.rejects(authPlugin.login(username, 'wrong'));
+    assert.equal(dbService.getUserByUsername(username).password_hash, password_hash);
+
+    await authPlugin.login(username, password);
+    await authPlugin.logout();
+
+    assert.match(dbService.getUserByUsername(username).password_hash, /^\$pbkdf2-sha256\$i=1000\$/);
+    await authPlugin.login(username, password);
+  }
+
+  const [upgrade] = dbService.getLogs(10).filter(log => log.message === 'Password hash upgraded');
+  assert.ok(upgrade);
+});
+
+test('raising the iteration count rehashes on the next login', async t => {
+  t.after(() => { authPlugin.passwordIterations = 1000; });
+  const before = dbService.getUserByUsername('ada').password_hash;
+
+  authPlugin.passwordIterations = 2000;
+  await authPlugin.login('ada', 'analytical');
+
+  const after = dbService.getUserByUsername('ada').password_hash;
+  assert.notEqual(after, before);
+  assert.match(after, /^\$pbkdf2-sha256\$i=2000\$/);
+  assert.equal(authPlugin.getCurrentUser().password_hash, undefined);
+});
+
+test('roles and permissions follow user_roles and inheritance', async () => {
+  dbService.saveRole({ id: 'user' });
+  dbService.saveRole({ id: 'editor', parent_id: 'user' });
+  dbService.grantPermission('editor', 'pages:write');
+
+  assert.equal(authPlugin.can('pages:write'), false);
+  const { user } = await authPlugin.login('ada', 'analytical');
+  assert.equal(authPlugin.hasRole('editor'), false);
+  assert.throws(() => authPlugin.requirePermission('pages:write'), /Permission pages:write required/);
+
+  dbService.assignRole(user.id, 'editor');
+  assert.equal(authPlugin.hasRole('editor'), true);
+  assert.equal(authPlugin.hasRole('user'), true);
+  assert.equal(authPlugin.can('pages:write', '/about'), true);
+  authPlugin.requirePermission('pages:write');
+
+  dbService.unassignRole(user.id, 'editor');
+});
+
+test('failed logins are delayed, doubling, past auth.throttle_after', async () => {
+  const clock = runtime.useFakeClock();
+
+  for (let i = 0; i < 3; i++) {
+    await assert.rejects(authPlugin.login('ada', 'wrong'), /Invalid username or password/);
+  }
+
+  // Even the right password waits out the delay
+  await assert.rejects(authPlugin.login('ada', 'analytical'), { name: 'LoginThrottledError', retryAfter: 1000 });
+  await clock.advance(1000);
+  await assert.rejects(authPlugin.login('ada', 'wrong'), /Invalid/);
+  await assert.rejects(authPlugin.login('ada', 'analytical'), { retryAfter: 2000, locked: false });
+
+  await clock.advance(2000);
+  await authPlugin.login('ada', 'analytical');
+  assert.deepEqual(authPlugin.getLoginAttempts('ada', 'none'), []);
+});
+
+test('reaching auth.max_attempts locks the account until an admin unlocks it', async () => {
+  const clock = runtime.useFakeClock();
+  const events = recordEvents('locked', 'unlocked');
+  settingsPlugin.set('auth', 'max_attempts', 2, 'int');
+  settingsPlugin.set('auth', 'throttle_after', 10, 'int');
+
+  try {
+    await assert.rejects(authPlugin.login('ada', 'wrong'), /Invalid/);
+    await assert.rejects(authPlugin.login('ada', 'wrong'), /Invalid/);
+    await assert.rejects(authPlugin.login('ada', 'analytical'), { name: 'LoginThrottledError', locked: true });
+    assert.deepEqual(events.map(([name, detail]) => [name, detail.scope, detail.key]), [['locked', 'username', 'ada']]);
+    assert.ok(dbService.getOne("SELECT 1 FROM logs WHERE message = 'Account locked out'"));
+
+    await clock.advance(60000);
+    await assert.rejects(authPlugin.login('ada', 'analytical'), /Account is locked; try again in 14 min/);
+
+    await authPlugin.register({ username: 'root', password: 'toor' });
+    const { user } = await authPlugin.login('root', 'toor');
+    assert.throws(() => authPlugin.unlockAccount('ada'), /Permission auth:unlock required/);
+    dbService.saveRole({ id: 'admin' });
+    dbService.grantPermission('admin', '*');
+    dbService.assignRole(user.id, 'admin');
+
+    assert.deepEqual(authPlugin.getLockouts().map(row => row.key), ['ada']);
+    authPlugin.unlockAccount('ada');
+    assert.equal(events.at(-1)[0], 'unlocked');
+    await authPlugin.logout();
+
+    await authPlugin.login('ada', 'analytical');
+  } finally {
+    settingsPlugin.set('auth', 'max_attempts', 5, 'int');
+    settingsPlugin.set('auth', 'throttle_after', 3, 'int');
+  }
+});
+
+test('failures across usernames lock the device', async () => {
+  runtime.useFakeClock();
+  settingsPlugin.set('auth', 'device_max_attempts', 3, 'int');
+
+  try {
+    for (const username of ['a', 'b', 'c']) {
+      await assert.rejects(authPlugin.login(username, 'guess'), /Invalid/);
+    }
+    await assert.rejects(authPlugin.login('ada', 'analytical'), /This device is locked/);
+    assert.equal(authPlugin.getLoginAttempts('ada', authPlugin.getDeviceId())[0].scope, 'device');
+  } finally {
+    settingsPlugin.set('auth', 'device_max_attempts', 20, 'int');
+  }
+});
+
+test('parallel logins are throttled like sequential ones', async () => {
+  runtime.useFakeClock();
+
+  const results = await Promise.allSettled(
+    Array.from({ length: 5 }, () => authPlugin.login('ada', 'wrong'))
+  );
+
+  assert.deepEqual(
+    results.map(result => result.reason.name === 'LoginThrottledError'),
+    [false, false, false, true, true]
+  );
+});
+
+test('a successful login halves the device failures', async () => {
+  const clock = runtime.useFakeClock();
+  const deviceId = authPlugin.getDeviceId();
+
+  for (const username of ['a', 'b', 'c']) {
+    await assert.rejects(authPlugin.login(username, 'guess'), /Invalid/);
+  }
+  await clock.advance(1000);
+  await authPlugin.login('ada', 'analytical');
+
+  const [device] = authPlugin.getLoginAttempts('ada', deviceId);
+  assert.equal(device.scope, 'device');
+  assert.equal(device.failures, 1);
+  assert.equal(device.retry_after, null);
+});
+
+test('unknown usernames are checked against a dummy hash', async t => {
+  const verify = t.mock.method(authPlugin, 'verifyPassword');
+
+  await assert.rejects(authPlugin.login('nobody', 'guess'), /Invalid username or password/);
+
+  assert.equal(verify.mock.callCount(), 1);
+  assert.match(verify.mock.calls[0].arguments[1], /^\$pbkdf2-sha256\$i=1000\$/);
+});
@@ -0,0 +1,100 @@
+import { runtime, loadSchema } from './headless-runtime.js';
+import { test, before, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import dbService, { DatabaseService } from '../db/database-service.js';
+import MemoryBackend from '../db/storage/memory-backend.js';
+import loggingPlugin from '../plugins/logging-plugin.js';
+import backupPlugin from '../plugins/backup-plugin.js';
+
+before(async () => {
+  await dbService.init(loadSchema(), { storage: 'memory' });
+  loggingPlugin.setConsole(false);
+});
+
+afterEach(() => runtime.useRealClock());
+
+async function openDatabase(options = {}) {
+  const db = new DatabaseService();
+  await db.init(loadSchema(), { storage: 'memory', ...options });
+  await backupPlugin.useDatabase(db);
+  return db;
+}
+
+async function plainImage(db) {
+  return new Uint8Array(await (await db.exportDatabase({ encrypted: false })).arrayBuffer());
+}
+
+test('snapshots are listed newest first and only automatic ones rotate', async () => {
+  const storage = new MemoryBackend();
+  await openDatabase({ storage });
+  const clock = runtime.useFakeClock(Date.parse('2026-03-01T10:00:00.000Z'));
+
+  const labelled = await backupPlugin.createSnapshot('before-upgrade');
+  const automatic = [];
+  for (let n = 0; n < 3; n++) {
+    clock.advance(1000);
+    automatic.push((await backupPlugin.createSnapshot()).name);
+  }
+
+  assert.equal(labelled.name, `${backupPlugin.getPrefix()}20260301T100000000Z.before-upgrade`);
+  assert.deepEqual(
+    (await backupPlugin.listSnapshots()).map(({ name, label }) => [name, label]),
+    [[automatic[2], null], [automatic[1], null], [automatic[0], null], [labelled.name, 'before-upgrade']]
+  );
+
+  assert.deepEqual(await backupPlugin.prune(1), [automatic[1], automatic[0]]);
+  assert.deepEqual((await backupPlugin.listSnapshots()).map(s => s.name), [automatic[2], labelled.name]);
+  await assert.rejects(backupPlugin.createSnapshot('no spaces'), /Invalid snapshot label/);
+});
+
+test('restoring a snapshot brings back its data and keeps a safety copy', async () => {
+  const storage = new MemoryBackend();
+  const db = await openDatabase({ storage });
+  const clock = runtime.useFakeClock(Date.parse('2026-03-01T10:00:00.000Z'));
+
+  const kept = db.createDataRecord('notes', null, { n: 1 });
+  await backupPlugin.createSnapshot('good');
+  clock.advance(1000);
+  db.deleteDataRecord(kept);
+  const later = db.createDataRecord('notes', null, { n: 2 });
+
+  const { snapshot, validation } = await backupPlugin.restoreSnapshot('good');
+
+  assert.equal(snapshot.label, 'good');
+  assert.equal(validation.version, db.getLatestMigrationVersion());
+  assert.deepEqual(db.getDataRecordsByTopic('notes').map(record => record.id), [kept]);
+
+  // The safety snapshot holds the state from before the restore
+  const [safety] = (await backupPlugin.listSnapshots()).filter(s => !s.label);
+  await backupPlugin.restoreSnapshot(safety.name, { backupFirst: false });
+  assert.deepEqual(db.getDataRecordsByTopic('notes').map(record => record.id), [later]);
+
+  await assert.rejects(backupPlugin.restoreSnapshot('missing'), /Snapshot not found: missing/);
+});
+
+test('validateImage rejects files that are not SQLite, corrupt or too new', async () => {
+  const db = await openDatabase();
+  const image = await plainImage(db);
+  const invalid = pattern => error => error.name === 'DatabaseValidationError' && pattern.test(error.message);
+
+  const report = await db.validateImage(image);
+  assert.equal(report.version, db.getLatestMigrationVersion());
+  assert.ok(report.tables.includes('data_records'));
+
+  await assert.rejects(db.validateImage(new TextEncoder().encode('{"not": "sqlite"}'.repeat(10))),
+    invalid(/Not a SQLite database file/));
+
+  const corrupt = image.slice();
+  corrupt.fill(0xff, 100, 4096);
+  await assert.rejects(db.validateImage(corrupt), invalid(/corrupt|integrity check/));
+
+  const newer = await openDatabase();
+  newer.run('INSERT INTO schema_migrations (version, name, applied_date) VALUES (?, ?, ?)',
+    [999, 'from_the_future', newer.getTimestamp()]);
+  await assert.rejects(db.validateImage(await plainImage(newer)),
+    invalid(new RegExp(`schema version 999; this release only knows up to ${db.getLatestMigrationVersion()}`)));
+
+  // A restore validates before replacing anything
+  await assert.rejects(db.importDatabase(corrupt), invalid(/corrupt|integrity check/));
+  assert.equal(db.getSchemaVersion(), db.getLatestMigrationVersion());
+});
@@ -0,0 +1,551 @@
+import { runtime, loadSchema } from './headless-runtime.js';
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { DatabaseService } from '../db/database-service.js';
+import MemoryBackend from '../db/storage/memory-backend.js';
+
+async function openDatabase(options = {}) {
+  const db = new DatabaseService();
+  await db.init(loadSchema(), { storage: 'memory', ...options });
+  return db;
+}
+
+afterEach(() => runtime.useRealClock());
+
+test('init applies the schema and every migration', async () => {
+  const db = await openDatabase();
+
+  assert.equal(db.getSchemaVersion(), db.getLatestMigrationVersion());
+  assert.deepEqual(db.getPendingMigrations(), []);
+  assert.ok(db.getTableSchema('data_records').columns.has('json_data'));
+});
+
+test('progress and failures go to the logger option', async () => {
+  const logged = [];
+  const record = kind => (...messages) => logged.push([kind, messages.join(' ')]);
+  const db = await openDatabase({ logger: { log: record('log'), error: record('error') } });
+
+  assert.throws(() => db.run('INSERT INTO nowhere VALUES (1)'));
+  assert.deepEqual(logged.map(([kind]) => kind), ['log', 'error']);
+  assert.equal(logged[0][1], 'Created new database');
+});
+
+test('settings come back with their declared type', async () => {
+  const db = await openDatabase();
+
+  db.setSetting('test', 'count', 5, 'int');
+  db.setSetting('test', 'enabled', false, 'boolean');
+  db.setSetting('test', 'shape', { a: [1, 2] }, 'json');
+
+  assert.equal(db.getSetting('test', 'count'), 5);
+  assert.equal(db.getSetting('test', 'enabled'), false);
+  assert.deepEqual(db.getSetting('test', 'shape'), { a: [1, 2] });
+  assert.equal(db.getSetting('test', 'missing', 'fallback'), 'fallback');
+});
+
+test('transaction rolls back when the function throws', async () => {
+  const db = await openDatabase();
+
+  assert.throws(() => db.transaction(() => {
+    db.createDataRecord('orders', 'new', { n: 1 });
+    throw new Error('abort');
+  }), /abort/);
+
+  assert.equal(db.countDataRecords({ topic: 'orders' }), 0);
+  assert.equal(db.inTransaction(), false);
+});
+
+test('nested transactions roll back to their savepoint', async () => {
+  const db = await openDatabase();
+
+  db.transaction(() => {
+    db.createDataRecord('orders', 'new', { n: 1 });
+    try {
+      db.transaction(() => {
+        db.createDataRecord('orders', 'new', { n: 2 });
+        throw new Error('inner');
+      });
+    } catch (error) {
+      // The outer transaction carries on
+    }
+  });
+
+  const records = db.getDataRecordsByTopic('orders');
+  assert.equal(records.length, 1);
+});
+
+test('async transactions are refused without leaving one open', async () => {
+  const storage = new MemoryBackend();
+  const db = await openDatabase({ storage });
+
+  assert.throws(() => db.transaction(async () => {}), /needs a synchronous function/);
+
+  // Two overlapping promise-returning transactions: neither stays open
+  const attempts = [1, 2].map(n => () => db.transaction(() => {
+    db.createDataRecord('orders', 'new', { n });
+    return Promise.resolve();
+  }));
+  attempts.forEach(attempt => assert.throws(attempt, /fn returned a promise/));
+
+  assert.equal(db.inTransaction(), false);
+  assert.equal(db.countDataRecords({ topic: 'orders' }), 0);
+
+  db.createDataRecord('orders', 'new', { n: 3 });
+  await db.flush();
+  const saved = new DatabaseService();
+  await saved.init(loadSchema(), { storage });
+  assert.equal(saved.countDataRecords({ topic: 'orders' }), 1);
+});
+
+test('a failing COMMIT rolls back and closes the transaction', async t => {
+  const db = await openDatabase();
+  const run = db.db.run.bind(db.db);
+  t.mock.method(db.db, 'run', (sql, ...rest) => {
+    if (sql === 'COMMIT') throw new Error('disk I/O error');
+    return run(sql, ...rest);
+  });
+
+  assert.throws(() => db.transaction(() => db.createDataRecord('orders', 'new', { n: 1 })), /disk I\/O/);
+  t.mock.restoreAll();
+
+  assert.equal(db.inTransaction(), false);
+  db.transaction(() => db.createDataRecord('orders', 'new', { n: 2 }));
+  assert.deepEqual(db.getDataRecordsByTopic('orders').map(record => record.json_data.n), [2]);
+});
+
+test('onChange delivers one change per row after each commit', async () => {
+  const db = await openDatabase();
+  const batches = [];
+  db.onChange('data_records', changes => batches.push(changes));
+
+  const id = db.transaction(() => {
+    const recordId = db.createDataRecord('orders', 'new', { n: 1 });
+    db.updateDataRecord(recordId, { jsonData: { n: 2 } });
+    return recordId;
+  });
+  db.deleteDataRecord(id);
+
+  assert.equal(batches.length, 2);
+  assert.deepEqual(batches[0].map(c => [c.recordId, c.operation]), [[id, 'insert']]);
+  assert.equal(batches[1][0].table, 'data_records');
+});
+
+test('tracking a table is not confused by tables sharing its prefix', async () => {
+  const db = await openDatabase();
+  db.run('CREATE TABLE notes (id INTEGER PRIMARY KEY, body TEXT)');
+  db.run('CREATE TABLE notes_archive (id INTEGER PRIMARY KEY, body TEXT)');
+
+  db.trackChanges('notes_archive');
+  db.trackChanges('notes');
+  db.run("INSERT INTO notes (body) VALUES ('hello')");
+
+  assert.deepEqual(db.getChanges(0, 'notes').map(c => c.operation), ['insert']);
+  assert.throws(() => db.untrackChanges('notes"; DROP TABLE users; --'), /can't be tracked/);
+});
+
+test('change_log is trimmed when nobody is listening', async () => {
+  const db = await openDatabase();
+  db.changeLogLimit = 5;
+  db.trackChanges('data_records');
+
+  for (let n = 0; n < 20; n++) {
+    db.createDataRecord('orders', 'new', { n });
+  }
+
+  const { count } = db.getOne('SELECT COUNT(*) AS count FROM change_log');
+  assert.equal(count, 5);
+  assert.equal(db.getChanges(0).at(-1).seq, db.getLatestChangeSeq());
+});
+
+test('writes are saved once, after the save delay', async () => {
+  const clock = runtime.useFakeClock();
+  const storage = new MemoryBackend();
+  const db = await openDatabase({ storage });
+  await db.flush();
+
+  const saves = [];
+  const save = storage.save.bind(storage);
+  storage.save = (name, data) => {
+    saves.push(name);
+    return save(name, data);
+  };
+
+  db.createDataRecord('orders', 'new', { n: 1 });
+  db.createDataRecord('orders', 'new', { n: 2 });
+  assert.equal(saves.length, 0);
+
+  await clock.advance(db.saveDelay);
+  assert.deepEqual(saves, [db.dbName]);
+});
+
+test('a failed save keeps the changes pending and is reported', async t => {
+  const storage = new MemoryBackend();
+  const db = await openDatabase({ storage });
+  await db.flush();
+
+  const save = storage.save.bind(storage);
+  storage.save = async () => {
+    storage.save = save;
+    throw new Error('quota exceeded');
+  };
+  t.mock.method(console, 'error', () => {});
+
+  const errors = [];
+  db.onSaveError(error => errors.push(error.message));
+
+  const id = db.createDataRecord('orders', 'new', { total: 7 });
+  await assert.rejects(db.flush(), /quota exceeded/);
+  assert.deepEqual(errors, ['quota exceeded']);
+  assert.equal(db.dirty, true);
+
+  await db.flush();
+  assert.equal(db.dirty, false);
+
+  const reopened = await openDatabase({ storage });
+  assert.ok(reopened.getOne('SELECT id FROM data_records WHERE id = ?', [id]));
+});
+
+test('a second service loads what the first saved', async () => {
+  const storage = new MemoryBackend();
+  const first = await openDatabase({ storage });
+  const id = first.createDataRecord('orders', 'new', { total: 42 });
+  await first.close();
+
+  const second = await openDatabase({ storage });
+  const record = second.getOne('SELECT json_data FROM data_records WHERE id = ?', [id]);
+  assert.deepEqual(JSON.parse(record.json_data), { total: 42 });
+});
+
+test('search ranks records containing the query', async () => {
+  const db = await openDatabase();
+  db.createDataRecord('notes', 'todo', { text: 'buy fresh basil' });
+  db.createDataRecord('notes', 'todo', { text: 'call the plumber' });
+
+  const results = db.search('basil', { sources: ['records'] });
+  assert.equal(results.length, 1);
+  assert.equal(results[0].source, 'records');
+  assert.match(results[0].snippet, /<mark>basil<\/mark>/);
+});
+
+test('search pages through the ranking and keeps working after a save', async () => {
+  const db = await openDatabase();
+  for (let n = 1; n <= 5; n++) {
+    db.createDataRecord('notes', 'todo', { text: `${'basil '.repeat(n)}and ${'filler '.repeat(10)}` });
+  }
+
+  const all = db.search('basil', { sources: ['records'] });
+  assert.deepEqual(all.map(result => result.record.json_data.text.split('basil').length - 1), [5, 4, 3, 2, 1]);
+  assert.ok(all.every((result, i) => i === 0 || all[i - 1].score >= result.score));
+
+  const page = db.search('basil', { sources: ['records'], limit: 2, offset: 2 });
+  assert.deepEqual(page.map(result => result.id), all.slice(2, 4).map(result => result.id));
+  assert.ok(page.every(result => result.snippet.includes('<mark>basil</mark>')));
+
+  // Exporting drops custom SQL functions; search registers its scorer again
+  await db.exportDatabase();
+  assert.equal(db.search('basil', { sources: ['records'], limit: 1 })[0].id, all[0].id);
+});
+
+test('exported tables import into another database', async () => {
+  const source = await openDatabase();
+  source.createDataRecord('orders', 'new', { n: 1 });
+  const dump = source.exportTables(['data_records']);
+
+  const target = await openDatabase();
+  await target.importTables(dump, { mode: 'replace' });
+  assert.equal(target.countDataRecords({ topic: 'orders' }), 1);
+});
+
+test('importDatabase rejects data that is not a database', async () => {
+  const db = await openDatabase();
+
+  await assert.rejects(
+    db.importDatabase(new TextEncoder().encode('not a database')),
+    { name: 'DatabaseValidationError' }
+  );
+});
+
+test('exporting inside a transaction is refused and keeps the transaction', async () => {
+  const db = await openDatabase();
+  let exported;
+
+  db.transaction(() => {
+    db.createDataRecord('orders', 'new', { n: 1 });
+    assert.throws(() => db.exportImage(), /inside a transaction/);
+    exported = db.exportDatabase();
+    db.createDataRecord('orders', 'new', { n: 2 });
+  });
+
+  await assert.rejects(exported, /inside a transaction/);
+  assert.equal(db.countDataRecords({ topic: 'orders' }), 2);
+  assert.ok(await db.exportDatabase());
+});
+
+test('repeated queries reuse one prepared statement', async () => {
+  const db = await openDatabase();
+  db.setSetting('cache', 'a', 1, 'int');
+  db.finalizeStatements();
+
+  db.getSetting('cache', 'a');
+  const [statement] = db.statements.values();
+  db.getSetting('cache', 'a');
+
+  assert.equal(db.statements.size, 1);
+  assert.equal([...db.statements.values()][0], statement);
+  assert.equal(db.isCacheable('CREATE TABLE t (a); INSERT INTO t VALUES (1)'), false);
+  assert.equal(db.isCacheable("SELECT ';' AS semi;"), true);
+});
+
+test('saving frees cached statements and queries keep working', async () => {
+  const db = await openDatabase();
+  db.log('info', 'before save');
+  assert.ok(db.statements.size > 0);
+
+  await db.exportDatabase();
+  assert.equal(db.statements.size, 0);
+
+  db.log('info', 'after save');
+  assert.equal(db.getOne('SELECT COUNT(*) AS n FROM logs').n, 2);
+});
+
+test('iterate streams rows and can be nested or stopped early', async () => {
+  const db = await openDatabase();
+  db.recordMetrics([1, 2, 3].map(value => ({ name: 'test.stream', type: 'gauge', value })));
+
+  const sql = "SELECT value FROM metrics WHERE metric_name = 'test.stream' ORDER BY value";
+  const pairs = [];
+  for (const outer of db.iterate(sql)) {
+    for (const inner of db.iterate(sql)) {
+      pairs.push(outer.value * 10 + inner.value);
+      break;
+    }
+  }
+
+  assert.deepEqual(pairs, [11, 21, 31]);
+  assert.equal(db.busyStatements.size, 0);
+  assert.deepEqual(db.getAll(sql).map(row => row.value), [1, 2, 3]);
+});
+
+test('logBatch writes every entry in one transaction', async t => {
+  const db = await openDatabase();
+  t.mock.method(console, 'error', () => {});
+
+  assert.throws(() => db.logBatch([
+    { level: 'info', message: 'first' },
+    { level: 'info', message: undefined }
+  ]));
+  assert.equal(db.getOne('SELECT COUNT(*) AS n FROM logs').n, 0);
+
+  db.logBatch([
+    { level: 'info', message: 'first', category: 'batch' },
+    { level: 'warn', message: 'second', category: 'batch', details: { n: 2 } }
+  ]);
+  assert.deepEqual(db.getLogs(10).map(log => log.message).sort(), ['first', 'second']);
+});
+
+test('the placeholder admin hash is replaced by migration 7', async () => {
+  const db = await openDatabase();
+  const placeholder = '$2b$12$LQv3c1yqBWVHxkd0LHAkCOYz6TtxMQJqhN8/LewY5aeJxK8I7LXyS';
+  db.createUser({ username: 'admin', password_hash: placeholder });
+  db.createUser({ username: 'other', password_hash: 'unchanged' });
+
+  await db.rollback({ target: 6 });
+  await db.migrate();
+
+  assert.match(db.getUserByUsername('admin').password_hash, /^\$pbkdf2-sha256\$i=600000\$/);
+  assert.equal(db.getUserByUsername('other').password_hash, 'unchanged');
+});
+
+// A migration after the shipped ones that writes through the service
+function addTagsMigration(db) {
+  db.migrations = db.sortMigrations([...db.migrations, {
+    version: db.getLatestMigrationVersion() + 1,
+    name: 'tag_notes',
+    up: (raw, service) => service.run(`UPDATE data_records SET tags = '["note"]' WHERE topic = 'notes'`),
+    down: (raw, service) => service.run(`UPDATE data_records SET tags = '[]' WHERE topic = 'notes'`)
+  }]);
+  return db.getLatestMigrationVersion();
+}
+
+const noteTags = db => db.getOne("SELECT tags FROM data_records WHERE topic = 'notes'").tags;
+
+test('migrate and rollback run as a savepoint inside a transaction', async () => {
+  const db = await openDatabase();
+  db.createDataRecord('notes', null, {});
+  const from = db.getSchemaVersion();
+  const version = addTagsMigration(db);
+
+  assert.throws(() => db.transaction(() => {
+    db.migrate();
+    throw new Error('undo');
+  }), /undo/);
+  assert.equal(db.getSchemaVersion(), from);
+  assert.equal(noteTags(db), '[]');
+
+  let migrated;
+  db.transaction(() => {
+    migrated = db.migrate();
+  });
+  assert.deepEqual((await migrated).applied.map(step => step.version), [version]);
+  assert.equal(noteTags(db), '["note"]');
+
+  let rolledBack;
+  db.transaction(() => {
+    rolledBack = db.rollback({ target: from });
+  });
+  assert.equal((await rolledBack).to, from);
+  assert.equal(noteTags(db), '[]');
+});
+
+test('migration writes are not delivered to onChange listeners', async () => {
+  const db = await openDatabase();
+  const id = db.createDataRecord('notes', null, {});
+  addTagsMigration(db);
+
+  const delivered = [];
+  db.onChange('data_records', changes => delivered.push(...changes));
+
+  const dryRun = await db.migrate({ dryRun: true });
+  assert.equal(dryRun.applied.length, 1);
+  assert.equal(noteTags(db), '[]');
+
+  await db.migrate();
+  assert.equal(noteTags(db), '["note"]');
+  assert.deepEqual(delivered, []);
+
+  db.updateDataRecord(id, { tags: ['after'] });
+  assert.deepEqual(delivered.map(change => [change.recordId, change.operation]), [[id, 'update']]);
+});
+
+test('users get the permissions of their roles and the roles those inherit', async () => {
+  const db = await openDatabase();
+  db.saveRole({ id: 'user' });
+  db.saveRole({ id: 'editor', parent_id: 'user' });
+  db.saveRole({ id: 'support' });
+  db.grantPermission('user', 'pages:read');
+  db.grantPermission('editor', 'pages:*', '/docs/*');
+  db.grantPermission('support', 'api:call', '/api/tickets');
+
+  const userId = db.createUser({ username: 'erin', password_hash: null, role: 'editor' });
+  db.assignRole(userId, 'support');
+
+  assert.deepEqual(db.getUserRoles(userId).sort(), ['editor', 'support', 'user']);
+  assert.equal(db.hasPermission(userId, 'pages:read'), true);
+  assert.equal(db.hasPermission(userId, 'pages:write', '/docs/faq'), true);
+  assert.equal(db.hasPermission(userId, 'pages:write', '/blog'), false);
+  assert.equal(db.hasPermission(userId, 'pages:write'), false);
+  assert.equal(db.hasPermission(userId, 'api:call', '/api/tickets'), true);
+
+  db.unassignRole(userId, 'support');
+  assert.equal(db.hasPermission(userId, 'api:call', '/api/tickets'), false);
+  assert.throws(() => db.assignRole(userId, 'nope'), /Unknown role nope/);
+});
+
+test('role inheritance rejects cycles and survives deleted roles', async () => {
+  const db = await openDatabase();
+  db.saveRole({ id: 'user' });
+  db.saveRole({ id: 'editor', parent_id: 'user' });
+  db.saveRole({ id: 'admin', parent_id: 'editor' });
+  db.grantPermission('user', 'pages:read');
+
+  assert.throws(() => db.saveRole({ id: 'user', parent_id: 'admin' }), /user → admin → editor → user/);
+
+  db.deleteRole('editor');
+  assert.equal(db.getRole('admin').parent_id, 'user');
+  assert.deepEqual(db.getRoles().map(role => role.id), ['admin', 'user']);
+  assert.deepEqual(db.getRole('user').permissions, [{ permission: 'pages:read', resource: '*' }]);
+});
+
+test('findDataRecords filters on json_data, tags and activity, one page at a time', async () => {
+  const db = await openDatabase();
+  const clock = runtime.useFakeClock();
+  const create = (data, options) => {
+    clock.advance(1000);
+    return db.createDataRecord('tasks', 'web', data, options);
+  };
+
+  create({ title: 'a', priority: 3, owner: { name: 'Sam' } }, { tags: ['urgent', 'web'] });
+  create({ title: 'b', priority: 1, owner: { name: 'Ann' } }, { tags: ['web'] });
+  create({ title: 'c', priority: 2, owner: { name: 'Sam' } }, { tags: ['urgent'] });
+  const deleted = create({ title: 'd', priority: 5 });
+  create({ title: 'e', priority: 4 }, { expiry: '2000-01-01T00:00:00.000Z' });
+  db.deleteDataRecord(deleted);
+  clock.advance(1000);
+
+  const titles = page => page.data.map(record => record.json_data.title);
+
+  assert.deepEqual(titles(db.findDataRecords({ topic: 'tasks' })), ['c', 'b', 'a']);
+  assert.deepEqual(titles(db.findDataRecords({ topic: 'tasks', where: { 'owner.name': 'Sam' } })), ['c', 'a']);
+  assert.deepEqual(titles(db.findDataRecords({ topic: 'tasks', where: { priority: { '>=': 2, '<': 3 } } })), ['c']);
+  assert.deepEqual(titles(db.findDataRecords({ topic: 'tasks', where: { title: ['a', 'd'] } })), ['a']);
+  assert.deepEqual(titles(db.findDataRecords({ topic: 'tasks', tags: ['urgent', 'web'] })), ['a']);
+  assert.deepEqual(titles(db.findDataRecords({ topic: 'tasks', tags: ['urgent', 'web'], tagMode: 'any' })), ['c', 'b', 'a']);
+  assert.deepEqual(
+    titles(db.findDataRecords({ topic: 'tasks', includeInactive: true, includeExpired: true, orderBy: 'priority' })),
+    ['d', 'e', 'a', 'c', 'b']
+  );
+
+  const first = db.findDataRecords({ topic: 'tasks', orderBy: 'priority', order: 'ASC', limit: 2 });
+  const second = db.findDataRecords({ topic: 'tasks', orderBy: 'priority', order: 'ASC', limit: 2, cursor: first.nextCursor });
+  assert.deepEqual([titles(first), first.hasMore], [['b', 'c'], true]);
+  assert.deepEqual([titles(second), second.hasMore, second.nextCursor], [['a'], false, null]);
+});
+
+test('updateDataRecord replaces or merges json_data and skips deleted records', async () => {
+  const db = await openDatabase();
+  const id = db.createDataRecord('tasks', 'web', { title: 'a', owner: { name: 'Sam', team: 'x' }, note: 'old' });
+
+  assert.equal(db.updateDataRecord(id, { jsonData: { owner: { team: 'y' }, note: null } }, { merge: true }), true);
+  assert.deepEqual(db.findDataRecords({ topic: 'tasks' }).data[0].json_data, { title: 'a', owner: { name: 'Sam', team: 'y' } });
+
+  assert.equal(db.updateDataRecord(id, { jsonData: { title: 'b' }, tags: ['done'], subTopic: 'api' }), true);
+  const [record] = db.findDataRecords({ topic: 'tasks' }).data;
+  assert.deepEqual([record.json_data, record.tags, record.sub_topic], [{ title: 'b' }, ['done'], 'api']);
+  assert.ok(record.modified_date);
+
+  db.deleteDataRecord(id);
+  assert.equal(db.updateDataRecord(id, { jsonData: { title: 'c' } }, { merge: true }), false);
+  assert.equal(db.updateDataRecord(id, { topic: 'other' }), false);
+});
+
+test('graph links can be followed, walked and exported', async () => {
+  const db = await openDatabase();
+  const [a, b, c, d, e] = ['a', 'b', 'c', 'd', 'e'].map(title => db.createDataRecord('nodes', null, { title }));
+
+  db.link(a, b, 'knows', { metadata: { since: 2020 } });
+  db.link(b, c, 'knows');
+  db.link(c, a, 'knows');
+  db.link(c, d, 'blocks');
+  db.link(a, e, 'owns');
+
+  assert.deepEqual(
+    db.getNeighbors(a).map(({ id, type, metadata }) => [id, type, metadata]),
+    [[b, 'knows', { since: 2020 }], [e, 'owns', null]]
+  );
+  assert.deepEqual(db.getNeighbors(a, { direction: 'in' }).map(n => n.id), [c]);
+  assert.deepEqual(db.getNeighbors(a, { direction: 'both', types: 'knows' }).map(n => n.id).sort(), [b, c].sort());
+  assert.equal(db.getNeighbors(a, { includeRecords: true })[0].record.json_data.title, 'b');
+
+  // The a → b → c → a cycle doesn't come back to a or repeat nodes
+  const depths = ids => Object.fromEntries(ids.map(({ id, depth }) => [id, depth]));
+  assert.deepEqual(depths(db.traverse(a, { maxDepth: 10 })), { [b]: 1, [e]: 1, [c]: 2, [d]: 3 });
+  assert.deepEqual(depths(db.traverse(a, { maxDepth: 2, types: ['knows'] })), { [b]: 1, [c]: 2 });
+  assert.throws(() => db.traverse(a, { maxDepth: 0 }), /maxDepth must be a positive integer/);
+
+  assert.deepEqual(db.shortestPath(a, d), [
+    { id: a, type: null }, { id: b, type: 'knows' }, { id: c, type: 'knows' }, { id: d, type: 'blocks' }
+  ]);
+  assert.deepEqual(db.shortestPath(a, d, { maxDepth: 2 }), null);
+  assert.deepEqual(db.shortestPath(d, a), null);
+  assert.deepEqual(db.shortestPath(d, a, { direction: 'both' }).map(step => step.id), [d, c, a]);
+
+  const { nodes, edges } = db.exportSubgraph(c, { maxDepth: 1 });
+  assert.deepEqual(nodes.map(node => [node.id, node.depth, node.record.json_data.title]).sort(),
+    [[a, 1, 'a'], [c, 0, 'c'], [d, 1, 'd']].sort());
+  assert.deepEqual(edges.map(edge => [edge.from, edge.to, edge.type]).sort(), [[c, a, 'knows'], [c, d, 'blocks']].sort());
+
+  assert.equal(db.unlink(b, c), 1);
+  assert.equal(db.shortestPath(a, d), null);
+  db.link(b, c, 'knows');
+  assert.equal(db.shortestPath(a, d).length, 4);
+});
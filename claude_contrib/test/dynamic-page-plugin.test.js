@@ -0,0 +1,118 @@
+import { loadSchema } from './headless-runtime.js';
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import dbService from '../db/database-service.js';
+import loggingPlugin from '../plugins/logging-plugin.js';
+import pagesPlugin from '../plugins/dynamic-page-plugin.js';
+import authPlugin from '../plugins/auth-plugin.js';
+
+before(async () => {
+  await dbService.init(loadSchema(), { storage: 'memory' });
+  loggingPlugin.setConsole(false);
+  await pagesPlugin.init();
+});
+
+function savePage(route, fields = {}) {
+  return pagesPlugin.savePage({
+    route,
+    title: route,
+    content: `<p>${route}</p>`,
+    published: 1,
+    ...fields
+  });
+}
+
+test('saved pages are registered and rendered', () => {
+  savePage('/about', { title: 'About us', content: '<p>Hello</p>' });
+
+  const html = pagesPlugin.renderPage('/about');
+  assert.match(html, /<h1>About us<\/h1>/);
+  assert.match(html, /<p>Hello<\/p>/);
+});
+
+test('unknown routes render the 404 page or the custom handler', () => {
+  assert.match(pagesPlugin.renderPage('/missing'), /404 - Page Not Found/);
+
+  pagesPlugin.setNotFoundHandler(route => `nothing at ${route}`);
+  assert.equal(pagesPlugin.renderPage('/missing'), 'nothing at /missing');
+  pagesPlugin.setNotFoundHandler(null);
+});
+
+test('templates render their pages', () => {
+  pagesPlugin.registerTemplate('card', (page, data) => `<card>${page.title} ${data.who}</card>`);
+  savePage('/card', { title: 'Card', template: 'card' });
+
+  assert.equal(pagesPlugin.renderPage('/card', { who: 'you' }), '<card>Card you</card>');
+});
+
+test('a failing template renders the error page', () => {
+  pagesPlugin.registerTemplate('broken', () => {
+    throw new Error('template exploded');
+  });
+  savePage('/broken', { template: 'broken' });
+
+  assert.match(pagesPlugin.renderPage('/broken'), /template exploded/);
+});
+
+test('unpublished and deleted pages are unregistered', () => {
+  savePage('/draft');
+  pagesPlugin.unpublishPage('/draft');
+  assert.equal(pagesPlugin.getAllPages().some(page => page.route === '/draft'), false);
+
+  savePage('/gone');
+  pagesPlugin.deletePage('/gone');
+  assert.equal(pagesPlugin.getPage('/gone'), null);
+});
+
+test('the navigation tree nests children in sort order', () => {
+  const docs = savePage('/docs', { sort_order: 90 });
+  savePage('/docs/b', { parent_id: docs, sort_order: 2 });
+  savePage('/docs/a', { parent_id: docs, sort_order: 1 });
+
+  const node = pagesPlugin.buildNavigationTree().find(page => page.route === '/docs');
+  assert.deepEqual(node.children.map(page => page.route), ['/docs/a', '/docs/b']);
+});
+
+test('pages can be tagged and found by tag', () => {
+  savePage('/tagged');
+  pagesPlugin.addTag('/tagged', 'featured');
+
+  assert.deepEqual(pagesPlugin.getPagesByTag('featured').map(page => page.route), ['/tagged']);
+
+  pagesPlugin.removeTag('/tagged', 'featured');
+  assert.deepEqual(pagesPlugin.getPagesByTag('featured'), []);
+});
+
+test('middleware can block a route', async () => {
+  pagesPlugin.use(route => route !== '/about');
+
+  assert.equal(await pagesPlugin.handleRoute('/about'), null);
+  assert.match(await pagesPlugin.handleRoute('/card'), /Card/);
+});
+
+test('searchPages finds registered pages with a snippet', () => {
+  savePage('/recipes', { title: 'Recipes', content: '<p>Slow roasted tomatoes</p>' });
+
+  const [result] = pagesPlugin.searchPages('tomato');
+  assert.equal(result.route, '/recipes');
+  assert.match(result.snippet, /<mark>tomatoes<\/mark>/);
+});
+
+test('pages with a permission in their metadata are only shown to holders', async () => {
+  dbService.saveRole({ id: 'staff' });
+  dbService.grantPermission('staff', 'pages:read', '/internal/*');
+  savePage('/internal/wiki', { title: 'Wiki', metadata: { permission: 'pages:read' } });
+
+  assert.match(await pagesPlugin.handleRoute('/internal/wiki'), /403 - Access Denied/);
+
+  await authPlugin.register({ username: 'sam', password: 'staff-only' });
+  const { user } = await authPlugin.login('sam', 'staff-only');
+  dbService.assignRole(user.id, 'staff');
+  const html = await pagesPlugin.handleRoute('/internal/wiki');
+  await authPlugin.logout();
+
+  assert.match(html, /<h1>Wiki<\/h1>/);
+  pagesPlugin.setForbiddenHandler(route => `no access to ${route}`);
+  assert.equal(await pagesPlugin.handleRoute('/internal/wiki'), 'no access to /internal/wiki');
+  pagesPlugin.setForbiddenHandler(null);
+});
@@ -0,0 +1,102 @@
+import { loadSchema } from './headless-runtime.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DatabaseService } from '../db/database-service.js';
+import { DatabaseCipher } from '../db/encryption.js';
+import MemoryBackend from '../db/storage/memory-backend.js';
+
+// Few PBKDF2 iterations keep the tests quick
+const passphrase = text => ({ passphrase: text, iterations: 1000 });
+const keyError = pattern => error => error.name === 'DatabaseKeyError' && pattern.test(error.message);
+
+async function openDatabase(options = {}) {
+  const db = new DatabaseService();
+  await db.init(loadSchema(), { storage: 'memory', ...options });
+  return db;
+}
+
+test('images round-trip through encryption and hide their contents', async () => {
+  const cipher = new DatabaseCipher(passphrase('correct horse'));
+  const plain = new TextEncoder().encode('SQLite format 3\0 secret rows');
+
+  const first = await cipher.encrypt(plain);
+  const second = await cipher.encrypt(plain);
+
+  assert.equal(DatabaseCipher.isEncrypted(first), true);
+  assert.equal(DatabaseCipher.isEncrypted(plain), false);
+  assert.notDeepEqual(first, second); // fresh IV each time
+  assert.equal(Buffer.from(first).includes('secret'), false);
+
+  assert.deepEqual(await new DatabaseCipher(passphrase('correct horse')).decrypt(first), plain);
+  assert.deepEqual(await cipher.decrypt(second), plain);
+});
+
+test('a wrong key or tampered image is refused', async () => {
+  const cipher = new DatabaseCipher(passphrase('correct horse'));
+  const encrypted = await cipher.encrypt(new Uint8Array([1, 2, 3]));
+
+  await assert.rejects(new DatabaseCipher(passphrase('wrong')).decrypt(encrypted), keyError(/wrong encryption key/));
+
+  const tampered = encrypted.slice();
+  tampered[tampered.length - 1] ^= 1;
+  await assert.rejects(cipher.decrypt(tampered), keyError(/corrupted data/));
+  await assert.rejects(cipher.decrypt(new Uint8Array(64)), keyError(/not encrypted/));
+
+  const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+  const keyed = new DatabaseCipher({ key });
+  assert.deepEqual(await keyed.decrypt(await keyed.encrypt(new Uint8Array([4]))), new Uint8Array([4]));
+  await assert.rejects(keyed.decrypt(encrypted), keyError(/wrong encryption key/));
+
+  assert.throws(() => new DatabaseCipher({}), /either a passphrase or a CryptoKey/);
+});
+
+test('an encrypted database reopens only with its key', async () => {
+  const storage = new MemoryBackend();
+  const db = await openDatabase({ storage, encryption: passphrase('s3cret') });
+  const id = db.createDataRecord('notes', null, { text: 'private' });
+  await db.flush();
+
+  const stored = await storage.load(db.dbName);
+  assert.equal(DatabaseCipher.isEncrypted(stored), true);
+  assert.equal(Buffer.from(stored).includes('private'), false);
+
+  const reopened = await openDatabase({ storage, encryption: passphrase('s3cret') });
+  assert.equal(reopened.getOne('SELECT id FROM data_records WHERE id = ?', [id]).id, id);
+
+  await assert.rejects(openDatabase({ storage, encryption: passphrase('guess') }), keyError(/wrong encryption key/));
+  await assert.rejects(openDatabase({ storage }), keyError(/pass the encryption option/));
+});
+
+test('a plain database is encrypted on its first load with a key', async () => {
+  const storage = new MemoryBackend();
+  const plain = await openDatabase({ storage });
+  plain.createDataRecord('notes', null, {});
+  await plain.flush();
+
+  const db = await openDatabase({ storage, encryption: passphrase('s3cret') });
+
+  assert.equal(DatabaseCipher.isEncrypted(await storage.load(db.dbName)), true);
+  assert.equal(db.countDataRecords({ topic: 'notes' }), 1);
+});
+
+test('rotateKey re-encrypts the stored image and keeps the old key if saving fails', async t => {
+  const storage = new MemoryBackend();
+  const db = await openDatabase({ storage, encryption: passphrase('old') });
+  db.createDataRecord('notes', null, {});
+
+  await db.rotateKey(passphrase('new'));
+  await assert.rejects(openDatabase({ storage, encryption: passphrase('old') }), keyError(/wrong encryption key/));
+  assert.equal((await openDatabase({ storage, encryption: passphrase('new') })).countDataRecords({ topic: 'notes' }), 1);
+
+  const save = t.mock.method(storage, 'save', async () => {
+    throw new Error('disk full');
+  });
+  await assert.rejects(db.rotateKey(passphrase('newer')), /disk full/);
+  save.mock.restore();
+  await db.persist();
+  await openDatabase({ storage, encryption: passphrase('new') });
+
+  await db.rotateKey(null);
+  assert.equal(DatabaseCipher.isEncrypted(await storage.load(db.dbName)), false);
+  assert.equal((await openDatabase({ storage })).countDataRecords({ topic: 'notes' }), 1);
+});
@@ -0,0 +1,91 @@
+import { loadSchema, loadFixtures } from './headless-runtime.js';
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import dbService from '../db/database-service.js';
+import { resolveFixtureProfile } from '../db/fixtures.js';
+import { verifyPassword } from '../plugins/password-hash.js';
+
+before(async () => {
+  await dbService.init(loadSchema(), { storage: 'memory', fixtures: await loadFixtures('dev') });
+});
+
+test('profiles load after the profiles they extend', async () => {
+  const profiles = await loadFixtures('dev');
+  assert.deepEqual(profiles.map(profile => profile.name), ['base', 'dev']);
+});
+
+test('extends cycles and missing profiles are rejected', async () => {
+  const profiles = { a: { extends: ['b'] }, b: { extends: 'a' }, c: { extends: ['nope'] } };
+  const read = async name => profiles[name] || null;
+
+  await assert.rejects(resolveFixtureProfile('a', read), /a → b → a/);
+  await assert.rejects(resolveFixtureProfile('c', read), { name: 'FixtureError', message: /nope not found/ });
+});
+
+test('base seeds the admin user and default settings', async () => {
+  const admin = dbService.getUserByUsername('admin');
+  assert.equal(admin.role, 'admin');
+  assert.equal(await verifyPassword('admin123', admin.password_hash), true);
+  assert.deepEqual(dbService.getUserRoles(admin.id).sort(), ['admin', 'editor', 'user']);
+  assert.equal(dbService.hasPermission(admin.id, 'webhooks:delete'), true);
+  assert.equal(dbService.getSetting('backup', 'keep'), 7);
+  assert.deepEqual(
+    dbService.getAll('SELECT role_id FROM user_roles WHERE user_id = ?', ['00000000-0000-0000-0000-000000000001']),
+    [{ role_id: 'admin' }]
+  );
+});
+
+test('references resolve to the ids of earlier rows', () => {
+  const docs = dbService.getPageByRoute('/docs');
+  const child = dbService.getOne('SELECT parent_id, published FROM content_pages WHERE route = ?', ['/docs/draft']);
+  assert.deepEqual(child, { parent_id: docs.id, published: 0 });
+
+  const editor = dbService.getUserByUsername('editor');
+  assert.match(editor.id, /^[0-9a-f-]{36}$/);
+  assert.ok(dbService.getOne('SELECT 1 FROM user_roles WHERE user_id = ? AND role_id = ?', [editor.id, 'editor']));
+});
+
+test('loading again keeps existing rows and their changes', async () => {
+  dbService.setSetting('ui', 'theme', 'dark');
+
+  const report = dbService.loadFixtures(await loadFixtures('dev'));
+
+  assert.deepEqual(report.content_pages, { inserted: 0, existing: 4 });
+  assert.deepEqual(report.kv_settings, { inserted: 0, existing: 16 });
+  assert.equal(dbService.getSetting('ui', 'theme'), 'dark');
+  assert.equal(dbService.getOne('SELECT COUNT(*) AS n FROM users').n, 2);
+});
+
+test('tokens and JSON values are filled in', () => {
+  const report = dbService.loadFixtures({
+    name: 'inline',
+    tables: {
+      data_records: [{ id: '$uuid', topic: 'fixtures', json_data: { n: 1 }, create_date: '$now' }]
+    }
+  });
+
+  const record = dbService.getOne("SELECT id, json_data, create_date FROM data_records WHERE topic = 'fixtures'");
+  assert.deepEqual(report.data_records, { inserted: 1, existing: 0 });
+  assert.equal(record.json_data, '{"n":1}');
+  assert.ok(!Number.isNaN(Date.parse(record.create_date)));
+});
+
+test('bad fixtures roll back and name the row', () => {
+  const before = dbService.getOne('SELECT COUNT(*) AS n FROM content_pages').n;
+
+  assert.throws(() => dbService.loadFixtures({
+    name: 'broken',
+    tables: {
+      content_pages: [
+        { route: '/ok', title: 'OK' },
+        { route: '/orphan', title: 'Orphan', parent_id: { $ref: 'content_pages', route: '/missing' } }
+      ]
+    }
+  }), { name: 'FixtureError', message: /^broken: content_pages\[1\]: no content_pages row matches/ });
+
+  assert.throws(
+    () => dbService.loadFixtures({ name: 'typo', tables: { users: [{ usernme: 'x' }] } }),
+    /typo: users\[0\]: users has no column usernme/
+  );
+  assert.equal(dbService.getOne('SELECT COUNT(*) AS n FROM content_pages').n, before);
+});
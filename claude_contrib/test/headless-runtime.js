@@ -0,0 +1,578 @@
+/**
+ * Headless Runtime
+ * The browser globals the plugins use, for running them under Node:
+ *   window           an EventTarget with location (http://localhost/)
+ *   localStorage,
+ *   sessionStorage   in-memory Storage
+ *   navigator        userAgent, platform, language, onLine
+ *   document, screen just enough for settings (theme) and auth (device info)
+ *
+ * Installed on import, so import it before any plugin (plugins register
+ * themselves on window when they load):
+ *
+ *   import { runtime, loadSchema } from './headless-runtime.js';
+ *   import dbService from '../db/database-service.js';
+ *
+ *   await dbService.init(loadSchema(), { storage: 'memory' });
+ *
+ * loadFixtures(profile) reads a profile from db/fixtures/ (default 'test')
+ * for init({ fixtures }).
+ *
+ * FakeIndexedDB and FakeDirectoryHandle (an OPFS directory) are in-memory
+ * stand-ins for the storage backend tests; they aren't installed unless a
+ * test assigns them (globalThis.indexedDB, navigator.storage).
+ *
+ * runtime.useFakeClock() swaps Date and the timer functions for a clock the
+ * test moves with advance(). Time inside SQL (datetime('now')) is SQLite's
+ * own and keeps running.
+ */
+
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { resolveFixtureProfile } from '../db/fixtures.js';
+
+const SCHEMA_PATH = fileURLToPath(new URL('../db/schema.sql', import.meta.url));
+const FIXTURES_URL = new URL('../db/fixtures/', import.meta.url);
+
+// The real functions, before any fake clock replaces them
+const RealDate = Date;
+const realTimers = { setTimeout, clearTimeout, setInterval, clearInterval };
+
+// ============================================================================
+// STORAGE
+// ============================================================================
+
+/**
+ * In-memory implementation of the Web Storage API
+ */
+class MemoryStorage {
+  constructor() {
+    this.items = new Map();
+  }
+
+  get length() {
+    return this.items.size;
+  }
+
+  key(index) {
+    return [...this.items.keys()][index] ?? null;
+  }
+
+  getItem(key) {
+    return this.items.has(key) ? this.items.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this.items.set(String(key), String(value));
+  }
+
+  removeItem(key) {
+    this.items.delete(key);
+  }
+
+  clear() {
+    this.items.clear();
+  }
+}
+
+// ============================================================================
+// INDEXEDDB
+// ============================================================================
+
+/**
+ * In-memory indexedDB: just what IndexedDBBackend uses (open with an
+ * upgrade, one-store transactions, get/put/delete/getAllKeys). Events fire
+ * on a later turn, like the real thing.
+ *
+ * Set quota (bytes stored across all databases) to make writes that go
+ * over it abort with a QuotaExceededError, or failOpen to an error for
+ * open() to fail with.
+ */
+class FakeIndexedDB {
+  constructor() {
+    this.databases = new Map(); // name → Map(store → Map(key → value))
+    this.quota = Infinity;
+    this.failOpen = null;
+  }
+
+  /**
+   * Bytes stored across all databases
+   * @returns {number}
+   */
+  usage() {
+    let bytes = 0;
+    this.databases.forEach(stores => stores.forEach(store => store.forEach(value => {
+      bytes += value && value.byteLength ? value.byteLength : 0;
+    })));
+    return bytes;
+  }
+
+  open(name) {
+    const request = {};
+
+    setImmediate(() => {
+      if (this.failOpen) {
+        request.error = this.failOpen;
+        request.onerror?.({ target: request });
+        return;
+      }
+
+      const isNew = !this.databases.has(name);
+      if (isNew) {
+        this.databases.set(name, new Map());
+      }
+
+      request.result = this.connect(this.databases.get(name));
+      if (isNew) {
+        request.onupgradeneeded?.({ target: request });
+      }
+      request.onsuccess?.({ target: request });
+    });
+
+    return request;
+  }
+
+  connect(stores) {
+    const factory = this;
+
+    return {
+      objectStoreNames: { contains: name => stores.has(name) },
+      createObjectStore: name => stores.set(name, new Map()),
+      transaction: ([name]) => factory.transaction(stores.get(name))
+    };
+  }
+
+  transaction(store) {
+    const transaction = { error: null };
+    const writes = [];
+    const copy = value => (value instanceof ArrayBuffer ? value.slice(0) : value);
+
+    // Reads see the store as it was; writes apply when the transaction
+    // commits, and not at all if it aborts
+    const read = fn => {
+      const request = {};
+      request.result = fn();
+      return request;
+    };
+    const write = apply => {
+      writes.push(apply);
+      return {};
+    };
+
+    transaction.objectStore = () => ({
+      get: key => read(() => copy(store.get(key))),
+      getAllKeys: () => read(() => [...store.keys()]),
+      put: (value, key) => write(target => target.set(key, copy(value))),
+      delete: key => write(target => target.delete(key))
+    });
+
+    setImmediate(() => {
+      const next = new Map(store);
+      writes.forEach(apply => apply(next));
+
+      const growth = [...next.values()].reduce((sum, value) => sum + (value?.byteLength || 0), 0) -
+        [...store.values()].reduce((sum, value) => sum + (value?.byteLength || 0), 0);
+
+      if (growth > 0 && this.usage() + growth > this.quota) {
+        transaction.error = new DOMException('The quota has been exceeded.', 'QuotaExceededError');
+        transaction.onabort?.();
+        return;
+      }
+
+      store.clear();
+      next.forEach((value, key) => store.set(key, value));
+      transaction.oncomplete?.();
+    });
+
+    return transaction;
+  }
+}
+
+// ============================================================================
+// OPFS
+// ============================================================================
+
+/**
+ * In-memory OPFS directory: what OPFSBackend uses on the main thread
+ * (getDirectoryHandle, getFileHandle, removeEntry, entries and
+ * createWritable). Like the real thing, a writable works on a copy that
+ * replaces the file on close() and is dropped on abort().
+ *
+ * Each file keeps the writes it received ({ position, length }) in
+ * writes; set its failWrites to an error for writes to fail with.
+ */
+class FakeDirectoryHandle {
+  constructor() {
+    this.kind = 'directory';
+    this.children = new Map();
+  }
+
+  async getDirectoryHandle(name, { create = false } = {}) {
+    if (!this.children.has(name) && create) {
+      this.children.set(name, new FakeDirectoryHandle());
+    }
+    return this.child(name, 'directory');
+  }
+
+  async getFileHandle(name, { create = false } = {}) {
+    if (!this.children.has(name) && create) {
+      this.children.set(name, this.createFile());
+    }
+    return this.child(name, 'file');
+  }
+
+  async removeEntry(name) {
+    this.child(name);
+    this.children.delete(name);
+  }
+
+  async *entries() {
+    yield* this.children.entries();
+  }
+
+  child(name, kind = null) {
+    const handle = this.children.get(name);
+    if (!handle) {
+      throw new DOMException(`${name} not found`, 'NotFoundError');
+    }
+    if (kind && handle.kind !== kind) {
+      throw new DOMException(`${name} is not a ${kind}`, 'TypeMismatchError');
+    }
+    return handle;
+  }
+
+  createFile() {
+    const file = {
+      kind: 'file',
+      data: new Uint8Array(0),
+      writes: [],
+      failWrites: null,
+
+      async getFile() {
+        const data = file.data.slice();
+        return { size: data.length, arrayBuffer: async () => data.buffer };
+      },
+
+      async createWritable({ keepExistingData = false } = {}) {
+        let copy = keepExistingData ? file.data.slice() : new Uint8Array(0);
+        let cursor = 0;
+
+        const resize = length => {
+          const next = new Uint8Array(length);
+          next.set(copy.subarray(0, Math.min(length, copy.length)));
+          copy = next;
+        };
+
+        return {
+          async write(chunk) {
+            if (file.failWrites) throw file.failWrites;
+
+            const { position = cursor, data } = chunk instanceof Uint8Array ? { data: chunk } : chunk;
+            if (position + data.length > copy.length) resize(position + data.length);
+            copy.set(data, position);
+            cursor = position + data.length;
+            file.writes.push({ position, length: data.length });
+          },
+          async truncate(length) {
+            resize(length);
+          },
+          async close() {
+            file.data = copy;
+          },
+          async abort() {
+            copy = null;
+          }
+        };
+      }
+    };
+    return file;
+  }
+}
+
+// ============================================================================
+// DOCUMENT
+// ============================================================================
+
+/**
+ * Minimal element: attributes, inline style properties and classes
+ * @param {string} tagName
+ * @returns {Object}
+ */
+function createElement(tagName) {
+  const attributes = new Map();
+  const properties = new Map();
+  const classes = new Set();
+
+  return {
+    tagName: tagName.toUpperCase(),
+    attributes,
+    setAttribute: (name, value) => attributes.set(name, String(value)),
+    getAttribute: name => (attributes.has(name) ? attributes.get(name) : null),
+    style: {
+      setProperty: (name, value) => properties.set(name, String(value)),
+      getPropertyValue: name => properties.get(name) || ''
+    },
+    classList: {
+      add: (...names) => names.forEach(name => classes.add(name)),
+      remove: (...names) => names.forEach(name => classes.delete(name)),
+      contains: name => classes.has(name),
+      toggle: (name, force = !classes.has(name)) => {
+        if (force) {
+          classes.add(name);
+        } else {
+          classes.delete(name);
+        }
+        return force;
+      }
+    },
+    appendChild: child => child,
+    removeChild: child => child,
+    click: () => {}
+  };
+}
+
+/**
+ * Minimal document
+ * @returns {Object}
+ */
+function createDocument() {
+  return {
+    documentElement: createElement('html'),
+    body: createElement('body'),
+    referrer: '',
+    title: '',
+    createElement
+  };
+}
+
+// ============================================================================
+// CLOCK
+// ============================================================================
+
+/**
+ * Clock under test control. While installed, Date.now(), new Date(),
+ * setTimeout and setInterval follow it instead of real time.
+ */
+class FakeClock {
+  /**
+   * @param {number|string|Date} start - Initial time
+   */
+  constructor(start = '2024-01-01T00:00:00.000Z') {
+    this.time = new RealDate(start).getTime();
+    this.timers = new Map(); // id → { at, interval, callback, args }
+    this.nextId = 1;
+    this.installed = false;
+  }
+
+  /**
+   * Current time in milliseconds
+   * @returns {number}
+   */
+  now() {
+    return this.time;
+  }
+
+  /**
+   * Replace Date and the timer functions
+   */
+  install() {
+    if (this.installed) return;
+
+    const clock = this;
+
+    class ClockDate extends RealDate {
+      constructor(...args) {
+        super(...(args.length === 0 ? [clock.time] : args));
+      }
+
+      static now() {
+        return clock.time;
+      }
+    }
+
+    globalThis.Date = ClockDate;
+    globalThis.setTimeout = (callback, delay = 0, ...args) =>
+      this.schedule(callback, delay, null, args);
+    globalThis.setInterval = (callback, delay = 0, ...args) =>
+      this.schedule(callback, delay, Math.max(1, delay), args);
+    globalThis.clearTimeout = id => this.timers.delete(id);
+    globalThis.clearInterval = id => this.timers.delete(id);
+
+    this.installed = true;
+  }
+
+  /**
+   * Put back the real Date and timers; pending fake timers are dropped
+   */
+  uninstall() {
+    if (!this.installed) return;
+
+    globalThis.Date = RealDate;
+    Object.assign(globalThis, realTimers);
+
+    this.timers.clear();
+    this.installed = false;
+  }
+
+  /**
+   * Register a timer
+   * @returns {number} Timer id
+   */
+  schedule(callback, delay, interval, args) {
+    const id = this.nextId++;
+    this.timers.set(id, { at: this.time + Math.max(0, Number(delay) || 0), interval, callback, args });
+    return id;
+  }
+
+  /**
+   * Move time forward, firing due timers in order. Promises started by a
+   * timer settle before the next one fires.
+   * @param {number} ms
+   * @returns {Promise<void>}
+   */
+  async advance(ms) {
+    const target = this.time + ms;
+
+    for (;;) {
+      let next = null;
+      this.timers.forEach((timer, id) => {
+        if (timer.at <= target && (!next || timer.at < next.timer.at)) {
+          next = { id, timer };
+        }
+      });
+
+      if (!next) break;
+
+      const { id, timer } = next;
+      this.time = Math.max(this.time, timer.at);
+
+      if (timer.interval) {
+        timer.at += timer.interval;
+      } else {
+        this.timers.delete(id);
+      }
+
+      timer.callback(...timer.args);
+      await settle();
+    }
+
+    this.time = target;
+    await settle();
+  }
+
+  /**
+   * Number of pending timers
+   * @returns {number}
+   */
+  pending() {
+    return this.timers.size;
+  }
+}
+
+/**
+ * Let pending promise callbacks run
+ * @returns {Promise<void>}
+ */
+function settle() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+// ============================================================================
+// RUNTIME
+// ============================================================================
+
+const runtime = {
+  window: null,
+  localStorage: null,
+  sessionStorage: null,
+  clock: null,
+
+  /**
+   * Install fresh globals (safe to call again to start over)
+   * @param {Object} options
+   * @param {string} options.url - window.location
+   * @param {boolean} options.onLine - navigator.onLine
+   */
+  install(options = {}) {
+    const { url = 'http://localhost/', onLine = true } = options;
+
+    const target = new EventTarget();
+    const location = new URL(url);
+
+    this.localStorage = new MemoryStorage();
+    this.sessionStorage = new MemoryStorage();
+    this.window = Object.assign(target, {
+      location,
+      localStorage: this.localStorage,
+      sessionStorage: this.sessionStorage
+    });
+
+    globalThis.window = this.window;
+    globalThis.localStorage = this.localStorage;
+    globalThis.sessionStorage = this.sessionStorage;
+    globalThis.document = createDocument();
+    globalThis.screen = { width: 1280, height: 800 };
+
+    // navigator is a getter on globalThis in newer Node versions
+    Object.defineProperty(globalThis, 'navigator', {
+      value: { userAgent: 'node', platform: process.platform, language: 'en-US', onLine },
+      configurable: true,
+      writable: true
+    });
+  },
+
+  /**
+   * Run Date and timers on a clock the test controls
+   * @param {number|string|Date} start
+   * @returns {FakeClock}
+   */
+  useFakeClock(start) {
+    this.useRealClock();
+    this.clock = new FakeClock(start);
+    this.clock.install();
+    return this.clock;
+  },
+
+  /**
+   * Go back to real time
+   */
+  useRealClock() {
+    if (this.clock) {
+      this.clock.uninstall();
+      this.clock = null;
+    }
+  }
+};
+
+/**
+ * Read db/schema.sql
+ * @returns {string}
+ */
+function loadSchema() {
+  return fs.readFileSync(SCHEMA_PATH, 'utf8');
+}
+
+/**
+ * Read a profile from db/fixtures/ and the profiles it extends
+ * @param {string} profile
+ * @returns {Promise<Array<Object>>} For init({ fixtures }) or loadFixtures()
+ */
+function loadFixtures(profile = 'test') {
+  return resolveFixtureProfile(profile, name => {
+    const file = new URL(`${name}.json`, FIXTURES_URL);
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+  });
+}
+
+runtime.install();
+
+export {
+  runtime,
+  loadSchema,
+  loadFixtures,
+  settle,
+  MemoryStorage,
+  FakeClock,
+  FakeIndexedDB,
+  FakeDirectoryHandle
+};
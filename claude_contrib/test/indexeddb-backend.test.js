@@ -0,0 +1,70 @@
+import { loadSchema, FakeIndexedDB } from './headless-runtime.js';
+import { test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { DatabaseService } from '../db/database-service.js';
+import IndexedDBBackend from '../db/storage/indexeddb-backend.js';
+
+let indexedDB;
+
+beforeEach(() => {
+  indexedDB = new FakeIndexedDB();
+  globalThis.indexedDB = indexedDB;
+});
+
+after(() => {
+  delete globalThis.indexedDB;
+});
+
+test('images are saved, listed, loaded and deleted', async () => {
+  const backend = new IndexedDBBackend();
+  const image = new Uint8Array([9, 1, 2, 3, 9]).subarray(1, 4);
+
+  await backend.save('app.sqlite', image);
+  await backend.save('app.sqlite.snapshot.1', new Uint8Array([4]));
+
+  assert.deepEqual(await backend.load('app.sqlite'), new Uint8Array([1, 2, 3]));
+  assert.deepEqual((await backend.list()).sort(), ['app.sqlite', 'app.sqlite.snapshot.1']);
+  assert.equal(await backend.load('missing'), null);
+
+  await backend.delete('app.sqlite');
+  assert.deepEqual(await backend.list(), ['app.sqlite.snapshot.1']);
+});
+
+test('a save aborted for quota rejects instead of hanging', async () => {
+  const backend = new IndexedDBBackend();
+  indexedDB.quota = 4;
+
+  await backend.save('small', new Uint8Array(4));
+  await assert.rejects(backend.save('large', new Uint8Array(8)), { name: 'QuotaExceededError' });
+
+  assert.deepEqual(await backend.list(), ['small']);
+});
+
+test('a failed open is retried on the next request', async () => {
+  const backend = new IndexedDBBackend();
+  indexedDB.failOpen = new DOMException('Access denied', 'InvalidStateError');
+
+  await assert.rejects(backend.load('app.sqlite'), { name: 'InvalidStateError' });
+
+  indexedDB.failOpen = null;
+  await backend.save('app.sqlite', new Uint8Array([1]));
+  assert.deepEqual(await backend.load('app.sqlite'), new Uint8Array([1]));
+});
+
+test('saves after a quota abort still run', async t => {
+  const db = new DatabaseService();
+  await db.init(loadSchema(), { storage: new IndexedDBBackend() });
+  t.mock.method(console, 'error', () => {});
+
+  indexedDB.quota = indexedDB.usage();
+  db.createDataRecord('notes', null, { text: 'x'.repeat(20000) });
+  await assert.rejects(db.flush(), { name: 'QuotaExceededError' });
+
+  indexedDB.quota = Infinity;
+  await db.flush();
+  await db.close();
+
+  const reopened = new DatabaseService();
+  await reopened.init(loadSchema(), { storage: new IndexedDBBackend() });
+  assert.equal(reopened.countDataRecords({ topic: 'notes' }), 1);
+});
@@ -0,0 +1,108 @@
+import { runtime, loadSchema } from './headless-runtime.js';
+import { test, before, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import dbService from '../db/database-service.js';
+import loggingPlugin from '../plugins/logging-plugin.js';
+
+before(async () => {
+  await dbService.init(loadSchema(), { storage: 'memory' });
+  loggingPlugin.init({ level: 'info', console: false });
+});
+
+beforeEach(() => {
+  loggingPlugin.clearMemoryLogs();
+  loggingPlugin.setLevel('info');
+});
+
+afterEach(() => runtime.useRealClock());
+
+test('messages below the level are dropped', () => {
+  loggingPlugin.debug('too chatty');
+  loggingPlugin.info('kept');
+  loggingPlugin.setLevel('error');
+  loggingPlugin.warn('dropped too');
+
+  assert.deepEqual(loggingPlugin.getRecentLogs().map(log => log.message), ['kept']);
+});
+
+test('entries are written to the database', () => {
+  loggingPlugin.warn('disk almost full', { category: 'storage', details: { free: 12 } });
+
+  const [row] = loggingPlugin.getLogsFromDb(1, 'warn');
+  assert.equal(row.message, 'disk almost full');
+  assert.equal(row.category, 'storage');
+  assert.deepEqual(JSON.parse(row.details), { free: 12 });
+});
+
+test('errors carry a stack trace', () => {
+  loggingPlugin.error('boom');
+
+  const [entry] = loggingPlugin.getRecentLogs(1);
+  assert.ok(entry.stackTrace);
+});
+
+test('entries are announced with log-entry', () => {
+  const seen = [];
+  loggingPlugin.onLog(entry => seen.push(entry.message));
+
+  loggingPlugin.info('announced');
+  assert.ok(seen.includes('announced'));
+});
+
+test('filter narrows the in-memory logs', async () => {
+  const clock = runtime.useFakeClock('2024-03-01T00:00:00.000Z');
+  loggingPlugin.info('first sync', { category: 'sync' });
+  await clock.advance(60000);
+  loggingPlugin.warn('second sync', { category: 'sync', details: { retry: true } });
+  loggingPlugin.info('unrelated', { category: 'ui' });
+
+  assert.equal(loggingPlugin.filter({ category: 'sync' }).length, 2);
+  assert.equal(loggingPlugin.filter({ search: 'retry' }).length, 1);
+  assert.deepEqual(
+    loggingPlugin.filter({ startDate: '2024-03-01T00:00:30.000Z' }).map(log => log.message),
+    ['second sync', 'unrelated']
+  );
+});
+
+test('filter searches through the full-text index', () => {
+  loggingPlugin.info('Deployment failed on staging', { category: 'deploy' });
+  loggingPlugin.info('Redeployed by hand', { category: 'deploy' });
+
+  // Word prefixes, as search() matches them; 'ploy' is inside words only
+  assert.deepEqual(loggingPlugin.filter({ search: 'deploy fail' }).map(log => log.message),
+    ['Deployment failed on staging']);
+  assert.equal(loggingPlugin.filter({ search: 'ploy' }).length, 0);
+  assert.equal(loggingPlugin.filter({ search: 'redeploy', level: 'warn' }).length, 0);
+
+  // Older database rows that left memory are not returned
+  const [older] = loggingPlugin.memoryLogs.splice(-2, 1);
+  assert.equal(loggingPlugin.filter({ search: 'deployment' }).length, 0);
+  loggingPlugin.memoryLogs.push(older);
+});
+
+test('filter scans memory when database logging is off', () => {
+  loggingPlugin.dbEnabled = false;
+  try {
+    loggingPlugin.info('offline ticket 42');
+    assert.equal(loggingPlugin.filter({ search: 'ticket 4' }).length, 1);
+  } finally {
+    loggingPlugin.dbEnabled = true;
+  }
+});
+
+test('search finds database logs by word prefix', () => {
+  loggingPlugin.info('Payment authorised for order 991', { category: 'billing' });
+
+  const results = loggingPlugin.search('authoris');
+  assert.ok(results.length >= 1);
+  assert.equal(results[0].record.category, 'billing');
+});
+
+test('unhandled errors on window are logged', () => {
+  const event = new Event('error');
+  Object.assign(event, { message: 'bad thing', filename: 'app.js', lineno: 1, colno: 2 });
+  window.dispatchEvent(event);
+
+  const [entry] = loggingPlugin.filter({ category: 'uncaught' });
+  assert.equal(entry.details.message, 'bad thing');
+});
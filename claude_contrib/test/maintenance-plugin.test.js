@@ -0,0 +1,83 @@
+import { loadSchema } from './headless-runtime.js';
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import dbService, { DatabaseService } from '../db/database-service.js';
+import loggingPlugin from '../plugins/logging-plugin.js';
+import maintenancePlugin from '../plugins/maintenance-plugin.js';
+
+const PAST = '2000-01-01T00:00:00.000Z';
+const FUTURE = '2999-01-01T00:00:00.000Z';
+
+before(async () => {
+  await dbService.init(loadSchema(), { storage: 'memory' });
+  loggingPlugin.setConsole(false);
+});
+
+async function openDatabase() {
+  const db = new DatabaseService();
+  await db.init(loadSchema(), { storage: 'memory' });
+  maintenancePlugin.useDatabase(db);
+  return db;
+}
+
+test('reads skip expired records before any sweep', async () => {
+  const db = await openDatabase();
+  db.createDataRecord('notes', 'a', { n: 1 });
+  db.createDataRecord('notes', 'a', { n: 2 }, { expiry: FUTURE });
+  db.createDataRecord('notes', 'a', { n: 3 }, { expiry: PAST });
+
+  const numbers = records => records.map(record => record.json_data.n).sort();
+
+  assert.deepEqual(numbers(db.getDataRecordsByTopic('notes')), [1, 2]);
+  assert.deepEqual(numbers(db.table('data_records').notExpired().select()), [1, 2]);
+  assert.equal(db.countDataRecords({ topic: 'notes' }), 2);
+  assert.equal(db.countDataRecords({ topic: 'notes', includeExpired: true }), 3);
+});
+
+test('sweep applies each table policy and reports what it swept', async () => {
+  const db = await openDatabase();
+  const expired = db.createDataRecord('notes', null, {}, { expiry: PAST });
+  const current = db.createDataRecord('notes', null, {}, { expiry: FUTURE });
+  const page = db.savePage({ route: '/old', title: 'Old', content: '' });
+  db.run('UPDATE content_pages SET expiry_date = ? WHERE id = ?', [PAST, page]);
+
+  maintenancePlugin.init();
+  const events = [];
+  const listener = event => events.push(event.detail);
+  window.addEventListener('maintenance-sweep', listener);
+
+  const report = maintenancePlugin.sweep();
+  window.removeEventListener('maintenance-sweep', listener);
+
+  assert.deepEqual(report.tables.data_records, { policy: 'delete', count: 1, ids: [expired] });
+  assert.deepEqual(report.tables.content_pages, { policy: 'deactivate', count: 1, ids: [page] });
+  assert.equal(report.total, 2);
+  assert.deepEqual(events, [report]);
+  assert.equal(maintenancePlugin.getLastReport(), report);
+
+  assert.deepEqual(db.getAll('SELECT id FROM data_records').map(row => row.id), [current]);
+  assert.equal(db.getOne('SELECT active FROM content_pages WHERE id = ?', [page]).active, 0);
+
+  // Deactivated rows aren't swept again
+  assert.equal(maintenancePlugin.sweep().total, 0);
+});
+
+test('deactivate and keep policies leave expired records in place', async () => {
+  const db = await openDatabase();
+  const id = db.createDataRecord('notes', null, {}, { expiry: PAST });
+
+  maintenancePlugin.init({ policies: { data_records: 'deactivate' } });
+  assert.deepEqual(maintenancePlugin.sweep().tables.data_records.ids, [id]);
+  assert.equal(db.getOne('SELECT active FROM data_records WHERE id = ?', [id]).active, 0);
+
+  db.run('UPDATE data_records SET active = 1 WHERE id = ?', [id]);
+  maintenancePlugin.init({ policies: { data_records: 'keep' } });
+  const report = maintenancePlugin.sweep();
+
+  assert.equal(report.tables.data_records, undefined);
+  assert.equal(db.getOne('SELECT active FROM data_records WHERE id = ?', [id]).active, 1);
+  assert.equal(db.countDataRecords({ topic: 'notes' }), 0);
+
+  assert.throws(() => maintenancePlugin.init({ policies: { data_records: 'archive' } }),
+    /Unknown expiry policy for data_records: archive/);
+});
@@ -0,0 +1,110 @@
+import { runtime, loadSchema } from './headless-runtime.js';
+import { test, before, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import dbService from '../db/database-service.js';
+import loggingPlugin from '../plugins/logging-plugin.js';
+import metricsPlugin from '../plugins/metrics-plugin.js';
+
+before(async () => {
+  await dbService.init(loadSchema(), { storage: 'memory' });
+  loggingPlugin.setConsole(false);
+});
+
+afterEach(() => runtime.useRealClock());
+
+test('summary and percentiles cover the recorded values', () => {
+  [10, 20, 30, 40].forEach(value => metricsPlugin.histogram('test.latency', value));
+
+  assert.deepEqual(metricsPlugin.getSummary('test.latency'), {
+    count: 4,
+    sum: 100,
+    avg: 25,
+    min: 10,
+    max: 40,
+    stdDev: Math.sqrt(125)
+  });
+  assert.deepEqual(metricsPlugin.getPercentiles('test.latency', [50, 100]), { p50: 20, p100: 40 });
+});
+
+test('time series buckets metrics by hour', async () => {
+  const clock = runtime.useFakeClock('2024-05-01T10:15:00.000Z');
+  metricsPlugin.counter('test.orders');
+  metricsPlugin.counter('test.orders', 2);
+  await clock.advance(60 * 60 * 1000);
+  metricsPlugin.counter('test.orders', 5);
+
+  const series = metricsPlugin.getTimeSeries('test.orders', 'hour');
+  assert.deepEqual(series.map(({ timestamp, count, sum }) => ({ timestamp, count, sum })), [
+    { timestamp: '2024-05-01T10:00:00.000Z', count: 2, sum: 3 },
+    { timestamp: '2024-05-01T11:00:00.000Z', count: 1, sum: 5 }
+  ]);
+});
+
+test('only metrics inside the time range are returned', async () => {
+  const clock = runtime.useFakeClock('2024-06-01T00:00:00.000Z');
+  metricsPlugin.gauge('test.memory', 100);
+  await clock.advance(2 * 24 * 60 * 60 * 1000);
+  metricsPlugin.gauge('test.memory', 200);
+
+  const { startDate, endDate } = metricsPlugin.parseTimeRange('1d');
+  assert.deepEqual(metricsPlugin.getMetrics('test.memory', startDate, endDate).map(m => m.value), [200]);
+});
+
+test('timers and tags are stored with the metric', () => {
+  metricsPlugin.timer('test.render', 12.5, { tags: { view: 'home' } });
+
+  const [metric] = metricsPlugin.getMetrics('test.render');
+  assert.equal(metric.metric_type, 'timer');
+  assert.equal(metric.unit, 'ms');
+  assert.deepEqual(metric.tags, { view: 'home' });
+});
+
+test('collectors run on their interval until unregistered', async () => {
+  const clock = runtime.useFakeClock();
+  let runs = 0;
+  metricsPlugin.registerCollector('test.collector', () => {
+    runs++;
+    metricsPlugin.gauge('test.queue', runs);
+  }, 1000);
+
+  await clock.advance(3000);
+  metricsPlugin.unregisterCollector('test.collector');
+  await clock.advance(3000);
+
+  assert.equal(runs, 3);
+  assert.equal(clock.pending(), 0);
+});
+
+test('export writes CSV rows', () => {
+  metricsPlugin.counter('test.csv', 7, { unit: 'items' });
+
+  const start = new Date(Date.now() - 60000);
+  const csv = metricsPlugin.export('test.csv', start, new Date(), 'csv').split('\n');
+  assert.equal(csv[0], 'timestamp,value,type,unit,tags');
+  assert.match(csv[1], /,7,counter,items,\{\}$/);
+});
+
+test('the dashboard collects the configured metrics', () => {
+  metricsPlugin.counter('test.dashboard', 4);
+
+  const dashboard = metricsPlugin.getDashboard({
+    metrics: [{ name: 'test.dashboard' }, { name: 'test.dashboard.empty' }],
+    timeRange: '1h'
+  });
+  assert.equal(dashboard['test.dashboard'].sum, 4);
+  assert.equal(dashboard['test.dashboard.empty'].count, 0);
+});
+
+test('collectors can return metrics to record in one batch', async () => {
+  const clock = runtime.useFakeClock();
+  metricsPlugin.registerCollector('test.batch', () => [
+    { name: 'test.batch.heap', type: 'gauge', value: 64, unit: 'MB' },
+    { name: 'test.batch.tabs', type: 'gauge', value: 3, tags: { host: 'a' } }
+  ], 1000);
+
+  await clock.advance(1000);
+  metricsPlugin.unregisterCollector('test.batch');
+
+  assert.equal(metricsPlugin.getMetrics('test.batch.heap')[0].unit, 'MB');
+  assert.deepEqual(metricsPlugin.getMetrics('test.batch.tabs')[0].tags, { host: 'a' });
+});
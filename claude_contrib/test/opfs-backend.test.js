@@ -0,0 +1,113 @@
+import { FakeDirectoryHandle } from './headless-runtime.js';
+import { test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import OPFSBackend from '../db/storage/opfs-backend.js';
+import MemoryBackend from '../db/storage/memory-backend.js';
+
+const PAGE_SIZE = 4096;
+
+let root;
+
+beforeEach(() => {
+  root = new FakeDirectoryHandle();
+  navigator.storage = { getDirectory: async () => root };
+});
+
+after(() => {
+  delete navigator.storage;
+});
+
+// An image of 4 KiB pages whose header gives the page size, each page
+// filled with its number
+function image(pages) {
+  const data = new Uint8Array(pages * PAGE_SIZE);
+  for (let page = 0; page < pages; page++) {
+    data.fill(page + 1, page * PAGE_SIZE, (page + 1) * PAGE_SIZE);
+  }
+  data[16] = PAGE_SIZE >> 8;
+  data[17] = PAGE_SIZE & 0xff;
+  return data;
+}
+
+async function storedFile(name) {
+  return (await root.getDirectoryHandle('pwa-database')).getFileHandle(name);
+}
+
+test('only the pages that changed are written', async () => {
+  const backend = new OPFSBackend();
+  const first = image(8);
+
+  await backend.save('app.sqlite', first);
+  const file = await storedFile('app.sqlite');
+  assert.deepEqual(file.writes, [{ position: 0, length: first.length }]);
+
+  const second = first.slice();
+  second[3 * PAGE_SIZE + 10] = 0;
+  second[4 * PAGE_SIZE + 10] = 0;
+  second[6 * PAGE_SIZE] = 0;
+  file.writes = [];
+  await backend.save('app.sqlite', second);
+
+  assert.deepEqual(file.writes, [
+    { position: 3 * PAGE_SIZE, length: 2 * PAGE_SIZE },
+    { position: 6 * PAGE_SIZE, length: PAGE_SIZE }
+  ]);
+  assert.deepEqual(file.data, second);
+
+  file.writes = [];
+  await backend.save('app.sqlite', second.slice());
+  assert.deepEqual(file.writes, []);
+});
+
+test('an image that shrank or mostly changed is rewritten whole', async () => {
+  const backend = new OPFSBackend();
+  await backend.save('app.sqlite', image(8));
+  const file = await storedFile('app.sqlite');
+
+  const smaller = image(5);
+  file.writes = [];
+  await backend.save('app.sqlite', smaller);
+  assert.deepEqual(file.writes, []); // same first pages, truncated
+  assert.deepEqual(file.data, smaller);
+
+  const different = image(5).map((byte, i) => (i < 16 ? byte : byte ^ 0xff));
+  different[16] = PAGE_SIZE >> 8;
+  different[17] = 0;
+  await backend.save('app.sqlite', different);
+  assert.deepEqual(file.writes, [{ position: 0, length: different.length }]);
+  assert.deepEqual(file.data, different);
+});
+
+test('a failed write leaves the file as it was and the next save catches up', async () => {
+  const backend = new OPFSBackend();
+  const first = image(4);
+  await backend.save('app.sqlite', first);
+
+  const second = first.slice();
+  second[2 * PAGE_SIZE] = 0;
+  const file = await storedFile('app.sqlite');
+  file.failWrites = new DOMException('The quota has been exceeded.', 'QuotaExceededError');
+  await assert.rejects(backend.save('app.sqlite', second), { name: 'QuotaExceededError' });
+  assert.deepEqual(file.data, first);
+
+  file.failWrites = null;
+  await backend.save('app.sqlite', second);
+  assert.deepEqual(await new OPFSBackend().load('app.sqlite'), second);
+});
+
+test('images from the fallback backend are read until the first save', async () => {
+  const fallback = new MemoryBackend();
+  await fallback.save('app.sqlite', image(2));
+  const backend = new OPFSBackend({ fallback });
+
+  assert.deepEqual(await backend.load('app.sqlite'), image(2));
+  assert.deepEqual(await backend.list(), []);
+
+  await backend.save('app.sqlite', image(3));
+  assert.deepEqual(await backend.load('app.sqlite'), image(3));
+  assert.deepEqual(await backend.list(), ['app.sqlite']);
+
+  await backend.delete('app.sqlite');
+  await backend.delete('app.sqlite');
+  assert.deepEqual(await backend.list(), []);
+});
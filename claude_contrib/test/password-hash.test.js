@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { bcrypt, identifyHash, needsRehash } from '../plugins/password-hash.js';
+
+test('bcrypt matches the reference implementation', () => {
+  assert.equal(
+    bcrypt('U*U', '$2a$05$CCCCCCCCCCCCCCCCCCCCC.'),
+    '$2a$05$CCCCCCCCCCCCCCCCCCCCC.E5YPO9kmyuRGyh0XouQYb4YMJKvyOeW'
+  );
+  assert.equal(
+    bcrypt('', '$2a$06$DCq7YPn5Rq63x1Lad4cll.'),
+    '$2a$06$DCq7YPn5Rq63x1Lad4cll.TV4S6ytwfsfvkgY8jIucDrjc8deX1s.'
+  );
+  assert.throws(() => bcrypt('x', '$2a$03$CCCCCCCCCCCCCCCCCCCCC.'), /Invalid bcrypt cost 3/);
+  assert.throws(() => bcrypt('x', '$2b$31$CCCCCCCCCCCCCCCCCCCCC.'), /bcrypt cost 31 is too slow/);
+});
+
+test('hashes are identified by their format', () => {
+  assert.equal(identifyHash('$pbkdf2-sha256$i=1000$AAAAAAAAAAAAAAAAAAAAAA$AAAA'), 'pbkdf2-sha256');
+  assert.equal(identifyHash('5e884898da28047151d0e56f8dc6292773603d0d6aabbdd62a11ef721d1542d8'), 'sha256');
+  assert.equal(identifyHash('$2y$05$CCCCCCCCCCCCCCCCCCCCC.E5YPO9kmyuRGyh0XouQYb4YMJKvyOeW'), 'bcrypt');
+  assert.equal(identifyHash('plaintext'), null);
+  assert.equal(identifyHash(null), null);
+});
+
+test('only current PBKDF2 hashes are left alone', () => {
+  const hash = '$pbkdf2-sha256$i=1000$AAAAAAAAAAAAAAAAAAAAAA$AAAA';
+
+  assert.equal(needsRehash(hash, { iterations: 1000 }), false);
+  assert.equal(needsRehash(hash, { iterations: 1001 }), true);
+  assert.equal(needsRehash('$2a$05$CCCCCCCCCCCCCCCCCCCCC.E5YPO9kmyuRGyh0XouQYb4YMJKvyOeW', { iterations: 1 }), true);
+});
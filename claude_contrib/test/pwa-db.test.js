@@ -0,0 +1,83 @@
+import { loadSchema } from './headless-runtime.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { fileURLToPath } from 'url';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import dbService from '../db/database-service.js';
+import migrations from '../db/migrations.js';
+
+const CLI = fileURLToPath(new URL('../bin/pwa-db.js', import.meta.url));
+
+let dir;
+let file;
+
+before(async () => {
+  await dbService.init(loadSchema(), { storage: 'memory' });
+  dbService.setSetting('support', 'ticket', 1234, 'int');
+  await dbService.rollback({ target: 5 });
+
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'pwa-db-'));
+  file = path.join(dir, 'bug.db');
+  const blob = await dbService.exportDatabase();
+  await fs.writeFile(file, new Uint8Array(await blob.arrayBuffer()));
+});
+
+after(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+// Runs the CLI; resolves with its exit code and output
+async function cli(...argv) {
+  try {
+    const { stdout } = await promisify(execFile)(process.execPath, [CLI, ...argv]);
+    return { code: 0, output: stdout };
+  } catch (error) {
+    return { code: error.code, output: error.stdout, errors: error.stderr };
+  }
+}
+
+test('tables lists row counts', async () => {
+  const { code, output } = await cli('tables', file, '--json');
+
+  assert.equal(code, 0);
+  const tables = JSON.parse(output);
+  assert.deepEqual(tables.find(row => row.table === 'schema_migrations'), { table: 'schema_migrations', rows: 5 });
+});
+
+test('settings are printed with their types', async () => {
+  const { output } = await cli('settings', file, 'support');
+
+  assert.match(output, /support\s+ticket\s+1234\s+int/);
+});
+
+test('query refuses to write without --write', async () => {
+  const read = await cli('query', file, 'SELECT COUNT(*) AS n FROM kv_settings', '--json');
+  assert.ok(JSON.parse(read.output)[0].n > 0);
+
+  const write = await cli('query', file, 'DELETE FROM kv_settings');
+  assert.equal(write.code, 1);
+  assert.match(write.errors, /pass --write/);
+});
+
+test('migrate saves to --out and leaves the original alone', async () => {
+  const out = path.join(dir, 'migrated.db');
+  const before = await fs.readFile(file);
+
+  const { output } = await cli('migrate', file, '--out', out, '--json');
+
+  const pending = migrations.filter(migration => migration.version > 5);
+  assert.deepEqual(JSON.parse(output).applied, pending.map(({ version, name }) => `${version} ${name}`));
+  assert.deepEqual(await fs.readFile(file), before);
+  assert.match((await cli('info', out)).output, new RegExp(`schemaVersion\\s+${pending.at(-1).version}\\b`));
+});
+
+test('unknown commands print the usage', async () => {
+  const { code, errors } = await cli('bogus', file);
+
+  assert.equal(code, 2);
+  assert.match(errors, /^Unknown command: bogus\nUsage:/);
+});
@@ -0,0 +1,101 @@
+import { loadSchema } from './headless-runtime.js';
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { DatabaseService } from '../db/database-service.js';
+
+const db = new DatabaseService();
+
+const TASKS = [
+  { title: 'a', status: 'open', priority: 3, owner: { name: 'Sam' }, done: false, tags: ['urgent', 'web'] },
+  { title: 'b', status: 'open', priority: 1, owner: { name: 'Ann' }, done: false, tags: ['web'] },
+  { title: 'c', status: 'closed', priority: 2, owner: { name: 'Sid' }, done: true, tags: ['urgent'] },
+  { title: 'd', status: 'open', priority: 2, owner: null, done: false, tags: [] },
+  { title: 'e', status: 'open', priority: null, owner: { name: 'Sue' }, done: false, tags: ['api'] }
+];
+
+before(async () => {
+  await db.init(loadSchema(), { storage: 'memory' });
+  TASKS.forEach(({ tags, ...task }) => {
+    db.createDataRecord('tasks', 'web', task, { tags });
+  });
+});
+
+const titles = rows => rows.map(row => row.json_data.title);
+const tasks = () => db.table('data_records').where({ topic: 'tasks' });
+
+test('where() takes a map, an operator, arrays and null', () => {
+  db.createDataRecord('tasks', null, { title: 'no sub topic' });
+
+  assert.equal(tasks().where({ sub_topic: 'web' }).count(), 5);
+  assert.equal(tasks().where({ sub_topic: null }).count(), 1);
+  assert.equal(tasks().where({ sub_topic: ['web', 'api'] }).count(), 5);
+  assert.equal(tasks().where('sub_topic', 'NOT IN', []).count(), 6);
+  assert.equal(tasks().where('sub_topic', 'IN', []).count(), 0);
+  assert.equal(tasks().where('create_date', '<=', db.getTimestamp()).count(), 6);
+
+  db.table('data_records').where({ sub_topic: null, topic: 'tasks' }).delete();
+});
+
+test('where() rejects unknown columns and operators before running SQL', () => {
+  assert.throws(() => tasks().where({ 'topic; DROP TABLE users': 1 }), /Unknown column/);
+  assert.throws(() => tasks().where('topic', 'REGEXP', 'x'), /Unsupported operator: REGEXP/);
+  assert.throws(() => tasks().where('topic', 'IN', 'x'), /IN needs an array/);
+  assert.throws(() => db.table('data_records').update({ active: 0 }), /add a where\(\) clause/);
+});
+
+test('whereJson() filters on fields, nested paths and booleans', () => {
+  assert.deepEqual(titles(tasks().whereJson('json_data', 'status', 'open').orderBy('create_date').select()),
+    ['a', 'b', 'd', 'e']);
+  assert.deepEqual(titles(tasks().whereJson('json_data', 'owner.name', 'LIKE', 'S%').select()).sort(),
+    ['a', 'c', 'e']);
+  assert.deepEqual(titles(tasks().whereJson('json_data', '$.priority', '>=', 2).select()).sort(), ['a', 'c', 'd']);
+  assert.deepEqual(titles(tasks().whereJson('json_data', 'priority', null).select()), ['e']);
+  assert.deepEqual(titles(tasks().whereJson('json_data', 'done', true).select()), ['c']);
+  assert.deepEqual(titles(tasks().whereJson('json_data', 'title', 'IN', ['b', 'd']).select()).sort(), ['b', 'd']);
+  assert.throws(() => tasks().whereJson('topic', 'x', 1), /does not hold JSON/);
+});
+
+test('whereContains() matches all or any of the values in a JSON array', () => {
+  assert.deepEqual(titles(tasks().whereContains('tags', ['urgent', 'web']).select()), ['a']);
+  assert.deepEqual(titles(tasks().whereContains('tags', ['urgent', 'api'], 'any').select()).sort(), ['a', 'c', 'e']);
+});
+
+test('cursorPage() walks every row once, in order, ties broken by id', () => {
+  const seen = [];
+  let cursor = null;
+  let pages = 0;
+
+  do {
+    const page = tasks().orderByJson('json_data', 'priority', 'DESC').cursorPage(2, cursor);
+    seen.push(...page.data);
+    cursor = page.nextCursor;
+    assert.equal(page.hasMore, cursor !== null);
+    pages++;
+  } while (cursor);
+
+  assert.equal(pages, 3);
+  assert.deepEqual(seen.map(row => row.json_data.priority), [3, 2, 2, 1, null]);
+  const tied = seen.filter(row => row.json_data.priority === 2).map(row => row.id);
+  assert.deepEqual(tied, [...tied].sort());
+});
+
+test('cursorPage() stays on track while rows are added', () => {
+  const first = tasks().orderBy('create_date').cursorPage(3);
+  db.createDataRecord('tasks', 'web', { title: 'late' });
+
+  const rest = tasks().orderBy('create_date').cursorPage(10, first.nextCursor);
+
+  assert.deepEqual(titles(first.data), ['a', 'b', 'c']);
+  assert.deepEqual(titles(rest.data), ['d', 'e', 'late']);
+  assert.equal(rest.hasMore, false);
+
+  db.table('data_records').whereJson('json_data', 'title', 'late').delete();
+});
+
+test('cursorPage() rejects cursors from other queries', () => {
+  const { nextCursor } = tasks().orderBy('create_date').cursorPage(1);
+
+  assert.throws(() => tasks().orderBy('create_date').orderBy('topic').cursorPage(1, nextCursor),
+    /Cursor does not match this query/);
+  assert.throws(() => tasks().orderBy('create_date').cursorPage(1, 'not a cursor'), /Invalid cursor/);
+});
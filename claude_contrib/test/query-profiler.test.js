@@ -0,0 +1,84 @@
+import { loadSchema } from './headless-runtime.js';
+import { test, before, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import dbService from '../db/database-service.js';
+import { fingerprintSql, analyzePlan } from '../db/query-profiler.js';
+
+before(async () => {
+  await dbService.init(loadSchema(), { storage: 'memory' });
+});
+
+afterEach(() => dbService.disableProfiling());
+
+test('fingerprints ignore literals, IN list lengths and whitespace', () => {
+  assert.equal(
+    fingerprintSql("SELECT * FROM logs\n  WHERE level = 'error' AND id IN (1, 2, 3) LIMIT 10 -- recent"),
+    'SELECT * FROM logs WHERE level = ? AND id IN (?, ...) LIMIT ?'
+  );
+  assert.equal(
+    fingerprintSql("SELECT * FROM logs WHERE level = 'it''s' AND id IN (?, ?) LIMIT 50"),
+    'SELECT * FROM logs WHERE level = ? AND id IN (?, ...) LIMIT ?'
+  );
+});
+
+test('nothing is recorded until profiling is enabled', () => {
+  dbService.getAll('SELECT * FROM users');
+
+  assert.equal(dbService.isProfiling(), false);
+  assert.deepEqual(dbService.getQueryReport(), []);
+});
+
+test('calls are aggregated per fingerprint with row counts', () => {
+  dbService.enableProfiling({ threshold: Infinity });
+
+  dbService.getAll("SELECT * FROM kv_settings WHERE category = 'a'");
+  dbService.getAll("SELECT * FROM kv_settings WHERE category = 'b'");
+  dbService.setSetting('profile', 'one', 1, 'int');
+
+  const report = dbService.getQueryReport({ sortBy: 'calls' });
+  const [select] = report;
+  assert.equal(select.fingerprint, 'SELECT * FROM kv_settings WHERE category = ?');
+  assert.equal(select.calls, 2);
+  assert.equal(select.avgMs, select.totalMs / 2);
+
+  const insert = report.find(stats => stats.fingerprint.startsWith('INSERT INTO kv_settings'));
+  assert.equal(insert.rows, 1);
+  assert.deepEqual(dbService.getSlowQueries(), []);
+});
+
+test('slow queries are logged with their plan and warnings', () => {
+  const seen = [];
+  dbService.enableProfiling({ threshold: 0, onSlowQuery: entry => seen.push(entry) });
+
+  dbService.getAll("SELECT * FROM data_records WHERE json_extract(json_data, '$.n') = ?", [1]);
+
+  const [entry] = dbService.getSlowQueries();
+  assert.equal(seen[0], entry);
+  assert.equal(entry.params, undefined);
+  assert.deepEqual(entry.plan.map(row => row.detail), ['SCAN data_records']);
+  assert.match(entry.warnings[0], /^Full scan of data_records: json_extract\(\) on json_data/);
+  assert.deepEqual(dbService.getQueryReport()[0].warnings, entry.warnings);
+});
+
+test('the slow-query log keeps the newest entries', () => {
+  dbService.enableProfiling({ threshold: 0, slowLogSize: 2, captureParams: true });
+
+  ['a', 'b', 'c'].forEach(topic => dbService.getAll('SELECT * FROM data_records WHERE topic = ?', [topic]));
+
+  assert.deepEqual(dbService.getSlowQueries().map(entry => entry.params), [['b'], ['c']]);
+
+  dbService.resetProfiling();
+  assert.deepEqual(dbService.getSlowQueries(), []);
+  assert.deepEqual(dbService.getQueryReport(), []);
+});
+
+test('plans name aliased tables and temporary sorts', () => {
+  const sql = 'SELECT * FROM webhook_deliveries d JOIN webhooks w ON w.id = d.webhook_id ORDER BY d.duration_ms';
+  const warnings = analyzePlan(dbService.explainQuery(sql), sql);
+
+  assert.deepEqual(warnings, [
+    'Full scan of webhook_deliveries: no index matches the filter',
+    'Sorts in a temporary B-tree for ORDER BY; an index on those columns avoids it'
+  ]);
+  assert.equal(dbService.explainQuery('PRAGMA user_version'), null);
+});
@@ -0,0 +1,77 @@
+import { runtime, loadSchema, loadFixtures } from './headless-runtime.js';
+import { test, before, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import dbService from '../db/database-service.js';
+import settingsPlugin from '../plugins/settings-plugin.js';
+
+before(async () => {
+  await dbService.init(loadSchema(), { storage: 'memory', fixtures: await loadFixtures() });
+});
+
+afterEach(() => runtime.useRealClock());
+
+test('registers itself on window', () => {
+  assert.equal(window.settingsPlugin, settingsPlugin);
+});
+
+test('set detects the type and get returns it', () => {
+  settingsPlugin.set('test', 'count', 3);
+  settingsPlugin.set('test', 'ratio', 0.5);
+  settingsPlugin.set('test', 'flags', { beta: true });
+
+  settingsPlugin.clearCache();
+  assert.equal(settingsPlugin.get('test', 'count'), 3);
+  assert.equal(settingsPlugin.get('test', 'ratio'), 0.5);
+  assert.deepEqual(settingsPlugin.get('test', 'flags'), { beta: true });
+});
+
+test('seeded defaults are readable through the helpers', () => {
+  assert.equal(settingsPlugin.get('app', 'app_name'), 'WonkyDonkey PWA');
+  assert.equal(settingsPlugin.isAutoBackupEnabled(), false);
+  assert.equal(settingsPlugin.getBackupKeep(), 7);
+});
+
+test('cached values expire after cacheTimeout', async () => {
+  const clock = runtime.useFakeClock();
+  settingsPlugin.set('test', 'cached', 'a');
+
+  // Changed behind the plugin's back
+  dbService.setSetting('test', 'cached', 'b', 'string');
+  assert.equal(settingsPlugin.get('test', 'cached'), 'a');
+
+  await clock.advance(settingsPlugin.cacheTimeout);
+  assert.equal(settingsPlugin.get('test', 'cached'), 'b');
+});
+
+test('changes are announced with settings-changed', () => {
+  const seen = [];
+  const listener = event => seen.push(event.detail);
+  window.addEventListener('settings-changed', listener);
+
+  settingsPlugin.set('test', 'announced', 'yes');
+  settingsPlugin.delete('test', 'announced');
+  window.removeEventListener('settings-changed', listener);
+
+  assert.deepEqual(seen, [
+    { category: 'test', key: 'announced', value: 'yes' },
+    { category: 'test', key: 'announced', value: null }
+  ]);
+  assert.equal(settingsPlugin.get('test', 'announced', 'gone'), 'gone');
+});
+
+test('import rejects invalid JSON and applies valid settings', () => {
+  settingsPlugin.set('import', 'kept', 'before');
+
+  assert.equal(settingsPlugin.import('{ not json'), false);
+  assert.equal(settingsPlugin.import(JSON.stringify({ import: { kept: 'after', added: 1 } })), true);
+
+  const exported = JSON.parse(settingsPlugin.export());
+  assert.deepEqual(exported.import, { kept: 'after', added: 1 });
+});
+
+test('setTheme updates the document', () => {
+  settingsPlugin.setTheme('dark');
+
+  assert.equal(settingsPlugin.getTheme(), 'dark');
+  assert.equal(document.documentElement.getAttribute('data-theme'), 'dark');
+});
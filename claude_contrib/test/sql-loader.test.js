@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadSqlJs } from '../db/sql-loader.js';
+
+// A sql.js stand-in that records the options it was started with
+function fakeFactory(name) {
+  const calls = [];
+  const factory = async options => {
+    calls.push(options.locateFile ? options.locateFile('sql-wasm.wasm') : null);
+    return { name };
+  };
+  return Object.assign(factory, { calls });
+}
+
+test('each factory and WASM URL pair is started once', async () => {
+  const first = fakeFactory('first');
+  const second = fakeFactory('second');
+
+  const [a, b] = await Promise.all([
+    loadSqlJs({ initSqlJs: first, wasmUrl: '/sql.wasm' }),
+    loadSqlJs({ initSqlJs: first, wasmUrl: '/sql.wasm' })
+  ]);
+  const other = await loadSqlJs({ initSqlJs: second, wasmUrl: '/sql.wasm' });
+  const elsewhere = await loadSqlJs({ initSqlJs: first, wasmUrl: '/other.wasm' });
+
+  assert.equal(a, b);
+  assert.equal(other.name, 'second');
+  assert.equal(elsewhere.name, 'first');
+  assert.deepEqual(first.calls, ['/sql.wasm', '/other.wasm']);
+  assert.deepEqual(second.calls, ['/sql.wasm']);
+});
+
+test('a failed load is retried', async () => {
+  let attempts = 0;
+  const flaky = async () => {
+    if (++attempts === 1) throw new Error('offline');
+    return { name: 'flaky' };
+  };
+
+  await assert.rejects(loadSqlJs({ initSqlJs: flaky }), /offline/);
+  assert.equal((await loadSqlJs({ initSqlJs: flaky })).name, 'flaky');
+  assert.equal(attempts, 2);
+});
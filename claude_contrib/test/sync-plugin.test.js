@@ -0,0 +1,281 @@
+import { loadSchema } from './headless-runtime.js';
+import { test, before, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import dbService, { DatabaseService } from '../db/database-service.js';
+import loggingPlugin from '../plugins/logging-plugin.js';
+import syncPlugin from '../plugins/sync-plugin.js';
+import { createMockSyncServer } from '../examples/mock-sync-server.js';
+
+let server;
+let db;
+
+before(async () => {
+  await dbService.init(loadSchema(), { storage: 'memory' });
+  loggingPlugin.setConsole(false);
+});
+
+afterEach(async () => {
+  mock.restoreAll();
+  if (server) {
+    await server.close();
+    server = null;
+  }
+});
+
+// A fresh database synced with a fresh server
+async function connect(options = {}, serverOptions = {}) {
+  server = createMockSyncServer(serverOptions);
+  await server.listen(0);
+
+  db = new DatabaseService();
+  await db.init(loadSchema(), { storage: 'memory' });
+  await syncPlugin.useDatabase(db);
+  syncPlugin.init({ endpoint: server.url, tables: ['data_records'], ...options });
+}
+
+// Another client writing to the server
+async function pushRemote(change) {
+  const response = await fetch(`${server.url}/push`, {
+    method: 'POST',
+    body: JSON.stringify({
+      clientId: 'other-client',
+      changes: [{ id: `remote-${server.changes.length}`, table: 'data_records', ...change }]
+    })
+  });
+  const { results: [result] } = await response.json();
+  assert.equal(result.ok, true);
+  return result.version;
+}
+
+function remoteRow(id, jsonData, modifiedDate) {
+  return {
+    id,
+    create_date: '2026-01-01T00:00:00.000Z',
+    modified_date: modifiedDate,
+    topic: 'orders',
+    sub_topic: 'new',
+    json_data: JSON.stringify(jsonData),
+    tags: '[]',
+    active: 1
+  };
+}
+
+function readJson(id) {
+  return JSON.parse(db.getOne('SELECT json_data FROM data_records WHERE id = ?', [id]).json_data);
+}
+
+// Records synced at version 1
+async function syncedRecords(count) {
+  const ids = [];
+  for (let n = 0; n < count; n++) {
+    ids.push(db.createDataRecord('orders', 'new', { a: 1, b: 1 }));
+  }
+  await syncPlugin.sync();
+  return ids;
+}
+
+// The other client changes a synced record to version 2 while this one
+// changes it locally
+async function diverge(id, { local, remote, localDate, remoteDate }) {
+  await pushRemote({
+    operation: 'update',
+    recordId: id,
+    baseVersion: 1,
+    data: remoteRow(id, remote, remoteDate)
+  });
+
+  db.run(
+    'UPDATE data_records SET json_data = ?, modified_date = ? WHERE id = ?',
+    [JSON.stringify(local), localDate, id]
+  );
+}
+
+async function divergedRecord(sides) {
+  const [id] = await syncedRecords(1);
+  await diverge(id, sides);
+  return id;
+}
+
+const EARLIER = '2026-01-02T00:00:00.000Z';
+const LATER = '2026-01-03T00:00:00.000Z';
+
+test('local writes are pushed and acknowledged items leave the queue', async () => {
+  await connect();
+  const id = db.createDataRecord('orders', 'new', { total: 10 });
+  db.updateDataRecord(id, { jsonData: { total: 12 } });
+
+  const result = await syncPlugin.sync();
+
+  assert.equal(result.pushed, 1);
+  assert.deepEqual(server.changes.map(change => [change.operation, change.recordId]), [['create', id]]);
+  assert.equal(JSON.parse(server.changes[0].data.json_data).total, 12);
+  assert.equal(db.getOne('SELECT COUNT(*) AS count FROM sync_queue').count, 0);
+  assert.equal(syncPlugin.getRecordVersion('data_records', id), 1);
+});
+
+test('items a server rejects stay queued as failed', async () => {
+  await connect({}, { reject: change => (change.data?.topic === 'spam' ? 'No spam' : null) });
+  db.createDataRecord('spam', 'new', {});
+  db.createDataRecord('orders', 'new', {});
+
+  const result = await syncPlugin.sync();
+
+  assert.equal(result.pushed, 1);
+  assert.equal(result.failed, 1);
+  assert.deepEqual(
+    db.getAll('SELECT status, error_message FROM sync_queue'),
+    [{ status: 'failed', error_message: 'No spam' }]
+  );
+});
+
+test('remote changes are pulled without being pushed back', async () => {
+  await connect();
+  await pushRemote({ operation: 'create', recordId: 'remote-1', data: remoteRow('remote-1', { n: 1 }, EARLIER) });
+
+  const result = await syncPlugin.sync();
+
+  assert.equal(result.pulled, 1);
+  assert.deepEqual(readJson('remote-1'), { n: 1 });
+  assert.equal(db.getOne('SELECT COUNT(*) AS count FROM sync_queue').count, 0);
+
+  await pushRemote({ operation: 'delete', recordId: 'remote-1', baseVersion: 1 });
+  await syncPlugin.sync();
+  assert.equal(db.getOne('SELECT id FROM data_records WHERE id = ?', ['remote-1']), null);
+});
+
+test('pull pages through the server until it has no more', async () => {
+  const requests = [];
+  await connect({
+    fetch: (url, init) => {
+      requests.push(new URL(url).pathname);
+      return fetch(url, init);
+    }
+  }, { pageSize: 2 });
+
+  for (let n = 1; n <= 5; n++) {
+    await pushRemote({ operation: 'create', recordId: `page-${n}`, data: remoteRow(`page-${n}`, { n }, EARLIER) });
+  }
+
+  const result = await syncPlugin.sync();
+
+  assert.equal(result.pulled, 5);
+  assert.deepEqual(requests, ['/pull', '/pull', '/pull']);
+  assert.equal(syncPlugin.getState('pull_cursor'), '5');
+  assert.equal(db.countDataRecords({ topic: 'orders' }), 5);
+});
+
+test('failed syncs back off exponentially and a success resets the delay', async () => {
+  let down = true;
+  await connect({
+    fetch: (url, init) => (down ? Promise.reject(new TypeError('fetch failed')) : fetch(url, init))
+  });
+  mock.method(Math, 'random', () => 0.5); // no jitter
+  db.createDataRecord('orders', 'new', {});
+
+  const delays = [];
+  for (let attempt = 0; attempt < 9; attempt++) {
+    await assert.rejects(syncPlugin.sync(), /fetch failed/);
+    delays.push(syncPlugin.getDelay());
+  }
+
+  assert.deepEqual(delays, [30, 60, 120, 240, 480, 960, 1920, 3600, 3600]);
+  assert.equal(db.getOne('SELECT status FROM sync_queue').status, 'pending');
+
+  down = false;
+  await syncPlugin.sync();
+  assert.equal(syncPlugin.failures, 0);
+  assert.equal(server.changes.length, 1);
+});
+
+test('last-writer-wins keeps the newer side', async () => {
+  await connect();
+  const [kept, lost] = await syncedRecords(2);
+  await diverge(kept, { local: { a: 2 }, remote: { a: 3 }, localDate: LATER, remoteDate: EARLIER });
+  await diverge(lost, { local: { a: 2 }, remote: { a: 3 }, localDate: EARLIER, remoteDate: LATER });
+
+  const result = await syncPlugin.sync();
+  assert.equal(result.conflicts, 2);
+  await syncPlugin.sync();
+
+  assert.deepEqual(readJson(kept), { a: 2 });
+  assert.deepEqual(readJson(lost), { a: 3 });
+  assert.deepEqual(JSON.parse(server.records.get(`data_records:${kept}`).data.json_data), { a: 2 });
+  assert.equal(server.records.get(`data_records:${lost}`).version, 2);
+});
+
+test('server-wins takes the remote row and drops the local change', async () => {
+  await connect({ conflictPolicy: 'server-wins' });
+  const id = await divergedRecord({ local: { a: 2 }, remote: { a: 3 }, localDate: LATER, remoteDate: EARLIER });
+
+  await syncPlugin.sync();
+
+  assert.deepEqual(readJson(id), { a: 3 });
+  assert.equal(db.getOne('SELECT COUNT(*) AS count FROM sync_queue').count, 0);
+  assert.equal(server.records.get(`data_records:${id}`).version, 2);
+});
+
+test('client-wins pushes the local row again on top of the server version', async () => {
+  await connect({ conflictPolicies: { data_records: 'client-wins' } });
+  const id = await divergedRecord({ local: { a: 2 }, remote: { a: 3 }, localDate: EARLIER, remoteDate: LATER });
+
+  await syncPlugin.sync();
+  await syncPlugin.sync();
+
+  assert.deepEqual(readJson(id), { a: 2 });
+  const record = server.records.get(`data_records:${id}`);
+  assert.equal(record.version, 3);
+  assert.deepEqual(JSON.parse(record.data.json_data), { a: 2 });
+});
+
+test('merge keeps changes to different keys from both sides', async () => {
+  await connect({ conflictPolicy: 'merge' });
+  const id = await divergedRecord({
+    local: { a: 2, b: 1 },
+    remote: { a: 1, b: 3 },
+    localDate: EARLIER,
+    remoteDate: LATER
+  });
+
+  await syncPlugin.sync();
+  await syncPlugin.sync();
+
+  assert.deepEqual(readJson(id), { a: 2, b: 3 });
+  assert.deepEqual(JSON.parse(server.records.get(`data_records:${id}`).data.json_data), { a: 2, b: 3 });
+});
+
+test('manual conflicts wait for resolveConflict()', async () => {
+  await connect({ conflictPolicy: 'manual' });
+  const id = await divergedRecord({ local: { a: 2 }, remote: { a: 3 }, localDate: LATER, remoteDate: EARLIER });
+
+  await syncPlugin.sync();
+  await syncPlugin.sync();
+
+  const [conflict] = syncPlugin.getConflicts();
+  assert.equal(conflict.record_id, id);
+  assert.equal(conflict.remote_version, 2);
+  assert.deepEqual(readJson(id), { a: 2 });
+  assert.equal(server.records.get(`data_records:${id}`).version, 2);
+
+  syncPlugin.resolveConflict(conflict.id, 'remote');
+
+  assert.deepEqual(readJson(id), { a: 3 });
+  assert.deepEqual(syncPlugin.getConflicts(), []);
+});
+
+test('a policy function can return a merged row', async () => {
+  const seen = [];
+  await connect({
+    conflictPolicy: conflict => {
+      seen.push(conflict.recordId);
+      return { ...conflict.local, json_data: JSON.stringify({ a: 'both' }) };
+    }
+  });
+  const id = await divergedRecord({ local: { a: 2 }, remote: { a: 3 }, localDate: LATER, remoteDate: EARLIER });
+
+  await syncPlugin.sync();
+  await syncPlugin.sync();
+
+  assert.deepEqual(seen, [id]);
+  assert.deepEqual(readJson(id), { a: 'both' });
+  assert.deepEqual(JSON.parse(server.records.get(`data_records:${id}`).data.json_data), { a: 'both' });
+});
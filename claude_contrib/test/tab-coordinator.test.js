@@ -0,0 +1,202 @@
+import { loadSchema } from './headless-runtime.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DatabaseService } from '../db/database-service.js';
+import { TabCoordinator } from '../db/tab-coordinator.js';
+import MemoryBackend from '../db/storage/memory-backend.js';
+
+async function openDatabase(options = {}) {
+  const db = new DatabaseService();
+  await db.init(loadSchema(), { storage: 'memory', ...options });
+  return db;
+}
+
+// A coordinator that isn't connected to other tabs; posted messages are kept
+function createCoordinator(db, { isLeader }) {
+  const coordinator = new TabCoordinator(db);
+  coordinator.isLeader = isLeader;
+  coordinator.sent = [];
+  coordinator.post = message => coordinator.sent.push(message);
+  return coordinator;
+}
+
+const insert = n => [
+  'INSERT INTO data_records (id, create_date, topic, json_data) VALUES (?, ?, ?, ?)',
+  [`rec-${n}`, '2026-01-01T00:00:00.000Z', 'orders', JSON.stringify({ n })]
+];
+
+test('a write resent to a new leader is applied once', async () => {
+  const storage = new MemoryBackend();
+  const oldLeader = await openDatabase({ storage });
+  const leader = createCoordinator(oldLeader, { isLeader: true });
+
+  await leader.applyRequest({ type: 'write', from: 'tab-b', id: 1, statements: [insert(1)] });
+  await oldLeader.flush();
+
+  // The ack was lost with the old leader, so tab-b resends to the new one
+  const newLeader = await openDatabase({ storage });
+  const next = createCoordinator(newLeader, { isLeader: true });
+  await next.applyRequest({ type: 'write', from: 'tab-b', id: 1, statements: [insert(1)] });
+  await next.applyRequest({ type: 'write', from: 'tab-b', id: 2, statements: [insert(2)] });
+
+  assert.deepEqual(next.sent.map(ack => [ack.id, ack.ok]), [[1, true], [2, true]]);
+  assert.equal(newLeader.countDataRecords({ topic: 'orders' }), 2);
+});
+
+test('a write the leader refuses is reported to onWriteRejected listeners', async t => {
+  const db = await openDatabase();
+  const follower = createCoordinator(db, { isLeader: false });
+  t.mock.method(console, 'error', () => {});
+
+  const rejected = [];
+  db.onWriteRejected(error => rejected.push(error));
+
+  follower.recordWrite(...insert(1));
+  follower.commit();
+  const [request] = follower.sent;
+  follower.handleAck({ to: follower.tabId, id: request.id, ok: false, error: 'UNIQUE constraint failed' });
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.equal(rejected.length, 1);
+  assert.match(rejected[0].message, /UNIQUE constraint failed/);
+  assert.deepEqual(rejected[0].statements, [insert(1)]);
+});
+
+test('a commit forwards the statements left after savepoint rollbacks', async () => {
+  const db = await openDatabase();
+  const follower = createCoordinator(db, { isLeader: false });
+
+  follower.commit();
+  assert.deepEqual(follower.sent, []);
+
+  follower.recordWrite(...insert(1));
+  const mark = follower.mark();
+  follower.recordWrite(...insert(2));
+  follower.rewind(mark);
+  follower.recordWrite(...insert(3));
+  follower.commit();
+
+  follower.recordWrite(...insert(4));
+  follower.discard();
+  follower.commit();
+
+  assert.deepEqual(follower.sent, [
+    { type: 'write', from: follower.tabId, id: 1, statements: [insert(1), insert(3)] }
+  ]);
+});
+
+test('acknowledged writes settle and their changes are remembered as our own', async () => {
+  const db = await openDatabase();
+  const follower = createCoordinator(db, { isLeader: false });
+
+  follower.recordWrite(...insert(1));
+  assert.equal(follower.canReload(), false);
+  follower.discard();
+
+  const acknowledged = follower.request('write', { statements: [insert(1)] });
+  assert.equal(follower.canReload(), false);
+
+  // Acks for other tabs are not ours to settle
+  follower.handleMessage({ type: 'ack', to: 'tab-other', id: 1, ok: true, changes: [1, 1] });
+  assert.equal(follower.pending.size, 1);
+
+  follower.handleMessage({ type: 'ack', to: follower.tabId, id: 1, ok: true, changes: [4, 6] });
+
+  assert.deepEqual(await acknowledged, [4, 6]);
+  assert.equal(follower.canReload(), true);
+  assert.deepEqual([3, 4, 6, 7].map(seq => follower.isOwnChange(seq)), [false, true, true, false]);
+
+  follower.forgetOwnChanges(6);
+  assert.equal(follower.isOwnChange(5), false);
+  assert.equal(createCoordinator(db, { isLeader: true }).canReload(), false);
+});
+
+test('messages reach the leader, resends and broadcast listeners', async () => {
+  const db = await openDatabase();
+  const leader = createCoordinator(db, { isLeader: true });
+  const follower = createCoordinator(await openDatabase(), { isLeader: false });
+
+  leader.handleMessage({ type: 'write', from: 'tab-b', id: 1, statements: [insert(1)] });
+  follower.handleMessage({ type: 'write', from: 'tab-b', id: 1, statements: [insert(1)] });
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.equal(db.countDataRecords({ topic: 'orders' }), 1);
+  assert.deepEqual(leader.sent.map(({ type, to, ok }) => [type, to, ok]), [['ack', 'tab-b', true]]);
+  assert.deepEqual(follower.sent, []);
+
+  // A new leader gets the follower's unacknowledged requests again
+  follower.request('write', { statements: [insert(2)] });
+  follower.handleMessage({ type: 'leader', from: 'tab-c' });
+  leader.handleMessage({ type: 'leader', from: 'tab-c' });
+  assert.deepEqual(follower.sent.map(({ type, id }) => [type, id]), [['write', 1], ['write', 1]]);
+  assert.equal(leader.sent.length, 1);
+
+  const received = [];
+  db.onBroadcast('theme', detail => received.push(detail));
+  leader.handleMessage({ type: 'message', topic: 'theme', detail: { dark: true } });
+  assert.deepEqual(received, [{ dark: true }]);
+});
+
+test('a promoted tab replays its own writes and refuses its pending imports', async () => {
+  const storage = new MemoryBackend();
+  const oldLeader = await openDatabase({ storage });
+  oldLeader.run(...insert(1));
+  await oldLeader.persist();
+
+  const db = await openDatabase({ storage });
+  const follower = createCoordinator(db, { isLeader: false });
+
+  const write = follower.request('write', { statements: [insert(2)] });
+  const image = follower.request('import', { data: new Uint8Array(0) });
+
+  await follower.promote();
+
+  assert.equal(await write, null);
+  await assert.rejects(image, /Leader tab closed during import/);
+  assert.equal(follower.isLeader, true);
+  assert.deepEqual(follower.sent.at(-1), { type: 'leader', from: follower.tabId });
+  assert.equal(db.countDataRecords({ topic: 'orders' }), 2);
+
+  const saved = await openDatabase({ storage });
+  assert.equal(saved.countDataRecords({ topic: 'orders' }), 2);
+});
+
+test('the key is not rotated while other tabs have the database open', async () => {
+  const storage = new MemoryBackend();
+  const db = await openDatabase({ storage });
+  db.coordinator = createCoordinator(db, { isLeader: true });
+
+  const lockName = `pwa-db:${db.dbName}`;
+  const locks = { held: [{ name: lockName }], pending: [{ name: lockName }] };
+  navigator.locks = { query: async () => locks };
+
+  try {
+    await assert.rejects(db.rotateKey({ passphrase: 'new' }), /Close the other tabs/);
+    assert.equal(db.cipher, null);
+
+    locks.pending = [{ name: 'pwa-db:another-database' }];
+    await db.rotateKey({ passphrase: 'new' });
+    assert.ok(db.cipher);
+  } finally {
+    delete navigator.locks;
+  }
+});
+
+test('a follower keeps its migration writes to itself', async () => {
+  const db = await openDatabase();
+  db.createDataRecord('notes', null, {});
+  const follower = createCoordinator(db, { isLeader: false });
+  db.coordinator = follower;
+
+  db.migrations = db.sortMigrations([...db.migrations, {
+    version: db.getLatestMigrationVersion() + 1,
+    name: 'tag_notes',
+    up: (raw, service) => service.run(`UPDATE data_records SET tags = '["note"]' WHERE topic = 'notes'`)
+  }]);
+
+  await db.migrate({ dryRun: true });
+  await db.migrate();
+
+  assert.deepEqual(follower.sent, []);
+  assert.deepEqual(follower.buffer, []);
+});
@@ -0,0 +1,137 @@
+import { runtime, loadSchema, settle } from './headless-runtime.js';
+import { test, before, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'crypto';
+import dbService from '../db/database-service.js';
+import loggingPlugin from '../plugins/logging-plugin.js';
+import webhookPlugin from '../plugins/webhook-plugin.js';
+
+before(async () => {
+  await dbService.init(loadSchema(), { storage: 'memory' });
+  loggingPlugin.setConsole(false);
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  runtime.useRealClock();
+});
+
+// Answers every request with the given statuses in turn (the last repeats)
+function mockFetch(...statuses) {
+  const requests = [];
+  mock.method(globalThis, 'fetch', async (url, init) => {
+    requests.push({ url, ...init, headers: { ...init.headers } });
+    const status = statuses[Math.min(requests.length, statuses.length) - 1];
+    return new Response(status === 204 ? null : status < 400 ? 'ok' : 'nope', { status });
+  });
+  return requests;
+}
+
+// trigger() doesn't wait for deliveries; wait for the queue to empty
+async function drain() {
+  while (webhookPlugin.processing || webhookPlugin.queue.length > 0) {
+    await webhookPlugin.processQueue();
+    await settle();
+  }
+}
+
+test('register stores the webhook with parsed headers and events', () => {
+  const id = webhookPlugin.register({
+    name: 'Listing',
+    url: 'https://hooks.example.com/listing',
+    headers: { 'X-Team': 'core' },
+    events: ['listing.test']
+  });
+
+  const hook = webhookPlugin.getAll().find(h => h.id === id);
+  assert.deepEqual(hook.headers, { 'X-Team': 'core' });
+  assert.deepEqual(hook.events, ['listing.test']);
+});
+
+test('update takes headers as an object or as JSON text', () => {
+  const id = webhookPlugin.register({ name: 'Headers', url: 'https://hooks.example.com/headers' });
+  const headers = () => webhookPlugin.getAll().find(h => h.id === id).headers;
+
+  webhookPlugin.update(id, { headers: '{"A":"b"}' });
+  assert.deepEqual(headers(), { A: 'b' });
+
+  webhookPlugin.update(id, { headers: { C: 'd' } });
+  assert.deepEqual(headers(), { C: 'd' });
+});
+
+test('trigger posts signed payloads to subscribed webhooks', async () => {
+  const requests = mockFetch(200);
+  const id = webhookPlugin.register({
+    name: 'Orders',
+    url: 'https://hooks.example.com/orders',
+    secret: 's3cret',
+    events: ['order.created']
+  });
+
+  await webhookPlugin.trigger('order.created', { orderId: 7 });
+  await webhookPlugin.trigger('order.cancelled', { orderId: 7 });
+  await drain();
+
+  assert.equal(requests.length, 1);
+  const [request] = requests;
+  assert.equal(request.url, 'https://hooks.example.com/orders');
+  assert.equal(request.headers['X-Event-Type'], 'order.created');
+  assert.equal(
+    request.headers['X-Webhook-Signature'],
+    createHmac('sha256', 's3cret').update(request.body).digest('hex')
+  );
+
+  const [delivery] = webhookPlugin.getDeliveryHistory(id);
+  assert.equal(delivery.success, 1);
+  assert.equal(delivery.response_status, 200);
+});
+
+test('failed deliveries are logged and retried with backoff', async () => {
+  const clock = runtime.useFakeClock();
+  const requests = mockFetch(500, 200);
+  const id = webhookPlugin.register({
+    name: 'Flaky',
+    url: 'https://hooks.example.com/flaky',
+    events: ['flaky.event'],
+    retry_count: 1
+  });
+
+  await webhookPlugin.trigger('flaky.event', { n: 1 });
+  await drain();
+  assert.equal(webhookPlugin.getFailedDeliveries().filter(d => d.webhook_id === id).length, 1);
+
+  await clock.advance(webhookPlugin.retryDelay);
+  await drain();
+
+  assert.equal(requests.length, 2);
+  const { total, successful, failed } = webhookPlugin.getStatistics(id);
+  assert.deepEqual({ total, successful, failed }, { total: 2, successful: 1, failed: 1 });
+});
+
+test('watched tables trigger <table>.<operation> events', async () => {
+  const requests = mockFetch(200);
+  webhookPlugin.register({
+    name: 'Records',
+    url: 'https://hooks.example.com/records',
+    events: ['data_records.insert']
+  });
+
+  const stop = webhookPlugin.watchTable('data_records');
+  const recordId = dbService.createDataRecord('orders', 'new', { n: 1 });
+  await drain();
+  stop();
+
+  assert.equal(requests.length, 1);
+  assert.equal(JSON.parse(requests[0].body).recordId, recordId);
+});
+
+test('test() sends a test payload and logs the delivery', async () => {
+  mockFetch(204);
+  const id = webhookPlugin.register({ name: 'Manual', url: 'https://hooks.example.com/manual' });
+
+  await webhookPlugin.test(id);
+
+  const [delivery] = webhookPlugin.getDeliveryHistory(id);
+  assert.equal(delivery.event_type, 'test');
+  assert.equal(delivery.success, 1);
+});
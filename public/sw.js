@@ -57,4 +57,6 @@ const updateName = async (event) => {
     await self.widgets.updateByInstanceId(event.instanceId, payload);
 }
 
+// The manifest includes the sql.js WASM binary (see globPatterns in
+// vite.config.ts), so the database can start offline on first run.
 workbox.precaching.precacheAndRoute(self.__WB_MANIFEST || []);
\ No newline at end of file
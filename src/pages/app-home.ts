@@ -9,6 +9,9 @@ import { styles } from '../styles/shared-styles';
 // Import PWA Components system
 import pwa from '../claude_contrib/index.js';
 
+// Self-hosted SQLite WASM, emitted and precached with the build
+import sqlWasmUrl from 'sql.js/dist/sql-wasm.wasm?url';
+
 @customElement('app-home')
 export class AppHome extends LitElement {
 
@@ -73,6 +76,7 @@ export class AppHome extends LitElement {
     try {
       await pwa.quickSetup({
         schemaUrl: '/db/schema.sql',
+        wasmUrl: sqlWasmUrl,
         logLevel: 'info',
         enableMetrics: true
       });
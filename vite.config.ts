@@ -9,6 +9,10 @@ export default defineConfig({
     assetsDir: "code",
     target: ["esnext", "edge100", "firefox100", "chrome100", "safari18"],
   },
+  worker: {
+    // The database worker is a module worker (see claude_contrib/db/database-worker.js)
+    format: "es",
+  },
   plugins: [
     VitePWA({
       strategies: "injectManifest",
@@ -17,7 +21,7 @@ export default defineConfig({
         swDest: 'dist/sw.js',
         globDirectory: 'dist',
         globPatterns: [
-          '**/*.{html,js,css,json, png}',
+          '**/*.{html,js,css,json,wasm, png}',
         ],
       },
       injectRegister: false,